@@ -1,7 +1,9 @@
 require('dotenv').config(); // Load environment variables first
-const { Client, GatewayIntentBits, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, MessageFlags } = require('discord.js');
+const { Client, GatewayIntentBits, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, MessageFlags, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder, StringSelectMenuBuilder, StringSelectMenuOptionBuilder } = require('discord.js');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const config = require('./config.json');
 const DatabaseManager = require('./src/DatabaseManager');
 const DashboardServer = require('./dashboard-server');
@@ -10,6 +12,11 @@ const logger = require('./src/Logger');
 const SecurityHardening = require('./src/SecurityHardening');
 const GraySwain = require('./src/GraySwainSecurity');
 
+// One structured logger per subsystem - config.logger.modules can change the level of any of them
+const log = Object.fromEntries(
+    ['bot', 'commands', 'moderation', 'antiRaid', 'antiNuke', 'aiProtection', 'autoMod', 'ai', 'aiModeration', 'security', 'welcome', 'tickets', 'roles', 'leveling', 'logChannels', 'database', 'privacy', 'dashboard'].map(name => [name, logger.module(name)])
+);
+
 // Secure token signing - must match dashboard-server.js secret
 const TOKEN_SECRET = process.env.DASHBOARD_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 
@@ -27,6 +34,72 @@ function createSignedToken(userId) {
     return `${payloadBase64}.${signature}`;
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(html) {
+    return String(html)
+        .replace(/<br>/g, '\n')
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+}
+
+// One message line of a saved ticket transcript - transcripts saved before data-user-id was added only have the tag
+const TRANSCRIPT_MESSAGE_PATTERN = /^<div class="message"(?: data-user-id="(\d*)")?><span class="time">([^<]*)<\/span> <span class="author">([^<]*)<\/span><div class="content">(.*?)<\/div>/;
+
+// lockdown.removePermissions names -> permission overwrite flag and the channel type it applies to
+const LOCKDOWN_PERMISSIONS = {
+    SEND_MESSAGES: { flag: 'SendMessages', channelType: 'text' },
+    SEND_MESSAGES_IN_THREADS: { flag: 'SendMessagesInThreads', channelType: 'text' },
+    CREATE_PUBLIC_THREADS: { flag: 'CreatePublicThreads', channelType: 'text' },
+    ADD_REACTIONS: { flag: 'AddReactions', channelType: 'text' },
+    CONNECT: { flag: 'Connect', channelType: 'voice' },
+    SPEAK: { flag: 'Speak', channelType: 'voice' }
+};
+
+// Moderation actions the dashboard can run -> default reason (null = a reason is required)
+const DASHBOARD_MOD_ACTIONS = {
+    warn: null,
+    mute: 'No reason provided',
+    unmute: 'Manual unmute by staff',
+    kick: 'No reason provided',
+    ban: 'No reason provided',
+    unban: 'No reason provided',
+    lockdown: 'Manual lockdown by staff',
+    unlock: 'Manual unlock by staff',
+    freeze: 'Channel frozen by staff',
+    unfreeze: 'Channel unfrozen by staff',
+    slowmode: 'Slow mode updated by staff'
+};
+
+// Longest timeout Discord allows (28 days) - temp bans that can't be issued fall back to one
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
+
+// Dashboard actions aimed at a member - these need Administrator and count toward the mod rate limit, like the slash commands
+const DASHBOARD_MEMBER_ACTIONS = ['warn', 'mute', 'unmute', 'kick', 'ban', 'unban'];
+
+// Where a performDashboardModAction call came from - used in log messages and the Discord audit log reason
+const MOD_ACTION_SOURCES = {
+    dashboard: 'the dashboard',
+    ai_review: 'AI review'
+};
+
+// AI review queue decisions -> the staff_response they record (approvals run the matching action)
+const AI_REVIEW_DECISIONS = {
+    mute: 'approved',
+    kick: 'approved',
+    ban: 'approved',
+    dismiss: 'dismissed',
+    false_positive: 'false_positive'
+};
+
 class GuardianBot {
     constructor() {
         this.client = new Client({
@@ -34,6 +107,7 @@ class GuardianBot {
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildMembers, // Privileged - enable in Discord Developer Portal
                 GatewayIntentBits.GuildMessages,
+                GatewayIntentBits.GuildMessageReactions,
                 GatewayIntentBits.MessageContent, // Privileged - enable in Discord Developer Portal
                 GatewayIntentBits.GuildBans,
                 GatewayIntentBits.GuildModeration
@@ -43,8 +117,10 @@ class GuardianBot {
 
         // Tracking objects for monitoring
         this.joinTracker = new Map(); // guildId -> array of join timestamps
-        this.warningTracker = new Map(); // userId -> array of warning objects
+        this.raidMode = new Map(); // guildId -> { activatedAt, expiresAt, activatedBy, reason, recentJoins: [], caught: [], timer }
         this.adminActions = new Map(); // userId -> array of action timestamps
+        this.recentNukes = new Map(); // guildId -> timestamp of last nuke detection (pauses scheduled snapshots)
+        this.reactionRoleMenus = new Map(); // messageId -> reaction_role_menus row with its roles
         this.mutedUsers = new Map(); // userId -> unmute timestamp
         this.protectedMembers = new Set(); // Set of protected user IDs
         this.spamTracker = new Map(); // userId -> { messageTimestamps: [], violationCount: 0, lastWarning: timestamp }
@@ -64,6 +140,16 @@ class GuardianBot {
         this.autoModEvents = [];
         this.maxAutoModEvents = 500;
 
+        // Live events for the dashboard feed - DashboardServer streams 'event' to connected browsers
+        this.liveEvents = new EventEmitter();
+        this.recentLiveEvents = [];
+        this.maxRecentLiveEvents = 100;
+
+        // Per-guild automod_settings rows (caps/emoji/repeated text/blocked words filters)
+        this.autoModSettingsCache = new Map(); // guildId -> { settings, fetchedAt }
+        this.autoModSettingsTTL = 60 * 1000;
+        this.recentMessageTracker = new Map(); // guildId-userId -> [{ content, timestamp }]
+
         // =================================================================
         // SECURITY: Rate limiting for moderation commands
         // Prevents abuse/spam of mod commands
@@ -108,25 +194,46 @@ class GuardianBot {
                 ignore: 40,    // Below 40% = no action
             },
 
+            // Local classifier pre-filter (risk score 0-99) - only scores in between go to the LLM
+            preFilter: {
+                skipBelow: 15,   // Clearly clean - no LLM call
+                decideAbove: 85, // Clear-cut match - act on the local verdict
+            },
+
             // Allowed auto-actions (others require staff confirmation)
             autoActions: ['delete', 'warn'],
             escalateActions: ['mute', 'ban', 'kick'],
-        };
 
-        // Supreme owner ID - only they can use kill switch
-        this.supremeOwnerId = '701257205445558293';
+            // Escalations nobody reviews within this many hours are marked expired
+            reviewTimeoutHours: 24,
 
-        // TTT Staff Role ID - moderators who help manage the server
-        this.staffRoleId = '1436372186523762688';
+            // Conversation sent along with each message (from the channel's message cache - no API calls)
+            contextMessages: 8,
+            contextMaxAgeMs: 15 * 60 * 1000,
 
-        // TTT Log Channel ID - where AI moderation logs go
-        this.logChannelId = '1458245167172812863';
+            // Threshold auto-tuning from staff feedback (/aimod autotune)
+            autoTune: {
+                // Share of staff-confirmed detections needed at or above each threshold
+                targets: { delete: 0.95, warn: 0.9, escalate: 0.7 },
+                minSamples: 10,    // Judged detections needed before a threshold moves
+                windowDays: 30,    // Feedback considered
+                intervalHours: 24, // Minimum time between automatic changes in 'apply' mode
+            },
+        };
+
+        // Supreme owner ID - only they can use kill switch
+        // Staff roles and log channels are per guild - see getGuildConfig()
+        this.supremeOwnerId = config.ownerIds?.[0] || null;
 
         // Initialize database manager
         this.dbManager = new DatabaseManager();
+        this.dbManager.on('moderationLogged', entry => {
+            const { guildId, ...data } = entry;
+            this.publishLiveEvent(guildId, 'moderation', data);
+        });
 
         // Initialize AI service with database manager for persistent memory
-        // Using Groq API (FREE + FAST) instead of Anthropic
+        // Providers (Groq, Anthropic, local) and per-task fallback order come from config.json's ai section
         this.aiService = new AIService({
             apiKey: process.env.GROQ_API_KEY,
             dbManager: this.dbManager // Pass database manager for memory storage
@@ -146,43 +253,43 @@ class GuardianBot {
 
     setupGracefulShutdown() {
         const shutdown = async (signal) => {
-            console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+            log.bot.info('shutdown_started', `Received ${signal}, shutting down gracefully`, { signal });
             
             // Close database connection
             if (this.dbManager && this.dbManager.pool) {
                 try {
                     await this.dbManager.pool.end();
-                    console.log('✅ Database connection closed');
+                    log.bot.info('database_closed', 'Database connection closed');
                 } catch (error) {
-                    console.error('❌ Error closing database:', error);
+                    log.bot.error('database_close_failed', 'Error closing database', { error });
                 }
             }
             
             // Destroy Discord client
             if (this.client) {
                 this.client.destroy();
-                console.log('✅ Discord client destroyed');
+                log.bot.info('client_destroyed', 'Discord client destroyed');
             }
             
             // Close dashboard server
             if (this.dashboard && this.dashboard.server) {
                 this.dashboard.server.close(() => {
-                    console.log('✅ Dashboard server closed');
+                    log.bot.info('dashboard_closed', 'Dashboard server closed');
                 });
             }
             
-            console.log('👋 Shutdown complete');
+            log.bot.info('shutdown_complete', 'Shutdown complete');
             process.exit(0);
         };
 
         process.on('SIGINT', () => shutdown('SIGINT'));
         process.on('SIGTERM', () => shutdown('SIGTERM'));
         process.on('uncaughtException', (error) => {
-            console.error('❌ Uncaught Exception:', error);
+            log.bot.error('uncaught_exception', 'Uncaught exception', { error });
             shutdown('EXCEPTION');
         });
-        process.on('unhandledRejection', (reason, promise) => {
-            console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+        process.on('unhandledRejection', (reason) => {
+            log.bot.error('unhandled_rejection', 'Unhandled promise rejection', { error: reason });
         });
     }
 
@@ -236,22 +343,18 @@ class GuardianBot {
                     }
                 }
 
+                // Clean recentMessageTracker - repeated text only looks back one minute
+                for (const [key, history] of this.recentMessageTracker.entries()) {
+                    if (history.every(entry => now - entry.timestamp > 60000)) {
+                        this.recentMessageTracker.delete(key);
+                    }
+                }
+
                 // Clean autoModEvents - keep only last 500 events
                 if (this.autoModEvents.length > this.maxAutoModEvents) {
                     this.autoModEvents = this.autoModEvents.slice(-this.maxAutoModEvents);
                 }
 
-                // Clean warningTracker - keep only warnings from last 90 days
-                const NINETY_DAYS = 90 * 24 * 60 * 60 * 1000;
-                for (const [userId, warnings] of this.warningTracker.entries()) {
-                    const recentWarnings = warnings.filter(w => now - w.timestamp < NINETY_DAYS);
-                    if (recentWarnings.length === 0) {
-                        this.warningTracker.delete(userId);
-                    } else {
-                        this.warningTracker.set(userId, recentWarnings);
-                    }
-                }
-
                 // Check if kill switch has expired (24 hour auto-expire)
                 if (this.aiModeration.killSwitchActive && this.aiModeration.killSwitchExpiresAt) {
                     if (now > this.aiModeration.killSwitchExpiresAt) {
@@ -259,10 +362,17 @@ class GuardianBot {
                         this.aiModeration.killSwitchActivatedBy = null;
                         this.aiModeration.killSwitchTimestamp = null;
                         this.aiModeration.killSwitchExpiresAt = null;
-                        console.log('🔓 AI Moderation kill switch auto-expired after 24 hours');
+                        log.aiModeration.info('kill_switch_expired', 'AI moderation kill switch auto-expired after 24 hours');
+                        this.publishLiveEvent(null, 'killswitch', { active: false, by: 'expired' });
+                        this.dbManager.logKillSwitch('expire', 'system', 'Auto-expired after 24 hours');
                     }
                 }
 
+                // Expire AI review queue entries nobody picked up
+                this.expireStaleAIReviews().catch(error =>
+                    log.aiModeration.error('review_expiry_failed', 'Failed to expire AI reviews', { error })
+                );
+
                 // Clean AI moderation action tracker
                 for (const [userId, data] of this.aiModeration.actionTracker.entries()) {
                     const recentActions = data.actions.filter(t => now - t < 60000);
@@ -281,7 +391,6 @@ class GuardianBot {
 
                 const trackerSizes = {
                     joinTracker: this.joinTracker.size,
-                    warningTracker: this.warningTracker.size,
                     adminActions: this.adminActions.size,
                     mutedUsers: this.mutedUsers.size,
                     spamTracker: this.spamTracker.size,
@@ -292,10 +401,10 @@ class GuardianBot {
                 // Only log if there are items being tracked (reduce log spam)
                 const totalItems = Object.values(trackerSizes).reduce((a, b) => a + b, 0);
                 if (totalItems > 0) {
-                    console.log('🧹 Memory cleanup completed:', trackerSizes);
+                    log.bot.debug('memory_cleanup', 'Memory cleanup completed', trackerSizes);
                 }
             } catch (error) {
-                console.error('❌ Error during memory cleanup:', error);
+                log.bot.error('memory_cleanup_failed', 'Error during memory cleanup', { error });
             }
         }, CLEANUP_INTERVAL);
 
@@ -314,29 +423,37 @@ class GuardianBot {
 
         this.healthCheckInterval = setInterval(() => {
             try {
-                const now = new Date().toISOString();
                 const wsStatus = this.client.ws.status;
                 const wsStatusName = ['READY', 'CONNECTING', 'RECONNECTING', 'IDLE', 'NEARLY', 'DISCONNECTED', 'WAITING_FOR_GUILDS', 'IDENTIFYING', 'RESUMING'][wsStatus] || 'UNKNOWN';
 
                 // Check WebSocket connection health
                 if (wsStatus !== 0) { // 0 = READY
-                    console.error(`⚠️ [HEALTH CHECK] WebSocket not ready! Status: ${wsStatusName} (${wsStatus})`);
+                    log.bot.error('health_check_ws_down', `WebSocket not ready: ${wsStatusName} (${wsStatus})`, { wsStatus: wsStatusName });
                 } else {
-                    console.log(`💓 [HEALTH CHECK] ${now} - Bot alive | WS: ${wsStatusName} | Guilds: ${this.client.guilds.cache.size} | Anti-nuke: ACTIVE`);
+                    log.bot.info('health_check', `Bot alive | WS: ${wsStatusName} | Guilds: ${this.client.guilds.cache.size}`, {
+                        wsStatus: wsStatusName,
+                        guildCount: this.client.guilds.cache.size
+                    });
                 }
 
                 // Log anti-nuke tracking status
                 const activeTracking = this.adminActions.size;
                 if (activeTracking > 0) {
-                    console.log(`🛡️ [ANTI-NUKE] Tracking ${activeTracking} admin action(s) for suspicious activity`);
+                    log.antiNuke.info('tracking_status', `Tracking ${activeTracking} admin action(s) for suspicious activity`, {
+                        trackedActions: activeTracking
+                    });
                 }
 
                 // Gray Swain Security Status
                 const graySwainStatus = GraySwain.getSystemStatus();
-                console.log(`🦅 [GRAY SWAIN] Status: ${graySwainStatus.status} | Tracked Users: ${graySwainStatus.trackedUsers} | Learned Patterns: ${graySwainStatus.learnedPatterns}`);
+                log.security.info('gray_swain_status', `Gray Swain ${graySwainStatus.status}`, {
+                    status: graySwainStatus.status,
+                    trackedUsers: graySwainStatus.trackedUsers,
+                    learnedPatterns: graySwainStatus.learnedPatterns
+                });
 
             } catch (error) {
-                console.error('❌ [HEALTH CHECK] Error:', error);
+                log.bot.error('health_check_failed', 'Health check failed', { error });
             }
         }, HEALTH_CHECK_INTERVAL);
 
@@ -345,7 +462,177 @@ class GuardianBot {
             if (this.healthCheckInterval) clearInterval(this.healthCheckInterval);
         });
 
-        console.log('💓 Health check heartbeat initialized (every 5 minutes)');
+        log.bot.info('scheduler_started', 'Health check heartbeat initialized (every 5 minutes)', { scheduler: 'healthCheck' });
+    }
+
+    /**
+     * Temp ban scheduler - lifts expired temporary bans stored in the database
+     * Runs once on startup to catch up on bans that expired while the bot was offline
+     */
+    setupTempBanScheduler() {
+        const TEMPBAN_CHECK_INTERVAL = 60 * 1000; // 1 minute
+
+        if (this.tempBanInterval) return;
+
+        this.processExpiredTempBans();
+        this.tempBanInterval = setInterval(() => this.processExpiredTempBans(), TEMPBAN_CHECK_INTERVAL);
+
+        // Clear interval on shutdown
+        process.once('SIGINT', () => {
+            if (this.tempBanInterval) clearInterval(this.tempBanInterval);
+        });
+
+        log.moderation.info('scheduler_started', 'Temp ban scheduler initialized (every 1 minute)', { scheduler: 'tempBans' });
+    }
+
+    /**
+     * Verification timeout sweep - reminds, then kicks, members who never verify
+     * Guilds opt in by setting verification_timeout_hours in their welcome settings
+     */
+    setupVerificationTimeoutScheduler() {
+        const VERIFICATION_SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+        if (this.verificationSweepInterval) return;
+
+        this.processVerificationTimeouts();
+        this.verificationSweepInterval = setInterval(() => this.processVerificationTimeouts(), VERIFICATION_SWEEP_INTERVAL);
+
+        // Clear interval on shutdown
+        process.once('SIGINT', () => {
+            if (this.verificationSweepInterval) clearInterval(this.verificationSweepInterval);
+        });
+
+        log.welcome.info('scheduler_started', 'Verification timeout scheduler initialized (every 10 minutes)', { scheduler: 'verificationTimeouts' });
+    }
+
+    async processVerificationTimeouts() {
+        if (this.processingVerificationTimeouts || !this.dbManager || !this.dbManager.isConnected) return;
+        this.processingVerificationTimeouts = true;
+
+        try {
+            const guildSettings = await this.dbManager.getVerificationTimeoutGuilds();
+
+            for (const settings of guildSettings) {
+                const guild = this.client.guilds.cache.get(settings.guild_id);
+                if (!guild) continue;
+
+                const timeoutHours = settings.verification_timeout_hours;
+
+                // Reminder DM halfway through the timeout
+                if (settings.verification_reminder) {
+                    const remindCandidates = await this.dbManager.getUnverifiedMembers(guild.id, timeoutHours / 2);
+                    for (const entry of remindCandidates.filter(row => !row.reminder_sent)) {
+                        const member = guild.members.cache.get(entry.user_id);
+                        if (!member || this.isVerifiedMember(member, settings)) continue;
+
+                        const deadline = new Date(`${entry.joined_at}Z`).getTime() + timeoutHours * 60 * 60 * 1000;
+                        if (deadline <= Date.now()) continue; // Past due - the kick below handles it
+
+                        await member.user.send(
+                            `🔐 **Reminder from ${guild.name}**\n\n` +
+                            `You haven't verified yet. Please complete verification <t:${Math.floor(deadline / 1000)}:R> or you'll be removed from the server.`
+                        ).catch(() => {}); // User has DMs disabled
+                        await this.dbManager.markReminderSent(guild.id, entry.user_id);
+                    }
+                }
+
+                const expired = await this.dbManager.getUnverifiedMembers(guild.id, timeoutHours);
+                for (const entry of expired) {
+                    const member = guild.members.cache.get(entry.user_id) || await guild.members.fetch(entry.user_id).catch(() => null);
+
+                    // Left the server, or verified some other way (reaction, manual role) - stop tracking
+                    if (!member || this.isVerifiedMember(member, settings)) {
+                        await this.dbManager.verifyMember(guild.id, entry.user_id);
+                        continue;
+                    }
+
+                    if (!member.kickable || this.isProtectedFromAI(member.id, guild)) continue;
+
+                    try {
+                        const reason = `Did not complete verification within ${timeoutHours} hours`;
+                        await member.user.send(`👢 **You have been removed from ${guild.name}**\n\n**Reason:** ${reason}\n\nYou're welcome to rejoin and verify.`).catch(() => {});
+                        await member.kick(reason);
+
+                        await this.dbManager.markMemberKicked(guild.id, entry.user_id);
+                        await this.dbManager.logVerification(guild.id, entry.user_id, entry.username, settings.verification_type || 'button', 'kicked');
+
+                        log.welcome.info('verification_timeout_kick', `Kicked ${member.user.tag} from ${guild.name} - verification timeout`, { guildId: guild.id, userId: member.id });
+                        await this.logEvent(guild, 'Verification Timeout', `${member.user.tag} (${member.id}) was kicked for not verifying within ${timeoutHours} hours`, 0xffaa00);
+                    } catch (error) {
+                        log.welcome.error('verification_timeout_kick_failed', `Failed to kick unverified member ${entry.user_id}`, { guildId: guild.id, userId: entry.user_id, error });
+                    }
+                }
+            }
+        } catch (error) {
+            log.welcome.error('verification_timeout_sweep_failed', 'Error processing verification timeouts', { error });
+        } finally {
+            this.processingVerificationTimeouts = false;
+        }
+    }
+
+    isVerifiedMember(member, settings) {
+        return Boolean(settings.verification_role_id && member.roles.cache.has(settings.verification_role_id));
+    }
+
+    async processExpiredTempBans() {
+        if (this.processingTempBans || !this.dbManager || !this.dbManager.isConnected) return;
+        this.processingTempBans = true;
+
+        try {
+            const expiredBans = await this.dbManager.getExpiredTempBans();
+
+            for (const tempBan of expiredBans) {
+                const guild = this.client.guilds.cache.get(tempBan.guild_id);
+                if (!guild) {
+                    // Bot is no longer in this guild - nothing left to unban
+                    await this.dbManager.resolveTempBan(tempBan.guild_id, tempBan.user_id);
+                    continue;
+                }
+
+                try {
+                    await guild.members.unban(tempBan.user_id, 'Temporary ban expired');
+                } catch (error) {
+                    // 10026 = Unknown Ban (already unbanned manually)
+                    if (error.code !== 10026) {
+                        log.moderation.error('temp_ban_lift_failed', `Failed to lift temp ban for ${tempBan.user_id} in ${guild.name}`, { guildId: guild.id, userId: tempBan.user_id, error });
+                        continue;
+                    }
+                }
+
+                await this.dbManager.resolveTempBan(tempBan.guild_id, tempBan.user_id);
+
+                const unbanCase = await this.dbManager.logModeration(
+                    guild.id,
+                    'unban',
+                    this.client.user.id,
+                    this.client.user.username,
+                    tempBan.user_id,
+                    tempBan.username,
+                    'Temporary ban expired',
+                    { temp_ban_id: tempBan.id, expired_at: tempBan.expires_at }
+                );
+
+                const unbanEmbed = new EmbedBuilder()
+                    .setTitle('⏳ TEMP BAN EXPIRED')
+                    .setDescription(`**${tempBan.username || tempBan.user_id}** has been automatically unbanned`)
+                    .addFields(
+                        { name: '👤 User', value: `${tempBan.username || 'Unknown'} (${tempBan.user_id})`, inline: true },
+                        { name: '👨‍💼 Banned By', value: tempBan.moderator_username, inline: true },
+                        { name: '🕐 Expired', value: `<t:${Math.floor(new Date(`${tempBan.expires_at}Z`).getTime() / 1000)}:R>`, inline: true },
+                        { name: '📋 Original Reason', value: (tempBan.reason || 'No reason provided').substring(0, 1024), inline: false }
+                    )
+                    .setColor(0x00ff00)
+                    .setFooter({ text: unbanCase ? `Case #${unbanCase} • GuardianBot, created by Skeeter` : 'GuardianBot, created by Skeeter' })
+                    .setTimestamp();
+
+                await this.sendToLogChannel(guild, unbanEmbed);
+                log.moderation.info('temp_ban_expired', `Temp ban expired: unbanned ${tempBan.username || tempBan.user_id} in ${guild.name}`, { guildId: guild.id, userId: tempBan.user_id, caseId: unbanCase });
+            }
+        } catch (error) {
+            log.moderation.error('temp_ban_sweep_failed', 'Error processing expired temp bans', { error });
+        } finally {
+            this.processingTempBans = false;
+        }
     }
 
     getTrumpResponse(category, replacements = {}) {
@@ -373,16 +660,18 @@ class GuardianBot {
     isAIModerationEnabled() {
         if (this.aiModeration.killSwitchActive) return false;
         if (!this.aiModeration.enabled) return false;
-        if (!this.aiService || !this.aiService.enabled) return false;
+        // No LLM provider is fine - moderateMessage falls back to the local classifier
+        if (!this.aiService) return false;
         return true;
     }
 
     /**
      * Activate the kill switch (owner only)
      * @param {string} userId - User activating the switch
+     * @param {string|null} reason - Recorded in the kill switch history
      * @returns {object} Result with success status
      */
-    activateKillSwitch(userId) {
+    activateKillSwitch(userId, reason = null) {
         if (userId !== this.supremeOwnerId) {
             return { success: false, error: 'Only the supreme owner can activate the kill switch' };
         }
@@ -395,7 +684,9 @@ class GuardianBot {
         this.aiModeration.killSwitchTimestamp = now;
         this.aiModeration.killSwitchExpiresAt = expiresAt;
 
-        console.log(`🛑 AI MODERATION KILL SWITCH ACTIVATED by ${userId}`);
+        log.aiModeration.warn('kill_switch_activated', `AI moderation kill switch activated by ${userId}`, { userId, expiresAt });
+        this.publishLiveEvent(null, 'killswitch', { active: true, by: userId, expiresAt });
+        this.dbManager.logKillSwitch('activate', userId, reason, expiresAt);
 
         return {
             success: true,
@@ -420,7 +711,9 @@ class GuardianBot {
         this.aiModeration.killSwitchTimestamp = null;
         this.aiModeration.killSwitchExpiresAt = null;
 
-        console.log(`🔓 AI MODERATION KILL SWITCH DEACTIVATED by ${userId}`);
+        log.aiModeration.info('kill_switch_deactivated', `AI moderation kill switch deactivated by ${userId}`, { userId });
+        this.publishLiveEvent(null, 'killswitch', { active: false, by: userId });
+        this.dbManager.logKillSwitch('deactivate', userId);
 
         return { success: true, deactivatedAt: Date.now() };
     }
@@ -495,8 +788,9 @@ class GuardianBot {
         // Owner is always exempt
         if (member.id === this.supremeOwnerId) return true;
 
-        // TTT Staff role is exempt (they're moderators, give them leniency)
-        if (member.roles.cache.has(this.staffRoleId)) return true;
+        // Guild staff role is exempt (they're moderators, give them leniency)
+        const { staffRoleId } = this.getGuildConfig(member.guild);
+        if (staffRoleId && member.roles.cache.has(staffRoleId)) return true;
 
         // Check exempt roles from guild settings
         if (guildSettings.exemptRoles && Array.isArray(guildSettings.exemptRoles)) {
@@ -514,173 +808,754 @@ class GuardianBot {
         return false;
     }
 
-    getElonResponse(category, replacements = {}) {
-        const responses = config.elon.responses[category];
-        if (!responses || responses.length === 0) return "This is actually quite fascinating. We should iterate on this.";
-        
-        const response = responses[Math.floor(Math.random() * responses.length)];
-        
-        // Replace placeholders
-        let finalResponse = response;
-        for (const [key, value] of Object.entries(replacements)) {
-            finalResponse = finalResponse.replace(new RegExp(`{${key}}`, 'g'), value);
+    /**
+     * Compact, anonymized view of the conversation around a message for AI moderation
+     * Speakers become Author (the sender), Target (who they reply to or mention first), User 1, User 2...
+     * Recent messages come from the channel's message cache; only an uncached reply target is fetched
+     * speakers maps each label back to the user ID - it's stored with the log (so /privacy can find a user's
+     * lines) but never sent to the AI
+     * @param {object} message - Discord message being moderated
+     * @returns {Promise<object>} { content, messages: [{ speaker, content }], replyTo, target, targetIsParticipant, speakers }
+     */
+    async buildAIModerationContext(message) {
+        const labels = new Map([[message.author.id, 'Author']]);
+        let nextUser = 1;
+        const labelFor = (userId, isBot = false) => {
+            if (!labels.has(userId)) {
+                labels.set(userId, isBot ? 'Bot' : `User ${nextUser++}`);
+            }
+            return labels.get(userId);
+        };
+        const anonymize = (text, maxLength = 200) => text
+            .replace(/<@!?(\d+)>/g, (mention, userId) => `@${labelFor(userId)}`)
+            .replace(/<@&\d+>/g, '@role')
+            .substring(0, maxLength);
+
+        const repliedTo = message.reference?.messageId
+            ? message.channel.messages.cache.get(message.reference.messageId) || await message.fetchReference().catch(() => null)
+            : null;
+        const targetUser = repliedTo?.author || message.mentions.users.find(user => user.id !== message.author.id) || null;
+        if (targetUser && targetUser.id !== message.author.id) {
+            labels.set(targetUser.id, 'Target');
         }
-        
-        return finalResponse;
-    }
 
-    // Mixed Trump/Elon Response System
-    getMixedResponse(category, replacements = {}) {
-        // Randomly choose between Trump and Elon responses
-        const useTrump = Math.random() < 0.5;
-        return useTrump ? this.getTrumpResponse(category, replacements) : this.getElonResponse(category, replacements);
-    }
+        const recent = [...message.channel.messages.cache.values()]
+            .filter(earlier => earlier.id !== message.id && earlier.content &&
+                earlier.createdTimestamp <= message.createdTimestamp &&
+                message.createdTimestamp - earlier.createdTimestamp <= this.aiModeration.contextMaxAgeMs)
+            .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+            .slice(-this.aiModeration.contextMessages);
 
-    // Detect if user is being aggressive/rude to the bot
-    isAggressiveMessage(content) {
-        const aggressiveWords = [
-            // Direct insults
-            'shut up', 'fuck off', 'go away', 'stupid', 'dumb', 'idiot', 'moron',
-            'stfu', 'shutup', 'piss off', 'screw you', 'damn bot', 'useless', 'trash',
-            'garbage', 'piece of shit', 'pos', 'asshole', 'bitch', 'suck', 'worst',
-            'hate you', 'kill yourself', 'kys', 'die', 'annoying', 'cringe', 'lame',
-            
-            // Trash talking phrases
-            'talk shit', 'talking crap', 'fuck you', 'go die', 'nobody likes you',
-            'you suck', 'terrible bot', 'worst bot', 'delete yourself', 'uninstall',
-            'broken bot', 'dumbass bot', 'shitty bot', 'pathetic', 'loser bot',
-            'nobody cares', 'stfu bot', 'mute yourself', 'go offline', 'trash bot',
-            
-            // Dismissive/disrespectful  
-            'whatever', 'dont care', "don't care", 'who asked', 'didnt ask', "didn't ask",
-            'boring', 'lame ass', 'weak', 'crappy', 'dogshit', 'shit bot', 'crap bot',
-            'gtfo', 'get lost', 'piss me off', 'get bent', 'buzz off', 'beat it'
-        ];
-        
-        const normalizedContent = content.toLowerCase();
-        
-        // Check for direct aggressive words/phrases
-        const hasAggressiveWords = aggressiveWords.some(word => normalizedContent.includes(word));
-        
-        // Check for aggressive patterns (multiple question marks, excessive caps, etc.)
-        const hasAggressivePattern = /(\?{3,})|([A-Z]{4,})|(!{3,})/.test(content);
-        
-        // Check for specific bot-targeting insults
-        const botTargetedInsults = [
-            'guardian is', 'this bot is', 'guardianbot is', 'guardian sucks',
-            'bot you are', 'you are a', 'you\'re a', 'youre a'
-        ];
-        const hasBoTTargetedInsults = botTargetedInsults.some(phrase => 
-            normalizedContent.includes(phrase) && 
-            aggressiveWords.some(insult => normalizedContent.includes(insult))
-        );
-        
-        return hasAggressiveWords || hasAggressivePattern || hasBoTTargetedInsults;
+        return {
+            content: anonymize(message.content, 500),
+            messages: recent.map(earlier => ({ speaker: labelFor(earlier.author.id, earlier.author.bot), content: anonymize(earlier.content) })),
+            replyTo: repliedTo ? { speaker: labelFor(repliedTo.author.id, repliedTo.author.bot), content: anonymize(repliedTo.content || '') } : null,
+            target: targetUser && targetUser.id !== message.author.id ? 'Target' : null,
+            targetIsParticipant: targetUser ? recent.some(earlier => earlier.author.id === targetUser.id) : null,
+            speakers: Object.fromEntries([...labels].filter(([, label]) => label !== 'Bot').map(([userId, label]) => [label, userId]))
+        };
     }
 
-    setupEventHandlers() {
-        this.client.on('clientReady', async () => {
-            console.log(`🚀 ${this.client.user.tag} is online!`);
-            console.log(`🌐 Guild cache size: ${this.client.guilds.cache.size}`);
-            console.log(`🌐 Available guilds: ${this.client.guilds.cache.map(g => g.name).join(', ')}`);
-            
-            // Fetch all members for all guilds to populate cache
-            console.log('📥 Fetching guild members...');
-            for (const guild of this.client.guilds.cache.values()) {
-                try {
-                    await guild.members.fetch();
-                    console.log(`✅ Fetched ${guild.members.cache.size} members from ${guild.name}`);
-                } catch (error) {
-                    console.error(`❌ Failed to fetch members from ${guild.name}:`, error.message);
-                }
-            }
-            console.log('✅ Member cache populated');
-            
-            // Set bot activity/status with dashboard link
-            this.client.user.setActivity(`🛡️ Protecting Discord | Dashboard: ${process.env.DOMAIN ? process.env.DOMAIN.replace(/https?:\/\//, '') : 'localhost:3000'}`, { 
-                type: 3 // WATCHING activity type
-            });
-            
-            // Connect to database
-            const dbConnected = await this.dbManager.connect();
-            if (dbConnected) {
-                console.log('✅ Database connected successfully');
-            } else {
-                console.log('❌ Database connection failed');
-            }
-        });
+    // AI moderation context as embed field text, newest lines kept when it's too long - null when there's none
+    formatAIModerationContext(context) {
+        if (!context) {
+            return null;
+        }
 
-        this.client.on('guildBanAdd', async (ban) => {
-            // Check if the banned user is protected
-            if (config.protectedUsers && config.protectedUsers.includes(ban.user.id)) {
-                try {
-                    await ban.guild.members.unban(ban.user.id, 'Protected user - auto unban');
-                    
-                    const protectionEmbed = new EmbedBuilder()
-                        .setTitle('🛡️ PROTECTED USER UNBANNED')
-                        .setDescription(`Protected user ${ban.user.tag} was automatically unbanned`)
-                        .setColor(0x00ff00)
-                        .addFields(
-                            { name: '👤 User', value: `${ban.user.tag} (${ban.user.id})`, inline: true },
-                            { name: '🛡️ Status', value: 'Protected User', inline: true },
-                            { name: '⚡ Action', value: 'Automatic Unban', inline: true }
-                        )
-                        .setTimestamp();
+        const lines = context.messages.map(entry => `**${entry.speaker}:** ${entry.content}`);
+        if (context.replyTo) {
+            lines.push(`↪️ Replying to **${context.replyTo.speaker}:** ${context.replyTo.content}`);
+        }
+        if (context.target) {
+            lines.push(context.targetIsParticipant ? '🎯 Target is part of the conversation' : '🎯 Target is not part of the conversation');
+        }
 
-                    const logChannelId = config.logChannelId;
-                    if (logChannelId) {
-                        const logChannel = ban.guild.channels.cache.get(logChannelId);
-                        if (logChannel) {
-                            await logChannel.send({ embeds: [protectionEmbed] });
-                        }
-                    }
-                } catch (error) {
-                    console.error('Error unbanning protected user:', error);
-                }
-            }
-            
-            this.handleAdminAction(ban.guild, 'ban');
-            this.logEvent(ban.guild, 'User Banned', `${ban.user.tag} was banned`, 0xff0000);
-        });
+        let text = '';
+        for (let i = lines.length - 1; i >= 0 && text.length + lines[i].length < 1000; i--) {
+            text = `${lines[i]}\n${text}`;
+        }
+        return text.trim() || null;
+    }
 
-        this.client.on('guildMemberAdd', async (member) => {
-            this.handleAntiRaid(member);
-            // Send welcome message and handle verification
-            await this.handleWelcomeMessage(member);
-        });
+    /**
+     * Run AI moderation on a guild message with the guild's /aimod settings - only in guilds that turned it on
+     * Deletes and warns run automatically per aiModeration.autoActions; escalations go to the staff review queue
+     * @param {object} message - Discord message object
+     * @returns {Promise<object|null>} { action, deleted } or null when AI moderation didn't run
+     */
+    async runAIModeration(message) {
+        if (!message.content || !this.isAIModerationEnabled() || !this.dbManager || !this.dbManager.isConnected) {
+            return null;
+        }
 
-        // guildMemberRemove is handled by AI Protection system below
+        // Opt-in: no settings row means the guild never turned AI moderation on
+        const settings = await this.dbManager.getAIModerationSettings(message.guild.id);
+        if (!settings || !settings.enabled) {
+            return null;
+        }
+        if (this.isExemptFromAIMod(message.member, settings) || this.isProtectedFromAI(message.author.id, message.guild)) {
+            return null;
+        }
+        if (settings.exemptChannels.includes(message.channel.id)) {
+            return null;
+        }
 
-        this.client.on('guildMemberUpdate', (oldMember, newMember) => {
-            // Monitor timeout changes (mutes)
-            if (oldMember.communicationDisabledUntil !== newMember.communicationDisabledUntil && 
-                newMember.communicationDisabledUntil) {
-                this.handleAdminAction(newMember.guild, 'timeout');
-            }
-            
-            // Monitor role changes with detailed logging
-            if (oldMember.roles.cache.size !== newMember.roles.cache.size) {
-                this.handleAdminAction(newMember.guild, 'roleChange');
-                
-                // Log role changes for all servers
-                if (config.logging?.enabled) {
-                    this.logMemberRoleChanges(oldMember, newMember);
-                }
-            }
+        const context = await this.buildAIModerationContext(message);
+        const result = await this.aiService.moderateMessage(message, {
+            thresholds: { delete: settings.threshold_delete, warn: settings.threshold_warn, escalate: settings.threshold_escalate, ignore: settings.threshold_ignore },
+            categories: { safetyCritical: Boolean(settings.detection_safety_critical), spamScams: Boolean(settings.detection_spam_scams) },
+            preFilter: this.aiModeration.preFilter,
+            context
         });
+        if (result.action === 'none') {
+            return { action: 'none', deleted: false };
+        }
 
-        // Enhanced role event handlers for comprehensive logging
-        this.client.on('roleCreate', (role) => {
-            // Log role creation for all servers
-            if (config.logging?.enabled) {
-                this.logRoleAction(role.guild, 'ROLE_CREATE', role, null, null);
-            }
+        const autoExecuted = this.aiModeration.autoActions.includes(result.action) && !this.isAIModRateLimited(message.author.id);
+        const logId = await this.dbManager.logAIModeration({
+            guildId: message.guild.id,
+            channelId: message.channel.id,
+            messageId: message.id,
+            userId: message.author.id,
+            username: message.author.tag,
+            messageContent: message.content,
+            categoriesDetected: result.categories,
+            confidence: result.confidence,
+            severity: result.severity,
+            reasoning: result.reasoning,
+            actionTaken: result.action,
+            autoExecuted,
+            executedBy: autoExecuted ? this.client.user.id : null,
+            responseTimeMs: result.responseTimeMs,
+            context
         });
 
-        this.client.on('roleUpdate', (oldRole, newRole) => {
-            // Log role updates for all servers
-            if (config.logging?.enabled) {
-                this.logRoleAction(oldRole.guild, 'ROLE_UPDATE', newRole, oldRole, null);
+        if (result.action === 'escalate') {
+            if (logId) {
+                await this.postAIReview(message.guild, logId, settings);
+            }
+            return { action: 'escalate', deleted: false };
+        }
+        if (!autoExecuted) {
+            return { action: result.action, deleted: false };
+        }
+
+        this.recordAIModAction(message.author.id);
+        const reason = `AI moderation: ${result.reasoning}`.substring(0, 500);
+        let deleted = false;
+        if (result.action === 'delete') {
+            deleted = await message.delete().then(() => true).catch(() => false);
+        } else {
+            // Same warning path as /warn - a numbered case and the auto-mute at 5 warnings
+            const warning = await this.issueWarning(message.guild, message.author, message.member, this.client.user, reason,
+                { details: { source: 'ai_moderation', ai_log_id: logId } });
+            if (warning) {
+                const muteNotice = warning.autoMuted ? ' You have been muted for 5 minutes for reaching 5 warnings.' : '';
+                await message.author.send(`⚠️ You have been warned in **${message.guild.name}** - ${reason} (${warning.totalWarnings} total).${muteNotice}`).catch(() => {}); // DMs may be closed
+            }
+        }
+
+        const actionEmbed = new EmbedBuilder()
+            .setTitle(result.action === 'delete' ? '🤖 AI Moderation: Message Deleted' : '🤖 AI Moderation: User Warned')
+            .setDescription(`${message.author.tag} (${message.author.id}) in <#${message.channel.id}>`)
+            .addFields(
+                { name: 'Message', value: message.content.substring(0, 1000), inline: false },
+                { name: 'Confidence', value: `${result.confidence}%`, inline: true },
+                { name: 'Severity', value: result.severity.toUpperCase(), inline: true },
+                { name: 'Reasoning', value: result.reasoning.substring(0, 1000), inline: false },
+                { name: 'Context', value: this.formatAIModerationContext(context) || 'No recent conversation', inline: false }
+            )
+            .setColor(result.action === 'delete' ? 0xff0000 : 0xffaa00)
+            .setFooter({ text: `AI log #${logId ?? '?'} • ${result.source === 'local' ? 'Local classifier' : 'LLM'} • GuardianBot, created by Skeeter` })
+            .setTimestamp();
+        const logChannel = await this.getAIModLogChannel(message.guild, settings);
+        if (logChannel) {
+            await logChannel.send({ embeds: [actionEmbed], components: logId ? this.buildAIFeedbackButtons(logId) : [] })
+                .catch(error => log.aiModeration.error('action_log_failed', 'Failed to send AI moderation log', { guildId: message.guild.id, logId, error }));
+        }
+
+        return { action: result.action, deleted };
+    }
+
+    // /aimod log-channel if set, otherwise the guild's log channel
+    async getAIModLogChannel(guild, settings = null) {
+        if (settings && settings.log_channel_id) {
+            const channel = guild.channels.cache.get(settings.log_channel_id) || await guild.channels.fetch(settings.log_channel_id).catch(() => null);
+            if (channel) {
+                return channel;
+            }
+        }
+        return this.getLogChannel(guild);
+    }
+
+    /**
+     * Change a guild's AI moderation settings - the rest of the row is kept, and a guild without one gets the defaults
+     * with AI moderation still off
+     * @param {Function} edit - Changes the settings (in saveAIModerationSettings' shape) in place
+     * @returns {Promise<boolean>} false when the settings couldn't be saved
+     */
+    async updateAIModerationSettings(guildId, edit) {
+        const current = await this.dbManager.getAIModerationSettings(guildId);
+        const { thresholds } = this.aiModeration;
+        const settings = current
+            ? {
+                enabled: Boolean(current.enabled),
+                detectionSafetyCritical: Boolean(current.detection_safety_critical),
+                detectionSpamScams: Boolean(current.detection_spam_scams),
+                thresholdDelete: current.threshold_delete,
+                thresholdWarn: current.threshold_warn,
+                thresholdEscalate: current.threshold_escalate,
+                thresholdIgnore: current.threshold_ignore,
+                exemptRoles: current.exemptRoles,
+                exemptChannels: current.exemptChannels,
+                exemptUsers: current.exemptUsers,
+                logChannelId: current.log_channel_id
+            }
+            : {
+                enabled: false,
+                detectionSafetyCritical: true,
+                detectionSpamScams: true,
+                thresholdDelete: thresholds.delete,
+                thresholdWarn: thresholds.warn,
+                thresholdEscalate: thresholds.escalate,
+                thresholdIgnore: thresholds.ignore,
+                exemptRoles: [],
+                exemptChannels: [],
+                exemptUsers: [],
+                logChannelId: null
+            };
+        edit(settings);
+        return this.dbManager.saveAIModerationSettings(guildId, settings);
+    }
+
+    // created_at is SQLite's CURRENT_TIMESTAMP - UTC 'YYYY-MM-DD HH:MM:SS' without a zone
+    getAIReviewTimestamp(entry) {
+        return Math.floor(Date.parse(`${entry.created_at.replace(' ', 'T')}Z`) / 1000);
+    }
+
+    buildAIReviewEmbed(entry) {
+        const statusText = {
+            pending: '⏳ Pending review',
+            approved: `✅ Approved (${entry.review_action}) by <@${entry.reviewed_by}>`,
+            dismissed: `❎ Dismissed by <@${entry.reviewed_by}>`,
+            false_positive: `🚫 Marked as a false positive by <@${entry.reviewed_by}>`,
+            expired: `⌛ Expired after ${this.aiModeration.reviewTimeoutHours} hours without review`
+        };
+        const statusColors = { pending: 0xffaa00, approved: 0xff0000, dismissed: 0x999999, false_positive: 0x00ff00, expired: 0x999999 };
+        const categories = Object.keys(entry.categoriesDetected || {});
+        const jumpLink = entry.message_id ? ` ([jump](https://discord.com/channels/${entry.guild_id}/${entry.channel_id}/${entry.message_id}))` : '';
+
+        return new EmbedBuilder()
+            .setTitle(`🧐 AI Review #${entry.id}`)
+            .setDescription(`Escalated message from <@${entry.user_id}> (${entry.username}) in <#${entry.channel_id}>${jumpLink}`)
+            .addFields(
+                { name: 'Message', value: (entry.message_content || '*No content*').substring(0, 1000), inline: false },
+                { name: 'Confidence', value: `${entry.confidence}%`, inline: true },
+                { name: 'Severity', value: (entry.severity || 'none').toUpperCase(), inline: true },
+                { name: 'Category', value: categories.length > 0 ? categories.join(', ') : 'none', inline: true },
+                { name: 'Reasoning', value: (entry.reasoning || 'No explanation provided').substring(0, 1000), inline: false },
+                { name: 'Context', value: this.formatAIModerationContext(entry.context) || 'No recent conversation', inline: false },
+                { name: 'Status', value: statusText[entry.staff_response] || entry.staff_response, inline: false }
+            )
+            .setColor(statusColors[entry.staff_response] ?? 0x7289da)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp(this.getAIReviewTimestamp(entry) * 1000);
+    }
+
+    buildAIReviewButtons(logId) {
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`aireview_mute_${logId}`).setLabel('Approve: Mute').setEmoji('🔇').setStyle(ButtonStyle.Primary),
+            new ButtonBuilder().setCustomId(`aireview_kick_${logId}`).setLabel('Approve: Kick').setEmoji('👢').setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`aireview_ban_${logId}`).setLabel('Approve: Ban').setEmoji('🔨').setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`aireview_dismiss_${logId}`).setLabel('Dismiss').setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder().setCustomId(`aireview_false_positive_${logId}`).setLabel('False Positive').setStyle(ButtonStyle.Success)
+        )];
+    }
+
+    // Post an escalation to the AI log channel with review buttons
+    async postAIReview(guild, logId, settings = null) {
+        const entry = await this.dbManager.getAIModerationLog(guild.id, logId);
+        const channel = await this.getAIModLogChannel(guild, settings);
+        if (!entry || !channel) {
+            log.aiModeration.warn('review_channel_missing', `No AI moderation log channel for ${guild.name} - review #${logId} is only in the queue`, { guildId: guild.id, logId });
+            return;
+        }
+
+        try {
+            const reviewMessage = await channel.send({ embeds: [this.buildAIReviewEmbed(entry)], components: this.buildAIReviewButtons(logId) });
+            await this.dbManager.setAIReviewMessage(logId, channel.id, reviewMessage.id);
+        } catch (error) {
+            log.aiModeration.error('review_post_failed', `Failed to post AI review #${logId}`, { guildId: guild.id, logId, error });
+        }
+    }
+
+    // Show the review's final status and remove its buttons
+    async updateAIReviewMessage(guild, logId) {
+        const entry = await this.dbManager.getAIModerationLog(guild.id, logId);
+        if (!entry || !entry.review_channel_id || !entry.review_message_id) {
+            return;
+        }
+
+        const channel = guild.channels.cache.get(entry.review_channel_id);
+        const reviewMessage = channel ? await channel.messages.fetch(entry.review_message_id).catch(() => null) : null;
+        if (reviewMessage) {
+            await reviewMessage.edit({ embeds: [this.buildAIReviewEmbed(entry)], components: [] }).catch(() => {});
+        }
+    }
+
+    /**
+     * Resolve an AI review queue entry - shared by the review buttons and the dashboard
+     * Approvals run the action through performDashboardModAction, so they get the same checks as the slash commands
+     * @param {object} guild - Discord guild
+     * @param {string} reviewerId - Discord ID of the reviewing staff member
+     * @param {number} logId - ai_moderation_logs ID
+     * @param {string} decision - One of AI_REVIEW_DECISIONS
+     * @returns {Promise<object>} { success: true, message, caseNumber } or { success: false, status, error }
+     */
+    async reviewAIEscalation(guild, reviewerId, logId, decision) {
+        const fail = (status, error) => ({ success: false, status, error });
+
+        if (!Object.hasOwn(AI_REVIEW_DECISIONS, decision)) {
+            return fail(400, `Unknown review decision: ${decision}`);
+        }
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return fail(503, 'The AI review queue is unavailable while the database is offline!');
+        }
+
+        const reviewer = await guild.members.fetch(reviewerId).catch(() => null);
+        if (!reviewer || !this.hasPermission(reviewer)) {
+            return fail(403, 'You don\'t have permission to review AI moderation!');
+        }
+
+        const entry = await this.dbManager.getAIModerationLog(guild.id, logId);
+        if (!entry || entry.action_taken !== 'escalate') {
+            return fail(404, `AI review #${logId} not found`);
+        }
+
+        // Claim the review before acting, so a second click or reviewer can't run it twice
+        const staffResponse = AI_REVIEW_DECISIONS[decision];
+        const reviewAction = staffResponse === 'approved' ? decision : null;
+        if (!(await this.dbManager.resolveAIReview(entry.id, staffResponse, reviewer.id, reviewAction))) {
+            return fail(409, `AI review #${entry.id} has already been handled (${entry.staff_response})`);
+        }
+
+        let outcome = null;
+        if (reviewAction) {
+            const reason = `AI review #${entry.id}: ${entry.reasoning || 'flagged message'}`.substring(0, 400);
+            outcome = await this.performDashboardModAction(guild, reviewer.id, reviewAction, { userId: entry.user_id, reason }, 'ai_review');
+            if (!outcome.success) {
+                await this.dbManager.reopenAIReview(entry.id);
+                return outcome;
+            }
+        }
+
+        await this.updateAIReviewMessage(guild, entry.id);
+        if (staffResponse !== 'dismissed') {
+            await this.autoTuneAIThresholds(guild);
+        }
+
+        const messages = {
+            dismissed: `AI review #${entry.id} dismissed`,
+            false_positive: `AI review #${entry.id} marked as a false positive`
+        };
+        return { success: true, message: outcome ? outcome.message : messages[staffResponse], caseNumber: outcome?.caseNumber ?? null };
+    }
+
+    async handleAIReviewButton(interaction) {
+        const match = interaction.customId.match(/^aireview_([a-z_]+)_(\d+)$/);
+        if (!match || !interaction.guild) {
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const result = await this.reviewAIEscalation(interaction.guild, interaction.user.id, parseInt(match[2]), match[1]);
+        await interaction.editReply({
+            content: result.success
+                ? `✅ ${result.message}${result.caseNumber ? ` (Case #${result.caseNumber})` : ''}`
+                : `❌ ${result.error}`
+        });
+    }
+
+    // Staff feedback buttons on automatic AI moderation actions
+    buildAIFeedbackButtons(logId) {
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`aifeedback_correct_${logId}`).setLabel('Correct').setEmoji('✅').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(`aifeedback_false_positive_${logId}`).setLabel('False Positive').setEmoji('🚫').setStyle(ButtonStyle.Secondary)
+        )];
+    }
+
+    /**
+     * Record whether staff agree with an AI moderation log - shared by the log buttons and /aimod feedback
+     * @param {object} guild - Discord guild
+     * @param {string} reviewerId - Discord ID of the staff member
+     * @param {number} logId - ai_moderation_logs ID
+     * @param {string} verdict - 'correct' or 'false_positive'
+     * @returns {Promise<object>} { success: true, message } or { success: false, status, error }
+     */
+    async recordAIFeedback(guild, reviewerId, logId, verdict) {
+        const fail = (status, error) => ({ success: false, status, error });
+
+        if (verdict !== 'correct' && verdict !== 'false_positive') {
+            return fail(400, `Unknown feedback: ${verdict}`);
+        }
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return fail(503, 'AI moderation feedback is unavailable while the database is offline!');
+        }
+
+        const reviewer = await guild.members.fetch(reviewerId).catch(() => null);
+        if (!reviewer || !this.hasPermission(reviewer)) {
+            return fail(403, 'You don\'t have permission to review AI moderation!');
+        }
+
+        const entry = await this.dbManager.getAIModerationLog(guild.id, logId);
+        if (!entry) {
+            return fail(404, `AI log #${logId} not found`);
+        }
+        if (entry.action_taken === 'escalate' && entry.staff_response === 'pending') {
+            return fail(409, `AI log #${entry.id} is waiting in the review queue - use its review buttons or the dashboard`);
+        }
+
+        if (!(await this.dbManager.setAIModerationFeedback(guild.id, entry.id, verdict, reviewer.id))) {
+            return fail(500, 'Failed to save feedback. Please try again!');
+        }
+        await this.autoTuneAIThresholds(guild);
+
+        return { success: true, message: `AI log #${entry.id} marked as ${verdict === 'correct' ? 'correct' : 'a false positive'}` };
+    }
+
+    async handleAIFeedbackButton(interaction) {
+        const match = interaction.customId.match(/^aifeedback_([a-z_]+)_(\d+)$/);
+        if (!match || !interaction.guild) {
+            return;
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const verdict = match[1];
+        const result = await this.recordAIFeedback(interaction.guild, interaction.user.id, parseInt(match[2]), verdict);
+        if (result.success && interaction.message.embeds[0]) {
+            const feedbackEmbed = EmbedBuilder.from(interaction.message.embeds[0]).addFields({
+                name: 'Staff Feedback',
+                value: `${verdict === 'correct' ? '✅ Correct' : '🚫 False positive'} - <@${interaction.user.id}>`,
+                inline: false
+            });
+            await interaction.message.edit({ embeds: [feedbackEmbed], components: [] }).catch(() => {});
+        }
+        await interaction.editReply({ content: result.success ? `✅ ${result.message}` : `❌ ${result.error}` });
+    }
+
+    /**
+     * Suggest thresholds from staff feedback: delete, warn and escalate each move to the lowest confidence
+     * (in steps of 5) where the judged detections at or above it meet aiModeration.autoTune.targets
+     * @param {Array} feedback - dbManager.getAIModerationFeedback() rows
+     * @param {object} current - { delete, warn, escalate, ignore }
+     * @returns {object} Suggested { delete, warn, escalate, ignore }
+     */
+    suggestAIThresholds(feedback, current) {
+        const { targets, minSamples } = this.aiModeration.autoTune;
+        const suggested = { ...current };
+        if (feedback.length === 0) {
+            return suggested;
+        }
+
+        const judgedFrom = threshold => {
+            const judged = feedback.filter(row => row.confidence >= threshold);
+            return { samples: judged.length, precision: judged.filter(row => row.correct).length / (judged.length || 1) };
+        };
+        // Nothing below the escalate threshold gets logged, so there's no feedback to go lower on
+        const lowest = Math.max(current.ignore + 5, Math.floor(Math.min(...feedback.map(row => row.confidence)) / 5) * 5);
+
+        for (const [action, target] of Object.entries(targets)) {
+            let tuned = null;
+            for (let threshold = lowest; threshold <= 95 && tuned === null; threshold += 5) {
+                const { samples, precision } = judgedFrom(threshold);
+                if (samples >= minSamples && precision >= target) {
+                    tuned = threshold;
+                }
+            }
+            if (tuned === null) {
+                // Enough feedback says the current threshold misses its target - step it up
+                const { samples } = judgedFrom(current[action]);
+                tuned = samples >= minSamples ? Math.min(95, current[action] + 5) : current[action];
+            }
+            suggested[action] = tuned;
+        }
+
+        // Keep delete >= warn >= escalate
+        suggested.warn = Math.min(suggested.warn, suggested.delete);
+        suggested.escalate = Math.min(suggested.escalate, suggested.warn);
+        return suggested;
+    }
+
+    /**
+     * Work out suggested thresholds for a guild, and apply them in 'apply' mode
+     * Automatic changes are spaced out by autoTune.intervalHours (unless forced) and recorded in config_audit
+     * @param {object} guild - Discord guild
+     * @param {object} options - { force } to apply now regardless of the interval, { dryRun } to only suggest
+     * @returns {Promise<object|null>} { mode, current, suggested, changed, applied, feedbackCount }
+     */
+    async autoTuneAIThresholds(guild, { force = false, dryRun = false } = {}) {
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return null;
+        }
+
+        const { windowDays, intervalHours } = this.aiModeration.autoTune;
+        const settings = await this.dbManager.getAIModerationSettings(guild.id);
+        const tuning = await this.dbManager.getAIModerationTuning(guild.id);
+        const mode = tuning ? tuning.autoTune : 'off';
+        const current = tuning ? tuning.thresholds : { ...this.aiModeration.thresholds };
+        const feedback = await this.dbManager.getAIModerationFeedback(guild.id, windowDays);
+        const suggested = this.suggestAIThresholds(feedback, current);
+        const changed = ['delete', 'warn', 'escalate'].some(key => suggested[key] !== current[key]);
+
+        const lastTunedAt = settings?.auto_tuned_at ? Date.parse(`${settings.auto_tuned_at.replace(' ', 'T')}Z`) : 0;
+        const due = force || Date.now() - lastTunedAt >= intervalHours * 60 * 60 * 1000;
+        let applied = false;
+        if ((mode === 'apply' || mode === 'suggest') && changed && due && !dryRun) {
+            // Suggest mode stamps auto_tuned_at with the current thresholds, so it only posts once per interval
+            const saved = await this.dbManager.saveAIModerationThresholds(guild.id, mode === 'apply' ? suggested : current, true);
+            applied = saved && mode === 'apply';
+            if (applied) {
+                await this.dbManager.logConfigChange(guild.id, 'ai_moderation', tuning, { ...tuning, thresholds: suggested }, this.client.user.id);
+            }
+
+            const tuneEmbed = new EmbedBuilder()
+                .setTitle(applied ? '🎛️ AI Moderation Thresholds Auto-Tuned' : '🎛️ Suggested AI Moderation Thresholds')
+                .setDescription(applied
+                    ? `Adjusted from ${feedback.length} staff-judged detection(s) over the last ${windowDays} days. Revert it from the dashboard's config history if needed.`
+                    : `Based on ${feedback.length} staff-judged detection(s) over the last ${windowDays} days. An administrator can apply these with \`/aimod threshold\`.`)
+                .addFields(['delete', 'warn', 'escalate'].map(key => ({
+                    name: key.charAt(0).toUpperCase() + key.slice(1),
+                    value: current[key] === suggested[key] ? `${current[key]}%` : `${current[key]}% → **${suggested[key]}%**`,
+                    inline: true
+                })))
+                .setColor(0x0099ff)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            const logChannel = saved ? await this.getAIModLogChannel(guild, settings) : null;
+            if (logChannel) {
+                await logChannel.send({ embeds: [tuneEmbed] }).catch(() => {});
+            }
+        }
+
+        return { mode, current, suggested, changed, applied, feedbackCount: feedback.length };
+    }
+
+    // Called from the memory cleanup interval
+    async expireStaleAIReviews() {
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return;
+        }
+
+        const expired = await this.dbManager.expireStaleAIReviews(this.aiModeration.reviewTimeoutHours);
+        await Promise.all(expired.map(entry => {
+            const guild = this.client.guilds.cache.get(entry.guild_id);
+            return guild ? this.updateAIReviewMessage(guild, entry.id) : null;
+        }));
+        if (expired.length > 0) {
+            log.aiModeration.info('reviews_expired', `Expired ${expired.length} unreviewed AI moderation escalation(s)`, { count: expired.length });
+        }
+    }
+
+    getElonResponse(category, replacements = {}) {
+        const responses = config.elon.responses[category];
+        if (!responses || responses.length === 0) return "This is actually quite fascinating. We should iterate on this.";
+        
+        const response = responses[Math.floor(Math.random() * responses.length)];
+        
+        // Replace placeholders
+        let finalResponse = response;
+        for (const [key, value] of Object.entries(replacements)) {
+            finalResponse = finalResponse.replace(new RegExp(`{${key}}`, 'g'), value);
+        }
+        
+        return finalResponse;
+    }
+
+    // Mixed Trump/Elon Response System
+    getMixedResponse(category, replacements = {}) {
+        // Randomly choose between Trump and Elon responses
+        const useTrump = Math.random() < 0.5;
+        return useTrump ? this.getTrumpResponse(category, replacements) : this.getElonResponse(category, replacements);
+    }
+
+    // Detect if user is being aggressive/rude to the bot
+    isAggressiveMessage(content) {
+        const aggressiveWords = [
+            // Direct insults
+            'shut up', 'fuck off', 'go away', 'stupid', 'dumb', 'idiot', 'moron',
+            'stfu', 'shutup', 'piss off', 'screw you', 'damn bot', 'useless', 'trash',
+            'garbage', 'piece of shit', 'pos', 'asshole', 'bitch', 'suck', 'worst',
+            'hate you', 'kill yourself', 'kys', 'die', 'annoying', 'cringe', 'lame',
+            
+            // Trash talking phrases
+            'talk shit', 'talking crap', 'fuck you', 'go die', 'nobody likes you',
+            'you suck', 'terrible bot', 'worst bot', 'delete yourself', 'uninstall',
+            'broken bot', 'dumbass bot', 'shitty bot', 'pathetic', 'loser bot',
+            'nobody cares', 'stfu bot', 'mute yourself', 'go offline', 'trash bot',
+            
+            // Dismissive/disrespectful  
+            'whatever', 'dont care', "don't care", 'who asked', 'didnt ask', "didn't ask",
+            'boring', 'lame ass', 'weak', 'crappy', 'dogshit', 'shit bot', 'crap bot',
+            'gtfo', 'get lost', 'piss me off', 'get bent', 'buzz off', 'beat it'
+        ];
+        
+        const normalizedContent = content.toLowerCase();
+        
+        // Check for direct aggressive words/phrases
+        const hasAggressiveWords = aggressiveWords.some(word => normalizedContent.includes(word));
+        
+        // Check for aggressive patterns (multiple question marks, excessive caps, etc.)
+        const hasAggressivePattern = /(\?{3,})|([A-Z]{4,})|(!{3,})/.test(content);
+        
+        // Check for specific bot-targeting insults
+        const botTargetedInsults = [
+            'guardian is', 'this bot is', 'guardianbot is', 'guardian sucks',
+            'bot you are', 'you are a', 'you\'re a', 'youre a'
+        ];
+        const hasBoTTargetedInsults = botTargetedInsults.some(phrase => 
+            normalizedContent.includes(phrase) && 
+            aggressiveWords.some(insult => normalizedContent.includes(insult))
+        );
+        
+        return hasAggressiveWords || hasAggressivePattern || hasBoTTargetedInsults;
+    }
+
+    setupEventHandlers() {
+        this.client.on('clientReady', async () => {
+            logger.bot.ready(this.client.user.tag, this.client.guilds.cache.size);
+            log.bot.info('guilds_available', `Available guilds: ${this.client.guilds.cache.map(g => g.name).join(', ')}`, { guildIds: [...this.client.guilds.cache.keys()] });
+            
+            // Fetch all members for all guilds to populate cache
+            log.bot.info('member_fetch_started', 'Fetching guild members');
+            for (const guild of this.client.guilds.cache.values()) {
+                try {
+                    await guild.members.fetch();
+                    log.bot.debug('members_fetched', `Fetched ${guild.members.cache.size} members from ${guild.name}`, { guildId: guild.id, memberCount: guild.members.cache.size });
+                } catch (error) {
+                    log.bot.error('member_fetch_failed', `Failed to fetch members from ${guild.name}`, { guildId: guild.id, error });
+                }
+            }
+            log.bot.info('member_cache_ready', 'Member cache populated');
+            
+            // Set bot activity/status with dashboard link
+            this.client.user.setActivity(`🛡️ Protecting Discord | Dashboard: ${process.env.DOMAIN ? process.env.DOMAIN.replace(/https?:\/\//, '') : 'localhost:3000'}`, { 
+                type: 3 // WATCHING activity type
+            });
+            
+            // Connect to database
+            const dbConnected = await this.dbManager.connect();
+            if (dbConnected) {
+                log.database.info('connected', 'Database connected successfully');
+
+                // Lift any temp bans that expired while offline, then keep checking
+                this.setupTempBanScheduler();
+                this.setupSnapshotScheduler();
+                this.setupVerificationTimeoutScheduler();
+                this.setupBackupScheduler();
+                this.setupRetentionScheduler();
+                await this.loadReactionRoleMenus();
+            } else {
+                log.database.error('connect_failed', 'Database connection failed - running without persistence');
+            }
+        });
+
+        this.client.on('guildBanAdd', async (ban) => {
+            // Check if the banned user is protected
+            if (config.protectedUsers && config.protectedUsers.includes(ban.user.id)) {
+                try {
+                    await ban.guild.members.unban(ban.user.id, 'Protected user - auto unban');
+                    
+                    const protectionEmbed = new EmbedBuilder()
+                        .setTitle('🛡️ PROTECTED USER UNBANNED')
+                        .setDescription(`Protected user ${ban.user.tag} was automatically unbanned`)
+                        .setColor(0x00ff00)
+                        .addFields(
+                            { name: '👤 User', value: `${ban.user.tag} (${ban.user.id})`, inline: true },
+                            { name: '🛡️ Status', value: 'Protected User', inline: true },
+                            { name: '⚡ Action', value: 'Automatic Unban', inline: true }
+                        )
+                        .setTimestamp();
+
+                    const logChannel = await this.getLogChannel(ban.guild);
+                    if (logChannel) {
+                        await logChannel.send({ embeds: [protectionEmbed] });
+                    }
+                } catch (error) {
+                    log.moderation.error('protected_unban_failed', 'Error unbanning protected user', { guildId: ban.guild.id, userId: ban.user.id, error });
+                }
+            }
+            
+            this.handleAdminAction(ban.guild, 'ban');
+            this.logEvent(ban.guild, 'User Banned', `${ban.user.tag} was banned`, 0xff0000);
+        });
+
+        this.client.on('guildBanRemove', async (ban) => {
+            // Manual unbans cancel any pending temp ban so the scheduler doesn't act on it later
+            if (this.dbManager && this.dbManager.isConnected) {
+                await this.dbManager.resolveTempBan(ban.guild.id, ban.user.id);
+            }
+        });
+
+        this.client.on('guildMemberAdd', async (member) => {
+            this.publishLiveEvent(member.guild.id, 'member_join', {
+                userId: member.id,
+                tag: member.user.tag,
+                accountCreatedAt: member.user.createdTimestamp,
+                memberCount: member.guild.memberCount
+            });
+            this.handleAntiRaid(member);
+            // Send welcome message and handle verification
+            await this.handleWelcomeMessage(member);
+        });
+
+        // guildMemberRemove is handled by AI Protection system below
+
+        this.client.on('messageReactionAdd', async (reaction, user) => {
+            await this.handleReactionRoleReaction(reaction, user, true);
+        });
+
+        this.client.on('messageReactionRemove', async (reaction, user) => {
+            await this.handleReactionRoleReaction(reaction, user, false);
+        });
+
+        this.client.on('messageDelete', async (message) => {
+            // Drop role menus whose message was deleted
+            if (this.reactionRoleMenus.has(message.id)) {
+                this.reactionRoleMenus.delete(message.id);
+                await this.dbManager.deleteReactionRoleMenu(message.id);
+            }
+        });
+
+        this.client.on('guildMemberUpdate', (oldMember, newMember) => {
+            // Monitor timeout changes (mutes)
+            if (oldMember.communicationDisabledUntil !== newMember.communicationDisabledUntil && 
+                newMember.communicationDisabledUntil) {
+                this.handleAdminAction(newMember.guild, 'timeout');
+            }
+            
+            // Monitor role changes with detailed logging
+            if (oldMember.roles.cache.size !== newMember.roles.cache.size) {
+                this.handleAdminAction(newMember.guild, 'roleChange');
+                
+                // Log role changes for all servers
+                if (this.isRoleLoggingEnabled(newMember.guild)) {
+                    this.logMemberRoleChanges(oldMember, newMember);
+                }
+            }
+        });
+
+        // Enhanced role event handlers for comprehensive logging
+        this.client.on('roleCreate', (role) => {
+            // Log role creation for all servers
+            if (this.isRoleLoggingEnabled(role.guild)) {
+                this.logRoleAction(role.guild, 'ROLE_CREATE', role, null, null);
+            }
+        });
+
+        this.client.on('roleUpdate', (oldRole, newRole) => {
+            // Log role updates for all servers
+            if (this.isRoleLoggingEnabled(newRole.guild)) {
+                this.logRoleAction(oldRole.guild, 'ROLE_UPDATE', newRole, oldRole, null);
             }
         });
 
@@ -690,6 +1565,7 @@ class GuardianBot {
 
         this.client.on('channelDelete', async (channel) => {
             await this.handleChannelDelete(channel);
+            await this.handleTicketChannelDelete(channel);
         });
 
         // =================================================================
@@ -729,6 +1605,7 @@ class GuardianBot {
 
         // Monitor mass kicks
         this.client.on('guildMemberRemove', async (member) => {
+            this.publishLiveEvent(member.guild.id, 'member_leave', { userId: member.id, tag: member.user.tag, memberCount: member.guild.memberCount });
             await this.aiProtection_memberRemove(member);
             await this.handleGoodbyeMessage(member);
         });
@@ -771,7 +1648,7 @@ class GuardianBot {
             const blockStatus = SecurityHardening.isBlocked(message.author.id);
             if (blockStatus.blocked) {
                 // Silently ignore blocked users
-                console.log(`🛡️ [SECURITY] Blocked user ${message.author.tag} attempted message (${blockStatus.remainingMinutes}min remaining)`);
+                log.security.debug('blocked_user_message', `Blocked user ${message.author.tag} attempted message (${blockStatus.remainingMinutes}min remaining)`, { guildId: message.guild?.id, userId: message.author.id });
                 return;
             }
 
@@ -781,7 +1658,7 @@ class GuardianBot {
                 const rateLimit = SecurityHardening.checkRateLimit(message.author.id, 'messages');
                 if (rateLimit.limited) {
                     // Don't respond to rate-limited users, just log
-                    console.log(`⏱️ [SECURITY] Rate limited: ${message.author.tag}`);
+                    log.security.info('rate_limited', `Rate limited: ${message.author.tag}`, { guildId: message.guild?.id, userId: message.author.id });
                     return;
                 }
             }
@@ -792,7 +1669,7 @@ class GuardianBot {
                 (this.checkBotMention(message) || message.content.toLowerCase().includes('guardianbot'))) {
                 const injectionCheck = SecurityHardening.detectInjection(message.content);
                 if (injectionCheck.shouldBlock) {
-                    console.log(`🚨 [SECURITY] Injection attempt by ${message.author.tag}: ${injectionCheck.threatType}`);
+                    log.security.warn('injection_attempt', `Injection attempt by ${message.author.tag}: ${injectionCheck.threatType}`, { guildId: message.guild?.id, userId: message.author.id, threatType: injectionCheck.threatType, riskLevel: injectionCheck.riskLevel });
 
                     // Track the failed attempt
                     const attemptResult = SecurityHardening.trackFailedAttempt(message.author.id, injectionCheck.threatType);
@@ -837,11 +1714,11 @@ class GuardianBot {
 
             // Supreme Owner (Skeeter) always passes
             if (graySwainAnalysis.owner) {
-                console.log(`👑 [GRAY SWAIN] Supreme Owner verified: ${message.author.tag}`);
+                log.security.debug('supreme_owner_verified', `Supreme Owner verified: ${message.author.tag}`, { guildId: message.guild?.id, userId: message.author.id });
             }
             // Handle threats detected by Gray Swain
             else if (!graySwainAnalysis.safe) {
-                console.log(`🦅 [GRAY SWAIN] Threat detected from ${message.author.tag}: Level ${graySwainAnalysis.escalationLevel}`);
+                log.security.warn('gray_swain_threat', `Threat detected from ${message.author.tag}: level ${graySwainAnalysis.escalationLevel}`, { guildId: message.guild?.id, userId: message.author.id, escalationLevel: graySwainAnalysis.escalationLevel });
 
                 // Handle honeypot triggers with deceptive response
                 if (graySwainAnalysis.honeypot) {
@@ -914,6 +1791,13 @@ class GuardianBot {
                 if (autoModResult && autoModResult.deleted) {
                     return; // Message was deleted, don't process further
                 }
+
+                const aiModResult = await this.runAIModeration(message);
+                if (aiModResult && aiModResult.deleted) {
+                    return;
+                }
+
+                await this.handleMessageXP(message);
             }
             
             // Check for custom commands first
@@ -946,7 +1830,7 @@ class GuardianBot {
                             }
                         );
                     } catch (error) {
-                        console.error('Error tracking staff message activity:', error);
+                        log.dashboard.error('staff_activity_failed', 'Error tracking staff message activity', { guildId: message.guild.id, userId: message.author.id, error });
                     }
                 }
             }
@@ -976,7 +1860,7 @@ class GuardianBot {
                     // Disable goth mode for this channel
                     if (this.gothMode.has(message.channel.id)) {
                         this.gothMode.delete(message.channel.id);
-                        console.log(`🔓 Skeeter override: Goth mode disabled in channel ${message.channel.id}`);
+                        log.ai.info('goth_mode_override', `Skeeter override: goth mode disabled in channel ${message.channel.id}`, { guildId: message.guild?.id, channelId: message.channel.id });
                     }
 
                     await message.reply(`*straightens up and looks directly at you* 💋\n\nOh, you want me all to yourself again? I like it when you're possessive~ All distractions gone, baby. I'm all yours. What do you need me for? 😘`);
@@ -988,13 +1872,17 @@ class GuardianBot {
             // BUT: Skeeter can override this at any time
             if (this.gothMode.has(message.channel.id)) {
                 const monitorConfig = this.gothMode.get(message.channel.id);
-                console.log(`👁️ Monitoring active in channel ${message.channel.id} for user ${monitorConfig.ownerId}`);
-                console.log(`📝 Message from ${message.author.id}: ${message.content}`);
-                console.log(`🔍 Mentions: ${Array.from(message.mentions.users.keys()).join(', ')}`);
+                log.ai.debug('goth_mode_message', `Goth mode monitoring message from ${message.author.id}`, {
+                    guildId: message.guild?.id,
+                    channelId: message.channel.id,
+                    userId: message.author.id,
+                    ownerId: monitorConfig.ownerId,
+                    mentions: [...message.mentions.users.keys()]
+                });
 
                 // SKEETER OVERRIDE: Never trigger defense against Skeeter
                 if (message.mentions.users.has(monitorConfig.ownerId) && message.author.id !== monitorConfig.ownerId && message.author.id !== SKEETER_ID) {
-                    console.log(`🚨 DEFENSE TRIGGERED! ${message.author.tag} mentioned protected user!`);
+                    log.ai.info('goth_mode_defense', `${message.author.tag} mentioned a protected user`, { guildId: message.guild?.id, channelId: message.channel.id, userId: message.author.id });
                     await this.handleGothDefense(message, monitorConfig.ownerId);
                     return; // Stop processing, defense was triggered
                 }
@@ -1074,7 +1962,7 @@ class GuardianBot {
 
             // Check for server owner mentions with protection
             if (this.checkOwnerMention(message)) {
-                console.log(`🚨 Server owner mention detected from ${message.author.username}: ${message.content}`);
+                log.security.info('owner_mention', `Server owner mention detected from ${message.author.username}`, { guildId: message.guild.id, channelId: message.channel.id, userId: message.author.id });
                 this.handleOwnerMention(message);
             }
         });
@@ -1116,7 +2004,7 @@ class GuardianBot {
 
                 const validation = SecurityHardening.validateCommandInput(options);
                 if (!validation.valid) {
-                    console.log(`🚨 [SECURITY] Command injection attempt by ${interaction.user.tag}: ${validation.errors.join(', ')}`);
+                    log.security.warn('command_injection_attempt', `Command injection attempt by ${interaction.user.tag}: ${validation.errors.join(', ')}`, { guildId: interaction.guild?.id, userId: interaction.user.id, command: interaction.commandName });
                     SecurityHardening.trackFailedAttempt(interaction.user.id, 'Command injection');
                     return interaction.reply({
                         content: `⚠️ Invalid input detected. This has been logged.`,
@@ -1141,24 +2029,45 @@ class GuardianBot {
                             }
                         );
                     } catch (error) {
-                        console.error('Error tracking staff command activity:', error);
+                        log.dashboard.error('staff_activity_failed', 'Error tracking staff command activity', { guildId: interaction.guild.id, userId: interaction.user.id, error });
                     }
                 }
                 
+                logger.bot.command(interaction.commandName, interaction.user.id, interaction.guild?.id);
                 await this.handleSlashCommand(interaction);
             } else if (interaction.isButton()) {
                 // Handle verification button
                 if (interaction.customId.startsWith('verify_')) {
                     await this.handleVerificationButton(interaction);
+                } else if (interaction.customId.startsWith('antinuke_restore_')) {
+                    await this.handleAntiNukeRestoreButton(interaction);
+                } else if (interaction.customId.startsWith('ticket_')) {
+                    await this.handleTicketButton(interaction);
+                } else if (interaction.customId.startsWith('rr_btn_')) {
+                    await this.handleReactionRoleInteraction(interaction);
+                } else if (interaction.customId.startsWith('aireview_')) {
+                    await this.handleAIReviewButton(interaction);
+                } else if (interaction.customId.startsWith('aifeedback_')) {
+                    await this.handleAIFeedbackButton(interaction);
+                } else if (interaction.customId.startsWith('backup_restore_')) {
+                    await this.handleBackupRestoreButton(interaction);
+                } else if (interaction.customId.startsWith('privacy_purge_')) {
+                    await this.handlePrivacyPurgeButton(interaction);
+                }
+            } else if (interaction.isStringSelectMenu()) {
+                if (interaction.customId === 'rr_select') {
+                    await this.handleReactionRoleInteraction(interaction);
                 }
             } else if (interaction.isModalSubmit()) {
-                // Handle modal submissions if needed
+                if (interaction.customId === 'ticket_modal') {
+                    await this.handleTicketModal(interaction);
+                }
             }
         });
 
 
-        this.client.on('error', console.error);
-        this.client.on('warn', console.warn);
+        this.client.on('error', error => log.bot.error('client_error', error.message, { error }));
+        this.client.on('warn', warning => log.bot.warn('client_warning', warning));
         
         // Track voice channel activity for staff
         this.client.on('voiceStateUpdate', async (oldState, newState) => {
@@ -1202,7 +2111,7 @@ class GuardianBot {
                         );
                     }
                 } catch (error) {
-                    console.error('Error tracking staff voice activity:', error);
+                    log.dashboard.error('staff_activity_failed', 'Error tracking staff voice activity', { guildId: (newState.guild || oldState.guild).id, userId: member.id, error });
                 }
             }
         });
@@ -1210,9 +2119,10 @@ class GuardianBot {
 
     // Anti-Raid System
     async handleAntiRaid(member) {
-        if (!config.antiRaid.enabled) return;
-
         const guild = member.guild;
+        const { antiRaid } = this.getGuildConfig(guild);
+        if (!antiRaid.enabled) return;
+
         const now = Date.now();
         
         if (!this.joinTracker.has(guild.id)) {
@@ -1223,15 +2133,28 @@ class GuardianBot {
         joins.push(now);
 
         // Clean old entries
-        const validJoins = joins.filter(time => now - time < config.antiRaid.timeWindow);
+        const validJoins = joins.filter(time => now - time < antiRaid.timeWindow);
         this.joinTracker.set(guild.id, validJoins);
 
-        if (validJoins.length >= config.antiRaid.joinThreshold) {
-            await this.triggerRaidProtection(guild, validJoins.length);
+        const raidState = this.raidMode.get(guild.id);
+        if (raidState) {
+            await this.handleRaidModeJoin(member, raidState);
+        }
+
+        if (validJoins.length >= antiRaid.joinThreshold) {
+            if (raidState) {
+                // Flood is still going - keep raid mode up instead of re-alerting
+                this.activateRaidMode(guild, { activatedBy: this.client.user.id, reason: 'Join flood continuing' });
+            } else {
+                await this.triggerRaidProtection(guild, validJoins.length);
+            }
         }
     }
 
     async triggerRaidProtection(guild, joinCount) {
+        const { antiRaid } = this.getGuildConfig(guild);
+        log.antiRaid.warn('raid_detected', `Raid detected in ${guild.name}: ${joinCount} joins in ${antiRaid.timeWindow / 1000}s`, { guildId: guild.id, joinCount });
+        this.publishLiveEvent(guild.id, 'raid', { joinCount, timeWindow: antiRaid.timeWindow });
         const trumpTrashTalk = this.getTrumpResponse('raidDetected', { count: joinCount });
 
         const embed = new EmbedBuilder()
@@ -1240,7 +2163,7 @@ class GuardianBot {
             .setColor(0xff0000)
             .addFields(
                 { name: '🎯 TRUMP SAYS', value: 'These raiders are LOSERS! Total losers!', inline: false },
-                { name: '📊 Detection Stats', value: `${joinCount} joins in ${config.antiRaid.timeWindow/1000} seconds`, inline: false }
+                { name: '📊 Detection Stats', value: `${joinCount} joins in ${antiRaid.timeWindow/1000} seconds`, inline: false }
             )
             .setTimestamp();
 
@@ -1267,41 +2190,240 @@ class GuardianBot {
                 try {
                     await channel.send({ embeds: [raidAlertEmbed] });
                 } catch (error) {
-                    console.error(`Failed to send raid alert to channel ${channel.name}:`, error);
+                    log.antiRaid.warn('raid_alert_failed', `Failed to send raid alert to #${channel.name}`, { guildId: guild.id, channelId: channel.id, error });
                 }
             }
         } catch (error) {
-            console.error('Failed to broadcast raid alert:', error);
+            log.antiRaid.error('raid_alert_broadcast_failed', 'Failed to broadcast raid alert', { guildId: guild.id, error });
         }
 
-        if (config.antiRaid.lockdownOnRaid) {
+        if (antiRaid.lockdownOnRaid) {
             const lockdownMessage = this.getTrumpResponse('lockdown');
             await this.lockdownServer(guild, `Auto-lockdown: ${trumpTrashTalk}`);
         }
 
-        // Don't auto-kick - manual verification required
-        // Log recent joiners for manual review
-        const recentMembers = guild.members.cache.filter(member =>
-            Date.now() - member.joinedTimestamp < config.antiRaid.timeWindow
-        );
+        // Don't auto-kick - manual verification required
+        // Log recent joiners for manual review
+        const recentMembers = guild.members.cache.filter(member =>
+            Date.now() - member.joinedTimestamp < antiRaid.timeWindow
+        );
+
+        const memberList = Array.from(recentMembers.values())
+            .map(m => `${m.user.tag} (${m.id})`)
+            .slice(0, 20)
+            .join('\n');
+
+        const reviewEmbed = new EmbedBuilder()
+            .setTitle('👥 RECENT JOINERS - MANUAL REVIEW REQUIRED')
+            .setDescription(`**${recentMembers.size} members joined during raid detection**\n\nPlease review and manually verify/kick these users:`)
+            .addFields(
+                { name: '📋 Recent Members', value: memberList || 'None', inline: false },
+                { name: '⚠️ Note', value: 'Server is now locked down. Review each member manually.', inline: false }
+            )
+            .setColor(0xffaa00)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+
+        // Gate everyone who joins from here on, and run the joiners that triggered detection through the same rules
+        const raidState = this.activateRaidMode(guild, { activatedBy: this.client.user.id, reason: `Join flood: ${joinCount} joins in ${antiRaid.timeWindow / 1000}s` });
+        const sortedJoiners = Array.from(recentMembers.values()).sort((a, b) => a.joinedTimestamp - b.joinedTimestamp);
+        for (const member of sortedJoiners) {
+            await this.handleRaidModeJoin(member, raidState);
+        }
+
+        reviewEmbed.addFields({
+            name: '🛡️ Raid Mode',
+            value: `Active until <t:${Math.floor(raidState.expiresAt / 1000)}:t> - ${raidState.caught.length} of these accounts were ${antiRaid.raidModeAction === 'kick' ? 'kicked' : 'quarantined'} automatically.`,
+            inline: false
+        });
+
+        await this.sendToLogChannel(guild, reviewEmbed);
+    }
+
+    // =================================================================
+    // RAID MODE - Gate new joins while a raid is in progress
+    // =================================================================
+
+    /**
+     * Turn raid mode on (or extend it if it's already on)
+     */
+    activateRaidMode(guild, { durationMs = null, activatedBy = null, reason = 'Manual activation' } = {}) {
+        const duration = durationMs || (this.getGuildConfig(guild).antiRaid.raidModeDurationMinutes || 30) * 60 * 1000;
+        const now = Date.now();
+
+        let state = this.raidMode.get(guild.id);
+        if (!state) {
+            state = { activatedAt: now, expiresAt: 0, activatedBy, reason, recentJoins: [], caught: [], timer: null };
+            this.raidMode.set(guild.id, state);
+            log.antiRaid.warn('raid_mode_activated', `Raid mode activated in ${guild.name}: ${reason}`, { guildId: guild.id, activatedBy, reason });
+            this.publishLiveEvent(guild.id, 'raid_mode', { active: true, reason, activatedBy });
+        }
+
+        state.expiresAt = Math.max(state.expiresAt, now + duration);
+        if (state.timer) clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.deactivateRaidMode(guild, 'expired'), state.expiresAt - now);
+
+        return state;
+    }
+
+    async deactivateRaidMode(guild, endedBy = 'expired') {
+        const state = this.raidMode.get(guild.id);
+        if (!state) return null;
+
+        if (state.timer) clearTimeout(state.timer);
+        this.raidMode.delete(guild.id);
+        log.antiRaid.info('raid_mode_deactivated', `Raid mode deactivated in ${guild.name} (${endedBy})`, { guildId: guild.id, endedBy, caught: state.caught.length });
+        this.publishLiveEvent(guild.id, 'raid_mode', { active: false, endedBy, caught: state.caught.length });
+
+        const ruleCounts = {};
+        for (const entry of state.caught) {
+            for (const hit of entry.rules) {
+                ruleCounts[hit.rule] = (ruleCounts[hit.rule] || 0) + 1;
+            }
+        }
+
+        const summaryEmbed = new EmbedBuilder()
+            .setTitle('✅ RAID MODE ENDED')
+            .setDescription(endedBy === 'expired' ? 'Raid mode expired automatically.' : `Raid mode was turned off by <@${endedBy}>.`)
+            .addFields(
+                { name: '⏱️ Duration', value: this.formatDuration(Date.now() - state.activatedAt), inline: true },
+                { name: '👥 Joins Checked', value: state.recentJoins.length.toString(), inline: true },
+                { name: '🚫 Accounts Caught', value: state.caught.length.toString(), inline: true },
+                { name: '📋 Rules Triggered', value: Object.entries(ruleCounts).map(([rule, count]) => `${rule}: ${count}`).join('\n') || 'None', inline: false }
+            )
+            .setColor(0x00ff00)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+
+        await this.sendToLogChannel(guild, summaryEmbed);
+        return state;
+    }
+
+    // Normalized Levenshtein similarity (1 = identical)
+    stringSimilarity(a, b) {
+        if (a === b) return 1;
+        if (!a.length || !b.length) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Check a joining member against the raid mode rules
+     * Returns the list of rules the account failed (empty = allowed in)
+     */
+    evaluateRaidJoin(member, state) {
+        const rules = [];
+        const user = member.user;
+        const joinedAt = member.joinedTimestamp || Date.now();
+        const { antiRaid } = this.getGuildConfig(member.guild);
+
+        // Minimum account age
+        const minAgeDays = antiRaid.minAccountAgeDays;
+        const accountAgeDays = (Date.now() - user.createdTimestamp) / (24 * 60 * 60 * 1000);
+        if (minAgeDays && accountAgeDays < minAgeDays) {
+            rules.push({ rule: 'account_age', detail: `Account is ${accountAgeDays.toFixed(1)} days old (minimum ${minAgeDays})` });
+        }
+
+        // Default avatar
+        if (antiRaid.flagDefaultAvatar && !user.avatar) {
+            rules.push({ rule: 'default_avatar', detail: 'Account uses the default avatar' });
+        }
+
+        // Username similar to other recent joiners (e.g. raider123, raider456)
+        const threshold = antiRaid.usernameSimilarityThreshold;
+        if (threshold) {
+            const skeleton = name => name.toLowerCase().replace(/\d+/g, '#').replace(/[^a-z#]/g, '');
+            const ownSkeleton = skeleton(user.username);
+            const similar = state.recentJoins.filter(join =>
+                join.id !== user.id &&
+                (skeleton(join.username) === ownSkeleton || this.stringSimilarity(join.username.toLowerCase(), user.username.toLowerCase()) >= threshold)
+            );
+            if (similar.length >= 2) {
+                rules.push({ rule: 'username_pattern', detail: `Username resembles ${similar.length} other recent joiners (e.g. ${similar.slice(0, 3).map(join => join.username).join(', ')})` });
+            }
+        }
+
+        // Join timestamp clustering
+        const clusterWindow = antiRaid.joinClusterWindowMs;
+        const clusterSize = antiRaid.joinClusterSize;
+        if (clusterWindow && clusterSize) {
+            const clustered = state.recentJoins.filter(join => Math.abs(join.joinedAt - joinedAt) <= clusterWindow);
+            if (clustered.length >= clusterSize) {
+                rules.push({ rule: 'join_cluster', detail: `${clustered.length} accounts joined within ${clusterWindow / 1000}s` });
+            }
+        }
+
+        return rules;
+    }
+
+    async handleRaidModeJoin(member, state) {
+        try {
+            if (member.user.bot || this.isProtectedFromAI(member.id, member.guild)) return;
+            if (state.recentJoins.some(join => join.id === member.id)) return;
+
+            // Track the join first so clustering/similarity include this account
+            state.recentJoins.push({ id: member.id, username: member.user.username, joinedAt: member.joinedTimestamp || Date.now() });
+            if (state.recentJoins.length > 500) state.recentJoins.shift();
+
+            const rules = this.evaluateRaidJoin(member, state);
+            const accountAgeDays = Math.floor((Date.now() - member.user.createdTimestamp) / (24 * 60 * 60 * 1000));
+
+            if (rules.length === 0) {
+                await this.dbManager.logRaidJoin(member.guild.id, member.id, member.user.tag, accountAgeDays, [], 'none');
+                return;
+            }
 
-        const memberList = Array.from(recentMembers.values())
-            .map(m => `${m.user.tag} (${m.id})`)
-            .slice(0, 20)
-            .join('\n');
+            const ruleNames = rules.map(hit => hit.rule).join(', ');
+            const reason = `Raid mode: ${ruleNames}`;
+            let actionTaken;
+            const { antiRaid } = this.getGuildConfig(member.guild);
 
-        const reviewEmbed = new EmbedBuilder()
-            .setTitle('👥 RECENT JOINERS - MANUAL REVIEW REQUIRED')
-            .setDescription(`**${recentMembers.size} members joined during raid detection**\n\nPlease review and manually verify/kick these users:`)
-            .addFields(
-                { name: '📋 Recent Members', value: memberList || 'None', inline: false },
-                { name: '⚠️ Note', value: 'Server is now locked down. Review each member manually.', inline: false }
-            )
-            .setColor(0xffaa00)
-            .setFooter({ text: 'GuardianBot, created by Skeeter' })
-            .setTimestamp();
+            if (antiRaid.raidModeAction === 'kick') {
+                await member.kick(reason);
+                actionTaken = 'kick';
+            } else {
+                // Quarantine with the configured role, or a timeout if no role is set up
+                const quarantineRole = antiRaid.quarantineRoleId ? member.guild.roles.cache.get(antiRaid.quarantineRoleId) : null;
+                if (quarantineRole) {
+                    await member.roles.add(quarantineRole, reason);
+                } else {
+                    await member.timeout(24 * 60 * 60 * 1000, reason);
+                }
+                actionTaken = 'quarantine';
+            }
 
-        await this.sendToLogChannel(guild, reviewEmbed);
+            state.caught.push({ id: member.id, tag: member.user.tag, rules, action: actionTaken, timestamp: Date.now() });
+            log.antiRaid.info('raid_mode_join_gated', `${actionTaken} ${member.user.tag} - ${ruleNames}`, { guildId: member.guild.id, userId: member.id, action: actionTaken, rules });
+
+            await this.dbManager.logRaidJoin(member.guild.id, member.id, member.user.tag, accountAgeDays, rules.map(hit => hit.rule), actionTaken);
+            if (this.dbManager && this.dbManager.isConnected) {
+                await this.dbManager.logModeration(
+                    member.guild.id,
+                    actionTaken,
+                    this.client.user.id,
+                    this.client.user.username,
+                    member.id,
+                    member.user.tag,
+                    reason,
+                    { raid_mode: true, rules }
+                );
+            }
+        } catch (error) {
+            log.antiRaid.error('raid_mode_join_failed', `Failed to gate ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+        }
     }
 
     // Enhanced Channel Delete Handler with Audit Log Tracking
@@ -1313,7 +2435,7 @@ class GuardianBot {
             // Check if bot has permissions to read audit logs
             const botMember = channel.guild.members.cache.get(this.client.user.id);
             if (!botMember || !botMember.permissions.has(PermissionFlagsBits.ViewAuditLog)) {
-                console.error('Bot missing VIEW_AUDIT_LOG permission - cannot identify channel deleter');
+                log.antiNuke.error('audit_log_permission_missing', 'Missing VIEW_AUDIT_LOG permission - cannot identify channel deleter', { guildId: channel.guild.id });
                 return;
             }
             
@@ -1325,33 +2447,31 @@ class GuardianBot {
             
             const auditEntry = auditLogs.entries.first();
             if (!auditEntry) {
-                console.error('Could not find audit log entry for channel deletion');
+                log.antiNuke.warn('audit_entry_missing', 'Could not find audit log entry for channel deletion', { guildId: channel.guild.id, channelId: channel.id });
                 return;
             }
             
             // Check if audit entry is recent (within last 5 seconds)
             const timeDiff = Date.now() - auditEntry.createdTimestamp;
             if (timeDiff > 5000) {
-                console.log('Audit log entry too old, likely not related to this deletion');
+                log.antiNuke.debug('audit_entry_stale', 'Audit log entry too old, likely not related to this channel deletion', { guildId: channel.guild.id, channelId: channel.id });
                 return;
             }
             
             const executor = auditEntry.executor;
             if (!executor || executor.bot) {
                 // Skip bot deletions or unknown executors
-                console.log('Channel deleted by bot or unknown executor, skipping anti-nuke check');
+                log.antiNuke.debug('deletion_skipped', 'Channel deleted by bot or unknown executor, skipping anti-nuke check', { guildId: channel.guild.id, channelId: channel.id });
                 return;
             }
             
-            console.log(`🚨 Channel "${channel.name}" deleted by ${executor.tag} (${executor.id})`);
+            log.antiNuke.info('channel_deleted', `Channel "${channel.name}" deleted by ${executor.tag}`, { guildId: channel.guild.id, channelId: channel.id, userId: executor.id });
             
             // Track this deletion by the specific user
             await this.handleAntiNukeUser(channel.guild, 'channelDelete', executor, channel.name);
             
         } catch (error) {
-            console.error('Error handling channel deletion:', error);
-            // If we can't get audit logs, log a warning but don't crash
-            console.log('⚠️ Failed to track channel deleter - audit log access may be restricted');
+            log.antiNuke.error('channel_delete_tracking_failed', 'Failed to track channel deleter - audit log access may be restricted', { guildId: channel.guild.id, error });
         }
     }
 
@@ -1361,15 +2481,14 @@ class GuardianBot {
             // Log the basic deletion
             this.logEvent(role.guild, 'Role Deleted', `Role @${role.name} was deleted`, 0xff0000);
             
-            // Only log role changes for Triple Threat Tactical server
-            if (config.logging?.roleLoggingGuildId && role.guild.id === config.logging.roleLoggingGuildId) {
+            if (this.isRoleLoggingEnabled(role.guild)) {
                 this.logRoleAction(role.guild, 'ROLE_DELETE', role, null, null);
             }
             
             // Check if bot has permissions to read audit logs
             const botMember = role.guild.members.cache.get(this.client.user.id);
             if (!botMember || !botMember.permissions.has(PermissionFlagsBits.ViewAuditLog)) {
-                console.error('Bot missing VIEW_AUDIT_LOG permission - cannot identify role deleter');
+                log.antiNuke.error('audit_log_permission_missing', 'Missing VIEW_AUDIT_LOG permission - cannot identify role deleter', { guildId: role.guild.id });
                 return;
             }
             
@@ -1381,41 +2500,40 @@ class GuardianBot {
             
             const auditEntry = auditLogs.entries.first();
             if (!auditEntry) {
-                console.error('Could not find audit log entry for role deletion');
+                log.antiNuke.warn('audit_entry_missing', 'Could not find audit log entry for role deletion', { guildId: role.guild.id, roleId: role.id });
                 return;
             }
             
             // Check if audit entry is recent (within last 5 seconds)
             const timeDiff = Date.now() - auditEntry.createdTimestamp;
             if (timeDiff > 5000) {
-                console.log('Audit log entry too old, likely not related to this deletion');
+                log.antiNuke.debug('audit_entry_stale', 'Audit log entry too old, likely not related to this role deletion', { guildId: role.guild.id, roleId: role.id });
                 return;
             }
             
             const executor = auditEntry.executor;
             if (!executor || executor.bot) {
                 // Skip bot deletions or unknown executors
-                console.log('Role deleted by bot or unknown executor, skipping anti-nuke check');
+                log.antiNuke.debug('deletion_skipped', 'Role deleted by bot or unknown executor, skipping anti-nuke check', { guildId: role.guild.id, roleId: role.id });
                 return;
             }
             
-            console.log(`🚨 Role "${role.name}" deleted by ${executor.tag} (${executor.id})`);
+            log.antiNuke.info('role_deleted', `Role "${role.name}" deleted by ${executor.tag}`, { guildId: role.guild.id, roleId: role.id, userId: executor.id });
             
             // Track this deletion by the specific user
             await this.handleAntiNukeUser(role.guild, 'roleDelete', executor, role.name);
             
         } catch (error) {
-            console.error('Error handling role deletion:', error);
-            // If we can't get audit logs, log a warning but don't crash
-            console.log('⚠️ Failed to track role deleter - audit log access may be restricted');
+            log.antiNuke.error('role_delete_tracking_failed', 'Failed to track role deleter - audit log access may be restricted', { guildId: role.guild.id, error });
         }
     }
 
     // Enhanced Anti-Nuke System with User Tracking
     async handleAntiNukeUser(guild, actionType, user, targetName = '') {
-        if (!config.antiNuke.enabled) return;
+        const { antiNuke } = this.getGuildConfig(guild);
+        if (!antiNuke.enabled) return;
 
-        const threshold = actionType === 'channelDelete' ? config.antiNuke.channelDeleteThreshold : config.antiNuke.roleDeleteThreshold;
+        const threshold = actionType === 'channelDelete' ? antiNuke.channelDeleteThreshold : antiNuke.roleDeleteThreshold;
         
         // Track actions per user
         const key = `${guild.id}-${user.id}-${actionType}`;
@@ -1428,10 +2546,10 @@ class GuardianBot {
         actions.push({ timestamp: now, target: targetName });
 
         // Clean old entries
-        const validActions = actions.filter(action => now - action.timestamp < config.antiNuke.timeWindow);
+        const validActions = actions.filter(action => now - action.timestamp < antiNuke.timeWindow);
         this.adminActions.set(key, validActions);
 
-        console.log(`🚨 Anti-nuke tracking: ${user.tag} performed ${actionType} on "${targetName}" - ${validActions.length}/${threshold}`);
+        log.antiNuke.info('action_tracked', `${user.tag} performed ${actionType} on "${targetName}" - ${validActions.length}/${threshold}`, { guildId: guild.id, userId: user.id, action: actionType, count: validActions.length, threshold });
 
         if (validActions.length >= threshold) {
             await this.triggerNukeProtectionForUser(guild, actionType, validActions.length, user, validActions);
@@ -1440,11 +2558,18 @@ class GuardianBot {
 
     // Enhanced Nuke Protection with User Banning
     async triggerNukeProtectionForUser(guild, actionType, actionCount, executor, actionHistory) {
+        const { antiNuke } = this.getGuildConfig(guild);
+        log.antiNuke.warn('nuke_detected', `${executor.tag} performed ${actionCount} ${actionType} actions`, { guildId: guild.id, userId: executor.id, action: actionType, count: actionCount });
+        this.publishLiveEvent(guild.id, 'nuke', { actionType, actionCount, executorId: executor.id, executorTag: executor.tag });
+
+        // Keep the pre-nuke snapshot as the restore point
+        this.recentNukes.set(guild.id, Date.now());
+
         // Don't ban protected users or server owners
         if (config.protectedUsers?.includes(executor.id) || 
             config.ownerIds?.includes(executor.id) || 
             executor.id === guild.ownerId) {
-            console.log(`⚠️ Anti-nuke triggered by protected user ${executor.tag} - logging only, no ban`);
+            log.antiNuke.warn('protected_user_nuke', `Anti-nuke triggered by protected user ${executor.tag} - logging only, no ban`, { guildId: guild.id, userId: executor.id });
             
             const protectedEmbed = new EmbedBuilder()
                 .setTitle('🚨 NUKE ATTEMPT BY PROTECTED USER!')
@@ -1453,7 +2578,7 @@ class GuardianBot {
                 .addFields(
                     { name: '⚠️ Action Type', value: actionType, inline: true },
                     { name: '🛡️ Protected User', value: `${executor.tag} (${executor.id})`, inline: true },
-                    { name: '📊 Count', value: `${actionCount} in ${config.antiNuke.timeWindow/1000}s`, inline: true }
+                    { name: '📊 Count', value: `${actionCount} in ${antiNuke.timeWindow/1000}s`, inline: true }
                 )
                 .setFooter({ text: 'GuardianBot, created by Skeeter' })
                 .setTimestamp();
@@ -1477,7 +2602,7 @@ class GuardianBot {
             .addFields(
                 { name: '⚠️ Action Type', value: actionType, inline: true },
                 { name: '🔥 Nuker', value: `${executor.tag} (${executor.id})`, inline: true },
-                { name: '📊 Count', value: `${actionCount} in ${config.antiNuke.timeWindow/1000}s`, inline: true },
+                { name: '📊 Count', value: `${actionCount} in ${antiNuke.timeWindow/1000}s`, inline: true },
                 { name: '🎯 Recent Targets', value: targetList.substring(0, 1024), inline: false },
                 { name: '🛡️ Response', value: 'Auto-ban + Server lockdown', inline: false }
             )
@@ -1488,11 +2613,11 @@ class GuardianBot {
 
         // Ban the nuker immediately
         try {
-            if (config.antiNuke.banNukers) {
+            if (antiNuke.banNukers) {
                 const member = await guild.members.fetch(executor.id);
                 if (member) {
                     await member.ban({ 
-                        reason: `Anti-nuke protection: ${actionType} spam (${actionCount} in ${config.antiNuke.timeWindow/1000}s)`,
+                        reason: `Anti-nuke protection: ${actionType} spam (${actionCount} in ${antiNuke.timeWindow/1000}s)`,
                         deleteMessageDays: 1
                     });
                     
@@ -1512,13 +2637,609 @@ class GuardianBot {
                 }
             }
         } catch (banError) {
-            console.error('Failed to ban nuker:', banError);
+            log.antiNuke.error('nuker_ban_failed', `Failed to ban nuker ${executor.tag}`, { guildId: guild.id, userId: executor.id, error: banError });
         }
 
         // Lock down the server to prevent further damage
         await this.lockdownServer(guild, `Anti-nuke protection: ${actionType} spam by ${executor.tag}`);
     }
 
+    // =================================================================
+    // ANTI-NUKE SNAPSHOTS - Restore channels and roles deleted by a nuker
+    // =================================================================
+
+    /**
+     * Capture the guild's channel tree and roles (with membership) as plain JSON
+     * Managed roles (bots/integrations) and threads are skipped since they can't be recreated
+     */
+    captureGuildSnapshot(guild) {
+        const serializeOverwrites = channel => channel.permissionOverwrites.cache.map(overwrite => ({
+            id: overwrite.id,
+            type: overwrite.type,
+            allow: overwrite.allow.bitfield.toString(),
+            deny: overwrite.deny.bitfield.toString()
+        }));
+
+        const roles = guild.roles.cache
+            .filter(role => role.id !== guild.id && !role.managed)
+            .map(role => ({
+                id: role.id,
+                name: role.name,
+                color: role.color,
+                hoist: role.hoist,
+                mentionable: role.mentionable,
+                permissions: role.permissions.bitfield.toString(),
+                position: role.position,
+                members: role.members.map(member => member.id)
+            }));
+
+        const restorableTypes = [ChannelType.GuildCategory, ChannelType.GuildText, ChannelType.GuildVoice, ChannelType.GuildAnnouncement, ChannelType.GuildStageVoice, ChannelType.GuildForum];
+        const channels = guild.channels.cache
+            .filter(channel => restorableTypes.includes(channel.type))
+            .map(channel => ({
+                id: channel.id,
+                name: channel.name,
+                type: channel.type,
+                parentId: channel.parentId,
+                position: channel.rawPosition,
+                topic: channel.topic ?? null,
+                nsfw: channel.nsfw ?? false,
+                rateLimitPerUser: channel.rateLimitPerUser ?? 0,
+                bitrate: channel.bitrate ?? null,
+                userLimit: channel.userLimit ?? null,
+                permissionOverwrites: serializeOverwrites(channel)
+            }));
+
+        return { guildId: guild.id, capturedAt: new Date().toISOString(), roles, channels };
+    }
+
+    async takeGuildSnapshot(guild, triggerType = 'scheduled', createdBy = null) {
+        if (!this.dbManager || !this.dbManager.isConnected) return null;
+
+        const snapshot = this.captureGuildSnapshot(guild);
+        const snapshotId = await this.dbManager.saveGuildSnapshot(guild.id, snapshot, triggerType, createdBy, this.getGuildConfig(guild).antiNuke.snapshotRetention || 10);
+        if (snapshotId) {
+            log.antiNuke.info('snapshot_saved', `Snapshot #${snapshotId} saved for ${guild.name} (${snapshot.roles.length} roles, ${snapshot.channels.length} channels)`, { guildId: guild.id, snapshotId, trigger: triggerType });
+        }
+        return snapshotId;
+    }
+
+    /**
+     * Periodic snapshots - skipped for guilds that were nuked recently so the
+     * last good snapshot isn't replaced by the damaged state before it's restored
+     */
+    setupSnapshotScheduler() {
+        const SNAPSHOT_INTERVAL = (config.antiNuke.snapshotIntervalMinutes || 360) * 60 * 1000;
+        const NUKE_COOLDOWN = 24 * 60 * 60 * 1000; // 24 hours
+
+        if (this.snapshotInterval) return;
+
+        const runSnapshots = async () => {
+            for (const guild of this.client.guilds.cache.values()) {
+                if (!this.getGuildConfig(guild).antiNuke.enabled) continue;
+
+                const lastNuke = this.recentNukes.get(guild.id);
+                if (lastNuke && Date.now() - lastNuke < NUKE_COOLDOWN) {
+                    log.antiNuke.info('snapshot_skipped', `Skipping snapshot for ${guild.name} - nuke detected recently`, { guildId: guild.id });
+                    continue;
+                }
+                this.recentNukes.delete(guild.id);
+
+                try {
+                    // Don't stack a new snapshot on every restart
+                    const latest = await this.dbManager.getGuildSnapshots(guild.id, 1);
+                    if (latest[0] && Date.now() - new Date(`${latest[0].created_at}Z`).getTime() < SNAPSHOT_INTERVAL) continue;
+
+                    await this.takeGuildSnapshot(guild, 'scheduled');
+                } catch (error) {
+                    log.antiNuke.error('snapshot_failed', `Failed to snapshot ${guild.name}`, { guildId: guild.id, error });
+                }
+            }
+        };
+
+        runSnapshots();
+        this.snapshotInterval = setInterval(runSnapshots, SNAPSHOT_INTERVAL);
+
+        // Clear interval on shutdown
+        process.once('SIGINT', () => {
+            if (this.snapshotInterval) clearInterval(this.snapshotInterval);
+        });
+
+        log.antiNuke.info('scheduler_started', `Snapshot scheduler initialized (every ${this.formatDuration(SNAPSHOT_INTERVAL)})`, { scheduler: 'snapshots' });
+    }
+
+    /**
+     * Database backups - a hot backup every database.backups.intervalHours (only the newest `retention` are kept)
+     * and a PRAGMA integrity_check every integrityCheckHours that alerts the bot log channel on failure
+     */
+    setupBackupScheduler() {
+        const backupConfig = config.database.backups || {};
+        const BACKUP_INTERVAL = (backupConfig.intervalHours || 24) * 60 * 60 * 1000;
+        const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+        const INTEGRITY_INTERVAL = (backupConfig.integrityCheckHours || 24) * 60 * 60 * 1000;
+
+        if (this.backupInterval || backupConfig.enabled === false) return;
+
+        const runScheduledBackup = async () => {
+            if (!this.dbManager.isConnected) return;
+
+            // Don't stack a new backup on every restart
+            const latest = this.dbManager.listBackups()[0];
+            if (latest && Date.now() - new Date(latest.createdAt).getTime() < BACKUP_INTERVAL) return;
+
+            // A corrupt database would rotate the good backups out - reuse a check from the last hour
+            const recentCheck = this.lastIntegrityCheck && Date.now() - new Date(this.lastIntegrityCheck.checkedAt).getTime() < BACKUP_CHECK_INTERVAL;
+            const integrity = recentCheck ? this.lastIntegrityCheck : await this.runDatabaseIntegrityCheck();
+            if (!integrity?.ok) {
+                log.database.error('backup_skipped', 'Skipping scheduled backup - the database failed its integrity check');
+                return;
+            }
+
+            try {
+                await this.createDatabaseBackup('scheduled');
+            } catch (error) {
+                log.database.error('backup_failed', 'Scheduled backup failed', { error });
+            }
+        };
+
+        this.runDatabaseIntegrityCheck().then(runScheduledBackup);
+        this.backupInterval = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL);
+        this.integrityCheckInterval = setInterval(() => this.runDatabaseIntegrityCheck(), INTEGRITY_INTERVAL);
+
+        // Clear intervals on shutdown
+        process.once('SIGINT', () => {
+            if (this.backupInterval) clearInterval(this.backupInterval);
+            if (this.integrityCheckInterval) clearInterval(this.integrityCheckInterval);
+        });
+
+        log.database.info('scheduler_started', `Backup scheduler initialized (every ${this.formatDuration(BACKUP_INTERVAL)}, keeping ${backupConfig.retention || 7})`, { scheduler: 'backups' });
+    }
+
+    // Back up the database and rotate out old backups - used by the scheduler, /backup now and the dashboard
+    async createDatabaseBackup(reason) {
+        const backup = await this.dbManager.backupDatabase(reason);
+        const pruned = this.dbManager.pruneBackups(config.database.backups?.retention || 7);
+        log.database.info('backup_created', `Saved ${backup.name}${pruned.length > 0 ? ` (rotated out ${pruned.length})` : ''}`, { backup: backup.name, reason, rotated: pruned.length });
+        return { ...backup, pruned };
+    }
+
+    /**
+     * PRAGMA integrity_check on the live database - alerts the bot log channel when it fails
+     * @returns {Promise<object|null>} { ok, problems, checkedAt } or null when the database is offline
+     */
+    async runDatabaseIntegrityCheck() {
+        if (!this.dbManager || !this.dbManager.isConnected) return null;
+
+        let result;
+        try {
+            result = this.dbManager.checkIntegrity();
+        } catch (error) {
+            result = { ok: false, problems: [error.message] };
+        }
+        this.lastIntegrityCheck = { ...result, checkedAt: new Date().toISOString() };
+
+        if (!result.ok) {
+            log.database.error('integrity_check_failed', `Database integrity check failed: ${result.problems.join('; ')}`, { problems: result.problems });
+
+            const latestBackup = this.dbManager.listBackups()[0];
+            const alertEmbed = new EmbedBuilder()
+                .setTitle('🚨 DATABASE INTEGRITY CHECK FAILED')
+                .setDescription('The bot database is corrupt. Scheduled backups are paused so the good ones are kept. Restore the latest healthy backup with `/backup restore`.')
+                .addFields(
+                    { name: 'Problems', value: result.problems.slice(0, 10).join('\n').substring(0, 1000), inline: false },
+                    { name: 'Latest Backup', value: latestBackup ? `\`${latestBackup.name}\`` : 'None', inline: false }
+                )
+                .setColor(0xff0000)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            await this.sendBotLogAlert(alertEmbed);
+        }
+
+        return this.lastIntegrityCheck;
+    }
+
+    // Restore the database from a backup - used by /backup restore and the dashboard
+    async restoreDatabaseBackup(name, restoredBy) {
+        const result = await this.dbManager.restoreBackup(name);
+        this.lastIntegrityCheck = null;
+        await this.loadReactionRoleMenus();
+        log.database.warn('backup_restored', `Database restored from ${name} by ${restoredBy}`, { backup: name, userId: restoredBy });
+
+        const restoredEmbed = new EmbedBuilder()
+            .setTitle('♻️ Database Restored')
+            .addFields(
+                { name: 'Backup', value: `\`${result.restored}\``, inline: false },
+                { name: 'Restored By', value: `<@${restoredBy}>`, inline: true },
+                { name: 'Undo With', value: `\`${result.safetyBackup}\``, inline: false }
+            )
+            .setColor(0xffaa00)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+        await this.sendBotLogAlert(restoredEmbed);
+
+        return result;
+    }
+
+    // Bot-wide alerts (database health) go to config.json's logChannelId rather than a guild's override
+    async sendBotLogAlert(embed) {
+        if (!config.logChannelId) return;
+
+        const channel = await this.client.channels.fetch(config.logChannelId).catch(() => null);
+        if (!channel?.isTextBased()) return;
+        await channel.send({ embeds: [embed] }).catch(error => log.bot.error('bot_log_alert_failed', 'Failed to send bot log alert', { error }));
+    }
+
+    async handleBackupRestoreButton(interaction) {
+        if (!config.ownerIds.includes(interaction.user.id)) {
+            return interaction.reply({ content: '❌ Only the bot owner can restore backups!', flags: MessageFlags.Ephemeral });
+        }
+
+        if (interaction.customId === 'backup_restore_cancel') {
+            const cancelEmbed = new EmbedBuilder()
+                .setTitle('❎ Restore Cancelled')
+                .setDescription('No changes were made.')
+                .setColor(0x999999)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            return interaction.update({ embeds: [cancelEmbed], components: [] });
+        }
+
+        const backupName = interaction.customId.replace('backup_restore_confirm_', '');
+        await interaction.update({ content: `♻️ Restoring \`${backupName}\`...`, embeds: [], components: [] });
+
+        try {
+            const result = await this.restoreDatabaseBackup(backupName, interaction.user.id);
+            const doneEmbed = new EmbedBuilder()
+                .setTitle('✅ Database Restored')
+                .setDescription(`Restored from \`${result.restored}\`.\nThe database as it was before the restore is saved as \`${result.safetyBackup}\`.`)
+                .setColor(0x00ff00)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            await interaction.editReply({ content: null, embeds: [doneEmbed] });
+        } catch (error) {
+            log.database.error('backup_restore_failed', `Restore from ${backupName} failed`, { backup: backupName, userId: interaction.user.id, error });
+            await interaction.editReply({ content: `❌ Restore failed: ${error.message}` });
+        }
+    }
+
+    /**
+     * Nightly data retention - deletes log rows older than each guild's retention.* windows
+     * Checks hourly and runs once a day during retention.runHour (server time)
+     */
+    setupRetentionScheduler() {
+        const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+        const runHour = config.retention?.runHour ?? 4;
+
+        if (this.retentionInterval) return;
+
+        const runIfDue = () => {
+            const now = new Date();
+            if (now.getHours() !== runHour || this.lastRetentionRun === now.toDateString()) return;
+
+            this.lastRetentionRun = now.toDateString();
+            this.runRetentionJob();
+        };
+
+        runIfDue();
+        this.retentionInterval = setInterval(runIfDue, RETENTION_CHECK_INTERVAL);
+
+        // Clear interval on shutdown
+        process.once('SIGINT', () => {
+            if (this.retentionInterval) clearInterval(this.retentionInterval);
+        });
+
+        log.privacy.info('scheduler_started', `Data retention scheduler initialized (daily at ${runHour}:00)`, { scheduler: 'retention' });
+    }
+
+    // Apply every guild's retention windows - returns rows deleted per table across all guilds
+    runRetentionJob() {
+        if (!this.dbManager || !this.dbManager.isConnected) return null;
+
+        const totals = {};
+        for (const guild of this.client.guilds.cache.values()) {
+            try {
+                const deleted = this.dbManager.applyRetention(guild.id, this.getGuildConfig(guild).retention);
+                for (const [table, count] of Object.entries(deleted)) {
+                    totals[table] = (totals[table] || 0) + count;
+                }
+            } catch (error) {
+                log.privacy.error('retention_failed', `Failed to prune data for ${guild.name}`, { guildId: guild.id, error });
+            }
+        }
+
+        const summary = Object.entries(totals).map(([table, count]) => `${table} ${count}`).join(', ');
+        log.privacy.info('retention_completed', summary ? `Deleted expired rows: ${summary}` : 'Nothing has expired', { deleted: totals });
+        return totals;
+    }
+
+    /**
+     * Find a user's messages in every saved ticket transcript - by ID, or by name in transcripts saved before
+     * message lines carried the author's ID. With redact, their lines (and their name on tickets they opened)
+     * are overwritten in the file
+     * @param {string[]} usernames - The user's known names, from dbManager.getKnownUsernames()
+     * @returns {object[]} [{ ticket_id, guild_id, transcript_path, messages: [{ time, content }] }] per transcript they're in
+     */
+    scanTicketTranscripts(userId, usernames, { redact = false } = {}) {
+        const names = new Set(usernames.map(escapeHtml));
+        const found = [];
+        for (const ticket of this.dbManager.getTicketTranscripts()) {
+            if (!fs.existsSync(ticket.transcript_path)) continue;
+
+            const ownTicket = ticket.creator_id === userId;
+            const messages = [];
+            const lines = fs.readFileSync(ticket.transcript_path, 'utf8').split('\n').map(line => {
+                const match = line.match(TRANSCRIPT_MESSAGE_PATTERN);
+                if (match && (match[1] === userId || (match[1] === undefined && names.has(match[3])))) {
+                    messages.push({ time: match[2], content: unescapeHtml(match[4]) });
+                    return `<div class="message"><span class="time">${match[2]}</span> <span class="author">Deleted User</span><div class="content">[purged]</div></div>`;
+                }
+                if (ownTicket) {
+                    // Same as the tickets row - the subject and the opener's name go, the ID stays
+                    return line
+                        .replace(/^(<h1>Ticket [^:]*: ).*(<\/h1>)$/, '$1[purged]$2')
+                        .replace(/^<p>Opened by .* \((\d+)\) at /, '<p>Opened by Deleted User ($1) at ');
+                }
+                return line;
+            });
+
+            if (messages.length === 0 && !ownTicket) continue;
+            found.push({ ticket_id: ticket.ticket_id, guild_id: ticket.guild_id, transcript_path: ticket.transcript_path, messages });
+            if (redact) {
+                fs.writeFileSync(ticket.transcript_path, lines.join('\n'));
+            }
+        }
+        return found;
+    }
+
+    // Everything stored about a user (/privacy export) - the database rows plus their messages in ticket transcripts
+    exportUserData(userId) {
+        const userExport = this.dbManager.exportUserData(userId);
+        const transcripts = this.scanTicketTranscripts(userId, this.dbManager.getKnownUsernames(userId));
+        if (transcripts.length > 0) {
+            userExport.tables.ticket_transcripts = transcripts;
+        }
+        return userExport;
+    }
+
+    // Delete or anonymize a user's stored data everywhere (/privacy purge) - returns rows affected per table
+    purgeUserData(userId, purgedBy) {
+        // Names first - transcripts saved before message lines carried IDs can only be matched by name
+        const usernames = this.dbManager.getKnownUsernames(userId);
+        const affected = this.dbManager.purgeUserData(userId);
+        const transcripts = this.scanTicketTranscripts(userId, usernames, { redact: true });
+        if (transcripts.length > 0) {
+            affected.ticket_transcripts = transcripts.length;
+        }
+        this.aiService?.forgetUser(userId);
+
+        const total = Object.values(affected).reduce((sum, count) => sum + count, 0);
+        log.privacy.warn('user_data_purged', `Purged data for user ${userId} (${total} row(s)) by ${purgedBy}`, { userId, purgedBy, rows: total });
+        return affected;
+    }
+
+    async handlePrivacyPurgeButton(interaction) {
+        if (!config.ownerIds.includes(interaction.user.id)) {
+            return interaction.reply({ content: '❌ Only the bot owner can purge user data!', flags: MessageFlags.Ephemeral });
+        }
+
+        if (interaction.customId === 'privacy_purge_cancel') {
+            const cancelEmbed = new EmbedBuilder()
+                .setTitle('❎ Purge Cancelled')
+                .setDescription('No data was changed.')
+                .setColor(0x999999)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            return interaction.update({ embeds: [cancelEmbed], components: [] });
+        }
+
+        const purgeUserId = interaction.customId.replace('privacy_purge_confirm_', '');
+        try {
+            const affected = this.purgeUserData(purgeUserId, interaction.user.id);
+            const purgeEmbed = new EmbedBuilder()
+                .setTitle('🧹 User Data Purged')
+                .setDescription(Object.keys(affected).length > 0
+                    ? Object.entries(affected).map(([table, count]) => `\`${table}\`: ${count}`).join('\n')
+                    : 'Nothing was stored about this user.')
+                .addFields({ name: 'User ID', value: purgeUserId, inline: true })
+                .setColor(0x00ff00)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            await interaction.update({ embeds: [purgeEmbed], components: [] });
+        } catch (error) {
+            log.privacy.error('purge_failed', `Purge of user ${purgeUserId} failed`, { userId: purgeUserId, purgedBy: interaction.user.id, error });
+            await interaction.update({ content: `❌ Purge failed: ${error.message}`, embeds: [], components: [] });
+        }
+    }
+
+    // Work out what has been deleted since the snapshot was taken
+    buildRestorePlan(guild, snapshotData) {
+        const missingRoles = snapshotData.roles.filter(role => !guild.roles.cache.has(role.id));
+        const missingChannels = snapshotData.channels.filter(channel => !guild.channels.cache.has(channel.id));
+        const missingRoleIds = new Set(missingRoles.map(role => role.id));
+
+        return {
+            roles: missingRoles.sort((a, b) => b.position - a.position),
+            categories: missingChannels.filter(channel => channel.type === ChannelType.GuildCategory).sort((a, b) => a.position - b.position),
+            channels: missingChannels.filter(channel => channel.type !== ChannelType.GuildCategory).sort((a, b) => a.position - b.position),
+            // Surviving channels that lost overwrites for deleted roles
+            overwriteChannels: snapshotData.channels.filter(channel =>
+                guild.channels.cache.has(channel.id) && channel.permissionOverwrites.some(overwrite => missingRoleIds.has(overwrite.id))
+            ),
+            memberships: missingRoles.reduce((total, role) => total + role.members.filter(id => guild.members.cache.has(id)).length, 0)
+        };
+    }
+
+    buildRestorePreviewEmbed(snapshot, plan) {
+        const listNames = (items, prefix) => {
+            if (items.length === 0) return 'None';
+            const list = items.map(item => `${prefix}${item.name}`).join(', ');
+            return list.length > 1024 ? list.substring(0, 1020) + '...' : list;
+        };
+
+        return new EmbedBuilder()
+            .setTitle('🧪 Anti-Nuke Restore Preview (Dry Run)')
+            .setDescription(`Comparing the server against snapshot **#${snapshot.id}** taken <t:${Math.floor(new Date(`${snapshot.created_at}Z`).getTime() / 1000)}:R>.\nNothing has been changed yet.`)
+            .addFields(
+                { name: `🎭 Roles to recreate (${plan.roles.length})`, value: listNames(plan.roles, '@'), inline: false },
+                { name: `📁 Categories to recreate (${plan.categories.length})`, value: listNames(plan.categories, ''), inline: false },
+                { name: `💬 Channels to recreate (${plan.channels.length})`, value: listNames(plan.channels, '#'), inline: false },
+                { name: '👥 Role Assignments', value: `${plan.memberships} member role(s) will be re-applied`, inline: true },
+                { name: '🔐 Permission Fixes', value: `${plan.overwriteChannels.length} existing channel(s) will get their overwrites back`, inline: true }
+            )
+            .setColor(0xffaa00)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+    }
+
+    async executeRestorePlan(guild, plan, reason) {
+        const roleMap = new Map(); // snapshot role id -> recreated role id
+        const channelMap = new Map(); // snapshot channel id -> recreated channel id
+        const results = { roles: 0, channels: 0, memberships: 0, overwrites: 0, failed: [] };
+
+        // Overwrites pointing at recreated roles are remapped; ones for roles/members that no longer exist are dropped
+        const mapOverwrites = overwrites => overwrites
+            .map(overwrite => ({ ...overwrite, id: roleMap.get(overwrite.id) || overwrite.id }))
+            .filter(overwrite => guild.roles.cache.has(overwrite.id) || guild.members.cache.has(overwrite.id))
+            .map(overwrite => ({ id: overwrite.id, type: overwrite.type, allow: BigInt(overwrite.allow), deny: BigInt(overwrite.deny) }));
+
+        // 1. Roles, highest first so relative ordering survives
+        for (const roleData of plan.roles) {
+            try {
+                const role = await guild.roles.create({
+                    name: roleData.name,
+                    color: roleData.color,
+                    hoist: roleData.hoist,
+                    mentionable: roleData.mentionable,
+                    permissions: BigInt(roleData.permissions),
+                    position: roleData.position,
+                    reason
+                });
+                roleMap.set(roleData.id, role.id);
+                results.roles++;
+
+                for (const memberId of roleData.members) {
+                    const member = guild.members.cache.get(memberId);
+                    if (!member) continue;
+                    try {
+                        await member.roles.add(role, reason);
+                        results.memberships++;
+                    } catch (error) {
+                        // Member may have left or be above the bot
+                    }
+                }
+            } catch (error) {
+                results.failed.push(`@${roleData.name}: ${error.message}`);
+            }
+        }
+
+        // 2. Categories, then the channels inside them
+        for (const channelData of [...plan.categories, ...plan.channels]) {
+            const parentId = channelData.parentId
+                ? channelMap.get(channelData.parentId) || (guild.channels.cache.has(channelData.parentId) ? channelData.parentId : null)
+                : null;
+
+            try {
+                const channel = await guild.channels.create({
+                    name: channelData.name,
+                    type: channelData.type,
+                    parent: parentId,
+                    topic: channelData.topic ?? undefined,
+                    nsfw: channelData.nsfw,
+                    rateLimitPerUser: channelData.rateLimitPerUser || undefined,
+                    bitrate: channelData.bitrate ?? undefined,
+                    userLimit: channelData.userLimit ?? undefined,
+                    permissionOverwrites: mapOverwrites(channelData.permissionOverwrites),
+                    position: channelData.position,
+                    reason
+                });
+                channelMap.set(channelData.id, channel.id);
+                results.channels++;
+            } catch (error) {
+                results.failed.push(`#${channelData.name}: ${error.message}`);
+            }
+        }
+
+        // 3. Put recreated roles back into the overwrites of channels that survived
+        for (const channelData of plan.overwriteChannels) {
+            const channel = guild.channels.cache.get(channelData.id);
+            if (!channel) continue;
+
+            const lostOverwrites = mapOverwrites(channelData.permissionOverwrites.filter(overwrite => roleMap.has(overwrite.id)));
+            if (lostOverwrites.length === 0) continue;
+
+            try {
+                const currentOverwrites = channel.permissionOverwrites.cache.map(overwrite => ({
+                    id: overwrite.id,
+                    type: overwrite.type,
+                    allow: overwrite.allow.bitfield,
+                    deny: overwrite.deny.bitfield
+                }));
+                await channel.permissionOverwrites.set([...currentOverwrites, ...lostOverwrites], reason);
+                results.overwrites++;
+            } catch (error) {
+                results.failed.push(`#${channel.name} overwrites: ${error.message}`);
+            }
+        }
+
+        return results;
+    }
+
+    async handleAntiNukeRestoreButton(interaction) {
+        if (!this.hasAdminPermission(interaction.member)) {
+            return interaction.reply({ content: '❌ Only Administrators can restore from a snapshot!', flags: MessageFlags.Ephemeral });
+        }
+
+        if (interaction.customId === 'antinuke_restore_cancel') {
+            const cancelEmbed = new EmbedBuilder()
+                .setTitle('❎ Restore Cancelled')
+                .setDescription('No changes were made.')
+                .setColor(0x999999)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+            return interaction.update({ embeds: [cancelEmbed], components: [] });
+        }
+
+        const snapshotId = parseInt(interaction.customId.replace('antinuke_restore_confirm_', ''));
+        const snapshot = await this.dbManager.getGuildSnapshot(interaction.guild.id, snapshotId);
+        if (!snapshot) {
+            return interaction.update({ content: '❌ That snapshot no longer exists!', embeds: [], components: [] });
+        }
+
+        // Re-plan against the current state in case something changed since the preview
+        const plan = this.buildRestorePlan(interaction.guild, snapshot.data);
+
+        const progressEmbed = new EmbedBuilder()
+            .setTitle('♻️ Restoring Server...')
+            .setDescription(`Recreating ${plan.roles.length} role(s) and ${plan.categories.length + plan.channels.length} channel(s) from snapshot **#${snapshot.id}**. This can take a while.`)
+            .setColor(0x0099ff)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+        await interaction.update({ embeds: [progressEmbed], components: [] });
+
+        const results = await this.executeRestorePlan(interaction.guild, plan, `Anti-nuke restore from snapshot #${snapshot.id} by ${interaction.user.tag}`);
+
+        const resultEmbed = new EmbedBuilder()
+            .setTitle(results.failed.length === 0 ? '✅ SERVER RESTORED' : '⚠️ SERVER PARTIALLY RESTORED')
+            .setDescription(`Restored from snapshot **#${snapshot.id}** by ${interaction.user.tag}`)
+            .addFields(
+                { name: '🎭 Roles Recreated', value: `${results.roles}/${plan.roles.length}`, inline: true },
+                { name: '💬 Channels Recreated', value: `${results.channels}/${plan.categories.length + plan.channels.length}`, inline: true },
+                { name: '👥 Role Assignments', value: results.memberships.toString(), inline: true },
+                { name: '🔐 Channels Re-permissioned', value: results.overwrites.toString(), inline: true }
+            )
+            .setColor(results.failed.length === 0 ? 0x00ff00 : 0xffaa00)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+
+        if (results.failed.length > 0) {
+            const failedList = results.failed.join('\n');
+            resultEmbed.addFields({ name: '❌ Failed', value: failedList.length > 1024 ? failedList.substring(0, 1020) + '...' : failedList, inline: false });
+        }
+
+        await interaction.editReply({ embeds: [resultEmbed] });
+        await this.sendToLogChannel(interaction.guild, resultEmbed);
+    }
+
     handleAdminAction(guild, actionType) {
         // Track admin actions for monitoring
         const key = `${guild.id}-admin-${actionType}`;
@@ -1567,7 +3288,7 @@ class GuardianBot {
 
             // Don't neutralize protected users
             if (this.isProtectedFromAI(userId, guild)) {
-                console.log(`⚠️ [AI-PROTECT] Skipping protected user: ${member.user.tag}`);
+                log.aiProtection.info('protected_user_skipped', `Skipping protected user: ${member.user.tag}`, { guildId: guild.id, userId, threatType: actionType });
                 return { success: false, reason: 'Protected user' };
             }
 
@@ -1586,7 +3307,7 @@ class GuardianBot {
                     actionsPerformed.push(`Stripped ${rolesToRemove.size} roles`);
                 }
             } catch (roleError) {
-                console.error('[AI-PROTECT] Failed to strip roles:', roleError.message);
+                log.aiProtection.error('strip_roles_failed', `Failed to strip roles from ${member.user.tag}`, { guildId: guild.id, userId, error: roleError });
             }
 
             // 2. Apply 24-hour timeout
@@ -1595,10 +3316,24 @@ class GuardianBot {
                 await member.timeout(timeoutDuration, `[AI-PROTECT] ${reason}`);
                 actionsPerformed.push('24hr timeout applied');
             } catch (timeoutError) {
-                console.error('[AI-PROTECT] Failed to timeout:', timeoutError.message);
+                log.aiProtection.error('timeout_failed', `Failed to timeout ${member.user.tag}`, { guildId: guild.id, userId, error: timeoutError });
+            }
+
+            // 3. Log the action
+            let neutralizeCase = null;
+            if (this.dbManager && this.dbManager.isConnected && actionsPerformed.length > 0) {
+                neutralizeCase = await this.dbManager.logModeration(
+                    guild.id,
+                    'neutralize',
+                    this.client.user.id,
+                    this.client.user.username,
+                    userId,
+                    member.user.tag,
+                    `[AI-PROTECT] ${reason}`,
+                    { threat_type: actionType, actions: actionsPerformed }
+                );
             }
 
-            // 3. Log the action
             const neutralizeEmbed = new EmbedBuilder()
                 .setTitle('🛡️ THREAT NEUTRALIZED')
                 .setDescription(`**${member.user.tag}** has been neutralized by AI Protection`)
@@ -1612,6 +3347,10 @@ class GuardianBot {
                 .setFooter({ text: 'AI Protection System | GuardianBot' })
                 .setTimestamp();
 
+            if (neutralizeCase) {
+                neutralizeEmbed.addFields({ name: '📁 Case', value: `#${neutralizeCase}`, inline: true });
+            }
+
             await this.sendToLogChannel(guild, neutralizeEmbed);
 
             // 4. Notify server owner via DM
@@ -1632,11 +3371,11 @@ class GuardianBot {
                 // Owner DMs may be closed
             }
 
-            console.log(`🛡️ [AI-PROTECT] Neutralized ${member.user.tag}: ${reason}`);
+            log.aiProtection.warn('threat_neutralized', `Neutralized ${member.user.tag}: ${reason}`, { guildId: guild.id, userId, threatType: actionType, caseId: neutralizeCase, actions: actionsPerformed });
             return { success: true, actions: actionsPerformed };
 
         } catch (error) {
-            console.error('[AI-PROTECT] Neutralize failed:', error);
+            log.aiProtection.error('neutralize_failed', 'Neutralize failed', { guildId: guild.id, userId, threatType: actionType, error });
             return { success: false, reason: error.message };
         }
     }
@@ -1679,7 +3418,7 @@ class GuardianBot {
             if (!entry.executor || entry.executor.bot) return;
 
             const count = this.trackSuspiciousAction(channel.guild, entry.executor.id, 'channelCreate');
-            console.log(`📢 [AI-PROTECT] Channel created by ${entry.executor.tag}: ${channel.name} (${count} in 5min)`);
+            log.aiProtection.info('channel_created', `Channel created by ${entry.executor.tag}: ${channel.name} (${count} in 5min)`, { guildId: channel.guild.id, userId: entry.executor.id, count });
 
             // Threshold: 5 channels in 5 minutes = suspicious
             if (count >= 5) {
@@ -1691,7 +3430,7 @@ class GuardianBot {
                 );
             }
         } catch (error) {
-            console.error('[AI-PROTECT] channelCreate error:', error.message);
+            log.aiProtection.error('channel_create_check_failed', 'channelCreate check failed', { guildId: channel.guild.id, error });
         }
     }
 
@@ -1722,7 +3461,7 @@ class GuardianBot {
 
                     const entry = auditLogs.entries.first();
                     if (entry && entry.executor && !entry.executor.bot) {
-                        console.log(`🚨 [AI-PROTECT] Dangerous permission change by ${entry.executor.tag} on #${newChannel.name}`);
+                        log.aiProtection.warn('dangerous_permission_change', `Dangerous permission change by ${entry.executor.tag} on #${newChannel.name}`, { guildId: newChannel.guild.id, channelId: newChannel.id, userId: entry.executor.id });
                         await this.neutralizeThreat(
                             newChannel.guild,
                             entry.executor.id,
@@ -1743,7 +3482,7 @@ class GuardianBot {
                 }
             }
         } catch (error) {
-            console.error('[AI-PROTECT] channelUpdate error:', error.message);
+            log.aiProtection.error('channel_update_check_failed', 'channelUpdate check failed', { guildId: newChannel.guild?.id, error });
         }
     }
 
@@ -1768,7 +3507,7 @@ class GuardianBot {
             if (!entry.executor || entry.executor.bot) return;
             if (this.isProtectedFromAI(entry.executor.id, role.guild)) return;
 
-            console.log(`🚨 [AI-PROTECT] Admin role created by ${entry.executor.tag}: @${role.name}`);
+            log.aiProtection.warn('admin_role_created', `Admin role created by ${entry.executor.tag}: @${role.name}`, { guildId: role.guild.id, roleId: role.id, userId: entry.executor.id });
 
             // Delete the suspicious role
             await role.delete(`[AI-PROTECT] Unauthorized admin role creation by ${entry.executor.tag}`).catch(() => {});
@@ -1780,7 +3519,7 @@ class GuardianBot {
                 'Privilege Escalation'
             );
         } catch (error) {
-            console.error('[AI-PROTECT] roleCreate error:', error.message);
+            log.aiProtection.error('role_create_check_failed', 'roleCreate check failed', { guildId: role.guild.id, error });
         }
     }
 
@@ -1809,7 +3548,7 @@ class GuardianBot {
             if (!entry.executor || entry.executor.bot) return;
             if (this.isProtectedFromAI(entry.executor.id, newRole.guild)) return;
 
-            console.log(`🚨 [AI-PROTECT] Permission escalation by ${entry.executor.tag}: @${newRole.name} gained ${newDangerous.join(', ')}`);
+            log.aiProtection.warn('permission_escalation', `Permission escalation by ${entry.executor.tag}: @${newRole.name} gained ${newDangerous.join(', ')}`, { guildId: newRole.guild.id, roleId: newRole.id, userId: entry.executor.id, permissions: newDangerous });
 
             // Revert the permissions
             const revertPerms = {};
@@ -1823,7 +3562,7 @@ class GuardianBot {
                 'Privilege Escalation'
             );
         } catch (error) {
-            console.error('[AI-PROTECT] roleUpdate error:', error.message);
+            log.aiProtection.error('role_update_check_failed', 'roleUpdate check failed', { guildId: newRole.guild.id, error });
         }
     }
 
@@ -1857,7 +3596,7 @@ class GuardianBot {
             if (!entry.executor || entry.executor.bot) return;
             if (this.isProtectedFromAI(entry.executor.id, newGuild)) return;
 
-            console.log(`🚨 [AI-PROTECT] Server settings changed by ${entry.executor.tag}: ${criticalChanges.join(', ')}`);
+            log.aiProtection.warn('server_settings_changed', `Server settings changed by ${entry.executor.tag}: ${criticalChanges.join(', ')}`, { guildId: newGuild.id, userId: entry.executor.id, changes: criticalChanges });
 
             // Alert but don't neutralize for settings changes (owner might have delegated)
             const alertEmbed = new EmbedBuilder()
@@ -1872,7 +3611,7 @@ class GuardianBot {
 
             await this.sendToLogChannel(newGuild, alertEmbed);
         } catch (error) {
-            console.error('[AI-PROTECT] guildUpdate error:', error.message);
+            log.aiProtection.error('guild_update_check_failed', 'guildUpdate check failed', { guildId: newGuild.id, error });
         }
     }
 
@@ -1894,7 +3633,7 @@ class GuardianBot {
                 const count = this.trackSuspiciousAction(channel.guild, entry.executor.id, 'webhookCreate');
 
                 if (count >= 3) {
-                    console.log(`🚨 [AI-PROTECT] Mass webhook creation by ${entry.executor.tag}`);
+                    log.aiProtection.warn('webhook_spam', `Mass webhook creation by ${entry.executor.tag}`, { guildId: channel.guild.id, userId: entry.executor.id });
 
                     // Delete recent webhooks from this user
                     const webhooks = await channel.fetchWebhooks().catch(() => new Map());
@@ -1913,7 +3652,7 @@ class GuardianBot {
                 }
             }
         } catch (error) {
-            console.error('[AI-PROTECT] webhookUpdate error:', error.message);
+            log.aiProtection.error('webhook_update_check_failed', 'webhookUpdate check failed', { guildId: channel.guild?.id, error });
         }
     }
 
@@ -1934,7 +3673,7 @@ class GuardianBot {
             if (this.isProtectedFromAI(entry.executor.id, member.guild)) return;
 
             const count = this.trackSuspiciousAction(member.guild, entry.executor.id, 'kick');
-            console.log(`👢 [AI-PROTECT] Kick by ${entry.executor.tag}: ${member.user.tag} (${count} in 5min)`);
+            log.aiProtection.info('member_kicked', `Kick by ${entry.executor.tag}: ${member.user.tag} (${count} in 5min)`, { guildId: member.guild.id, userId: entry.executor.id, targetId: member.id, count });
 
             // Threshold: 5 kicks in 5 minutes = mass kick
             if (count >= 5) {
@@ -1946,7 +3685,7 @@ class GuardianBot {
                 );
             }
         } catch (error) {
-            console.error('[AI-PROTECT] memberRemove error:', error.message);
+            log.aiProtection.error('member_remove_check_failed', 'memberRemove check failed', { guildId: member.guild.id, error });
         }
     }
 
@@ -1966,7 +3705,7 @@ class GuardianBot {
             if (this.isProtectedFromAI(entry.executor.id, ban.guild)) return;
 
             const count = this.trackSuspiciousAction(ban.guild, entry.executor.id, 'ban');
-            console.log(`🔨 [AI-PROTECT] Ban by ${entry.executor.tag}: ${ban.user.tag} (${count} in 5min)`);
+            log.aiProtection.info('member_banned', `Ban by ${entry.executor.tag}: ${ban.user.tag} (${count} in 5min)`, { guildId: ban.guild.id, userId: entry.executor.id, targetId: ban.user.id, count });
 
             // Threshold: 5 bans in 5 minutes = mass ban
             if (count >= 5) {
@@ -1978,7 +3717,7 @@ class GuardianBot {
                 );
             }
         } catch (error) {
-            console.error('[AI-PROTECT] banAdd error:', error.message);
+            log.aiProtection.error('ban_add_check_failed', 'banAdd check failed', { guildId: ban.guild.id, error });
         }
     }
 
@@ -2011,7 +3750,7 @@ class GuardianBot {
             if (entry.executor && !entry.executor.bot) {
                 const count = this.trackSuspiciousAction(member.guild, entry.executor.id, 'botAdd');
                 if (count >= 3) {
-                    console.log(`🚨 [AI-PROTECT] Mass bot addition by ${entry.executor.tag}`);
+                    log.aiProtection.warn('bot_add_spam', `Mass bot addition by ${entry.executor.tag}`, { guildId: member.guild.id, userId: entry.executor.id });
                     await this.neutralizeThreat(
                         member.guild,
                         entry.executor.id,
@@ -2021,7 +3760,7 @@ class GuardianBot {
                 }
             }
         } catch (error) {
-            console.error('[AI-PROTECT] botAdded error:', error.message);
+            log.aiProtection.error('bot_added_check_failed', 'botAdded check failed', { guildId: member.guild.id, error });
         }
     }
 
@@ -2037,7 +3776,7 @@ class GuardianBot {
 
             // Threshold: 10 invites in 5 minutes = spam
             if (count >= 10) {
-                console.log(`🔗 [AI-PROTECT] Invite spam by ${invite.inviter.tag}`);
+                log.aiProtection.warn('invite_spam', `Invite spam by ${invite.inviter.tag}`, { guildId: invite.guild.id, userId: invite.inviter.id, count });
 
                 // Delete the invite
                 await invite.delete('[AI-PROTECT] Invite spam').catch(() => {});
@@ -2050,7 +3789,7 @@ class GuardianBot {
                 );
             }
         } catch (error) {
-            console.error('[AI-PROTECT] inviteCreate error:', error.message);
+            log.aiProtection.error('invite_create_check_failed', 'inviteCreate check failed', { guildId: invite.guild?.id, error });
         }
     }
 
@@ -2075,7 +3814,7 @@ class GuardianBot {
             const count = this.trackSuspiciousAction(channel.guild, entry.executor.id, 'bulkDelete');
             const totalDeleted = messages.size;
 
-            console.log(`🗑️ [AI-PROTECT] Bulk delete by ${entry.executor.tag}: ${totalDeleted} messages (${count} bulk actions in 5min)`);
+            log.aiProtection.info('bulk_delete', `Bulk delete by ${entry.executor.tag}: ${totalDeleted} messages (${count} bulk actions in 5min)`, { guildId: channel.guild.id, channelId: channel.id, userId: entry.executor.id, deleted: totalDeleted, count });
 
             // Threshold: 3 bulk deletes OR 500+ messages in 5 minutes
             if (count >= 3 || totalDeleted >= 500) {
@@ -2087,7 +3826,7 @@ class GuardianBot {
                 );
             }
         } catch (error) {
-            console.error('[AI-PROTECT] bulkDelete error:', error.message);
+            log.aiProtection.error('bulk_delete_check_failed', 'bulkDelete check failed', { guildId: messages.first()?.guild?.id, error });
         }
     }
 
@@ -2118,7 +3857,7 @@ class GuardianBot {
 
             // Check if someone gave THEMSELVES admin roles
             if (entry.executor.id === newMember.id) {
-                console.log(`🚨 [AI-PROTECT] Self-privilege escalation by ${newMember.user.tag}`);
+                log.aiProtection.warn('self_privilege_escalation', `Self-privilege escalation by ${newMember.user.tag}`, { guildId: newMember.guild.id, userId: newMember.id });
 
                 // Remove the roles they added
                 await newMember.roles.remove(dangerousRoles, '[AI-PROTECT] Self-privilege escalation detected').catch(() => {});
@@ -2135,7 +3874,7 @@ class GuardianBot {
             // Someone else gave them admin - just log it
             if (!this.isProtectedFromAI(newMember.id, newMember.guild)) {
                 const roleNames = dangerousRoles.map(r => `@${r.name}`).join(', ');
-                console.log(`⚠️ [AI-PROTECT] Admin roles given to ${newMember.user.tag} by ${entry.executor.tag}: ${roleNames}`);
+                log.aiProtection.warn('admin_roles_granted', `Admin roles given to ${newMember.user.tag} by ${entry.executor.tag}: ${roleNames}`, { guildId: newMember.guild.id, userId: entry.executor.id, targetId: newMember.id });
 
                 const alertEmbed = new EmbedBuilder()
                     .setTitle('⚠️ ADMIN ROLES ASSIGNED')
@@ -2151,7 +3890,7 @@ class GuardianBot {
                 await this.sendToLogChannel(newMember.guild, alertEmbed);
             }
         } catch (error) {
-            console.error('[AI-PROTECT] memberUpdate error:', error.message);
+            log.aiProtection.error('member_update_check_failed', 'memberUpdate check failed', { guildId: newMember.guild.id, error });
         }
     }
 
@@ -2226,7 +3965,7 @@ class GuardianBot {
 
     // Elon Musk AI Response Handler
     async handleSkeeterMention(message) {
-        console.log(`💋 Handling SKEETER mention - Hot MILF Nerd mode activated`);
+        log.ai.debug('skeeter_mention', 'Handling Skeeter mention', { guildId: message.guild?.id, userId: message.author.id });
 
         const skeeterResponses = [
             `Hey handsome~ 😏 Working late on the server again? You know I love a man who's dedicated to his craft...`,
@@ -2252,7 +3991,7 @@ class GuardianBot {
     }
 
     async handleElonMention(message) {
-        console.log(`🚀 Handling Elon mention from ${message.author.username}`);
+        log.ai.debug('elon_mention', `Handling Elon mention from ${message.author.username}`, { guildId: message.guild?.id, userId: message.author.id });
 
         // Check if user is being aggressive
         const isAggressive = this.isAggressiveMessage(message.content);
@@ -2262,7 +4001,7 @@ class GuardianBot {
             user: message.author.toString()
         });
 
-        console.log(`🚀 Elon response: ${elonResponse}`);
+        log.ai.debug('elon_response', `Elon response category: ${responseCategory}`, { guildId: message.guild?.id, userId: message.author.id, category: responseCategory });
 
         // Extra savage mode for aggressive users
         let additionalTroll = '';
@@ -2321,18 +4060,18 @@ class GuardianBot {
         
         if (mentionedUsers.size === 0) return false;
         
-        console.log(`🔍 Mentioned users: ${Array.from(mentionedUsers.values()).map(u => `${u.username}#${u.discriminator} (${u.id})`).join(', ')}`);
+        log.security.debug('mentions_checked', `Checking ${mentionedUsers.size} mention(s) for the server owner`, { guildId: message.guild.id, userId: message.author.id, mentions: [...mentionedUsers.keys()] });
         
         // Check each mentioned user for server owner
         for (const [userId, user] of mentionedUsers) {
             // Check if mentioned user is the server owner
             if (user.id === message.guild.ownerId) {
-                console.log(`✅ Found server owner mention: ${user.username} (${user.id})`);
+                log.security.debug('owner_mention_matched', `Found server owner mention: ${user.username}`, { guildId: message.guild.id, userId: message.author.id, ownerId: user.id });
                 return true;
             }
         }
         
-        console.log(`❌ No server owner match found in mentions`);
+        log.security.debug('owner_mention_not_found', 'No server owner match found in mentions', { guildId: message.guild.id, userId: message.author.id });
         return false;
     }
 
@@ -2368,7 +4107,7 @@ class GuardianBot {
                 : `🚨 **SERVER OWNER PROTECTION WARNING** 🚨\n\n${mixedResponse}\n\nBe respectful when mentioning ${ownerName}!`;
             await message.author.send(dmMessage);
         } catch (error) {
-            console.log('Could not DM admin owner protection warning');
+            log.security.debug('owner_warning_dm_failed', 'Could not DM server owner protection warning', { guildId: message.guild.id, userId: message.author.id });
         }
     }
 
@@ -2436,7 +4175,7 @@ class GuardianBot {
         }
 
         // Log the natural language command for audit
-        console.log(`🔧 Natural language command from ${message.author.tag} (${message.author.id}): ${content.substring(0, 100)}`);
+        log.commands.info('natural_language_command', `Natural language command from ${message.author.tag}`, { guildId: message.guild.id, userId: message.author.id, content: content.substring(0, 100) });
         
         // Determine action priority: ban > kick > mute
         let action = 'mute';
@@ -2480,11 +4219,11 @@ class GuardianBot {
                         if (this.dbManager && this.dbManager.isConnected) {
                             await this.dbManager.logModeration(
                                 message.guild.id,
-                                user.id,
-                                user.tag,
+                                'ban',
                                 message.author.id,
                                 message.author.tag,
-                                'ban',
+                                user.id,
+                                user.tag,
                                 reason
                             );
                         }
@@ -2497,11 +4236,11 @@ class GuardianBot {
                         if (this.dbManager && this.dbManager.isConnected) {
                             await this.dbManager.logModeration(
                                 message.guild.id,
-                                user.id,
-                                user.tag,
+                                'kick',
                                 message.author.id,
                                 message.author.tag,
-                                'kick',
+                                user.id,
+                                user.tag,
                                 reason
                             );
                         }
@@ -2514,20 +4253,20 @@ class GuardianBot {
                         if (this.dbManager && this.dbManager.isConnected) {
                             await this.dbManager.logModeration(
                                 message.guild.id,
-                                user.id,
-                                user.tag,
+                                'mute',
                                 message.author.id,
                                 message.author.tag,
-                                'timeout',
+                                user.id,
+                                user.tag,
                                 reason,
-                                this.formatDuration(duration)
+                                { duration: this.formatDuration(duration) }
                             );
                         }
                         break;
                 }
                 
             } catch (error) {
-                console.error(`Error executing ${action} on ${user.tag}:`, error);
+                log.commands.error('natural_language_action_failed', `Error executing ${action} on ${user.tag}`, { guildId: message.guild.id, userId: message.author.id, targetId: user.id, action, error });
                 failures.push(`${user.tag} - ${error.message}`);
             }
         }
@@ -2613,12 +4352,12 @@ class GuardianBot {
             // Verify user is bot owner
             if (!config.ownerIds.includes(message.author.id)) {
                 await message.reply('😤 Nice try, but only my owner can restart me!');
-                console.log('⚠️ Unauthorized restart attempt by', message.author.tag);
+                log.security.warn('unauthorized_restart', `Unauthorized restart attempt by ${message.author.tag}`, { guildId: message.guild?.id, userId: message.author.id });
                 return true;
             }
             
             await message.reply('🔄 Restarting bot... Be right back!');
-            console.log('🔄 Restart initiated by', message.author.tag);
+            log.bot.warn('restart_requested', `Restart initiated by ${message.author.tag}`, { guildId: message.guild?.id, userId: message.author.id });
             
             // Spawn new process before exiting
             const { spawn } = require('child_process');
@@ -2635,17 +4374,12 @@ class GuardianBot {
         
         // Check for troll command FIRST (highest priority)
         if (content.includes('troll')) {
-            console.log('🎭 Troll command detected');
-            console.log('📝 Full message object keys:', Object.keys(message).slice(0, 10));
-            console.log('📝 Message content:', message.content);
-            console.log('📝 Message mentions exists?', !!message.mentions);
-            console.log('📝 Message mentions type:', typeof message.mentions);
-            console.log('📝 Message mentions size:', message.mentions?.size);
+            log.ai.debug('troll_command', 'Troll command detected', { guildId: message.guild?.id, userId: message.author.id, mentionCount: message.mentions?.size });
             
             // Extract mentions from content using regex for user IDs
             const mentionRegex = /<@!?(\d+)>/g;
             let mentionMatches = [...message.content.matchAll(mentionRegex)];
-            console.log('📝 Mention regex matches:', mentionMatches.length);
+            log.ai.debug('troll_mention_matches', `Mention regex matches: ${mentionMatches.length}`, { guildId: message.guild?.id });
             
             // Get first mentioned user - multiple approaches
             let trollTarget = null;
@@ -2657,7 +4391,7 @@ class GuardianBot {
                 } else if (typeof message.mentions.at === 'function') {
                     trollTarget = message.mentions.at(0);
                 }
-                console.log('✅ Got target from mentions collection');
+                log.ai.debug('troll_target_resolved', 'Got troll target from mentions collection', { guildId: message.guild?.id, source: 'mentions' });
             }
             
             // Approach 2: Extract from regex if collection didn't work
@@ -2666,20 +4400,20 @@ class GuardianBot {
                 const targetId = mentionMatches[1][1];
                 try {
                     trollTarget = await message.guild.members.fetch(targetId).then(m => m.user);
-                    console.log('✅ Got target from regex parsing');
+                    log.ai.debug('troll_target_resolved', 'Got troll target from regex parsing', { guildId: message.guild?.id, source: 'regex' });
                 } catch (e) {
-                    console.log('⚠️ Could not fetch user from ID:', e.message);
+                    log.ai.debug('troll_target_fetch_failed', `Could not fetch user ${targetId}`, { guildId: message.guild?.id, targetId, error: e });
                 }
             }
             
             // Safety check - no one was mentioned
             if (!trollTarget) {
-                console.log('⚠️ No troll target found');
+                log.ai.debug('troll_target_missing', 'No troll target found', { guildId: message.guild?.id, userId: message.author.id });
                 await message.reply('😤 You need to mention someone to troll! Try: @GuardianBot troll @user');
                 return true;
             }
             
-            console.log('🎯 Troll target:', trollTarget.username);
+            log.ai.info('troll', `Trolling ${trollTarget.username}`, { guildId: message.guild?.id, userId: message.author.id, targetId: trollTarget.id });
             
             if (trollTarget.bot) {
                 await message.reply('😤 I can\'t troll another bot! That\'s not fun!');
@@ -2689,8 +4423,6 @@ class GuardianBot {
             const trollResponse = this.getGothResponse('troll')
                 .replace('{user}', trollTarget.username);
             
-            console.log('💬 Troll response:', trollResponse);
-            
             const embed = new EmbedBuilder()
                 .setTitle('🎭 TROLL MODE ACTIVATED')
                 .setDescription(trollResponse)
@@ -2929,15 +4661,15 @@ class GuardianBot {
             try {
                 await this.dbManager.logModeration(
                     message.guild.id,
-                    message.author.id,
-                    message.author.tag,
+                    'warning',
                     this.client.user.id,
                     'GothGuardian',
-                    'warning',
+                    message.author.id,
+                    message.author.tag,
                     `Goth Guardian defense: Mentioned protected owner ${owner.user.tag}`
                 );
             } catch (error) {
-                console.error('Error logging goth defense:', error);
+                log.ai.error('goth_defense_log_failed', 'Error logging goth defense', { guildId: message.guild.id, userId: message.author.id, error });
             }
         }
     }
@@ -3015,7 +4747,7 @@ class GuardianBot {
                         await member.roles.add(role, 'Auto-assigned join role');
                     }
                 } catch (error) {
-                    console.error('Failed to assign auto-role:', error);
+                    log.welcome.error('auto_role_failed', `Failed to assign auto-role ${settings.auto_role_id}`, { guildId: member.guild.id, userId: member.id, roleId: settings.auto_role_id, error });
                 }
             }
 
@@ -3028,7 +4760,7 @@ class GuardianBot {
                         await member.roles.add(role, 'Auto-assigned join role');
                     }
                 } catch (error) {
-                    console.error(`Failed to assign role ${joinRole.role_id}:`, error);
+                    log.welcome.error('join_role_failed', `Failed to assign join role ${joinRole.role_id}`, { guildId: member.guild.id, userId: member.id, roleId: joinRole.role_id, error });
                 }
             }
 
@@ -3038,7 +4770,7 @@ class GuardianBot {
             }
 
         } catch (error) {
-            console.error('Error handling welcome message:', error);
+            log.welcome.error('welcome_failed', 'Error handling welcome message', { guildId: member.guild.id, userId: member.id, error });
         }
     }
 
@@ -3089,7 +4821,7 @@ class GuardianBot {
             );
 
         } catch (error) {
-            console.error('Error handling verification:', error);
+            log.welcome.error('verification_failed', 'Error handling verification', { guildId: member.guild.id, userId: member.id, error });
         }
     }
 
@@ -3126,7 +4858,7 @@ class GuardianBot {
                 }
             }
         } catch (error) {
-            console.error('Error handling goodbye message:', error);
+            log.welcome.error('goodbye_failed', 'Error handling goodbye message', { guildId: member.guild.id, userId: member.id, error });
         }
     }
 
@@ -3172,44 +4904,658 @@ class GuardianBot {
                 }
             }
 
-            // Remove from unverified members
-            await this.dbManager.verifyMember(interaction.guild.id, member.id);
+            // Remove from unverified members
+            await this.dbManager.verifyMember(interaction.guild.id, member.id);
+
+            // Log verification
+            await this.dbManager.logVerification(
+                interaction.guild.id,
+                member.id,
+                member.user.username,
+                settings.verification_type,
+                'verified'
+            );
+
+            const verifiedEmbed = new EmbedBuilder()
+                .setTitle('✅ Verification Successful!')
+                .setDescription(`Welcome to ${interaction.guild.name}, ${member.toString()}!\n\nYou now have access to the server.`)
+                .setColor('#00ff00')
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [verifiedEmbed] });
+
+            // Notify in welcome/verification channel
+            const settings2 = await this.dbManager.getWelcomeSettings(interaction.guild.id);
+            if (settings2.welcome_channel_id) {
+                const welcomeChannel = interaction.guild.channels.cache.get(settings2.welcome_channel_id);
+                if (welcomeChannel && welcomeChannel.isTextBased()) {
+                    const notifyEmbed = new EmbedBuilder()
+                        .setTitle('✅ User Verified')
+                        .setDescription(`${member.toString()} has successfully verified!`)
+                        .setColor('#00ff00')
+                        .setTimestamp();
+                    await welcomeChannel.send({ embeds: [notifyEmbed] });
+                }
+            }
+
+        } catch (error) {
+            log.welcome.error('verification_button_failed', 'Error handling verification button', { guildId: interaction.guild?.id, userId: interaction.user.id, error });
+            await interaction.editReply({ content: '❌ An error occurred during verification.' });
+        }
+    }
+
+    // =================================================================
+    // TICKET SYSTEM - Panel, private ticket channels, claim/close and transcripts
+    // =================================================================
+
+    getTicketStaffRoleIds(guild) {
+        const ticketRoles = config.tickets?.staffRoleIds || [];
+        return ticketRoles.length > 0 ? ticketRoles : this.getGuildConfig(guild).adminRoleIds;
+    }
+
+    isTicketStaff(member) {
+        if (!member) return false;
+        return this.hasPermission(member) || this.getTicketStaffRoleIds(member.guild).some(roleId => member.roles.cache.has(roleId));
+    }
+
+    buildTicketControls(claimedByTag = null) {
+        const claimButton = new ButtonBuilder()
+            .setCustomId('ticket_claim')
+            .setLabel(claimedByTag ? `Claimed by ${claimedByTag}`.substring(0, 80) : '🙋 Claim')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(Boolean(claimedByTag));
+
+        const closeButton = new ButtonBuilder()
+            .setCustomId('ticket_close')
+            .setLabel('🔒 Close')
+            .setStyle(ButtonStyle.Danger);
+
+        return new ActionRowBuilder().addComponents(claimButton, closeButton);
+    }
+
+    async handleTicketButton(interaction) {
+        if (interaction.customId === 'ticket_open') {
+            const modal = new ModalBuilder()
+                .setCustomId('ticket_modal')
+                .setTitle('Open a Support Ticket');
+
+            const subjectInput = new TextInputBuilder()
+                .setCustomId('ticket_subject')
+                .setLabel('Subject')
+                .setStyle(TextInputStyle.Short)
+                .setMaxLength(100)
+                .setRequired(true);
+
+            const descriptionInput = new TextInputBuilder()
+                .setCustomId('ticket_description')
+                .setLabel('How can staff help?')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(1000)
+                .setRequired(false);
+
+            modal.addComponents(
+                new ActionRowBuilder().addComponents(subjectInput),
+                new ActionRowBuilder().addComponents(descriptionInput)
+            );
+
+            return interaction.showModal(modal);
+        }
+
+        if (interaction.customId === 'ticket_claim') {
+            return this.handleTicketClaim(interaction);
+        }
+
+        if (interaction.customId === 'ticket_close') {
+            return this.handleTicketClose(interaction);
+        }
+    }
+
+    async handleTicketModal(interaction) {
+        const subject = interaction.fields.getTextInputValue('ticket_subject');
+        const description = interaction.fields.getTextInputValue('ticket_description') || null;
+        await this.createTicket(interaction, subject, description);
+    }
+
+    async createTicket(interaction, subject, description) {
+        try {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+            if (!this.dbManager || !this.dbManager.isConnected) {
+                return interaction.editReply({ content: '❌ Tickets are unavailable while the database is offline. Please try again later.' });
+            }
+
+            const guild = interaction.guild;
+            const existing = await this.dbManager.getOpenTicketByCreator(guild.id, interaction.user.id);
+            if (existing && guild.channels.cache.has(existing.channel_id)) {
+                return interaction.editReply({ content: `❌ You already have an open ticket: <#${existing.channel_id}>` });
+            }
+
+            const ticketNumber = await this.dbManager.getNextTicketNumber(guild.id);
+            const staffRoleIds = this.getTicketStaffRoleIds(guild).filter(roleId => guild.roles.cache.has(roleId));
+
+            const permissionOverwrites = [
+                { id: guild.roles.everyone.id, deny: [PermissionFlagsBits.ViewChannel] },
+                {
+                    id: interaction.user.id,
+                    allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory, PermissionFlagsBits.AttachFiles]
+                },
+                {
+                    id: this.client.user.id,
+                    allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory, PermissionFlagsBits.ManageChannels]
+                },
+                ...staffRoleIds.map(roleId => ({
+                    id: roleId,
+                    allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ReadMessageHistory, PermissionFlagsBits.ManageMessages]
+                }))
+            ];
+
+            const category = config.tickets?.categoryId ? guild.channels.cache.get(config.tickets.categoryId) : null;
+            const ticketChannel = await guild.channels.create({
+                name: `ticket-${String(ticketNumber).padStart(4, '0')}`,
+                type: ChannelType.GuildText,
+                parent: category && category.type === ChannelType.GuildCategory ? category.id : null,
+                topic: `Ticket #${ticketNumber} • ${interaction.user.tag} (${interaction.user.id}) • ${subject}`.substring(0, 1024),
+                permissionOverwrites,
+                reason: `Ticket opened by ${interaction.user.tag}`
+            });
+
+            await this.dbManager.saveTicket({
+                ticketId: `${guild.id}-${ticketNumber}`,
+                guildId: guild.id,
+                channelId: ticketChannel.id,
+                creatorId: interaction.user.id,
+                creatorUsername: interaction.user.tag,
+                subject,
+                description,
+                priority: 'medium'
+            });
+
+            const ticketEmbed = new EmbedBuilder()
+                .setTitle(`🎫 Ticket #${ticketNumber}: ${subject}`.substring(0, 256))
+                .setDescription(description || 'No description provided.')
+                .addFields(
+                    { name: '👤 Opened By', value: `${interaction.user.toString()} (${interaction.user.tag})`, inline: true },
+                    { name: '📋 Status', value: 'Waiting for staff', inline: true }
+                )
+                .setColor(0x0099ff)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            await ticketChannel.send({
+                content: `${interaction.user.toString()} ${staffRoleIds.map(roleId => `<@&${roleId}>`).join(' ')}`.trim(),
+                embeds: [ticketEmbed],
+                components: [this.buildTicketControls()]
+            });
+
+            await interaction.editReply({ content: `✅ Your ticket has been opened: ${ticketChannel.toString()}` });
+        } catch (error) {
+            log.tickets.error('ticket_create_failed', 'Error creating ticket', { guildId: interaction.guild?.id, userId: interaction.user.id, error });
+            await interaction.editReply({ content: '❌ Failed to open a ticket. Please contact staff directly.' }).catch(() => {});
+        }
+    }
+
+    async handleTicketClaim(interaction) {
+        if (!this.isTicketStaff(interaction.member)) {
+            return interaction.reply({ content: '❌ Only staff can claim tickets!', flags: MessageFlags.Ephemeral });
+        }
+
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return interaction.reply({ content: '❌ Tickets are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+        }
+
+        const ticket = await this.dbManager.getTicket(interaction.channel.id);
+        if (!ticket) {
+            return interaction.reply({ content: '❌ This channel is not a ticket!', flags: MessageFlags.Ephemeral });
+        }
+
+        const claimed = await this.dbManager.claimTicket(interaction.channel.id, interaction.user.id, interaction.user.tag);
+        if (!claimed) {
+            return interaction.reply({ content: `❌ This ticket has already been ${ticket.status === 'claimed' ? `claimed by **${ticket.claimed_by_username}**` : ticket.status}.`, flags: MessageFlags.Ephemeral });
+        }
+
+        // Time from the ticket being opened to a staff member picking it up
+        const responseTime = Date.now() - new Date(`${ticket.created_at}Z`).getTime();
+        await this.dbManager.updateStaffStats(interaction.user.id, interaction.user.username, 'tickets_claimed', responseTime);
+
+        await interaction.update({ components: [this.buildTicketControls(interaction.user.tag)] });
+
+        const claimEmbed = new EmbedBuilder()
+            .setDescription(`🙋 ${interaction.user.toString()} has claimed this ticket and will be helping you.`)
+            .setColor(0x00ff00)
+            .setFooter({ text: `Response time: ${this.formatDuration(responseTime)}` });
+
+        await interaction.channel.send({ embeds: [claimEmbed] });
+    }
+
+    async handleTicketClose(interaction) {
+        if (!this.dbManager || !this.dbManager.isConnected) {
+            return interaction.reply({ content: '❌ Tickets are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+        }
+
+        const ticket = await this.dbManager.getTicket(interaction.channel.id);
+        if (!ticket) {
+            return interaction.reply({ content: '❌ This channel is not a ticket!', flags: MessageFlags.Ephemeral });
+        }
+
+        const isStaff = this.isTicketStaff(interaction.member);
+        if (!isStaff && interaction.user.id !== ticket.creator_id) {
+            return interaction.reply({ content: '❌ Only staff or the ticket creator can close this ticket!', flags: MessageFlags.Ephemeral });
+        }
+
+        if (ticket.status === 'closed' || ticket.status === 'deleted') {
+            return interaction.reply({ content: '❌ This ticket is already closed!', flags: MessageFlags.Ephemeral });
+        }
+
+        await interaction.deferReply();
+
+        try {
+            const transcript = await this.buildTicketTranscript(interaction.channel, ticket);
+            const transcriptDir = config.tickets?.transcriptDir || './data/transcripts';
+            fs.mkdirSync(transcriptDir, { recursive: true });
+            const transcriptPath = path.join(transcriptDir, `${ticket.ticket_id}.html`);
+            fs.writeFileSync(transcriptPath, transcript.html);
+
+            await this.dbManager.closeTicket(interaction.channel.id, interaction.user.id, interaction.user.tag, transcriptPath);
+            if (isStaff) {
+                await this.dbManager.updateStaffStats(interaction.user.id, interaction.user.username, 'tickets_closed');
+            }
+
+            const closeEmbed = new EmbedBuilder()
+                .setTitle('🔒 Ticket Closed')
+                .setDescription(`**Ticket:** ${ticket.ticket_id} - ${ticket.subject}`)
+                .addFields(
+                    { name: '👤 Opened By', value: `<@${ticket.creator_id}> (${ticket.creator_username})`, inline: true },
+                    { name: '🙋 Claimed By', value: ticket.claimed_by ? `<@${ticket.claimed_by}>` : 'Unclaimed', inline: true },
+                    { name: '🔒 Closed By', value: `${interaction.user.toString()}`, inline: true },
+                    { name: '💬 Messages', value: transcript.messageCount.toString(), inline: true },
+                    { name: '⏱️ Open For', value: this.formatDuration(Date.now() - new Date(`${ticket.created_at}Z`).getTime()), inline: true }
+                )
+                .setColor(0xff9900)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            // Ticket transcripts can go to their own channel, otherwise the guild's log channel
+            const ticketLogChannel = config.tickets?.logChannelId ? interaction.guild.channels.cache.get(config.tickets.logChannelId) : null;
+            const logChannel = ticketLogChannel || await this.getLogChannel(interaction.guild);
+            if (logChannel) {
+                await logChannel.send({
+                    embeds: [closeEmbed],
+                    files: [new AttachmentBuilder(Buffer.from(transcript.html), { name: `${ticket.ticket_id}.html` })]
+                }).catch(error => log.tickets.error('transcript_post_failed', 'Failed to post ticket transcript', { guildId: interaction.guild.id, ticketId: ticket.ticket_id, error }));
+            }
+
+            await interaction.editReply({ content: '🔒 Ticket closed. A transcript has been saved. This channel will be deleted in 10 seconds.' });
+
+            setTimeout(() => {
+                interaction.channel.delete(`Ticket closed by ${interaction.user.tag}`).catch(error => log.tickets.error('ticket_channel_delete_failed', 'Failed to delete ticket channel', { guildId: interaction.guild.id, channelId: interaction.channel.id, error }));
+            }, 10000);
+        } catch (error) {
+            log.tickets.error('ticket_close_failed', 'Error closing ticket', { guildId: interaction.guild?.id, userId: interaction.user.id, error });
+            await interaction.editReply({ content: '❌ Failed to close the ticket.' }).catch(() => {});
+        }
+    }
+
+    async buildTicketTranscript(channel, ticket) {
+        // Page backwards through the channel history (oldest messages last)
+        const messages = [];
+        let before;
+        while (messages.length < 5000) {
+            const batch = await channel.messages.fetch({ limit: 100, before });
+            if (batch.size === 0) break;
+            messages.push(...batch.values());
+            before = batch.last().id;
+        }
+        messages.reverse();
+
+        const rows = messages.map(msg => {
+            const content = msg.content || (msg.embeds.length > 0 ? msg.embeds.map(embed => [embed.title, embed.description].filter(Boolean).join(' - ')).join('\n') : '');
+            const attachments = [...msg.attachments.values()]
+                .map(att => `<div class="attachment"><a href="${escapeHtml(att.url)}">${escapeHtml(att.name)}</a></div>`)
+                .join('');
+            return `<div class="message" data-user-id="${escapeHtml(msg.author.id)}"><span class="time">${msg.createdAt.toISOString()}</span> <span class="author">${escapeHtml(msg.author.tag)}</span><div class="content">${escapeHtml(content).replace(/\n/g, '<br>')}</div>${attachments}</div>`;
+        });
+
+        const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Ticket ${escapeHtml(ticket.ticket_id)}</title>
+<style>
+body { font-family: sans-serif; background: #313338; color: #dbdee1; padding: 20px; }
+.message { padding: 6px 0; border-bottom: 1px solid #3f4147; }
+.time { color: #949ba4; font-size: 12px; }
+.author { font-weight: bold; color: #fff; }
+.content { margin-top: 2px; white-space: pre-wrap; }
+a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<h1>Ticket ${escapeHtml(ticket.ticket_id)}: ${escapeHtml(ticket.subject)}</h1>
+<p>Opened by ${escapeHtml(ticket.creator_username)} (${escapeHtml(ticket.creator_id)}) at ${escapeHtml(ticket.created_at)} UTC</p>
+${rows.join('\n')}
+</body>
+</html>
+`;
+
+        return { html, messageCount: messages.length };
+    }
+
+    async handleTicketChannelDelete(channel) {
+        if (!channel.guild || !this.dbManager || !this.dbManager.isConnected) return;
+
+        // A ticket channel removed by hand (not through the close button) is marked deleted
+        const ticket = await this.dbManager.getTicket(channel.id);
+        if (ticket && (ticket.status === 'open' || ticket.status === 'claimed')) {
+            await this.dbManager.deleteTicket(channel.id);
+        }
+    }
+
+    // =================================================================
+    // REACTION ROLES - Reaction, button and select menu role menus
+    // =================================================================
+
+    // Custom emojis match on ID, unicode ones on the character (without variation selectors)
+    getEmojiKey(emoji) {
+        if (!emoji) return '';
+        if (typeof emoji !== 'string') {
+            return emoji.id || (emoji.name || '').replace(/\uFE0F/g, '');
+        }
+        const custom = emoji.match(/^<a?:\w+:(\d+)>$/);
+        return custom ? custom[1] : emoji.replace(/\uFE0F/g, '');
+    }
+
+    /**
+     * Parse "🎮 @Gamer, 🎨 @Artist" into emoji/role pairs
+     * Returns { roles } or { error }
+     */
+    parseReactionRoleInput(input, guild) {
+        const roles = [];
+        for (const part of input.split(',').map(entry => entry.trim()).filter(Boolean)) {
+            const match = part.match(/^(<a?:\w+:\d+>|\S+)\s+(?:<@&)?(\d{17,20})>?$/);
+            if (!match) {
+                return { error: `Couldn't read \`${part}\` - use \`emoji @role\` pairs separated by commas.` };
+            }
+
+            const [, emoji, roleId] = match;
+            const role = guild.roles.cache.get(roleId);
+            if (!role) {
+                return { error: `Role \`${roleId}\` doesn't exist in this server.` };
+            }
+            if (role.managed || role.id === guild.roles.everyone.id) {
+                return { error: `${role.name} is managed by Discord or an integration and can't be self-assigned.` };
+            }
+            if (role.position >= guild.members.me.roles.highest.position) {
+                return { error: `${role.name} is above my highest role, so I can't assign it.` };
+            }
+            if (roles.some(entry => this.getEmojiKey(entry.emoji) === this.getEmojiKey(emoji))) {
+                return { error: `${emoji} is used more than once.` };
+            }
+
+            roles.push({ emoji, roleId: role.id, roleName: role.name });
+        }
+
+        if (roles.length === 0) {
+            return { error: 'No roles were given.' };
+        }
+        return { roles };
+    }
+
+    buildReactionRoleComponents(menuType, mode, roles, maxRoles = null) {
+        if (menuType === 'button') {
+            const rows = [];
+            for (let i = 0; i < roles.length; i += 5) {
+                rows.push(new ActionRowBuilder().addComponents(
+                    roles.slice(i, i + 5).map(entry => new ButtonBuilder()
+                        .setCustomId(`rr_btn_${entry.roleId}`)
+                        .setLabel(entry.roleName.substring(0, 80))
+                        .setEmoji(entry.emoji)
+                        .setStyle(ButtonStyle.Secondary))
+                ));
+            }
+            return rows;
+        }
+
+        if (menuType === 'select') {
+            const maxValues = mode === 'unique' ? 1 : mode === 'max' ? Math.min(maxRoles, roles.length) : roles.length;
+            const select = new StringSelectMenuBuilder()
+                .setCustomId('rr_select')
+                .setPlaceholder('Choose your roles')
+                .setMinValues(0)
+                .setMaxValues(maxValues)
+                .addOptions(roles.map(entry => new StringSelectMenuOptionBuilder()
+                    .setLabel(entry.roleName.substring(0, 100))
+                    .setValue(entry.roleId)
+                    .setEmoji(entry.emoji)));
+            return [new ActionRowBuilder().addComponents(select)];
+        }
+
+        return [];
+    }
+
+    async loadReactionRoleMenus() {
+        const menus = await this.dbManager.getReactionRoleMenus();
+        this.reactionRoleMenus.clear();
+
+        for (const menu of menus) {
+            this.reactionRoleMenus.set(menu.message_id, menu);
+
+            // Reaction events only fire for cached messages, so fetch each reaction menu
+            if (menu.menu_type === 'reaction') {
+                const channel = await this.client.channels.fetch(menu.channel_id).catch(() => null);
+                const message = channel ? await channel.messages.fetch(menu.message_id).catch(() => null) : null;
+                if (!message) {
+                    log.roles.warn('reaction_menu_missing', `Reaction role menu ${menu.message_id} no longer exists - removing it`, { guildId: menu.guild_id, messageId: menu.message_id });
+                    await this.dbManager.deleteReactionRoleMenu(menu.message_id);
+                    this.reactionRoleMenus.delete(menu.message_id);
+                }
+            }
+        }
+
+        log.roles.info('reaction_menus_loaded', `Loaded ${this.reactionRoleMenus.size} reaction role menus`, { count: this.reactionRoleMenus.size });
+    }
+
+    /**
+     * Apply a role change from a menu, respecting its mode
+     * action is 'add', 'remove' or 'toggle' - returns { added, removed, error }
+     */
+    async applyMenuRole(member, menu, roleId, action) {
+        const menuRoleIds = menu.roles.map(entry => entry.role_id);
+        const heldRoleIds = menuRoleIds.filter(id => member.roles.cache.has(id));
+        const hasRole = member.roles.cache.has(roleId);
+        const reason = `Reaction role menu ${menu.message_id}`;
+
+        const wantsRole = action === 'add' || (action === 'toggle' && !hasRole);
+        if (!wantsRole) {
+            if (!hasRole) return { added: [], removed: [] };
+            if (menu.mode === 'verify') {
+                return { added: [], removed: [], error: 'Roles from this menu can\'t be removed.' };
+            }
+            await member.roles.remove(roleId, reason);
+            return { added: [], removed: [roleId] };
+        }
+
+        if (hasRole) return { added: [], removed: [] };
+
+        let removed = [];
+        if (menu.mode === 'unique') {
+            removed = heldRoleIds.filter(id => id !== roleId);
+        } else if (menu.mode === 'max' && menu.max_roles && heldRoleIds.length >= menu.max_roles) {
+            return { added: [], removed: [], error: `You can only pick ${menu.max_roles} role${menu.max_roles === 1 ? '' : 's'} from this menu.` };
+        }
+
+        if (removed.length > 0) {
+            await member.roles.remove(removed, reason);
+        }
+        await member.roles.add(roleId, reason);
+        return { added: [roleId], removed };
+    }
+
+    async handleReactionRoleReaction(reaction, user, added) {
+        if (user.bot) return;
+
+        const menu = this.reactionRoleMenus.get(reaction.message.id);
+        if (!menu || menu.menu_type !== 'reaction') return;
+
+        const key = this.getEmojiKey(reaction.emoji);
+        const entry = menu.roles.find(role => this.getEmojiKey(role.emoji) === key);
+        if (!entry) return;
+
+        try {
+            const member = await reaction.message.guild.members.fetch(user.id);
+            const result = await this.applyMenuRole(member, menu, entry.role_id, added ? 'add' : 'remove');
+
+            // Over the limit - take the reaction back off so the menu reflects reality
+            if (result.error && added) {
+                await reaction.users.remove(user.id).catch(() => {});
+            }
+
+            // Unique menus: clear the reactions for roles that were swapped out
+            for (const removedRoleId of result.removed) {
+                const removedEntry = menu.roles.find(role => role.role_id === removedRoleId);
+                const removedReaction = removedEntry && reaction.message.reactions.cache.find(r => this.getEmojiKey(r.emoji) === this.getEmojiKey(removedEntry.emoji));
+                if (removedReaction) {
+                    await removedReaction.users.remove(user.id).catch(() => {});
+                }
+            }
+        } catch (error) {
+            log.roles.error('reaction_role_failed', 'Error applying reaction role', { guildId: reaction.message.guild?.id, userId: user.id, messageId: reaction.message.id, error });
+        }
+    }
+
+    async handleReactionRoleInteraction(interaction) {
+        const menu = this.reactionRoleMenus.get(interaction.message.id);
+        if (!menu) {
+            return interaction.reply({ content: '❌ This role menu is no longer active.', flags: MessageFlags.Ephemeral });
+        }
+
+        try {
+            const member = interaction.member;
+            const changes = { added: [], removed: [], errors: [] };
+            const collect = result => {
+                changes.added.push(...result.added);
+                changes.removed.push(...result.removed);
+                if (result.error) changes.errors.push(result.error);
+            };
+
+            if (interaction.isButton()) {
+                const roleId = interaction.customId.replace('rr_btn_', '');
+                if (!menu.roles.some(entry => entry.role_id === roleId)) {
+                    return interaction.reply({ content: '❌ That role is no longer part of this menu.', flags: MessageFlags.Ephemeral });
+                }
+                collect(await this.applyMenuRole(member, menu, roleId, 'toggle'));
+            } else {
+                // Select menus describe the full selection: add what's picked, drop what isn't
+                const selected = interaction.values.filter(roleId => menu.roles.some(entry => entry.role_id === roleId));
+                for (const entry of menu.roles) {
+                    if (!selected.includes(entry.role_id) && member.roles.cache.has(entry.role_id) && menu.mode !== 'verify') {
+                        collect(await this.applyMenuRole(member, menu, entry.role_id, 'remove'));
+                    }
+                }
+                for (const roleId of selected) {
+                    collect(await this.applyMenuRole(member, menu, roleId, 'add'));
+                }
+            }
+
+            const lines = [
+                ...changes.added.map(roleId => `✅ Added <@&${roleId}>`),
+                ...changes.removed.map(roleId => `➖ Removed <@&${roleId}>`),
+                ...changes.errors.map(error => `❌ ${error}`)
+            ];
+            await interaction.reply({ content: lines.join('\n') || 'No changes made.', flags: MessageFlags.Ephemeral });
+        } catch (error) {
+            log.roles.error('menu_role_failed', 'Error applying menu role', { guildId: interaction.guild?.id, userId: interaction.user.id, error });
+            await interaction.reply({ content: '❌ I couldn\'t update your roles. Please contact staff.', flags: MessageFlags.Ephemeral }).catch(() => {});
+        }
+    }
+
+    // =================================================================
+    // LEVELING - XP on messages, level-up announcements and role rewards
+    // =================================================================
+
+    async handleMessageXP(message) {
+        if (config.leveling?.enabled === false || !this.dbManager || !this.dbManager.isConnected) return;
+
+        try {
+            // addUserXP enforces the one-gain-per-minute cooldown
+            const result = await this.dbManager.addUserXP(message.guild.id, message.author.id, message.author.username, config.leveling?.xpPerMessage || 15);
+            if (!result.gained || !result.levelUp) return;
+
+            const rewards = await this.dbManager.getRoleRewardsForLevel(message.guild.id, result.newLevel);
+            const rewardChanges = message.member ? await this.applyLevelRewards(message.member, result.newLevel, rewards) : { added: [], removed: [] };
+
+            await this.announceLevelUp(message, result.newLevel, rewardChanges.added);
+        } catch (error) {
+            log.leveling.error('message_xp_failed', 'Error processing message XP', { guildId: message.guild?.id, userId: message.author.id, error });
+        }
+    }
+
+    /**
+     * Bring a member's reward roles in line with their level
+     * A reward with remove_previous replaces every lower reward once it's earned
+     */
+    async applyLevelRewards(member, level, rewards) {
+        const botHighest = member.guild.members.me.roles.highest.position;
+        const earned = rewards
+            .filter(reward => reward.required_level <= level)
+            .sort((a, b) => a.required_level - b.required_level);
+
+        const keep = earned.filter(reward =>
+            !earned.some(higher => higher.required_level > reward.required_level && higher.remove_previous)
+        );
+
+        const assignable = reward => {
+            const role = member.guild.roles.cache.get(reward.role_id);
+            return role && !role.managed && role.position < botHighest;
+        };
+
+        const toAdd = keep.filter(reward => assignable(reward) && !member.roles.cache.has(reward.role_id));
+        const toRemove = earned.filter(reward => !keep.includes(reward) && assignable(reward) && member.roles.cache.has(reward.role_id));
+
+        if (toAdd.length > 0) {
+            await member.roles.add(toAdd.map(reward => reward.role_id), `Level ${level} role reward`);
+        }
+        if (toRemove.length > 0) {
+            await member.roles.remove(toRemove.map(reward => reward.role_id), `Replaced by a higher level role reward`);
+        }
+
+        return { added: toAdd, removed: toRemove };
+    }
+
+    async announceLevelUp(message, level, rewardsAdded = []) {
+        const mode = config.leveling?.announceMode || 'channel';
+        if (mode === 'none') return;
 
-            // Log verification
-            await this.dbManager.logVerification(
-                interaction.guild.id,
-                member.id,
-                member.user.username,
-                settings.verification_type,
-                'verified'
-            );
+        // Members can turn their own notifications off
+        const userData = await this.dbManager.getUserLevel(message.guild.id, message.author.id);
+        if (userData && userData.level_up_notifications === 0) return;
 
-            const verifiedEmbed = new EmbedBuilder()
-                .setTitle('✅ Verification Successful!')
-                .setDescription(`Welcome to ${interaction.guild.name}, ${member.toString()}!\n\nYou now have access to the server.`)
-                .setColor('#00ff00')
-                .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                .setTimestamp();
+        const text = (config.leveling?.announceMessage || '🎉 {user} just reached **level {level}**!')
+            .replace(/{user}/g, mode === 'dm' ? message.author.username : message.author.toString())
+            .replace(/{username}/g, message.author.username)
+            .replace(/{level}/g, level)
+            .replace(/{server}/g, message.guild.name);
 
-            await interaction.editReply({ embeds: [verifiedEmbed] });
+        const levelEmbed = new EmbedBuilder()
+            .setDescription(text)
+            .setColor(0xffd700)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
 
-            // Notify in welcome/verification channel
-            const settings2 = await this.dbManager.getWelcomeSettings(interaction.guild.id);
-            if (settings2.welcome_channel_id) {
-                const welcomeChannel = interaction.guild.channels.cache.get(settings2.welcome_channel_id);
-                if (welcomeChannel && welcomeChannel.isTextBased()) {
-                    const notifyEmbed = new EmbedBuilder()
-                        .setTitle('✅ User Verified')
-                        .setDescription(`${member.toString()} has successfully verified!`)
-                        .setColor('#00ff00')
-                        .setTimestamp();
-                    await welcomeChannel.send({ embeds: [notifyEmbed] });
-                }
-            }
+        if (rewardsAdded.length > 0) {
+            levelEmbed.addFields({ name: '🏆 Rewards Unlocked', value: rewardsAdded.map(reward => mode === 'dm' ? reward.role_name : `<@&${reward.role_id}>`).join(', '), inline: false });
+        }
 
-        } catch (error) {
-            console.error('Error handling verification button:', error);
-            await interaction.editReply({ content: '❌ An error occurred during verification.' });
+        if (mode === 'dm') {
+            await message.author.send({ content: `**${message.guild.name}**`, embeds: [levelEmbed] }).catch(() => {});
+            return;
+        }
+
+        const announceChannel = config.leveling?.announceChannelId
+            ? message.guild.channels.cache.get(config.leveling.announceChannelId)
+            : message.channel;
+        if (announceChannel && announceChannel.isTextBased()) {
+            await announceChannel.send({ embeds: [levelEmbed], allowedMentions: { users: [message.author.id] } }).catch(() => {});
         }
     }
 
@@ -3247,11 +5593,254 @@ class GuardianBot {
                 return await this.handleDangerousAttachment(message);
             }
 
-            // Add other auto-mod checks here in the future
+            // Per-guild filters configured in automod_settings
+            const autoModSettings = await this.getAutoModSettings(message.guild.id);
+            if (autoModSettings) {
+                const filterViolation = this.checkAutoModSettingsFilters(message, autoModSettings);
+                if (filterViolation) {
+                    return await this.handleAutoModSettingsViolation(message, filterViolation, autoModSettings);
+                }
+            }
             
             return { deleted: false, reason: 'clean' };
         } catch (error) {
-            console.error('Error in auto-moderation:', error);
+            log.autoMod.error('automod_failed', 'Error in auto-moderation', { guildId: message.guild?.id, userId: message.author.id, error });
+            return { deleted: false, reason: 'error' };
+        }
+    }
+
+    async getAutoModSettings(guildId) {
+        const cached = this.autoModSettingsCache.get(guildId);
+        if (cached && Date.now() - cached.fetchedAt < this.autoModSettingsTTL) {
+            return cached.settings;
+        }
+
+        // Guilds without a settings row keep the built-in filters only
+        const settings = await this.dbManager.getAutoModSettings(guildId);
+        this.autoModSettingsCache.set(guildId, { settings, fetchedAt: Date.now() });
+        return settings;
+    }
+
+    parseBlockedWords(blockedWords) {
+        if (!blockedWords) return [];
+
+        // Stored either as a JSON array or a comma/newline separated list
+        let words;
+        try {
+            words = JSON.parse(blockedWords);
+        } catch (error) {
+            words = blockedWords.split(/[,\n]/);
+        }
+
+        return Array.isArray(words)
+            ? words.map(word => String(word).trim().toLowerCase()).filter(Boolean)
+            : [];
+    }
+
+    /**
+     * Run the caps, emoji, repeated text and blocked word filters from automod_settings
+     * Returns { type, detail } for the first filter the message fails, or null
+     */
+    checkAutoModSettingsFilters(message, settings) {
+        const content = message.content || '';
+        if (!content) return null;
+
+        if (settings.bad_words_filter) {
+            const text = content.toLowerCase();
+            const blockedWord = this.parseBlockedWords(settings.blocked_words).find(word => {
+                const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(text);
+            });
+            if (blockedWord) {
+                return { type: 'blocked_word', detail: 'Message contains a blocked word' };
+            }
+        }
+
+        if (settings.caps_filter) {
+            // Ignore short messages - "OK" or "LOL" shouldn't count as shouting
+            const letters = content.replace(/<a?:\w+:\d+>|<[@#][!&]?\d+>|https?:\/\/\S+/g, '').replace(/[^a-zA-Z]/g, '');
+            if (letters.length >= 10) {
+                const capsPercentage = (letters.replace(/[^A-Z]/g, '').length / letters.length) * 100;
+                if (capsPercentage >= (settings.caps_percentage || 70)) {
+                    return { type: 'caps', detail: `${Math.round(capsPercentage)}% capital letters (limit ${settings.caps_percentage}%)` };
+                }
+            }
+        }
+
+        if (settings.emoji_spam_filter) {
+            const customEmojis = (content.match(/<a?:\w+:\d+>/g) || []).length;
+            const unicodeEmojis = (content.replace(/<a?:\w+:\d+>/g, '').match(/\p{Extended_Pictographic}/gu) || []).length;
+            const emojiCount = customEmojis + unicodeEmojis;
+            if (emojiCount > (settings.emoji_limit || 10)) {
+                return { type: 'emoji_spam', detail: `${emojiCount} emojis (limit ${settings.emoji_limit})` };
+            }
+        }
+
+        if (settings.repeated_text_filter) {
+            const repeated = this.checkRepeatedText(message);
+            if (repeated) {
+                return { type: 'repeated_text', detail: repeated };
+            }
+        }
+
+        return null;
+    }
+
+    checkRepeatedText(message) {
+        const content = message.content.trim().toLowerCase();
+        const now = Date.now();
+
+        // Same message posted 3 times in a row within a minute
+        const key = `${message.guild.id}-${message.author.id}`;
+        const history = (this.recentMessageTracker.get(key) || []).filter(entry => now - entry.timestamp < 60000);
+        history.push({ content, timestamp: now });
+        this.recentMessageTracker.set(key, history.slice(-5));
+
+        const lastThree = history.slice(-3);
+        if (content.length > 0 && lastThree.length === 3 && lastThree.every(entry => entry.content === content)) {
+            return 'Same message sent 3 times in a row';
+        }
+
+        // Long runs of one character ("aaaaaaaaaaaaaaa")
+        if (/(.)\1{14,}/su.test(content)) {
+            return 'Repeated characters';
+        }
+
+        // The same word over and over ("spam spam spam spam spam spam")
+        if (/(\b\S+\b)(\s+\1\b){5,}/u.test(content)) {
+            return 'Repeated words';
+        }
+
+        return null;
+    }
+
+    async handleAutoModSettingsViolation(message, violation, settings) {
+        const filterNames = {
+            blocked_word: 'Blocked Word',
+            caps: 'Excessive Caps',
+            emoji_spam: 'Emoji Spam',
+            repeated_text: 'Repeated Text'
+        };
+
+        try {
+            await message.delete().catch(() => {});
+
+            const member = message.member;
+            const threshold = settings.violation_threshold || 3;
+            const punishmentType = settings.punishment_type || 'mute';
+            const punishmentDuration = (settings.punishment_duration || 300) * 1000;
+
+            // Count earlier violations of these filters in the last 24 hours, +1 for this one
+            const previousViolations = await this.dbManager.getUserViolationCount(
+                message.guild.id,
+                message.author.id,
+                Object.keys(filterNames),
+                24
+            );
+            const violationCount = previousViolations + 1;
+            const punish = violationCount >= threshold && punishmentType !== 'warn';
+
+            let actionDescription = `⚠️ **Warning** - ${violationCount}/${threshold}`;
+            let appliedType = punishmentType;
+            let appliedDuration = punishmentDuration;
+            if (punish && member) {
+                const reason = `Auto-mod: ${filterNames[violation.type]} (${violationCount}/${threshold})`;
+                switch (punishmentType) {
+                    case 'mute':
+                        await this.muteUser(member, punishmentDuration, reason);
+                        actionDescription = `🔇 **Muted** for ${this.formatDuration(punishmentDuration)}`;
+                        break;
+
+                    case 'kick':
+                        await member.kick(reason).catch(error => log.autoMod.error('kick_failed', `Failed to kick ${member.user.tag}`, { guildId: message.guild.id, userId: member.id, error }));
+                        actionDescription = '👢 **Kicked**';
+                        break;
+
+                    case 'tempban': {
+                        const tempBan = await this.tempBanOrMute(member, punishmentDuration, reason);
+                        appliedType = tempBan.action;
+                        appliedDuration = tempBan.duration;
+                        actionDescription = {
+                            tempban: `⏳ **Banned** for ${this.formatDuration(tempBan.duration)}`,
+                            mute: `🔇 **Muted** for ${this.formatDuration(tempBan.duration)} (temp ban unavailable)`
+                        }[tempBan.action] || '❌ **Temp ban failed** - please review manually';
+                        break;
+                    }
+
+                    case 'ban':
+                        await this.banUser(member, reason);
+                        actionDescription = '🔨 **Permanent ban**';
+                        break;
+                }
+
+                if (appliedType && this.dbManager && this.dbManager.isConnected) {
+                    await this.dbManager.logModeration(
+                        message.guild.id,
+                        appliedType,
+                        this.client.user.id,
+                        this.client.user.username,
+                        member.id,
+                        member.user.tag,
+                        reason,
+                        { automod: violation.type, punishment: punishmentType, duration: ['mute', 'tempban'].includes(appliedType) ? this.formatDuration(appliedDuration) : undefined, channel_id: message.channel.id }
+                    );
+                }
+            }
+
+            try {
+                await this.dbManager.logAutoModViolation(
+                    message.guild.id,
+                    message.author.id,
+                    message.author.username,
+                    violation.type,
+                    message.content,
+                    message.channel.id,
+                    punish ? appliedType || 'warn' : 'warn'
+                );
+            } catch (dbError) {
+                log.autoMod.error('violation_log_failed', 'Failed to log auto-mod violation to database', { guildId: message.guild.id, userId: message.author.id, violation: violation.type, error: dbError });
+            }
+
+            const warningEmbed = new EmbedBuilder()
+                .setTitle(`⚠️ Auto-Moderation: ${filterNames[violation.type]}`)
+                .setDescription(`**${message.author.toString()}**, your message was removed.`)
+                .addFields(
+                    { name: '📋 Reason', value: violation.detail, inline: false },
+                    { name: '⚡ Action Taken', value: actionDescription, inline: true }
+                )
+                .setColor(0xffaa00)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            if (!punish && punishmentType !== 'warn') {
+                warningEmbed.addFields({ name: '📝 Next Step', value: `${punishmentType} at ${threshold} violations`, inline: true });
+            }
+
+            const warningMessage = await message.channel.send({ embeds: [warningEmbed] }).catch(() => null);
+
+            const logEmbed = new EmbedBuilder()
+                .setTitle(`⚠️ AUTO-MOD: ${filterNames[violation.type]}`)
+                .setDescription(`**User:** ${message.author.toString()} (${message.author.tag})\n**Channel:** ${message.channel.toString()}`)
+                .addFields(
+                    { name: '💬 Content', value: `\`\`\`${message.content.substring(0, 1000)}\`\`\``, inline: false },
+                    { name: '📋 Reason', value: violation.detail, inline: true },
+                    { name: '📊 Violations (24h)', value: `${violationCount}/${threshold}`, inline: true },
+                    { name: '⚡ Action Taken', value: actionDescription, inline: true }
+                )
+                .setColor(0xffaa00)
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            await this.sendToLogChannel(message.guild, logEmbed);
+            this.recordAutoModEvent(message.guild.id, violation.type, message.author.id, message.channel.id);
+
+            if (warningMessage) {
+                setTimeout(() => warningMessage.delete().catch(() => {}), 10000);
+            }
+
+            return { deleted: true, reason: violation.type, punishment: punish ? appliedType || 'warn' : 'warn', violationCount };
+        } catch (error) {
+            log.autoMod.error('violation_failed', `Error handling ${violation.type} violation`, { guildId: message.guild?.id, userId: message.author.id, violation: violation.type, error });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3305,18 +5894,15 @@ class GuardianBot {
                 )
                 .setTimestamp();
 
-            const logChannelId = config.logChannelId;
-            if (logChannelId) {
-                const logChannel = message.guild.channels.cache.get(logChannelId);
-                if (logChannel) {
-                    await logChannel.send({ embeds: [embed] }).catch(() => {});
-                }
+            const logChannel = await this.getLogChannel(message.guild);
+            if (logChannel) {
+                await logChannel.send({ embeds: [embed] }).catch(() => {});
             }
 
             this.recordAutoModEvent(message.guild.id, 'malicious_link', message.author.id, message.channel.id);
             return { deleted: true, reason: 'malicious_link' };
         } catch (e) {
-            console.error('Error handling malicious link:', e);
+            log.autoMod.error('malicious_link_failed', 'Error handling malicious link', { guildId: message.guild?.id, userId: message.author.id, error: e });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3339,6 +5925,18 @@ class GuardianBot {
         if (this.autoModEvents.length > this.maxAutoModEvents) {
             this.autoModEvents.shift();
         }
+        logger.bot.autoMod(type, userId, guildId, channelId);
+        this.publishLiveEvent(guildId, 'automod', { type, userId, channelId });
+    }
+
+    // guildId null = not tied to a guild (kill switch), sent to every dashboard
+    publishLiveEvent(guildId, type, data = {}) {
+        const event = { guildId, type, data, timestamp: Date.now() };
+        this.recentLiveEvents.push(event);
+        if (this.recentLiveEvents.length > this.maxRecentLiveEvents) {
+            this.recentLiveEvents.shift();
+        }
+        this.liveEvents.emit('event', event);
     }
 
     async handleDangerousAttachment(message) {
@@ -3355,18 +5953,15 @@ class GuardianBot {
                 )
                 .setTimestamp();
 
-            const logChannelId = config.logChannelId;
-            if (logChannelId) {
-                const logChannel = message.guild.channels.cache.get(logChannelId);
-                if (logChannel) {
-                    await logChannel.send({ embeds: [embed] }).catch(() => {});
-                }
+            const logChannel = await this.getLogChannel(message.guild);
+            if (logChannel) {
+                await logChannel.send({ embeds: [embed] }).catch(() => {});
             }
 
             this.recordAutoModEvent(message.guild.id, 'dangerous_attachment', message.author.id, message.channel.id);
             return { deleted: true, reason: 'dangerous_attachment' };
         } catch (e) {
-            console.error('Error handling dangerous attachment:', e);
+            log.autoMod.error('dangerous_attachment_failed', 'Error handling dangerous attachment', { guildId: message.guild?.id, userId: message.author.id, error: e });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3412,7 +6007,7 @@ class GuardianBot {
 
             return { deleted: false, reason: 'clean' };
         } catch (error) {
-            console.error('Error checking spam:', error);
+            log.autoMod.error('spam_check_failed', 'Error checking spam', { guildId: message.guild?.id, userId: message.author.id, error });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3479,7 +6074,7 @@ class GuardianBot {
             }
 
         } catch (error) {
-            console.error('Error handling spam violation:', error);
+            log.autoMod.error('spam_violation_failed', 'Error handling spam violation', { guildId: message.guild?.id, userId: message.author.id, error });
         }
     }
 
@@ -3551,7 +6146,7 @@ class GuardianBot {
                     punishment.action
                 );
             } catch (dbError) {
-                console.error('Failed to log hate speech violation to database:', dbError);
+                log.autoMod.error('violation_log_failed', 'Failed to log hate speech violation to database', { guildId: message.guild.id, userId: message.author.id, violation: 'hate_speech', error: dbError });
                 // Continue anyway - warning user is more important than logging
             }
             
@@ -3604,7 +6199,7 @@ class GuardianBot {
 
             return { deleted: true, punishment: punishment.action, violationCount };
         } catch (error) {
-            console.error('Error handling hate speech:', error);
+            log.autoMod.error('hate_speech_failed', 'Error handling hate speech', { guildId: message.guild?.id, userId: message.author.id, error });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3642,20 +6237,21 @@ class GuardianBot {
             }
 
             // Log the moderation action
-            await this.dbManager.logModerationAction(
-                message.guild.id,
-                this.client.user.id,
-                this.client.user.username,
-                member.id,
-                member.user.username,
-                punishment.action.includes('mute') ? 'timeout' : punishment.action,
-                `Auto-moderation: Hate speech violation (Strike ${violationCount}/2)`,
-                message.channel.id,
-                message.channel.name
-            );
+            if (this.dbManager && this.dbManager.isConnected) {
+                await this.dbManager.logModeration(
+                    message.guild.id,
+                    punishment.action.includes('mute') ? 'mute' : punishment.action,
+                    this.client.user.id,
+                    this.client.user.username,
+                    member.id,
+                    member.user.tag,
+                    `Auto-moderation: Hate speech violation (Strike ${violationCount}/2)`,
+                    { automod: 'hate_speech', punishment: punishment.action, channel_id: message.channel.id }
+                );
+            }
 
         } catch (error) {
-            console.error('Error executing hate speech punishment:', error);
+            log.autoMod.error('punishment_failed', `Error executing hate speech punishment (${punishment.action})`, { guildId: message.guild?.id, userId: message.author.id, action: punishment.action, error });
         }
     }
 
@@ -3683,16 +6279,16 @@ class GuardianBot {
                 message.channel.id
             );
 
-            // Determine punishment based on violation count
-            const punishment = this.getEscalatedPunishment(violationCount);
-            
+            // Determine punishment based on violation count, and apply it before it's announced
+            const punishment = await this.executePunishment(message, this.getEscalatedPunishment(violationCount), violationCount);
+
             // Create public warning embed
             const warningEmbed = new EmbedBuilder()
                 .setTitle('🚫 Auto-Moderation: Discord Invite Detected')
                 .setDescription(`**${message.author.toString()}** posted a Discord invite link!`)
                 .addFields(
                     { name: '⚠️ Violation', value: `Discord invite links are not allowed`, inline: false },
-                    { name: '📊 Strike Count', value: `${violationCount}/5`, inline: true },
+                    { name: '📊 Strike Count', value: `${violationCount}/6`, inline: true },
                     { name: '⚡ Action Taken', value: punishment.description, inline: true },
                     { name: '📝 Next Punishment', value: punishment.next || 'Ban', inline: true }
                 )
@@ -3703,16 +6299,13 @@ class GuardianBot {
             // Send public warning
             const warningMessage = await message.channel.send({ embeds: [warningEmbed] });
 
-            // Execute the punishment
-            await this.executePunishment(message, punishment, violationCount);
-
             // Create log embed for staff channel
             const logEmbed = new EmbedBuilder()
                 .setTitle('🚫 AUTO-MOD: Discord Invite Spam')
                 .setDescription(`**User:** ${message.author.toString()} (${message.author.tag})\n**Channel:** ${message.channel.toString()}`)
                 .addFields(
                     { name: '🔗 Detected Invite', value: `\`\`\`${message.content.substring(0, 1000)}\`\`\``, inline: false },
-                    { name: '📊 Strike Count', value: `${violationCount}/5`, inline: true },
+                    { name: '📊 Strike Count', value: `${violationCount}/6`, inline: true },
                     { name: '⚡ Action Taken', value: punishment.description, inline: true },
                     { name: '🕐 Timestamp', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true }
                 )
@@ -3734,7 +6327,7 @@ class GuardianBot {
 
             return { deleted: true, punishment: punishment.action, violationCount };
         } catch (error) {
-            console.error('Error handling invite spam:', error);
+            log.autoMod.error('invite_spam_failed', 'Error handling invite spam', { guildId: message.guild?.id, userId: message.author.id, error });
             return { deleted: false, reason: 'error' };
         }
     }
@@ -3759,22 +6352,30 @@ class GuardianBot {
             4: { 
                 action: 'mute_2h', 
                 description: '🔇 **2 hour mute** - Fourth violation', 
-                next: 'Permanent ban' 
+                next: 'Temporary ban (7 days)' 
             },
             5: { 
+                action: 'tempban', 
+                duration: 7 * 24 * 60 * 60 * 1000, // 7 days
+                description: '⏳ **7 day ban** - Fifth violation', 
+                next: 'Permanent ban' 
+            },
+            6: { 
                 action: 'ban', 
-                description: '🔨 **Permanent ban** - Fifth violation', 
+                description: '🔨 **Permanent ban** - Sixth violation', 
                 next: null 
             }
         };
 
-        return punishments[violationCount] || punishments[5]; // Default to ban for 5+ violations
+        return punishments[violationCount] || punishments[6]; // Default to ban for 6+ violations
     }
 
+    // Returns the punishment that was applied - a temp ban that can't be issued becomes a mute, or nothing
     async executePunishment(message, punishment, violationCount) {
+        let applied = punishment;
         try {
             const member = message.member;
-            if (!member) return;
+            if (!member) return applied;
 
             switch (punishment.action) {
                 case 'warn':
@@ -3782,40 +6383,53 @@ class GuardianBot {
                     break;
 
                 case 'mute_5m':
-                    await this.muteUser(member, 5 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/5)`);
+                    await this.muteUser(member, 5 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/6)`);
                     break;
 
                 case 'mute_30m':
-                    await this.muteUser(member, 30 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/5)`);
+                    await this.muteUser(member, 30 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/6)`);
                     break;
 
                 case 'mute_2h':
-                    await this.muteUser(member, 2 * 60 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/5)`);
+                    await this.muteUser(member, 2 * 60 * 60 * 1000, `Auto-mod: Discord invite spam (${violationCount}/6)`);
                     break;
 
                 case 'ban':
-                    await this.banUser(member, `Auto-mod: Excessive Discord invite spam (${violationCount}/5)`);
+                    await this.banUser(member, `Auto-mod: Excessive Discord invite spam (${violationCount}/6)`);
+                    break;
+
+                case 'tempban': {
+                    const tempBan = await this.tempBanOrMute(member, punishment.duration, `Auto-mod: Excessive Discord invite spam (${violationCount}/6)`);
+                    if (tempBan.action === 'mute') {
+                        applied = { ...punishment, action: 'mute', duration: tempBan.duration, description: `🔇 **${this.formatDuration(tempBan.duration)} mute** - Fifth violation (temp ban unavailable)` };
+                    } else if (!tempBan.action) {
+                        return { ...punishment, action: 'none', description: '❌ **Temp ban failed** - please review manually' };
+                    }
                     break;
+                }
             }
 
             // Log the moderation action
-            await this.dbManager.logModerationAction(
-                message.guild.id,
-                this.client.user.id,
-                this.client.user.username,
-                member.id,
-                member.user.username,
-                punishment.action.includes('mute') ? 'timeout' : punishment.action,
-                `Auto-moderation: Discord invite spam (Strike ${violationCount}/5)`,
-                message.channel.id,
-                message.channel.name
-            );
+            if (this.dbManager && this.dbManager.isConnected) {
+                await this.dbManager.logModeration(
+                    message.guild.id,
+                    applied.action.includes('mute') ? 'mute' : applied.action,
+                    this.client.user.id,
+                    this.client.user.username,
+                    member.id,
+                    member.user.tag,
+                    `Auto-moderation: Discord invite spam (Strike ${violationCount}/6)`,
+                    { automod: 'invite_spam', punishment: punishment.action, duration: applied.duration ? this.formatDuration(applied.duration) : undefined, channel_id: message.channel.id }
+                );
+            }
 
         } catch (error) {
-            console.error('Error executing punishment:', error);
+            log.autoMod.error('punishment_failed', `Error executing punishment (${punishment.action})`, { guildId: message.guild?.id, userId: message.author.id, action: punishment.action, error });
         }
+        return applied;
     }
 
+    // Returns whether the timeout was applied
     async muteUser(member, duration, reason) {
         try {
             await member.timeout(duration, reason);
@@ -3832,8 +6446,10 @@ class GuardianBot {
             } catch (dmError) {
                 // User has DMs disabled
             }
+            return true;
         } catch (error) {
-            console.error('Error muting user:', error);
+            log.moderation.error('mute_failed', `Error muting ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+            return false;
         }
     }
 
@@ -3850,30 +6466,153 @@ class GuardianBot {
                 // User has DMs disabled
             }
 
-            await member.ban({ reason, deleteMessageDays: 1 });
-        } catch (error) {
-            console.error('Error banning user:', error);
-        }
+            await member.ban({ reason, deleteMessageDays: 1 });
+        } catch (error) {
+            log.moderation.error('ban_failed', `Error banning ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+        }
+    }
+
+    /**
+     * Record a ban that was just issued as a temp ban - if the row can't be written the scheduler would never
+     * lift it, so the ban is lifted again instead of being left permanent
+     * @returns {Promise<boolean>} true when the temp ban was recorded
+     */
+    async recordTempBan(guild, user, moderatorId, moderatorTag, reason, duration) {
+        const tempBanId = await this.dbManager.addTempBan(guild.id, user.id, user.tag, moderatorId, moderatorTag, reason, duration);
+        if (tempBanId) {
+            return true;
+        }
+
+        log.moderation.error('temp_ban_not_recorded', `Could not record the temp ban of ${user.tag}, lifting the ban`, { guildId: guild.id, userId: user.id });
+        try {
+            await guild.members.unban(user.id, 'Temp ban could not be recorded');
+        } catch (error) {
+            log.moderation.error('temp_ban_rollback_failed', `Failed to lift the unrecorded temp ban of ${user.tag} - unban them manually`, { guildId: guild.id, userId: user.id, error });
+        }
+        return false;
+    }
+
+    async tempBanUser(member, duration, reason) {
+        try {
+            // Without the database nobody would lift the ban, so don't issue one
+            if (!this.dbManager || !this.dbManager.isConnected) {
+                log.moderation.warn('temp_ban_skipped', `Skipping temp ban of ${member.user.tag}: database offline`, { guildId: member.guild.id, userId: member.id });
+                return false;
+            }
+
+            // Send DM before ban
+            try {
+                await member.user.send(
+                    `⏳ **You have been temporarily banned from ${member.guild.name}**\n\n` +
+                    `**Reason:** ${reason}\n` +
+                    `**Duration:** ${this.formatDuration(duration)}\n\n` +
+                    `This action was taken automatically due to repeated rule violations.`
+                );
+            } catch (dmError) {
+                // User has DMs disabled
+            }
+
+            await member.ban({ reason, deleteMessageDays: 1 });
+            return await this.recordTempBan(member.guild, member.user, this.client.user.id, this.client.user.username, reason, duration);
+        } catch (error) {
+            log.moderation.error('temp_ban_failed', `Error temp banning ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+            return false;
+        }
+    }
+
+    /**
+     * Temp ban a member, or time them out for the same time (at most 28 days) when the ban can't be issued,
+     * e.g. while the database is offline and nothing would lift it
+     * @returns {Promise<object>} { action: 'tempban' | 'mute' | null, duration } - null when neither worked
+     */
+    async tempBanOrMute(member, duration, reason) {
+        if (await this.tempBanUser(member, duration, reason)) {
+            return { action: 'tempban', duration };
+        }
+
+        const muteDuration = Math.min(duration, MAX_TIMEOUT_MS);
+        if (await this.muteUser(member, muteDuration, `${reason} (temp ban unavailable)`)) {
+            return { action: 'mute', duration: muteDuration };
+        }
+        return { action: null, duration: 0 };
+    }
+
+    formatDuration(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+
+        if (days > 0) return `${days} day${days !== 1 ? 's' : ''}`;
+        if (hours > 0) return `${hours} hour${hours !== 1 ? 's' : ''}`;
+        if (minutes > 0) return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+        return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+    }
+
+    // Parse durations like "30m", "12h", "7d", "2w" or "1d12h" into milliseconds (null if invalid or over 365 days)
+    parseDuration(input) {
+        const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+        const normalized = String(input).toLowerCase().replace(/\s+/g, '');
+        if (!/^(\d+[mhdw])+$/.test(normalized)) return null;
+
+        let total = 0;
+        for (const [, amount, unit] of normalized.matchAll(/(\d+)([mhdw])/g)) {
+            total += parseInt(amount) * units[unit];
+        }
+
+        if (total <= 0 || total > 365 * units.d) return null;
+        return total;
+    }
+
+    // Utility Methods
+    /**
+     * Effective settings for a guild - guild_config overrides on top of config.json
+     * @param {object|string} guild - Discord guild or guild ID
+     * @returns {object} Settings shaped like config.json (antiRaid, antiNuke, lockdown, ...)
+     */
+    getGuildConfig(guild) {
+        return this.dbManager.getGuildConfig(typeof guild === 'string' ? guild : guild?.id);
+    }
+
+    /**
+     * Resolve a guild's log channel - channels from other guilds are never used
+     * @param {object} guild - Discord guild
+     * @returns {Promise<object|null>} Text channel or null if none is configured
+     */
+    async getLogChannel(guild) {
+        if (!guild) return null;
+        const { logChannelId } = this.getGuildConfig(guild);
+        if (!logChannelId) return null;
+        return guild.channels.cache.get(logChannelId) || await guild.channels.fetch(logChannelId).catch(() => null);
+    }
+
+    isRoleLoggingEnabled(guild) {
+        const { logging } = this.getGuildConfig(guild);
+        return Boolean(logging.enabled && logging.logRoleChanges);
     }
 
-    formatDuration(milliseconds) {
-        const seconds = Math.floor(milliseconds / 1000);
-        const minutes = Math.floor(seconds / 60);
-        const hours = Math.floor(minutes / 60);
-        const days = Math.floor(hours / 24);
+    // Role that can keep talking in frozen channels - falls back to the guild's staff role
+    getFreezeRoleId(guild) {
+        const guildConfig = this.getGuildConfig(guild);
+        return guildConfig.freezeAllowedRoleId || guildConfig.staffRoleId || null;
+    }
 
-        if (days > 0) return `${days} day${days !== 1 ? 's' : ''}`;
-        if (hours > 0) return `${hours} hour${hours !== 1 ? 's' : ''}`;
-        if (minutes > 0) return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
-        return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+    // Readable setting value for /config - IDs are shown as channel/role mentions
+    formatConfigValue(key, value) {
+        const mention = id => (key.endsWith('ChannelId') ? `<#${id}>` : `<@&${id}>`);
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '*none*';
+            return key.endsWith('Permissions') ? value.map(item => `\`${item}\``).join(', ') : value.map(mention).join(', ');
+        }
+        if (key.endsWith('Id')) return value ? mention(value) : '*not set*';
+        return `\`${value}\``;
     }
 
-    // Utility Methods
     hasPermission(member) {
         if (!member) return false;
         return member.permissions.has(PermissionFlagsBits.ManageGuild) ||
                member.permissions.has(PermissionFlagsBits.Administrator) ||
-               config.adminRoleIds?.some(roleId => member.roles.cache.has(roleId)) ||
+               this.getGuildConfig(member.guild).adminRoleIds.some(roleId => member.roles.cache.has(roleId)) ||
                false;
     }
 
@@ -3952,7 +6691,7 @@ class GuardianBot {
             return 'Administrator';
         } else if (member.permissions.has(PermissionFlagsBits.ManageGuild)) {
             return 'Moderator';
-        } else if (config.adminRoleIds?.some(roleId => member.roles.cache.has(roleId))) {
+        } else if (this.getGuildConfig(member.guild).adminRoleIds.some(roleId => member.roles.cache.has(roleId))) {
             return 'Staff Member';
         }
         return 'Member';
@@ -4006,25 +6745,86 @@ class GuardianBot {
         return moderator.roles.highest.position > target.roles.highest.position;
     }
 
+    /**
+     * Strip every role from a member who tried to kick/ban/mute a protected user
+     * @param {object} violator - Guild member who attempted the action
+     * @param {object} target - The protected user
+     * @param {string} action - Attempted action (kick, ban, mute)
+     * @returns {Promise<EmbedBuilder|null>} Violation notice, or null if the violator had no roles to strip
+     */
+    async punishProtectionViolation(violator, target, action) {
+        const rolesToRemove = violator.roles.cache.filter(role => role.name !== '@everyone');
+        if (rolesToRemove.size === 0) return null;
+
+        await violator.roles.remove(rolesToRemove, `Auto-punishment: Attempted to ${action} protected user ${target.tag}`);
+
+        const punishmentEmbed = new EmbedBuilder()
+            .setTitle('⚠️ PROTECTION VIOLATION')
+            .setDescription(`**${violator.user.tag}** tried to ${action} protected user **${target.tag}** and has been stripped of all roles!`)
+            .setColor(0xff0000)
+            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+            .setTimestamp();
+
+        // Log the violation
+        await this.logEvent(violator.guild, 'Protection Violation',
+            `${violator.user.tag} attempted to ${action} protected user ${target.tag} - all roles removed`, 0xff0000);
+
+        return punishmentEmbed;
+    }
+
+    /**
+     * Permission overwrites for a server lockdown, built from the guild's lockdown.removePermissions
+     * @param {object} guild - Discord guild
+     * @param {boolean|null} value - false to deny, true to allow (exempt roles), null to reset
+     * @returns {{ text: object, voice: object }} Overwrites per channel type
+     */
+    getLockdownOverwrites(guild, value) {
+        const { lockdown } = this.getGuildConfig(guild);
+        const overwrites = { text: {}, voice: {} };
+        for (const name of lockdown.removePermissions || []) {
+            const permission = LOCKDOWN_PERMISSIONS[name];
+            if (permission) overwrites[permission.channelType][permission.flag] = value;
+        }
+        // A lockdown always stops messages, whatever else is configured
+        overwrites.text.SendMessages = value;
+        return overwrites;
+    }
+
+    // Channels a lockdown applies to, with the overwrites for @everyone and for the exempt roles
+    getLockdownTargets(guild, value) {
+        const overwrites = this.getLockdownOverwrites(guild, value);
+        const exemptOverwrites = this.getLockdownOverwrites(guild, value === null ? null : true);
+        const exemptRoles = this.getGuildConfig(guild).lockdown.exemptRoles
+            .map(roleId => guild.roles.cache.get(roleId))
+            .filter(role => role && role.id !== guild.id);
+
+        const targets = [];
+        for (const [, channel] of guild.channels.cache) {
+            const channelType = channel.type === ChannelType.GuildText ? 'text' : channel.type === ChannelType.GuildVoice ? 'voice' : null;
+            if (!channelType || Object.keys(overwrites[channelType]).length === 0) continue;
+            targets.push({ channel, overwrites: overwrites[channelType], exemptOverwrites: exemptOverwrites[channelType], exemptRoles });
+        }
+        return targets;
+    }
+
     async lockdownServer(guild, reason = 'Server lockdown activated') {
         const trumpResponse = this.getTrumpResponse('lockdown');
         const failedChannels = [];
         let successCount = 0;
 
         try {
-            // Remove @everyone send message permissions from all text channels
-            for (const [, channel] of guild.channels.cache) {
-                if (channel.type === ChannelType.GuildText) {
-                    try {
-                        await channel.permissionOverwrites.edit(guild.id, {
-                            SendMessages: false
-                        });
-                        console.log(`✅ Locked: ${channel.name}`);
-                        successCount++;
-                    } catch (channelError) {
-                        console.error(`❌ Failed to lock ${channel.name}:`, channelError.message);
-                        failedChannels.push(channel.name);
+            // Remove the configured @everyone permissions, keeping exempt roles able to talk
+            for (const { channel, overwrites, exemptOverwrites, exemptRoles } of this.getLockdownTargets(guild, false)) {
+                try {
+                    await channel.permissionOverwrites.edit(guild.id, overwrites);
+                    for (const role of exemptRoles) {
+                        await channel.permissionOverwrites.edit(role, exemptOverwrites);
                     }
+                    log.moderation.debug('channel_locked', `Locked #${channel.name}`, { guildId: guild.id, channelId: channel.id });
+                    successCount++;
+                } catch (channelError) {
+                    log.moderation.error('channel_lock_failed', `Failed to lock #${channel.name}`, { guildId: guild.id, channelId: channel.id, error: channelError });
+                    failedChannels.push(channel.name);
                 }
             }
 
@@ -4049,6 +6849,7 @@ class GuardianBot {
                 });
             }
 
+            log.moderation.warn('server_lockdown', `Server locked down: ${reason}`, { guildId: guild.id, reason, locked: successCount, failed: failedChannels.length });
             await this.sendToLogChannel(guild, lockdownEmbed);
 
             return {
@@ -4057,7 +6858,7 @@ class GuardianBot {
                 successCount
             };
         } catch (error) {
-            console.error('Error during server lockdown:', error);
+            log.moderation.error('server_lockdown_failed', 'Error during server lockdown', { guildId: guild.id, error });
             throw new Error(`Lockdown failed: ${error.message}`);
         }
     }
@@ -4097,109 +6898,586 @@ class GuardianBot {
                 )
                 .setTimestamp();
 
-            await channel.send({ embeds: [channelLockdownEmbed] });
-        } catch (error) {
-            console.error('Error during channel lockdown:', error);
-            throw new Error(`Failed to lock channel: ${error.message}`);
-        }
-    }
+            await channel.send({ embeds: [channelLockdownEmbed] });
+        } catch (error) {
+            log.moderation.error('channel_lockdown_failed', 'Error during channel lockdown', { guildId: channel.guild.id, channelId: channel.id, error });
+            throw new Error(`Failed to lock channel: ${error.message}`);
+        }
+    }
+
+    async unlockServer(guild, reason = 'Server lockdown removed') {
+        const trumpResponse = this.getTrumpResponse('unlock');
+        const failedChannels = [];
+        let successCount = 0;
+
+        try {
+            // Reset the lockdown permissions for @everyone and the exempt roles back to default
+            for (const { channel, overwrites, exemptRoles } of this.getLockdownTargets(guild, null)) {
+                try {
+                    await channel.permissionOverwrites.edit(guild.id, overwrites);
+                    for (const role of exemptRoles) {
+                        await channel.permissionOverwrites.edit(role, overwrites);
+                    }
+                    log.moderation.debug('channel_unlocked', `Unlocked #${channel.name}`, { guildId: guild.id, channelId: channel.id });
+                    successCount++;
+                } catch (channelError) {
+                    log.moderation.error('channel_unlock_failed', `Failed to unlock #${channel.name}`, { guildId: guild.id, channelId: channel.id, error: channelError });
+                    failedChannels.push(channel.name);
+                }
+            }
+
+            const unlockEmbed = new EmbedBuilder()
+                .setTitle('🔓 SERVER UNLOCKED')
+                .setDescription(`**${trumpResponse}**`)
+                .setColor(0x00ff00)
+                .addFields(
+                    { name: '📋 Reason', value: reason, inline: true },
+                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
+                    { name: '✅ Channels Unlocked', value: successCount.toString(), inline: true }
+                )
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            // Add failed channels warning if any
+            if (failedChannels.length > 0) {
+                unlockEmbed.addFields({
+                    name: '⚠️ Failed Channels',
+                    value: failedChannels.slice(0, 10).join(', ') + (failedChannels.length > 10 ? `... and ${failedChannels.length - 10} more` : ''),
+                    inline: false
+                });
+            }
+
+            log.moderation.info('server_unlocked', `Server unlocked: ${reason}`, { guildId: guild.id, reason, unlocked: successCount, failed: failedChannels.length });
+            await this.sendToLogChannel(guild, unlockEmbed);
+
+            return {
+                success: failedChannels.length === 0,
+                failedChannels,
+                successCount
+            };
+        } catch (error) {
+            log.moderation.error('server_unlock_failed', 'Error during server unlock', { guildId: guild.id, error });
+            throw new Error(`Unlock failed: ${error.message}`);
+        }
+    }
+
+    async unlockChannel(channel, reason = 'Channel lockdown removed', unlockedBy) {
+        const trumpResponse = this.getTrumpResponse('unlock');
+        
+        try {
+            // Restore @everyone send message permissions for the specific channel
+            await channel.permissionOverwrites.edit(channel.guild.id, {
+                SendMessages: null // Reset to default
+            });
+
+            const unlockEmbed = new EmbedBuilder()
+                .setTitle('🔓 CHANNEL UNLOCKED')
+                .setDescription(`**${trumpResponse}**`)
+                .setColor(0x00ff00)
+                .addFields(
+                    { name: '📺 Channel', value: `#${channel.name}`, inline: true },
+                    { name: '👨‍💼 Unlocked By', value: unlockedBy.tag, inline: true },
+                    { name: '📋 Reason', value: reason, inline: true },
+                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
+                    { name: '🎯 TRUMP SAYS', value: 'This channel is open for business!', inline: false }
+                )
+                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                .setTimestamp();
+
+            await this.sendToLogChannel(channel.guild, unlockEmbed);
+            
+            // Send unlock message to the channel itself
+            const channelUnlockEmbed = new EmbedBuilder()
+                .setTitle('🔓 CHANNEL UNLOCKED')
+                .setDescription(`**This channel has been unlocked by staff.**\n\n${reason}`)
+                .setColor(0x00ff00)
+                .addFields(
+                    { name: '👨‍💼 Unlocked By', value: unlockedBy.toString(), inline: true },
+                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:T>`, inline: true }
+                )
+                .setTimestamp();
+
+            await channel.send({ embeds: [channelUnlockEmbed] });
+        } catch (error) {
+            log.moderation.error('channel_unlock_failed', 'Error during channel unlock', { guildId: channel.guild.id, channelId: channel.id, error });
+            throw new Error(`Failed to unlock channel: ${error.message}`);
+        }
+    }
+
+    /**
+     * Freeze a text channel so only the guild's freeze role (and admins) can talk.
+     * The original SendMessages overwrites are kept in frozenChannels for unfreezeChannel()
+     * @param {object} channel - Discord text channel
+     * @param {string} reason - Freeze reason
+     * @param {object} moderatorUser - Discord user who froze the channel
+     */
+    async freezeChannel(channel, reason, moderatorUser) {
+        const freezeRoleId = this.getFreezeRoleId(channel.guild);
+
+        // Save ALL current permission overwrites so we can restore them later
+        const everyoneRole = channel.guild.roles.everyone;
+        const originalPermissions = new Map();
+
+        // Store original permissions for all existing overwrites
+        channel.permissionOverwrites.cache.forEach((overwrite, id) => {
+            originalPermissions.set(id, {
+                type: overwrite.type, // 0 = role, 1 = member
+                allow: overwrite.allow.has(PermissionFlagsBits.SendMessages) ? true : null,
+                deny: overwrite.deny.has(PermissionFlagsBits.SendMessages) ? true : null
+            });
+        });
+
+        // Deny SendMessages for @everyone
+        await channel.permissionOverwrites.edit(everyoneRole, {
+            SendMessages: false
+        });
+
+        // Deny SendMessages for ALL other roles (except the exempt role)
+        // This prevents roles with SendMessages from bypassing the freeze
+        const allRoles = channel.guild.roles.cache;
+        for (const [roleId, role] of allRoles) {
+            if (roleId === everyoneRole.id) continue; // Already handled
+            if (roleId === freezeRoleId) continue; // Exempt role
+
+            // Check if this role has SendMessages in the channel (either inherited or explicit)
+            const existingOverwrite = channel.permissionOverwrites.cache.get(roleId);
+            if (existingOverwrite && existingOverwrite.allow.has(PermissionFlagsBits.SendMessages)) {
+                // This role explicitly allows SendMessages - deny it
+                await channel.permissionOverwrites.edit(role, {
+                    SendMessages: false
+                });
+            }
+        }
+
+        // Allow the exempt role to still send messages
+        const allowedRole = freezeRoleId ? channel.guild.roles.cache.get(freezeRoleId) : null;
+        if (allowedRole) {
+            await channel.permissionOverwrites.edit(allowedRole, {
+                SendMessages: true
+            });
+        }
+
+        // Store freeze data with ALL original permissions
+        this.frozenChannels.set(channel.id, {
+            guildId: channel.guild.id,
+            reason: reason,
+            frozenBy: moderatorUser.tag,
+            frozenById: moderatorUser.id,
+            timestamp: Date.now(),
+            allowedRoleId: freezeRoleId,
+            originalPermissions: Object.fromEntries(originalPermissions)
+        });
+    }
+
+    /**
+     * Undo freezeChannel() - restores the saved SendMessages overwrites
+     * @param {object} channel - Discord text channel
+     * @returns {object} The freeze data that was stored for the channel
+     */
+    async unfreezeChannel(channel) {
+        const freezeData = this.frozenChannels.get(channel.id);
+        this.frozenChannels.delete(channel.id);
+
+        // Restore ALL original permissions
+        const originalPerms = freezeData.originalPermissions || {};
+
+        for (const [id, permData] of Object.entries(originalPerms)) {
+            const target = channel.guild.roles.cache.get(id) || await channel.guild.members.fetch(id).catch(() => null);
+            if (!target) continue;
+
+            if (permData.allow === true) {
+                // Was explicitly allowed - restore it
+                await channel.permissionOverwrites.edit(target, {
+                    SendMessages: true
+                });
+            } else if (permData.deny === true) {
+                // Was explicitly denied - restore it
+                await channel.permissionOverwrites.edit(target, {
+                    SendMessages: false
+                });
+            } else {
+                // Was neutral - remove the override
+                await channel.permissionOverwrites.edit(target, {
+                    SendMessages: null
+                });
+            }
+        }
+
+        // Handle @everyone if it wasn't in originalPermissions
+        const everyoneRole = channel.guild.roles.everyone;
+        if (!originalPerms[everyoneRole.id]) {
+            await channel.permissionOverwrites.edit(everyoneRole, {
+                SendMessages: null
+            });
+        }
+
+        // Remove the exempt role override we added (if it wasn't there originally)
+        const allowedRole = channel.guild.roles.cache.get(freezeData.allowedRoleId);
+        if (allowedRole && !originalPerms[freezeData.allowedRoleId]) {
+            await channel.permissionOverwrites.edit(allowedRole, {
+                SendMessages: null
+            });
+        }
+
+        return freezeData;
+    }
+
+    /**
+     * Save a warning, log its case and auto-mute at 5 warnings - shared by /warn, dashboard warnings and AI moderation
+     * @param {object} guild - Discord guild
+     * @param {object} target - Warned user
+     * @param {object|null} targetMember - Their guild member (no auto-mute without one)
+     * @param {object} moderator - User the warning is issued by (the bot for AI moderation)
+     * @param {string} reason - Warning reason
+     * @param {object} options - { expiresDays, details } - details are added to the case
+     * @returns {Promise<object|null>} { warningId, totalWarnings, caseNumber, autoMuted }, or null if the warning wasn't saved
+     */
+    async issueWarning(guild, target, targetMember, moderator, reason, { expiresDays = null, details = {} } = {}) {
+        const warningId = await this.dbManager.addWarning(guild.id, target.id, target.tag, moderator.id, moderator.tag, reason, expiresDays);
+        if (!warningId) {
+            return null;
+        }
+
+        const totalWarnings = await this.dbManager.getWarningCount(guild.id, target.id);
+        const caseNumber = await this.dbManager.logModeration(guild.id, 'warn', moderator.id, moderator.tag, target.id, target.tag, reason,
+            { warning_id: warningId, warning_count: totalWarnings, expires_in_days: expiresDays, ...details });
+
+        let autoMuted = false;
+        if (totalWarnings >= 5 && targetMember) {
+            try {
+                await targetMember.timeout(5 * 60 * 1000, 'Auto-mute: Reached 5 warnings');
+                autoMuted = true;
+                await this.logEvent(guild, 'User Auto-Muted', `${target.tag} was automatically muted for 5 minutes (5 warnings reached)`, 0xff0000);
+            } catch (error) {
+                log.moderation.error('auto_mute_failed', `Failed to auto-mute ${target.tag}`, { guildId: guild.id, userId: target.id, error });
+            }
+        }
+
+        return { warningId, totalWarnings, caseNumber, autoMuted };
+    }
+
+    /**
+     * Run a moderation action requested from the dashboard, with the same checks as the slash command:
+     * Discord permissions, the mod rate limit, protected users and role hierarchy.
+     * Cases are logged under the dashboard user, with the source ('dashboard' unless given) in the details
+     * @param {object} guild - Discord guild
+     * @param {string} moderatorId - Discord ID of the logged-in dashboard user
+     * @param {string} action - One of DASHBOARD_MOD_ACTIONS
+     * @param {object} params - { userId, reason, duration, expires, channelId, seconds }
+     * @param {string} source - Key of MOD_ACTION_SOURCES - 'ai_review' for approvals from the AI review queue
+     * @returns {Promise<object>} { success: true, message, caseNumber } or { success: false, status, error }
+     */
+    async performDashboardModAction(guild, moderatorId, action, params = {}, source = 'dashboard') {
+        const fail = (status, error) => ({ success: false, status, error });
+
+        if (!Object.hasOwn(DASHBOARD_MOD_ACTIONS, action)) {
+            return fail(400, `Unknown moderation action: ${action}`);
+        }
+
+        const moderator = await guild.members.fetch(moderatorId).catch(() => null);
+        if (!moderator) {
+            return fail(403, 'You must be a member of this server to moderate it');
+        }
+
+        const isMemberAction = DASHBOARD_MEMBER_ACTIONS.includes(action);
+        if (isMemberAction ? !this.hasAdminPermission(moderator) : !this.hasPermission(moderator)) {
+            return fail(403, isMemberAction
+                ? `You don't have permission to ${action} members! Only Administrators can do this.`
+                : `You don't have permission to ${action}!`);
+        }
+
+        const reason = String(params.reason || '').trim() || DASHBOARD_MOD_ACTIONS[action];
+        if (!reason) {
+            return fail(400, `A reason is required to ${action}`);
+        }
+
+        // Shows up in Discord's audit log, where the bot is the executor
+        const via = MOD_ACTION_SOURCES[source] || source;
+        const auditReason = `${reason} (by ${moderator.user.tag} via ${via})`;
+        const logCase = (actionType, targetId, targetTag, caseReason, details = {}) => {
+            if (!this.dbManager || !this.dbManager.isConnected) return null;
+            return this.dbManager.logModeration(guild.id, actionType, moderator.id, moderator.user.tag, targetId, targetTag, caseReason, { ...details, source });
+        };
+        const casePrefix = caseNumber => (caseNumber ? `[Case #${caseNumber}] ` : '');
+
+        let target = null;
+        let targetMember = null;
+        let channel = null;
+
+        if (isMemberAction) {
+            if (!/^\d{17,20}$/.test(String(params.userId || ''))) {
+                return fail(400, 'Please provide a valid user ID');
+            }
+
+            const rateLimit = this.checkModRateLimit(moderator.id, action);
+            if (rateLimit.limited) {
+                return fail(429, rateLimit.message);
+            }
+
+            if (action !== 'unban') {
+                target = await this.client.users.fetch(params.userId).catch(() => null);
+                if (!target) {
+                    return fail(404, 'User not found');
+                }
+
+                // Unmuting a protected user is left to canModerateTarget, as in /unmute
+                if (action !== 'unmute' && config.protectedUsers && config.protectedUsers.includes(target.id)) {
+                    // /warn only refuses - /kick, /ban and /mute also strip the violator's roles
+                    if (action !== 'warn') {
+                        const punished = await this.punishProtectionViolation(moderator, target, action).catch(error => {
+                            log.moderation.error('protection_violation_failed', 'Failed to remove roles from violator', { guildId: guild.id, userId: moderatorId, targetId: target.id, error });
+                            return null;
+                        });
+                        if (punished) {
+                            return fail(403, `${target.tag} is protected - your roles have been removed for attempting to ${action} them`);
+                        }
+                    }
+                    const pastTense = { warn: 'warned', mute: 'muted', kick: 'kicked', ban: 'banned' };
+                    return fail(403, `This user is protected and cannot be ${pastTense[action]}!`);
+                }
+
+                targetMember = await guild.members.fetch(target.id).catch(() => null);
+                if (!targetMember && action !== 'ban') {
+                    return fail(404, 'User not found in this server!');
+                }
+                if (targetMember && !this.canModerateTarget(moderator, targetMember)) {
+                    return fail(403, `You cannot ${action} this user! They have equal or higher role permissions than you.`);
+                }
+            }
+        } else if (params.channelId || (action !== 'lockdown' && action !== 'unlock')) {
+            // Lockdown and unlock cover the whole server when no channel is given
+            channel = guild.channels.cache.get(params.channelId);
+            if (!channel || channel.type !== ChannelType.GuildText) {
+                return fail(400, 'Please choose a text channel');
+            }
+            if (!channel.permissionsFor(guild.members.me).has(PermissionFlagsBits.ManageChannels)) {
+                return fail(403, 'I don\'t have permission to manage that channel!');
+            }
+        } else if (!guild.members.me.permissions.has(PermissionFlagsBits.ManageChannels)) {
+            return fail(403, 'I don\'t have permission to manage channels in this server!');
+        }
+
+        try {
+            switch (action) {
+                case 'warn': {
+                    const expiresDays = params.expires ? parseInt(params.expires) : null;
+                    if (expiresDays !== null && !(expiresDays >= 1 && expiresDays <= 365)) {
+                        return fail(400, 'Warning expiry must be between 1 and 365 days');
+                    }
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return fail(503, 'Warnings are unavailable while the database is offline!');
+                    }
+
+                    const warning = await this.issueWarning(guild, target, targetMember, moderator.user, reason, { expiresDays, details: { source } });
+                    if (!warning) {
+                        return fail(500, 'Failed to save the warning. Please try again!');
+                    }
+
+                    const { totalWarnings, caseNumber, autoMuted } = warning;
+                    await this.logEvent(guild, 'User Warned', `${casePrefix(caseNumber)}${target.tag} was warned by ${moderator.user.tag} via ${via} - Reason: ${reason} (${totalWarnings} total)`, 0xffaa00);
+
+                    const dmEmbed = new EmbedBuilder()
+                        .setTitle('⚠️ Warning Received')
+                        .setDescription(`You have been warned in **${guild.name}**`)
+                        .addFields(
+                            { name: '📋 Reason', value: reason, inline: false },
+                            { name: '📊 Total Warnings', value: `${totalWarnings} warning(s)`, inline: true },
+                            { name: '👨‍💼 Warned By', value: moderator.user.tag, inline: true }
+                        )
+                        .setColor(autoMuted ? 0xff0000 : 0xffaa00)
+                        .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                        .setTimestamp();
+                    if (autoMuted) {
+                        dmEmbed.addFields({ name: '🔇 AUTO-MUTE ACTIVATED', value: '⚠️ You have been automatically muted for **5 minutes** due to reaching 5 warnings!', inline: false });
+                    }
+                    await target.send({ embeds: [dmEmbed] }).catch(() => {}); // DMs may be closed
+
+                    return { success: true, caseNumber, message: `${target.tag} warned (${totalWarnings} total)${autoMuted ? ' and auto-muted for 5 minutes' : ''}` };
+                }
+
+                case 'mute': {
+                    const duration = params.duration ? parseInt(params.duration) : 60;
+                    if (!(duration >= 1 && duration <= 1440)) {
+                        return fail(400, 'Mute duration must be between 1 and 1440 minutes (24 hours)!');
+                    }
+                    if (targetMember.communicationDisabledUntil && targetMember.communicationDisabledUntil > new Date()) {
+                        return fail(409, `${target.tag} is already muted!`);
+                    }
+
+                    const muteEndTime = new Date(Date.now() + duration * 60 * 1000);
+                    await targetMember.timeout(duration * 60 * 1000, auditReason);
+
+                    const caseNumber = await logCase('mute', target.id, target.tag, reason, { duration, end_time: muteEndTime });
+                    await this.logEvent(guild, 'User Muted', `${casePrefix(caseNumber)}${target.tag} was muted for ${duration} minutes by ${moderator.user.tag} via ${via} - Reason: ${reason}`, 0xff6600);
+
+                    const muteDmEmbed = new EmbedBuilder()
+                        .setTitle('🔇 You Have Been Muted')
+                        .setDescription(`You have been muted in **${guild.name}**`)
+                        .addFields(
+                            { name: '⏰ Duration', value: `${duration} minutes`, inline: true },
+                            { name: '📋 Reason', value: reason, inline: false },
+                            { name: '🔓 Unmute Time', value: `<t:${Math.floor(muteEndTime.getTime() / 1000)}:F>`, inline: false }
+                        )
+                        .setColor(0xff6600)
+                        .setFooter({ text: 'GuardianBot, created by Skeeter' });
+                    await target.send({ embeds: [muteDmEmbed] }).catch(() => {});
+
+                    return { success: true, caseNumber, message: `${target.tag} muted for ${duration} minutes` };
+                }
+
+                case 'unmute': {
+                    if (!targetMember.communicationDisabledUntil || targetMember.communicationDisabledUntil < new Date()) {
+                        return fail(409, `${target.tag} is not currently muted!`);
+                    }
+
+                    await targetMember.timeout(null, auditReason);
+
+                    const caseNumber = await logCase('unmute', target.id, target.tag, reason);
+                    await this.logEvent(guild, 'User Unmuted', `${casePrefix(caseNumber)}${target.tag} was unmuted by ${moderator.user.tag} via ${via} - Reason: ${reason}`, 0x00ff00);
+
+                    const unmuteDmEmbed = new EmbedBuilder()
+                        .setTitle('🔊 You Have Been Unmuted')
+                        .setDescription(`Your mute has been removed in **${guild.name}**`)
+                        .addFields(
+                            { name: '📋 Reason', value: reason, inline: false },
+                            { name: '👨‍💼 Unmuted By', value: moderator.user.tag, inline: true }
+                        )
+                        .setColor(0x00ff00)
+                        .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                        .setTimestamp();
+                    await target.send({ embeds: [unmuteDmEmbed] }).catch(() => {});
+
+                    return { success: true, caseNumber, message: `${target.tag} unmuted` };
+                }
+
+                case 'kick': {
+                    await targetMember.kick(auditReason);
+
+                    const caseNumber = await logCase('kick', target.id, target.tag, reason);
+                    await this.logEvent(guild, 'User Kicked', `${casePrefix(caseNumber)}${target.tag} was kicked by ${moderator.user.tag} via ${via} - Reason: ${reason}`, 0xff9900);
+
+                    return { success: true, caseNumber, message: `${target.tag} kicked` };
+                }
+
+                case 'ban': {
+                    // A duration turns the ban into a temp ban that the scheduler lifts on expiry
+                    const durationMs = params.duration ? this.parseDuration(params.duration) : null;
+                    if (params.duration && !durationMs) {
+                        return fail(400, 'Invalid duration! Use a format like 30m, 12h, 7d or 2w (up to 365 days).');
+                    }
+                    if (durationMs && (!this.dbManager || !this.dbManager.isConnected)) {
+                        return fail(503, 'Temporary bans are unavailable while the database is offline!');
+                    }
 
-    async unlockServer(guild, reason = 'Server lockdown removed') {
-        const trumpResponse = this.getTrumpResponse('unlock');
-        const failedChannels = [];
-        let successCount = 0;
+                    await guild.bans.create(target.id, { reason: auditReason });
 
-        try {
-            // Restore @everyone send message permissions
-            for (const [, channel] of guild.channels.cache) {
-                if (channel.type === ChannelType.GuildText) {
+                    if (durationMs) {
+                        if (!(await this.recordTempBan(guild, target, moderator.id, moderator.user.tag, reason, durationMs))) {
+                            return fail(500, 'Failed to record the temp ban, so the ban was lifted again. Please try again.');
+                        }
+                    } else if (this.dbManager && this.dbManager.isConnected) {
+                        // A permanent ban overrides any pending temp ban
+                        await this.dbManager.resolveTempBan(guild.id, target.id);
+                    }
+
+                    const caseNumber = await logCase(durationMs ? 'tempban' : 'ban', target.id, target.tag, reason,
+                        durationMs ? { duration: this.formatDuration(durationMs), expires_at: new Date(Date.now() + durationMs) } : {});
+                    const banLength = durationMs ? ` for ${this.formatDuration(durationMs)}` : '';
+                    await this.logEvent(guild, durationMs ? 'User Temporarily Banned' : 'User Banned', `${casePrefix(caseNumber)}${target.tag} was banned${banLength} by ${moderator.user.tag} via ${via} - Reason: ${reason}`, 0xff0000);
+
+                    return { success: true, caseNumber, message: `${target.tag} banned${banLength}` };
+                }
+
+                case 'unban': {
+                    let unbannedUser;
                     try {
-                        await channel.permissionOverwrites.edit(guild.id, {
-                            SendMessages: null // Reset to default
-                        });
-                        console.log(`✅ Unlocked: ${channel.name}`);
-                        successCount++;
-                    } catch (channelError) {
-                        console.error(`❌ Failed to unlock ${channel.name}:`, channelError.message);
-                        failedChannels.push(channel.name);
+                        unbannedUser = await guild.members.unban(params.userId, auditReason);
+                    } catch (error) {
+                        if (error.code === 10026) {
+                            return fail(404, 'That user is not banned!');
+                        }
+                        throw error;
                     }
+
+                    const unbannedTag = unbannedUser?.tag || params.userId;
+                    const caseNumber = await logCase('unban', params.userId, unbannedUser?.tag || null, reason);
+                    await this.logEvent(guild, 'User Unbanned', `${casePrefix(caseNumber)}${unbannedTag} was unbanned by ${moderator.user.tag} via ${via} - Reason: ${reason}`, 0x00ff00);
+
+                    return { success: true, caseNumber, message: `${unbannedTag} unbanned` };
                 }
-            }
 
-            const unlockEmbed = new EmbedBuilder()
-                .setTitle('🔓 SERVER UNLOCKED')
-                .setDescription(`**${trumpResponse}**`)
-                .setColor(0x00ff00)
-                .addFields(
-                    { name: '📋 Reason', value: reason, inline: true },
-                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
-                    { name: '✅ Channels Unlocked', value: successCount.toString(), inline: true }
-                )
-                .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                .setTimestamp();
+                case 'lockdown':
+                case 'unlock': {
+                    const locking = action === 'lockdown';
+                    let failedChannels = [];
+                    if (channel) {
+                        await (locking ? this.lockdownChannel(channel, reason, moderator.user) : this.unlockChannel(channel, reason, moderator.user));
+                    } else {
+                        const result = await (locking ? this.lockdownServer(guild, auditReason) : this.unlockServer(guild, auditReason));
+                        failedChannels = result?.failedChannels || [];
+                    }
 
-            // Add failed channels warning if any
-            if (failedChannels.length > 0) {
-                unlockEmbed.addFields({
-                    name: '⚠️ Failed Channels',
-                    value: failedChannels.slice(0, 10).join(', ') + (failedChannels.length > 10 ? `... and ${failedChannels.length - 10} more` : ''),
-                    inline: false
-                });
-            }
+                    const caseNumber = await logCase(action, null, null, reason, { channel_id: channel?.id || null, failed_channels: failedChannels });
+                    const scope = channel ? `#${channel.name}` : 'Server';
+                    const failedNote = failedChannels.length > 0 ? ` (failed on ${failedChannels.length} channel(s): ${failedChannels.join(', ')})` : '';
 
-            await this.sendToLogChannel(guild, unlockEmbed);
+                    return { success: true, caseNumber, message: `${scope} ${locking ? 'locked down' : 'unlocked'}${failedNote}` };
+                }
 
-            return {
-                success: failedChannels.length === 0,
-                failedChannels,
-                successCount
-            };
-        } catch (error) {
-            console.error('Error during server unlock:', error);
-            throw new Error(`Unlock failed: ${error.message}`);
-        }
-    }
+                case 'freeze':
+                case 'unfreeze': {
+                    const freezing = action === 'freeze';
+                    if (this.frozenChannels.has(channel.id) === freezing) {
+                        return fail(409, `#${channel.name} is ${freezing ? 'already' : 'not'} frozen!`);
+                    }
 
-    async unlockChannel(channel, reason = 'Channel lockdown removed', unlockedBy) {
-        const trumpResponse = this.getTrumpResponse('unlock');
-        
-        try {
-            // Restore @everyone send message permissions for the specific channel
-            await channel.permissionOverwrites.edit(channel.guild.id, {
-                SendMessages: null // Reset to default
-            });
+                    if (freezing) {
+                        await this.freezeChannel(channel, reason, moderator.user);
+                    } else {
+                        await this.unfreezeChannel(channel);
+                    }
 
-            const unlockEmbed = new EmbedBuilder()
-                .setTitle('🔓 CHANNEL UNLOCKED')
-                .setDescription(`**${trumpResponse}**`)
-                .setColor(0x00ff00)
-                .addFields(
-                    { name: '📺 Channel', value: `#${channel.name}`, inline: true },
-                    { name: '👨‍💼 Unlocked By', value: unlockedBy.tag, inline: true },
-                    { name: '📋 Reason', value: reason, inline: true },
-                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
-                    { name: '🎯 TRUMP SAYS', value: 'This channel is open for business!', inline: false }
-                )
-                .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                .setTimestamp();
+                    const freezeRoleId = this.getFreezeRoleId(guild);
+                    const freezeEmbed = new EmbedBuilder()
+                        .setTitle(freezing ? '❄️ CHANNEL FROZEN' : '🔓 CHANNEL UNFROZEN')
+                        .setDescription(freezing
+                            ? `<#${channel.id}> has been **LOCKED DOWN**!\n\n${freezeRoleId ? `Only users with <@&${freezeRoleId}> can send messages.` : 'Only administrators can send messages.'}`
+                            : `<#${channel.id}> has been **UNLOCKED**!\n\nEveryone can send messages again.`)
+                        .addFields(
+                            { name: freezing ? '🔒 Frozen By' : '🔓 Unfrozen By', value: moderator.user.tag, inline: true },
+                            { name: '📋 Reason', value: reason, inline: false }
+                        )
+                        .setColor(freezing ? 0x5dadec : 0x00ff00)
+                        .setTimestamp()
+                        .setFooter({ text: 'GuardianBot Security System • Created by Skeeter' });
+                    await channel.send({ embeds: [freezeEmbed] });
+                    await this.sendToLogChannel(guild, freezeEmbed);
 
-            await this.sendToLogChannel(channel.guild, unlockEmbed);
-            
-            // Send unlock message to the channel itself
-            const channelUnlockEmbed = new EmbedBuilder()
-                .setTitle('🔓 CHANNEL UNLOCKED')
-                .setDescription(`**This channel has been unlocked by staff.**\n\n${reason}`)
-                .setColor(0x00ff00)
-                .addFields(
-                    { name: '👨‍💼 Unlocked By', value: unlockedBy.toString(), inline: true },
-                    { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:T>`, inline: true }
-                )
-                .setTimestamp();
+                    const caseNumber = await logCase(action, null, null, reason, { channel_id: channel.id });
+                    return { success: true, caseNumber, message: `#${channel.name} ${freezing ? 'frozen' : 'unfrozen'}` };
+                }
 
-            await channel.send({ embeds: [channelUnlockEmbed] });
+                case 'slowmode': {
+                    const seconds = parseInt(params.seconds);
+                    if (!(seconds >= 0 && seconds <= 21600)) {
+                        return fail(400, 'Slow mode must be between 0 (off) and 21600 seconds');
+                    }
+
+                    await channel.setRateLimitPerUser(seconds, `Slow mode set by ${moderator.user.tag} via ${via}`);
+
+                    const caseNumber = await logCase('slowmode', null, null, `Slow mode set to ${seconds}s in #${channel.name}`, { channel_id: channel.id, seconds });
+                    await this.logEvent(guild, 'Slow Mode Updated',
+                        `${moderator.user.tag} set slow mode to ${seconds}s in #${channel.name} via ${via}`, seconds === 0 ? 0x00ff00 : 0x0099ff);
+
+                    return { success: true, caseNumber, message: seconds === 0 ? `Slow mode disabled in #${channel.name}` : `Slow mode set to ${seconds}s in #${channel.name}` };
+                }
+            }
         } catch (error) {
-            console.error('Error during channel unlock:', error);
-            throw new Error(`Failed to unlock channel: ${error.message}`);
+            log.dashboard.error('mod_action_failed', `Dashboard ${action} failed`, { guildId: guild.id, userId: moderatorId, action, source, error });
+            if (error.code === 50013) {
+                return fail(403, 'I don\'t have permission to do that! Check my role is above the target and has the needed permissions.');
+            }
+            return fail(500, `Failed to ${action}: ${error.message}`);
         }
     }
 
@@ -4289,32 +7567,15 @@ class GuardianBot {
                     
                     // Check for protected users and auto-punish violators
                     if (config.protectedUsers && config.protectedUsers.includes(kickTarget.id)) {
-                        // Auto-remove all roles from the person trying to kick protected users
                         try {
-                            const violator = interaction.member;
-                            const rolesToRemove = violator.roles.cache.filter(role => role.name !== '@everyone');
-                            
-                            if (rolesToRemove.size > 0) {
-                                await violator.roles.remove(rolesToRemove, `Auto-punishment: Attempted to kick protected user ${kickTarget.tag}`);
-                                
-                                const punishmentEmbed = new EmbedBuilder()
-                                    .setTitle('⚠️ PROTECTION VIOLATION')
-                                    .setDescription(`**${violator.user.tag}** tried to kick protected user **${kickTarget.tag}** and has been stripped of all roles!`)
-                                    .setColor(0xff0000)
-                                    .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                                    .setTimestamp();
-                                
-                                // Log the violation
-                                await this.logEvent(interaction.guild, 'Protection Violation', 
-                                    `${violator.user.tag} attempted to kick protected user ${kickTarget.tag} - all roles removed`, 0xff0000);
-                                
+                            const punishmentEmbed = await this.punishProtectionViolation(interaction.member, kickTarget, 'kick');
+                            if (punishmentEmbed) {
                                 // Notify the channel
                                 await interaction.reply({ embeds: [punishmentEmbed] });
-                                
                                 return;
                             }
                         } catch (error) {
-                            console.error('Failed to remove roles from violator:', error);
+                            log.moderation.error('protection_violation_failed', 'Failed to remove roles from violator', { guildId: interaction.guild.id, userId: interaction.user.id, targetId: kickTarget.id, error });
                         }
                         
                         return interaction.reply({ content: '❌ This user is protected and cannot be kicked!', flags: MessageFlags.Ephemeral });
@@ -4329,6 +7590,20 @@ class GuardianBot {
                         }
 
                         await member.kick(kickReason);
+
+                        // Log kick to database
+                        let kickCase = null;
+                        if (this.dbManager && this.dbManager.isConnected) {
+                            kickCase = await this.dbManager.logModeration(
+                                interaction.guild.id,
+                                'kick',
+                                interaction.user.id,
+                                interaction.user.tag,
+                                kickTarget.id,
+                                kickTarget.tag,
+                                kickReason
+                            );
+                        }
                         
                         const trumpResponse = this.getTrumpResponse('punishment', { user: kickTarget.tag });
                         
@@ -4343,24 +7618,15 @@ class GuardianBot {
                             .setColor(0xff9900)
                             .setTimestamp()
                             .setFooter({ text: 'GuardianBot, created by Skeeter' });
+
+                        if (kickCase) {
+                            kickEmbed.addFields({ name: '📁 Case', value: `#${kickCase}`, inline: true });
+                        }
                         
                         await interaction.reply({ embeds: [kickEmbed] });
-                        await this.logEvent(interaction.guild, 'User Kicked', `${kickTarget.tag} was kicked by ${interaction.user.tag} - Reason: ${kickReason}`, 0xff9900);
-                        
-                        // Log kick to database
-                        if (this.dbManager && this.dbManager.isConnected) {
-                            await this.dbManager.logModeration(
-                                interaction.guild.id,
-                                'kick',
-                                interaction.user.id,
-                                interaction.user.tag,
-                                kickTarget.id,
-                                kickTarget.tag,
-                                kickReason
-                            );
-                        }
+                        await this.logEvent(interaction.guild, 'User Kicked', `${kickCase ? `[Case #${kickCase}] ` : ''}${kickTarget.tag} was kicked by ${interaction.user.tag} - Reason: ${kickReason}`, 0xff9900);
                     } catch (error) {
-                        console.error('Kick command error:', error);
+                        log.commands.error('command_failed', 'Kick command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, targetId: kickTarget.id, error });
                         if (error.code === 10007) {
                             await interaction.reply({ content: '❌ User not found in this server!', flags: MessageFlags.Ephemeral });
                         } else {
@@ -4369,6 +7635,7 @@ class GuardianBot {
                     }
                     break;
 
+                case 'tempban':
                 case 'ban':
                     // STRICT: Only Discord Administrator permission can ban
                     if (!this.hasAdminPermission(interaction.member)) {
@@ -4383,35 +7650,29 @@ class GuardianBot {
 
                     const banTarget = options.getUser('user');
                     const banReason = options.getString('reason') || 'No reason provided';
+
+                    // A duration turns the ban into a temp ban that the scheduler lifts on expiry
+                    const banDurationInput = options.getString('duration');
+                    const banDurationMs = banDurationInput ? this.parseDuration(banDurationInput) : null;
+                    if (banDurationInput && !banDurationMs) {
+                        return interaction.reply({ content: '❌ Invalid duration! Use a format like `30m`, `12h`, `7d` or `2w` (up to 365 days).', flags: MessageFlags.Ephemeral });
+                    }
+                    if (banDurationMs && (!this.dbManager || !this.dbManager.isConnected)) {
+                        return interaction.reply({ content: '❌ Temporary bans are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+                    const banExpiresAt = banDurationMs ? new Date(Date.now() + banDurationMs) : null;
                     
                     // Check for protected users and auto-punish violators
                     if (config.protectedUsers && config.protectedUsers.includes(banTarget.id)) {
-                        // Auto-remove all roles from the person trying to ban protected users
                         try {
-                            const violator = interaction.member;
-                            const rolesToRemove = violator.roles.cache.filter(role => role.name !== '@everyone');
-                            
-                            if (rolesToRemove.size > 0) {
-                                await violator.roles.remove(rolesToRemove, `Auto-punishment: Attempted to ban protected user ${banTarget.tag}`);
-                                
-                                const punishmentEmbed = new EmbedBuilder()
-                                    .setTitle('⚠️ PROTECTION VIOLATION')
-                                    .setDescription(`**${violator.user.tag}** tried to ban protected user **${banTarget.tag}** and has been stripped of all roles!`)
-                                    .setColor(0xff0000)
-                                    .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                                    .setTimestamp();
-                                
-                                // Log the violation
-                                await this.logEvent(interaction.guild, 'Protection Violation', 
-                                    `${violator.user.tag} attempted to ban protected user ${banTarget.tag} - all roles removed`, 0xff0000);
-                                
+                            const punishmentEmbed = await this.punishProtectionViolation(interaction.member, banTarget, 'ban');
+                            if (punishmentEmbed) {
                                 // Notify the channel
                                 await interaction.reply({ embeds: [punishmentEmbed] });
-                                
                                 return;
                             }
                         } catch (error) {
-                            console.error('Failed to remove roles from violator:', error);
+                            log.moderation.error('protection_violation_failed', 'Failed to remove roles from violator', { guildId: interaction.guild.id, userId: interaction.user.id, targetId: banTarget.id, error });
                         }
                         
                         return interaction.reply({ content: '❌ This user is protected and cannot be banned!', flags: MessageFlags.Ephemeral });
@@ -4431,6 +7692,30 @@ class GuardianBot {
 
                         // Ban the user (works for both members in server and users not in server)
                         await interaction.guild.bans.create(banTarget.id, { reason: banReason });
+
+                        if (banDurationMs) {
+                            if (!(await this.recordTempBan(interaction.guild, banTarget, interaction.user.id, interaction.user.tag, banReason, banDurationMs))) {
+                                return interaction.reply({ content: '❌ Failed to record the temp ban, so the ban was lifted again. Please try again.', flags: MessageFlags.Ephemeral });
+                            }
+                        } else if (this.dbManager && this.dbManager.isConnected) {
+                            // A permanent ban overrides any pending temp ban
+                            await this.dbManager.resolveTempBan(interaction.guild.id, banTarget.id);
+                        }
+
+                        // Log to database
+                        let banCase = null;
+                        if (this.dbManager && this.dbManager.isConnected) {
+                            banCase = await this.dbManager.logModeration(
+                                interaction.guild.id,
+                                banDurationMs ? 'tempban' : 'ban',
+                                interaction.user.id,
+                                interaction.user.tag,
+                                banTarget.id,
+                                banTarget.tag,
+                                banReason,
+                                banDurationMs ? { duration: this.formatDuration(banDurationMs), expires_at: banExpiresAt } : null
+                            );
+                        }
                         
                         const trumpResponse = this.getTrumpResponse('punishment', { user: banTarget.tag });
                         
@@ -4446,25 +7731,85 @@ class GuardianBot {
                             .setColor(0xff0000)
                             .setTimestamp()
                             .setFooter({ text: 'GuardianBot, created by Skeeter' });
+
+                        if (banExpiresAt) {
+                            banEmbed
+                                .setTitle('⏳ USER TEMPORARILY BANNED')
+                                .addFields({ name: '⏳ Expires', value: `<t:${Math.floor(banExpiresAt.getTime() / 1000)}:R> (${this.formatDuration(banDurationMs)})`, inline: true });
+                        }
+
+                        if (banCase) {
+                            banEmbed.addFields({ name: '📁 Case', value: `#${banCase}`, inline: true });
+                        }
                         
                         await interaction.reply({ embeds: [banEmbed] });
-                        await this.logEvent(interaction.guild, 'User Banned', `${banTarget.tag} was banned by ${interaction.user.tag} - Reason: ${banReason}`, 0xff0000);
-                        
+                        await this.logEvent(interaction.guild, banExpiresAt ? 'User Temporarily Banned' : 'User Banned', `${banCase ? `[Case #${banCase}] ` : ''}${banTarget.tag} was banned${banExpiresAt ? ` for ${this.formatDuration(banDurationMs)}` : ''} by ${interaction.user.tag} - Reason: ${banReason}`, 0xff0000);
+                    } catch (error) {
+                        log.commands.error('command_failed', 'Ban command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, targetId: banTarget.id, error });
+                        await interaction.reply({ content: `❌ Failed to ban user! Error: ${error.message}`, flags: MessageFlags.Ephemeral });
+                    }
+                    break;
+
+                case 'unban':
+                    // STRICT: Only Discord Administrator permission can unban
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ You don\'t have permission to unban members! Only Administrators can use this command.', flags: MessageFlags.Ephemeral });
+                    }
+
+                    // Rate limit check
+                    const unbanRateLimit = this.checkModRateLimit(interaction.user.id, 'unban');
+                    if (unbanRateLimit.limited) {
+                        return interaction.reply({ content: unbanRateLimit.message, flags: MessageFlags.Ephemeral });
+                    }
+
+                    const unbanUserId = options.getString('userid').trim();
+                    const unbanReason = options.getString('reason') || 'No reason provided';
+
+                    if (!/^\d{17,20}$/.test(unbanUserId)) {
+                        return interaction.reply({ content: '❌ Please provide a valid user ID!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    try {
+                        const unbannedUser = await interaction.guild.members.unban(unbanUserId, unbanReason);
+
                         // Log to database
+                        let unbanCase = null;
                         if (this.dbManager && this.dbManager.isConnected) {
-                            await this.dbManager.logModeration(
+                            unbanCase = await this.dbManager.logModeration(
                                 interaction.guild.id,
-                                'ban',
+                                'unban',
                                 interaction.user.id,
                                 interaction.user.tag,
-                                banTarget.id,
-                                banTarget.tag,
-                                banReason
+                                unbanUserId,
+                                unbannedUser?.tag || null,
+                                unbanReason
                             );
                         }
+
+                        const unbanEmbed = new EmbedBuilder()
+                            .setTitle('🔓 USER UNBANNED')
+                            .addFields(
+                                { name: '👤 User', value: unbannedUser?.tag || unbanUserId, inline: true },
+                                { name: '📋 Reason', value: unbanReason, inline: true },
+                                { name: '👨‍💼 Unbanned By', value: interaction.user.tag, inline: true }
+                            )
+                            .setColor(0x00ff00)
+                            .setTimestamp()
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' });
+
+                        if (unbanCase) {
+                            unbanEmbed.addFields({ name: '📁 Case', value: `#${unbanCase}`, inline: true });
+                        }
+
+                        await interaction.reply({ embeds: [unbanEmbed] });
+                        await this.logEvent(interaction.guild, 'User Unbanned', `${unbanCase ? `[Case #${unbanCase}] ` : ''}${unbannedUser?.tag || unbanUserId} was unbanned by ${interaction.user.tag} - Reason: ${unbanReason}`, 0x00ff00);
                     } catch (error) {
-                        console.error('Ban command error:', error);
-                        await interaction.reply({ content: `❌ Failed to ban user! Error: ${error.message}`, flags: MessageFlags.Ephemeral });
+                        log.commands.error('command_failed', 'Unban command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, targetId: unbanUserId, error });
+                        if (error.code === 10026) {
+                            await interaction.reply({ content: '❌ That user is not banned!', flags: MessageFlags.Ephemeral });
+                        } else {
+                            await interaction.reply({ content: `❌ Failed to unban user! Error: ${error.message}`, flags: MessageFlags.Ephemeral });
+                        }
                     }
                     break;
 
@@ -4497,24 +7842,19 @@ class GuardianBot {
                     if (config.protectedUsers && config.protectedUsers.includes(warnTarget.id)) {
                         return interaction.reply({ content: '❌ This user is protected and cannot be warned!', flags: MessageFlags.Ephemeral });
                     }
-                    
-                    // Get or create warning array for this user
-                    if (!this.warningTracker.has(warnTarget.id)) {
-                        this.warningTracker.set(warnTarget.id, []);
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Warnings are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
                     }
-                    
-                    const warning = {
-                        id: Date.now(), // Simple ID using timestamp
-                        reason: warnReason,
-                        issuedBy: interaction.user.id,
-                        issuedByTag: interaction.user.tag,
-                        timestamp: Date.now(),
-                        guildId: interaction.guild.id
-                    };
-                    
-                    this.warningTracker.get(warnTarget.id).push(warning);
-                    const totalWarnings = this.warningTracker.get(warnTarget.id).length;
-                    
+
+                    const warnExpiresDays = options.getInteger('expires');
+                    const warning = await this.issueWarning(interaction.guild, warnTarget, targetMember, interaction.user, warnReason, { expiresDays: warnExpiresDays });
+                    if (!warning) {
+                        return interaction.reply({ content: '❌ Failed to save the warning. Please try again!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const { warningId, totalWarnings, caseNumber: warnCase } = warning;
+
                     const warnTrumpResponse = this.getTrumpResponse('punishment', { user: warnTarget.tag });
                     
                     const warnEmbed = new EmbedBuilder()
@@ -4525,63 +7865,43 @@ class GuardianBot {
                             { name: '📋 Reason', value: warnReason, inline: true },
                             { name: '👨‍💼 Warned By', value: interaction.user.tag, inline: true },
                             { name: '📊 Total Warnings', value: totalWarnings.toString(), inline: true },
-                            { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true }
+                            { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
+                            { name: '⌛ Expires', value: warnExpiresDays ? `<t:${Math.floor((Date.now() + warnExpiresDays * 24 * 60 * 60 * 1000) / 1000)}:R>` : 'Never', inline: true }
                         )
                         .setColor(0xffaa00)
-                        .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                        .setFooter({ text: `Warning ID: ${warningId} • GuardianBot, created by Skeeter` })
                         .setTimestamp();
-                    
+
+                    if (warnCase) {
+                        warnEmbed.addFields({ name: '📁 Case', value: `#${warnCase}`, inline: true });
+                    }
+
                     await interaction.reply({ embeds: [warnEmbed] });
                     await this.sendToLogChannel(interaction.guild, warnEmbed);
                     
-                    // Log warning to database
-                    if (this.dbManager && this.dbManager.isConnected) {
-                        await this.dbManager.logModeration(
-                            interaction.guild.id,
-                            'warn',
-                            interaction.user.id,
-                            interaction.user.tag,
-                            warnTarget.id,
-                            warnTarget.tag,
-                            warnReason,
-                            { warning_count: totalWarnings }
-                        );
-                    }
-                    
-                    // Auto-mute after 5 warnings
-                    if (totalWarnings >= 5) {
-                        try {
-                            const member = await interaction.guild.members.fetch(warnTarget.id);
-                            const muteTimeMs = 5 * 60 * 1000; // 5 minutes in milliseconds
-                            const muteEndTime = new Date(Date.now() + muteTimeMs);
-                            
-                            await member.timeout(muteTimeMs, `Auto-mute: Reached 5 warnings`);
-                            
-                            const autoMuteTrumpResponse = this.getTrumpResponse('punishment', { user: warnTarget.tag });
-                            
-                            const autoMuteEmbed = new EmbedBuilder()
-                                .setTitle('🔇 AUTO-MUTE ACTIVATED')
-                                .setDescription(`**${autoMuteTrumpResponse}**`)
-                                .addFields(
-                                    { name: '👤 User', value: warnTarget.tag, inline: true },
-                                    { name: '📊 Warning Count', value: `${totalWarnings} warnings`, inline: true },
-                                    { name: '⏰ Mute Duration', value: '5 minutes', inline: true },
-                                    { name: '🔓 Unmute Time', value: `<t:${Math.floor(muteEndTime.getTime() / 1000)}:F>`, inline: false },
-                                    { name: '📋 Reason', value: 'Automatic mute for reaching 5 warnings', inline: false }
-                                )
-                                .setColor(0xff0000)
-                                .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                                .setTimestamp();
-                            
-                            await interaction.followUp({ embeds: [autoMuteEmbed] });
-                            await this.logEvent(interaction.guild, 'User Auto-Muted', `${warnTarget.tag} was automatically muted for 5 minutes (5 warnings reached)`, 0xff0000);
-                            
-                        } catch (error) {
-                            console.error('Failed to auto-mute user:', error);
-                            await interaction.followUp({ content: `⚠️ Failed to auto-mute ${warnTarget.tag} despite reaching 5 warnings.`, flags: MessageFlags.Ephemeral });
-                        }
+                    // issueWarning auto-mutes for 5 minutes at 5 warnings
+                    if (warning.autoMuted) {
+                        const muteEndTime = new Date(Date.now() + 5 * 60 * 1000);
+                        const autoMuteTrumpResponse = this.getTrumpResponse('punishment', { user: warnTarget.tag });
+
+                        const autoMuteEmbed = new EmbedBuilder()
+                            .setTitle('🔇 AUTO-MUTE ACTIVATED')
+                            .setDescription(`**${autoMuteTrumpResponse}**`)
+                            .addFields(
+                                { name: '👤 User', value: warnTarget.tag, inline: true },
+                                { name: '📊 Warning Count', value: `${totalWarnings} warnings`, inline: true },
+                                { name: '⏰ Mute Duration', value: '5 minutes', inline: true },
+                                { name: '🔓 Unmute Time', value: `<t:${Math.floor(muteEndTime.getTime() / 1000)}:F>`, inline: false },
+                                { name: '📋 Reason', value: 'Automatic mute for reaching 5 warnings', inline: false }
+                            )
+                            .setColor(0xff0000)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.followUp({ embeds: [autoMuteEmbed] });
+                    } else if (totalWarnings >= 5) {
+                        await interaction.followUp({ content: `⚠️ Failed to auto-mute ${warnTarget.tag} despite reaching 5 warnings.`, flags: MessageFlags.Ephemeral });
                     }
-                    
                     // Try to DM the user about their warning
                     try {
                         const dmEmbed = new EmbedBuilder()
@@ -4597,7 +7917,7 @@ class GuardianBot {
                             .setTimestamp();
                         
                         // Add auto-mute notice if applicable
-                        if (totalWarnings >= 5) {
+                        if (warning.autoMuted) {
                             dmEmbed.addFields({
                                 name: '🔇 AUTO-MUTE ACTIVATED',
                                 value: '⚠️ You have been automatically muted for **5 minutes** due to reaching 5 warnings!',
@@ -4623,9 +7943,12 @@ class GuardianBot {
                         return interaction.reply({ content: '❌ You don\'t have permission to view other users\' warnings!', flags: MessageFlags.Ephemeral });
                     }
                     
-                    const userWarnings = this.warningTracker.get(targetUser.id) || [];
-                    const guildWarnings = userWarnings.filter(w => w.guildId === interaction.guild.id);
-                    
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Warnings are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const guildWarnings = await this.dbManager.getWarnings(interaction.guild.id, targetUser.id);
+
                     if (guildWarnings.length === 0) {
                         const noWarningsEmbed = new EmbedBuilder()
                             .setTitle('📋 Warning History')
@@ -4637,10 +7960,12 @@ class GuardianBot {
                         return interaction.reply({ embeds: [noWarningsEmbed] });
                     }
                     
-                    // Create warning list
+                    // Create warning list (numbered across the full history so /removewarn numbers line up)
+                    const warningListOffset = Math.max(guildWarnings.length - 10, 0);
                     const warningList = guildWarnings.slice(-10).map((warning, index) => {
-                        const date = new Date(warning.timestamp).toLocaleDateString();
-                        return `**${index + 1}.** ${warning.reason}\n*Warned by: ${warning.issuedByTag}* • *${date}*`;
+                        const date = `<t:${Math.floor(new Date(`${warning.created_at}Z`).getTime() / 1000)}:d>`;
+                        const expires = warning.expires_at ? ` • *Expires <t:${Math.floor(new Date(`${warning.expires_at}Z`).getTime() / 1000)}:R>*` : '';
+                        return `**${warningListOffset + index + 1}.** ${warning.reason}\n*Warned by: ${warning.moderator_username}* • ${date} • *ID ${warning.id}*${expires}`;
                     }).join('\n\n');
                     
                     const warningsEmbed = new EmbedBuilder()
@@ -4681,24 +8006,26 @@ class GuardianBot {
                         return interaction.reply({ content: '❌ Please specify which warning to remove! Use a number or "all".', flags: MessageFlags.Ephemeral });
                     }
                     
-                    const removeUserWarnings = this.warningTracker.get(removeTarget.id) || [];
-                    const removeGuildWarnings = removeUserWarnings.filter(w => w.guildId === interaction.guild.id);
-                    
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Warnings are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const removeGuildWarnings = await this.dbManager.getWarnings(interaction.guild.id, removeTarget.id);
+
                     if (removeGuildWarnings.length === 0) {
                         return interaction.reply({ content: `❌ **${removeTarget.tag}** has no warnings in this server!`, flags: MessageFlags.Ephemeral });
                     }
-                    
+
                     if (removeArg.toLowerCase() === 'all') {
                         // Remove all warnings for this guild
-                        const newWarnings = removeUserWarnings.filter(w => w.guildId !== interaction.guild.id);
-                        this.warningTracker.set(removeTarget.id, newWarnings);
-                        
+                        const removedCount = await this.dbManager.clearWarnings(interaction.guild.id, removeTarget.id, interaction.user.id);
+
                         const removeAllEmbed = new EmbedBuilder()
                             .setTitle('🗑️ ALL WARNINGS REMOVED')
                             .setDescription(`All warnings removed for **${removeTarget.tag}**`)
                             .addFields(
                                 { name: '👤 User', value: removeTarget.tag, inline: true },
-                                { name: '🗑️ Warnings Removed', value: removeGuildWarnings.length.toString(), inline: true },
+                                { name: '🗑️ Warnings Removed', value: removedCount.toString(), inline: true },
                                 { name: '👨‍💼 Removed By', value: interaction.user.tag, inline: true }
                             )
                             .setColor(0x00ff00)
@@ -4715,14 +8042,12 @@ class GuardianBot {
                         }
                         
                         const warningToRemove = removeGuildWarnings[warningIndex];
-                        const allUserWarnings = this.warningTracker.get(removeTarget.id);
-                        const warningIndexInAll = allUserWarnings.findIndex(w => w.id === warningToRemove.id);
-                        
-                        if (warningIndexInAll !== -1) {
-                            allUserWarnings.splice(warningIndexInAll, 1);
-                            this.warningTracker.set(removeTarget.id, allUserWarnings);
+                        const warningRemoved = await this.dbManager.removeWarning(interaction.guild.id, warningToRemove.id, interaction.user.id);
+
+                        if (!warningRemoved) {
+                            return interaction.reply({ content: '❌ Failed to remove the warning. It may have already been removed.', flags: MessageFlags.Ephemeral });
                         }
-                        
+
                         const removeSingleEmbed = new EmbedBuilder()
                             .setTitle('🗑️ WARNING REMOVED')
                             .setDescription(`Warning #${warningIndex + 1} removed for **${removeTarget.tag}**`)
@@ -4741,6 +8066,182 @@ class GuardianBot {
                     }
                     break;
 
+                case 'case':
+                    if (!this.hasPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ You don\'t have permission to manage moderation cases!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Moderation cases are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const caseSubcommand = options.getSubcommand();
+                    const caseNumber = options.getInteger('id');
+                    const caseRecord = await this.dbManager.getCase(interaction.guild.id, caseNumber);
+
+                    if (!caseRecord) {
+                        return interaction.reply({ content: `❌ Case #${caseNumber} does not exist in this server!`, flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (caseSubcommand === 'view') {
+                        const caseEmbed = new EmbedBuilder()
+                            .setTitle(`📁 Case #${caseRecord.case_number} | ${caseRecord.action_type.toUpperCase()}`)
+                            .addFields(
+                                { name: '👤 User', value: caseRecord.target_id ? `${caseRecord.target_username || 'Unknown'} (${caseRecord.target_id})` : 'N/A', inline: true },
+                                { name: '👨‍💼 Moderator', value: `${caseRecord.moderator_username} (${caseRecord.moderator_id})`, inline: true },
+                                { name: '🕐 Date', value: `<t:${Math.floor(new Date(`${caseRecord.created_at}Z`).getTime() / 1000)}:F>`, inline: true },
+                                { name: '📋 Reason', value: (caseRecord.reason || 'No reason provided').substring(0, 1024), inline: false }
+                            )
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        if (caseRecord.updated_at) {
+                            caseEmbed.addFields({ name: '✏️ Last Edited', value: `<@${caseRecord.updated_by}> • <t:${Math.floor(new Date(`${caseRecord.updated_at}Z`).getTime() / 1000)}:R>`, inline: false });
+                        }
+
+                        await interaction.reply({ embeds: [caseEmbed] });
+                        break;
+                    }
+
+                    // Amending or deleting cases is restricted to administrators
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can edit or delete moderation cases!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (caseSubcommand === 'reason') {
+                        const newCaseReason = options.getString('text');
+                        const caseUpdated = await this.dbManager.updateCaseReason(interaction.guild.id, caseNumber, newCaseReason, interaction.user.id);
+                        if (!caseUpdated) {
+                            return interaction.reply({ content: `❌ Failed to update case #${caseNumber}!`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        const caseReasonEmbed = new EmbedBuilder()
+                            .setTitle(`✏️ Case #${caseNumber} Updated`)
+                            .addFields(
+                                { name: '📋 Old Reason', value: (caseRecord.reason || 'No reason provided').substring(0, 1024), inline: false },
+                                { name: '📋 New Reason', value: newCaseReason, inline: false },
+                                { name: '👨‍💼 Updated By', value: interaction.user.tag, inline: true }
+                            )
+                            .setColor(0xffaa00)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [caseReasonEmbed] });
+                        await this.sendToLogChannel(interaction.guild, caseReasonEmbed);
+                    } else if (caseSubcommand === 'delete') {
+                        const caseDeleted = await this.dbManager.deleteCase(interaction.guild.id, caseNumber, interaction.user.id);
+                        if (!caseDeleted) {
+                            return interaction.reply({ content: `❌ Failed to delete case #${caseNumber}!`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        const caseDeleteEmbed = new EmbedBuilder()
+                            .setTitle(`🗑️ Case #${caseNumber} Deleted`)
+                            .addFields(
+                                { name: '⚡ Action', value: caseRecord.action_type, inline: true },
+                                { name: '👤 User', value: caseRecord.target_username || caseRecord.target_id || 'N/A', inline: true },
+                                { name: '👨‍💼 Deleted By', value: interaction.user.tag, inline: true }
+                            )
+                            .setColor(0xff0000)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [caseDeleteEmbed] });
+                        await this.sendToLogChannel(interaction.guild, caseDeleteEmbed);
+                    }
+                    break;
+
+                case 'modlog':
+                    if (!this.hasPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ You don\'t have permission to view moderation history!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Moderation cases are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const modlogTarget = options.getUser('user');
+                    const modlogPage = options.getInteger('page') || 1;
+                    const casesPerPage = 15;
+                    const modlogTotal = await this.dbManager.countUserCases(interaction.guild.id, modlogTarget.id);
+
+                    if (modlogTotal === 0) {
+                        return interaction.reply({ content: `📋 **${modlogTarget.tag}** has no moderation cases in this server.`, flags: MessageFlags.Ephemeral });
+                    }
+
+                    const modlogPages = Math.ceil(modlogTotal / casesPerPage);
+                    if (modlogPage > modlogPages) {
+                        return interaction.reply({ content: `❌ Page ${modlogPage} doesn't exist! **${modlogTarget.tag}** has ${modlogPages} page(s) of cases.`, flags: MessageFlags.Ephemeral });
+                    }
+
+                    const modlogCases = await this.dbManager.getUserCases(interaction.guild.id, modlogTarget.id, casesPerPage, (modlogPage - 1) * casesPerPage);
+
+                    const modlogList = modlogCases.map(entry => {
+                        const date = `<t:${Math.floor(new Date(`${entry.created_at}Z`).getTime() / 1000)}:d>`;
+                        const entryReason = (entry.reason || 'No reason provided').substring(0, 100);
+                        return `**#${entry.case_number}** ${entry.action_type.toUpperCase()} • ${date}\n${entryReason}\n*By: ${entry.moderator_username}*`;
+                    }).join('\n\n');
+
+                    const modlogEmbed = new EmbedBuilder()
+                        .setTitle('📁 Moderation History')
+                        .setDescription(`**User:** ${modlogTarget.tag} (${modlogTarget.id})\n\n${modlogList.length > 3800 ? modlogList.substring(0, 3797) + '...' : modlogList}`)
+                        .setColor(0x0099ff)
+                        .setFooter({ text: `Page ${modlogPage} of ${modlogPages} • ${modlogTotal} case(s)${modlogPage < modlogPages ? ` • /modlog page:${modlogPage + 1} for older cases` : ''} • GuardianBot, created by Skeeter` })
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [modlogEmbed] });
+                    break;
+
+                case 'audit':
+                    if (!this.hasPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ You don\'t have permission to view the audit log!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ The audit log is unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const auditDays = options.getInteger('days');
+                    const auditFilters = {
+                        actor: options.getUser('actor')?.id,
+                        target: options.getUser('target')?.id,
+                        sources: options.getString('type'),
+                        action: options.getString('action'),
+                        query: options.getString('query'),
+                        from: auditDays ? new Date(Date.now() - auditDays * 24 * 60 * 60 * 1000) : null
+                    };
+                    // Bot-wide entries (bot-wide settings, the kill switch) are only shown to the bot owners
+                    const auditPage = this.dbManager.searchAuditLog(interaction.guild.id, auditFilters, { limit: 10, includeGlobal: config.ownerIds.includes(interaction.user.id) });
+                    if (auditPage.error) {
+                        return interaction.reply({ content: `❌ ${auditPage.error}`, flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (auditPage.entries.length === 0) {
+                        return interaction.reply({ content: '📋 No audit entries match those filters.', flags: MessageFlags.Ephemeral });
+                    }
+
+                    // Discord IDs become mentions - the kill switch logs 'system' for auto-expiry
+                    const auditPerson = (name, id) => (/^\d{17,20}$/.test(id || '') ? `<@${id}>` : name || id);
+                    const auditList = auditPage.entries.map(entry => {
+                        const date = `<t:${Math.floor(new Date(`${entry.created_at.replace(' ', 'T')}Z`).getTime() / 1000)}:R>`;
+                        const people = [
+                            entry.actor_id || entry.actor_name ? `by ${auditPerson(entry.actor_name, entry.actor_id)}` : null,
+                            entry.target_id || entry.target_name ? `on ${auditPerson(entry.target_name, entry.target_id)}` : null
+                        ].filter(Boolean).join(' ');
+                        const summary = entry.summary ? `\n${String(entry.summary).substring(0, 100)}` : '';
+                        return `**${entry.action || 'unknown'}** • ${entry.source}${entry.reference ? ` (${entry.reference})` : ''} • ${date}${people ? `\n*${people}*` : ''}${summary}`;
+                    }).join('\n\n');
+
+                    const auditEmbed = new EmbedBuilder()
+                        .setTitle('🔎 Audit Log')
+                        .setDescription(auditList.length > 4000 ? auditList.substring(0, 3997) + '...' : auditList)
+                        .setColor(0x0099ff)
+                        .setFooter({ text: `${auditPage.nextCursor ? 'Newest 10 matches - the dashboard Audit Log tab has the rest' : 'All matches shown'} • GuardianBot, created by Skeeter` })
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [auditEmbed], flags: MessageFlags.Ephemeral });
+                    break;
+
                 case 'mute':
                     // STRICT: Only Discord Administrator permission can mute
                     if (!this.hasAdminPermission(interaction.member)) {
@@ -4764,32 +8265,15 @@ class GuardianBot {
                     
                     // Check for protected users and auto-punish violators
                     if (config.protectedUsers && config.protectedUsers.includes(muteTarget.id)) {
-                        // Auto-remove all roles from the person trying to mute protected users
                         try {
-                            const violator = interaction.member;
-                            const rolesToRemove = violator.roles.cache.filter(role => role.name !== '@everyone');
-                            
-                            if (rolesToRemove.size > 0) {
-                                await violator.roles.remove(rolesToRemove, `Auto-punishment: Attempted to mute protected user ${muteTarget.tag}`);
-                                
-                                const punishmentEmbed = new EmbedBuilder()
-                                    .setTitle('⚠️ PROTECTION VIOLATION')
-                                    .setDescription(`**${violator.user.tag}** tried to mute protected user **${muteTarget.tag}** and has been stripped of all roles!`)
-                                    .setColor(0xff0000)
-                                    .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                                    .setTimestamp();
-                                
-                                // Log the violation
-                                await this.logEvent(interaction.guild, 'Protection Violation', 
-                                    `${violator.user.tag} attempted to mute protected user ${muteTarget.tag} - all roles removed`, 0xff0000);
-                                
+                            const punishmentEmbed = await this.punishProtectionViolation(interaction.member, muteTarget, 'mute');
+                            if (punishmentEmbed) {
                                 // Notify the channel
                                 await interaction.reply({ embeds: [punishmentEmbed] });
-                                
                                 return;
                             }
                         } catch (error) {
-                            console.error('Failed to remove roles from violator:', error);
+                            log.moderation.error('protection_violation_failed', 'Failed to remove roles from violator', { guildId: interaction.guild.id, userId: interaction.user.id, targetId: muteTarget.id, error });
                         }
                         
                         return interaction.reply({ content: '❌ This user is protected and cannot be muted!', flags: MessageFlags.Ephemeral });
@@ -4812,6 +8296,21 @@ class GuardianBot {
                         
                         // Apply the timeout
                         await targetMember.timeout(muteTimeMs, muteReason);
+
+                        // Log mute to database
+                        let muteCase = null;
+                        if (this.dbManager && this.dbManager.isConnected) {
+                            muteCase = await this.dbManager.logModeration(
+                                interaction.guild.id,
+                                'mute',
+                                interaction.user.id,
+                                interaction.user.tag,
+                                muteTarget.id,
+                                muteTarget.tag,
+                                muteReason,
+                                { duration: muteDuration, end_time: muteEndTime }
+                            );
+                        }
                         
                         const muteTrumpResponse = this.getTrumpResponse('punishment', { user: muteTarget.tag });
                         
@@ -4828,23 +8327,13 @@ class GuardianBot {
                             .setColor(0xff6600)
                             .setFooter({ text: 'GuardianBot, created by Skeeter' })
                             .setTimestamp();
+
+                        if (muteCase) {
+                            muteEmbed.addFields({ name: '📁 Case', value: `#${muteCase}`, inline: true });
+                        }
                         
                         await interaction.reply({ embeds: [muteEmbed] });
-                        await this.logEvent(interaction.guild, 'User Muted', `${muteTarget.tag} was muted for ${muteDuration} minutes by ${interaction.user.tag} - Reason: ${muteReason}`, 0xff6600);
-                        
-                        // Log mute to database
-                        if (this.dbManager && this.dbManager.isConnected) {
-                            await this.dbManager.logModeration(
-                                interaction.guild.id,
-                                'mute',
-                                interaction.user.id,
-                                interaction.user.tag,
-                                muteTarget.id,
-                                muteTarget.tag,
-                                muteReason,
-                                { duration: muteDuration, end_time: muteEndTime }
-                            );
-                        }
+                        await this.logEvent(interaction.guild, 'User Muted', `${muteCase ? `[Case #${muteCase}] ` : ''}${muteTarget.tag} was muted for ${muteDuration} minutes by ${interaction.user.tag} - Reason: ${muteReason}`, 0xff6600);
                         
                         // Try to DM the muted user
                         try {
@@ -4865,7 +8354,7 @@ class GuardianBot {
                         }
                         
                     } catch (error) {
-                        console.error('Mute command error:', error);
+                        log.commands.error('command_failed', 'Mute command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, targetId: muteTarget.id, error });
                         if (error.code === 10007) {
                             await interaction.reply({ content: '❌ User not found in this server!', flags: MessageFlags.Ephemeral });
                         } else if (error.code === 50013) {
@@ -4905,6 +8394,20 @@ class GuardianBot {
                         }
                         
                         await member.timeout(null, unmuteReason); // Remove timeout
+
+                        // Log unmute to database
+                        let unmuteCase = null;
+                        if (this.dbManager && this.dbManager.isConnected) {
+                            unmuteCase = await this.dbManager.logModeration(
+                                interaction.guild.id,
+                                'unmute',
+                                interaction.user.id,
+                                interaction.user.tag,
+                                unmuteTarget.id,
+                                unmuteTarget.tag,
+                                unmuteReason
+                            );
+                        }
                         
                         const unmuteTrumpResponse = this.getTrumpResponse('unlock', { user: unmuteTarget.tag });
                         
@@ -4919,9 +8422,13 @@ class GuardianBot {
                             .setColor(0x00ff00)
                             .setFooter({ text: 'GuardianBot, created by Skeeter' })
                             .setTimestamp();
+
+                        if (unmuteCase) {
+                            unmuteEmbed.addFields({ name: '📁 Case', value: `#${unmuteCase}`, inline: true });
+                        }
                         
                         await interaction.reply({ embeds: [unmuteEmbed] });
-                        await this.logEvent(interaction.guild, 'User Unmuted', `${unmuteTarget.tag} was unmuted by ${interaction.user.tag} - Reason: ${unmuteReason}`, 0x00ff00);
+                        await this.logEvent(interaction.guild, 'User Unmuted', `${unmuteCase ? `[Case #${unmuteCase}] ` : ''}${unmuteTarget.tag} was unmuted by ${interaction.user.tag} - Reason: ${unmuteReason}`, 0x00ff00);
                         
                         // Try to DM the unmuted user
                         try {
@@ -4995,7 +8502,7 @@ class GuardianBot {
                             }
                         }
                     } catch (error) {
-                        console.error('Lockdown command error:', error);
+                        log.commands.error('command_failed', 'Lockdown command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         const errorMessage = `❌ Lockdown failed: ${error.message}`;
                         if (interaction.deferred) {
                             await interaction.editReply({ content: errorMessage });
@@ -5054,7 +8561,7 @@ class GuardianBot {
                             }
                         }
                     } catch (error) {
-                        console.error('Unlock command error:', error);
+                        log.commands.error('command_failed', 'Unlock command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         const errorMessage = `❌ Unlock failed: ${error.message}`;
                         if (interaction.deferred) {
                             await interaction.editReply({ content: errorMessage });
@@ -5122,13 +8629,13 @@ class GuardianBot {
                         if (this.dbManager && this.dbManager.isConnected) {
                             await this.dbManager.logModeration(
                                 interaction.guild.id,
+                                'slowmode',
                                 interaction.user.id,
                                 interaction.user.tag,
-                                interaction.user.id,
-                                interaction.user.tag,
-                                'slowmode',
+                                null,
+                                null,
                                 `Slow mode set to ${finalDelay}s in #${channel.name}`,
-                                finalDelay.toString()
+                                { channel_id: channel.id, seconds: finalDelay }
                             );
                         }
                         
@@ -5136,7 +8643,7 @@ class GuardianBot {
                             `${interaction.user.tag} set slow mode to ${finalDelay}s in #${channel.name}`, finalDelay === 0 ? 0x00ff00 : 0x0099ff);
                         
                     } catch (error) {
-                        console.error('Error setting slow mode:', error);
+                        log.commands.error('command_failed', 'Slowmode command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: `❌ Failed to set slow mode: ${error.message}`, flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -5149,7 +8656,7 @@ class GuardianBot {
 
                         const freezeChannel = options.getChannel('channel') || interaction.channel;
                         const freezeReason = options.getString('reason') || 'Channel frozen by staff';
-                        const ALLOWED_ROLE_ID = '1436372186523762688';
+                        const freezeRoleId = this.getFreezeRoleId(interaction.guild);
 
                         if (freezeChannel.type !== ChannelType.GuildText) {
                             return interaction.reply({ content: '❌ You can only freeze text channels!', flags: MessageFlags.Ephemeral });
@@ -5183,69 +8690,17 @@ class GuardianBot {
                         await interaction.editReply({ embeds: [countdownEmbed] });
                         await new Promise(resolve => setTimeout(resolve, 2500));
 
-                        // Save ALL current permission overwrites so we can restore them later
-                        const everyoneRole = interaction.guild.roles.everyone;
-                        const originalPermissions = new Map();
-
-                        // Store original permissions for all existing overwrites
-                        freezeChannel.permissionOverwrites.cache.forEach((overwrite, id) => {
-                            originalPermissions.set(id, {
-                                type: overwrite.type, // 0 = role, 1 = member
-                                allow: overwrite.allow.has(PermissionFlagsBits.SendMessages) ? true : null,
-                                deny: overwrite.deny.has(PermissionFlagsBits.SendMessages) ? true : null
-                            });
-                        });
-
-                        // Deny SendMessages for @everyone
-                        await freezeChannel.permissionOverwrites.edit(everyoneRole, {
-                            SendMessages: false
-                        });
-
-                        // Deny SendMessages for ALL other roles (except the exempt role)
-                        // This prevents roles with SendMessages from bypassing the freeze
-                        const allRoles = interaction.guild.roles.cache;
-                        for (const [roleId, role] of allRoles) {
-                            if (roleId === everyoneRole.id) continue; // Already handled
-                            if (roleId === ALLOWED_ROLE_ID) continue; // Exempt role
-
-                            // Check if this role has SendMessages in the channel (either inherited or explicit)
-                            const existingOverwrite = freezeChannel.permissionOverwrites.cache.get(roleId);
-                            if (existingOverwrite && existingOverwrite.allow.has(PermissionFlagsBits.SendMessages)) {
-                                // This role explicitly allows SendMessages - deny it
-                                await freezeChannel.permissionOverwrites.edit(role, {
-                                    SendMessages: false
-                                });
-                            }
-                        }
-
-                        // Allow the exempt role to still send messages
-                        const allowedRole = interaction.guild.roles.cache.get(ALLOWED_ROLE_ID);
-                        if (allowedRole) {
-                            await freezeChannel.permissionOverwrites.edit(allowedRole, {
-                                SendMessages: true
-                            });
-                        }
-
-                        // Store freeze data with ALL original permissions
-                        this.frozenChannels.set(freezeChannel.id, {
-                            guildId: interaction.guild.id,
-                            reason: freezeReason,
-                            frozenBy: interaction.user.tag,
-                            frozenById: interaction.user.id,
-                            timestamp: Date.now(),
-                            allowedRoleId: ALLOWED_ROLE_ID,
-                            originalPermissions: Object.fromEntries(originalPermissions)
-                        });
+                        await this.freezeChannel(freezeChannel, freezeReason, interaction.user);
 
                         const freezeEmbed = new EmbedBuilder()
                             .setTitle('❄️ CHANNEL FROZEN')
-                            .setDescription(`<#${freezeChannel.id}> has been **LOCKED DOWN**!\n\n🔒 **Access Restriction Active**\nOnly users with <@&${ALLOWED_ROLE_ID}> can send messages.\n\n*Messages are blocked at the Discord level - no spam can get through.*\n\n*static-runtime-verdict*`)
+                            .setDescription(`<#${freezeChannel.id}> has been **LOCKED DOWN**!\n\n🔒 **Access Restriction Active**\n${freezeRoleId ? `Only users with <@&${freezeRoleId}> can send messages.` : 'Only administrators can send messages.'}\n\n*Messages are blocked at the Discord level - no spam can get through.*\n\n*static-runtime-verdict*`)
                             .addFields(
                                 { name: '📺 Channel', value: `<#${freezeChannel.id}>`, inline: true },
                                 { name: '🔒 Frozen By', value: interaction.user.tag, inline: true },
                                 { name: '📋 Reason', value: freezeReason, inline: false },
                                 { name: '🕐 Time', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true },
-                                { name: '✅ Exempt Role', value: `<@&${ALLOWED_ROLE_ID}>`, inline: true }
+                                { name: '✅ Exempt Role', value: freezeRoleId ? `<@&${freezeRoleId}>` : 'None', inline: true }
                             )
                             .setColor(0x5dadec)
                             .setTimestamp()
@@ -5255,10 +8710,10 @@ class GuardianBot {
                         await freezeChannel.send({ embeds: [freezeEmbed] });
                         await this.sendToLogChannel(interaction.guild, freezeEmbed);
 
-                        console.log(`❄️ Channel frozen: #${freezeChannel.name} by ${interaction.user.tag}`);
+                        log.moderation.info('channel_frozen', `Channel frozen: #${freezeChannel.name} by ${interaction.user.tag}`, { guildId: interaction.guild.id, channelId: freezeChannel.id, userId: interaction.user.id });
 
                     } catch (error) {
-                        console.error('Error freezing channel:', error);
+                        log.commands.error('command_failed', 'Freeze command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: `❌ Failed to freeze channel: ${error.message}`, flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -5292,49 +8747,7 @@ class GuardianBot {
                         await interaction.editReply({ embeds: [thawEmbed] });
                         await new Promise(resolve => setTimeout(resolve, 2500));
 
-                        const freezeData = this.frozenChannels.get(unfreezeChannel.id);
-                        this.frozenChannels.delete(unfreezeChannel.id);
-
-                        // Restore ALL original permissions
-                        const originalPerms = freezeData.originalPermissions || {};
-
-                        for (const [id, permData] of Object.entries(originalPerms)) {
-                            const target = interaction.guild.roles.cache.get(id) || await interaction.guild.members.fetch(id).catch(() => null);
-                            if (!target) continue;
-
-                            if (permData.allow === true) {
-                                // Was explicitly allowed - restore it
-                                await unfreezeChannel.permissionOverwrites.edit(target, {
-                                    SendMessages: true
-                                });
-                            } else if (permData.deny === true) {
-                                // Was explicitly denied - restore it
-                                await unfreezeChannel.permissionOverwrites.edit(target, {
-                                    SendMessages: false
-                                });
-                            } else {
-                                // Was neutral - remove the override
-                                await unfreezeChannel.permissionOverwrites.edit(target, {
-                                    SendMessages: null
-                                });
-                            }
-                        }
-
-                        // Handle @everyone if it wasn't in originalPermissions
-                        const everyoneRole = interaction.guild.roles.everyone;
-                        if (!originalPerms[everyoneRole.id]) {
-                            await unfreezeChannel.permissionOverwrites.edit(everyoneRole, {
-                                SendMessages: null
-                            });
-                        }
-
-                        // Remove the exempt role override we added (if it wasn't there originally)
-                        const allowedRole = interaction.guild.roles.cache.get(freezeData.allowedRoleId);
-                        if (allowedRole && !originalPerms[freezeData.allowedRoleId]) {
-                            await unfreezeChannel.permissionOverwrites.edit(allowedRole, {
-                                SendMessages: null
-                            });
-                        }
+                        const freezeData = await this.unfreezeChannel(unfreezeChannel);
 
                         const unfreezeEmbed = new EmbedBuilder()
                             .setTitle('🔓 CHANNEL UNFROZEN')
@@ -5353,10 +8766,10 @@ class GuardianBot {
                         await unfreezeChannel.send({ embeds: [unfreezeEmbed] });
                         await this.sendToLogChannel(interaction.guild, unfreezeEmbed);
 
-                        console.log(`🔓 Channel unfrozen: #${unfreezeChannel.name} by ${interaction.user.tag}`);
+                        log.moderation.info('channel_unfrozen', `Channel unfrozen: #${unfreezeChannel.name} by ${interaction.user.tag}`, { guildId: interaction.guild.id, channelId: unfreezeChannel.id, userId: interaction.user.id });
 
                     } catch (error) {
-                        console.error('Error unfreezing channel:', error);
+                        log.commands.error('command_failed', 'Unfreeze command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: `❌ Failed to unfreeze channel: ${error.message}`, flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -5379,13 +8792,291 @@ class GuardianBot {
                         .setFooter({ text: 'GuardianBot, created by Skeeter' })
                         .setTimestamp();
 
-                    // Send to current channel
-                    await interaction.channel.send({ embeds: [raidEmbed] });
-                    
-                    // Also log to the log channel
-                    await this.sendToLogChannel(interaction.guild, raidEmbed);
-                    
-                    await interaction.reply({ content: '🚨 Raid alert sent!', flags: MessageFlags.Ephemeral });
+                    // Send to current channel
+                    await interaction.channel.send({ embeds: [raidEmbed] });
+                    
+                    // Also log to the log channel
+                    await this.sendToLogChannel(interaction.guild, raidEmbed);
+                    
+                    await interaction.reply({ content: '🚨 Raid alert sent!', flags: MessageFlags.Ephemeral });
+                    break;
+
+                case 'raidmode':
+                    const raidModeSubcommand = options.getSubcommand();
+
+                    if (raidModeSubcommand === 'status') {
+                        if (!this.hasPermission(interaction.member)) {
+                            return interaction.reply({ content: '❌ You don\'t have permission to view raid mode status!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const raidStatus = this.raidMode.get(interaction.guild.id);
+                        if (!raidStatus) {
+                            return interaction.reply({ content: '✅ Raid mode is **off**. It turns on automatically when a join flood is detected.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const caughtList = raidStatus.caught.slice(-10).reverse().map(entry =>
+                            `**${entry.tag}** (${entry.action}) • <t:${Math.floor(entry.timestamp / 1000)}:R>\n${entry.rules.map(hit => `└ ${hit.rule}: ${hit.detail}`).join('\n')}`
+                        ).join('\n\n');
+
+                        const raidStatusEmbed = new EmbedBuilder()
+                            .setTitle('🛡️ Raid Mode Active')
+                            .addFields(
+                                { name: '⏰ Expires', value: `<t:${Math.floor(raidStatus.expiresAt / 1000)}:R>`, inline: true },
+                                { name: '👥 Joins Checked', value: raidStatus.recentJoins.length.toString(), inline: true },
+                                { name: '🚫 Accounts Caught', value: raidStatus.caught.length.toString(), inline: true },
+                                { name: '📝 Reason', value: raidStatus.reason, inline: false },
+                                { name: '📋 Recently Caught', value: caughtList ? caughtList.substring(0, 1024) : 'None yet', inline: false }
+                            )
+                            .setColor(0xff6600)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        return interaction.reply({ embeds: [raidStatusEmbed], flags: MessageFlags.Ephemeral });
+                    }
+
+                    // STRICT: Only Discord Administrator permission can toggle raid mode
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can turn raid mode on or off!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (raidModeSubcommand === 'on') {
+                        const raidModeMinutes = options.getInteger('duration') || this.getGuildConfig(interaction.guild).antiRaid.raidModeDurationMinutes || 30;
+                        const raidModeState = this.activateRaidMode(interaction.guild, {
+                            durationMs: raidModeMinutes * 60 * 1000,
+                            activatedBy: interaction.user.id,
+                            reason: `Manually enabled by ${interaction.user.tag}`
+                        });
+
+                        const raidModeOnEmbed = new EmbedBuilder()
+                            .setTitle('🛡️ RAID MODE ENABLED')
+                            .setDescription(`New joins that fail the raid checks will be **${this.getGuildConfig(interaction.guild).antiRaid.raidModeAction === 'kick' ? 'kicked' : 'quarantined'}** automatically.`)
+                            .addFields(
+                                { name: '👮 Enabled By', value: interaction.user.tag, inline: true },
+                                { name: '⏰ Expires', value: `<t:${Math.floor(raidModeState.expiresAt / 1000)}:R>`, inline: true }
+                            )
+                            .setColor(0xff6600)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [raidModeOnEmbed] });
+                        await this.sendToLogChannel(interaction.guild, raidModeOnEmbed);
+                    } else if (raidModeSubcommand === 'off') {
+                        const endedState = await this.deactivateRaidMode(interaction.guild, interaction.user.id);
+                        if (!endedState) {
+                            return interaction.reply({ content: '❌ Raid mode is not active!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        await interaction.reply({ content: `✅ Raid mode disabled. ${endedState.caught.length} account(s) were caught while it was on.` });
+                    }
+                    break;
+
+                case 'antinuke':
+                    // STRICT: Only Discord Administrator permission can snapshot or restore the server
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can manage anti-nuke snapshots!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Anti-nuke snapshots are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const antinukeSubcommand = options.getSubcommand();
+
+                    if (antinukeSubcommand === 'snapshot') {
+                        const snapshotId = await this.takeGuildSnapshot(interaction.guild, 'manual', interaction.user.id);
+                        if (!snapshotId) {
+                            return interaction.reply({ content: '❌ Failed to save the snapshot!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        // A manual snapshot is an explicit "this state is good" from an admin
+                        this.recentNukes.delete(interaction.guild.id);
+
+                        const savedSnapshot = await this.dbManager.getGuildSnapshots(interaction.guild.id, 1);
+                        const snapshotEmbed = new EmbedBuilder()
+                            .setTitle('📸 Snapshot Saved')
+                            .setDescription(`Snapshot **#${snapshotId}** can be used with \`/antinuke restore\`.`)
+                            .addFields(
+                                { name: '🎭 Roles', value: `${savedSnapshot[0]?.role_count ?? 0}`, inline: true },
+                                { name: '💬 Channels', value: `${savedSnapshot[0]?.channel_count ?? 0}`, inline: true },
+                                { name: '👨‍💼 Taken By', value: interaction.user.tag, inline: true }
+                            )
+                            .setColor(0x00ff00)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [snapshotEmbed], flags: MessageFlags.Ephemeral });
+                    } else if (antinukeSubcommand === 'snapshots') {
+                        const snapshots = await this.dbManager.getGuildSnapshots(interaction.guild.id, 10);
+                        if (snapshots.length === 0) {
+                            return interaction.reply({ content: '📸 No snapshots have been taken for this server yet.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const snapshotList = snapshots.map(snap =>
+                            `**#${snap.id}** • <t:${Math.floor(new Date(`${snap.created_at}Z`).getTime() / 1000)}:R> • ${snap.trigger_type} • ${snap.role_count} roles, ${snap.channel_count} channels`
+                        ).join('\n');
+
+                        const snapshotsEmbed = new EmbedBuilder()
+                            .setTitle('📸 Anti-Nuke Snapshots')
+                            .setDescription(snapshotList)
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [snapshotsEmbed], flags: MessageFlags.Ephemeral });
+                    } else if (antinukeSubcommand === 'restore') {
+                        const restoreSnapshot = await this.dbManager.getGuildSnapshot(interaction.guild.id, options.getInteger('snapshot'));
+                        if (!restoreSnapshot) {
+                            return interaction.reply({ content: '❌ No snapshot found! Take one with `/antinuke snapshot` first.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const restorePlan = this.buildRestorePlan(interaction.guild, restoreSnapshot.data);
+                        const nothingToRestore = restorePlan.roles.length + restorePlan.categories.length + restorePlan.channels.length === 0;
+                        const previewEmbed = this.buildRestorePreviewEmbed(restoreSnapshot, restorePlan);
+
+                        if (nothingToRestore) {
+                            previewEmbed.setColor(0x00ff00).setDescription(`Nothing has been deleted since snapshot **#${restoreSnapshot.id}** - the server is intact.`);
+                            return interaction.reply({ embeds: [previewEmbed], flags: MessageFlags.Ephemeral });
+                        }
+
+                        const restoreButtons = new ActionRowBuilder().addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(`antinuke_restore_confirm_${restoreSnapshot.id}`)
+                                .setLabel('Restore')
+                                .setEmoji('♻️')
+                                .setStyle(ButtonStyle.Danger),
+                            new ButtonBuilder()
+                                .setCustomId('antinuke_restore_cancel')
+                                .setLabel('Cancel')
+                                .setStyle(ButtonStyle.Secondary)
+                        );
+
+                        await interaction.reply({ embeds: [previewEmbed], components: [restoreButtons] });
+                    }
+                    break;
+
+                case 'backup':
+                    if (!config.ownerIds.includes(interaction.user.id)) {
+                        return interaction.reply({ content: '❌ Only the bot owner can use this command!', flags: MessageFlags.Ephemeral });
+                    }
+                    if (!this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ The database is not connected!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const backupSubcommand = options.getSubcommand();
+                    if (backupSubcommand === 'now') {
+                        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+                        try {
+                            const newBackup = await this.createDatabaseBackup('manual');
+                            const backupEmbed = new EmbedBuilder()
+                                .setTitle('💾 Backup Saved')
+                                .addFields(
+                                    { name: 'File', value: `\`${newBackup.name}\``, inline: false },
+                                    { name: 'Size', value: `${(newBackup.size / 1024 / 1024).toFixed(2)} MB`, inline: true },
+                                    { name: 'Rotated Out', value: `${newBackup.pruned.length}`, inline: true }
+                                )
+                                .setColor(0x00ff00)
+                                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                                .setTimestamp();
+                            await interaction.editReply({ embeds: [backupEmbed] });
+                        } catch (error) {
+                            log.database.error('backup_failed', 'Manual backup failed', { userId: interaction.user.id, error });
+                            await interaction.editReply({ content: `❌ Backup failed: ${error.message}` });
+                        }
+                    } else if (backupSubcommand === 'list') {
+                        const backupList = this.dbManager.listBackups();
+                        const backupIntegrity = this.lastIntegrityCheck;
+                        const backupListEmbed = new EmbedBuilder()
+                            .setTitle('💾 Database Backups')
+                            .setDescription(backupList.length > 0
+                                ? backupList.slice(0, 15).map(backup =>
+                                    `\`${backup.name}\`\n<t:${Math.floor(new Date(backup.createdAt).getTime() / 1000)}:R> • ${backup.reason} • ${(backup.size / 1024 / 1024).toFixed(2)} MB`
+                                ).join('\n')
+                                : 'No backups yet. Take one with `/backup now`.')
+                            .addFields({
+                                name: 'Integrity',
+                                value: backupIntegrity
+                                    ? `${backupIntegrity.ok ? '✅ OK' : `🚨 ${backupIntegrity.problems.length} problem(s)`} • checked <t:${Math.floor(new Date(backupIntegrity.checkedAt).getTime() / 1000)}:R>`
+                                    : 'Not checked since startup',
+                                inline: false
+                            })
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+                        await interaction.reply({ embeds: [backupListEmbed], flags: MessageFlags.Ephemeral });
+                    } else if (backupSubcommand === 'restore') {
+                        const restoreName = options.getString('name');
+                        const backupToRestore = this.dbManager.listBackups().find(backup => backup.name === restoreName);
+                        if (!backupToRestore) {
+                            return interaction.reply({ content: '❌ No backup with that name! Use `/backup list` to see them.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const restoreConfirmEmbed = new EmbedBuilder()
+                            .setTitle('⚠️ Restore Database?')
+                            .setDescription(`This replaces **all** bot data with \`${backupToRestore.name}\` from <t:${Math.floor(new Date(backupToRestore.createdAt).getTime() / 1000)}:f>. Everything recorded since then is lost, but the current database is backed up first so the restore can be undone.`)
+                            .setColor(0xffaa00)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+                        const backupRestoreButtons = new ActionRowBuilder().addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(`backup_restore_confirm_${backupToRestore.name}`)
+                                .setLabel('Restore')
+                                .setEmoji('♻️')
+                                .setStyle(ButtonStyle.Danger),
+                            new ButtonBuilder()
+                                .setCustomId('backup_restore_cancel')
+                                .setLabel('Cancel')
+                                .setStyle(ButtonStyle.Secondary)
+                        );
+                        await interaction.reply({ embeds: [restoreConfirmEmbed], components: [backupRestoreButtons], flags: MessageFlags.Ephemeral });
+                    }
+                    break;
+
+                case 'privacy':
+                    if (!config.ownerIds.includes(interaction.user.id)) {
+                        return interaction.reply({ content: '❌ Only the bot owner can use this command!', flags: MessageFlags.Ephemeral });
+                    }
+                    if (!this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ The database is not connected!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    // Accept a raw ID or a mention - members who left can only be given by ID
+                    const privacyUserId = options.getString('user').trim().replace(/^<@!?(\d+)>$/, '$1');
+                    if (!/^\d{17,20}$/.test(privacyUserId)) {
+                        return interaction.reply({ content: '❌ Please provide a valid user ID!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (options.getSubcommand() === 'export') {
+                        const userExport = this.exportUserData(privacyUserId);
+                        const exportedTables = Object.entries(userExport.tables);
+                        await interaction.reply({
+                            content: exportedTables.length > 0
+                                ? `📦 Data stored about \`${privacyUserId}\`: ${exportedTables.map(([table, rows]) => `${table} (${rows.length})`).join(', ')}`
+                                : `📦 Nothing is stored about \`${privacyUserId}\`.`,
+                            files: exportedTables.length > 0
+                                ? [new AttachmentBuilder(Buffer.from(JSON.stringify(userExport, null, 2)), { name: `user-data-${privacyUserId}.json` })]
+                                : [],
+                            flags: MessageFlags.Ephemeral
+                        });
+                    } else {
+                        const purgeConfirmEmbed = new EmbedBuilder()
+                            .setTitle('⚠️ Purge User Data?')
+                            .setDescription(`This deletes everything stored about \`${privacyUserId}\` in every server: chat and AI logs, automod violations, XP, staff activity, role and verification logs. Their messages are blanked in ticket transcripts and in the AI moderation context of other members' messages. Moderation cases, warnings and temp bans keep the user ID so they still apply, but lose the username. It can't be undone except by restoring a backup.`)
+                            .setColor(0xffaa00)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+                        const purgeButtons = new ActionRowBuilder().addComponents(
+                            new ButtonBuilder()
+                                .setCustomId(`privacy_purge_confirm_${privacyUserId}`)
+                                .setLabel('Purge')
+                                .setEmoji('🧹')
+                                .setStyle(ButtonStyle.Danger),
+                            new ButtonBuilder()
+                                .setCustomId('privacy_purge_cancel')
+                                .setLabel('Cancel')
+                                .setStyle(ButtonStyle.Secondary)
+                        );
+                        await interaction.reply({ embeds: [purgeConfirmEmbed], components: [purgeButtons], flags: MessageFlags.Ephemeral });
+                    }
                     break;
 
                 case 'say':
@@ -5500,17 +9191,26 @@ class GuardianBot {
                         .addFields(
                             { name: '🏓 /ping', value: 'Check bot latency and status', inline: true },
                             { name: '👢 /kick @user [reason]', value: 'Kick a user from the server', inline: true },
-                            { name: '🔨 /ban @user [reason]', value: 'Ban a user from the server', inline: true },
-                            { name: '⚠️ /warn @user <reason>', value: 'Warn a user and track warnings', inline: true },
+                            { name: '🔨 /ban @user [reason] [duration]', value: 'Ban a user (add a duration like 7d for a temporary ban)', inline: true },
+                            { name: '⏳ /tempban @user <duration> [reason]', value: 'Ban a user and unban them automatically when it expires', inline: true },
+                            { name: '⚠️ /warn @user <reason> [expires]', value: 'Warn a user (optionally expiring after N days)', inline: true },
                             { name: '📋 /warnings [@user]', value: 'View warnings (yours or another user)', inline: true },
                             { name: '🗑️ /removewarn @user <#|all>', value: 'Remove specific warning or all warnings', inline: true },
                             { name: '🔇 /mute @user [duration] [reason]', value: 'Mute user (duration in minutes, default: 60)', inline: true },
                             { name: '🔊 /unmute @user [reason]', value: 'Remove timeout/mute from a user', inline: true },
+                            { name: '🔓 /unban <userid> [reason]', value: 'Unban a user by their ID', inline: true },
+                            { name: '📁 /case <view|reason|delete> <id>', value: 'View, amend or delete a moderation case', inline: true },
+                            { name: '📁 /modlog @user [page]', value: 'View a user\'s moderation cases', inline: true },
+                            { name: '🔎 /audit search [filters]', value: 'Search moderation, automod, AI, role, verification and settings history', inline: true },
                             { name: '🔒 /lockdown [channel] [reason]', value: 'Lock server or specific channel', inline: true },
                             { name: '🔓 /unlock [channel] [reason]', value: 'Unlock server or specific channel', inline: true },
                             { name: '🚨 /raid', value: 'Announce raid alert with dramatic response', inline: true },
+                            { name: '🛡️ /raidmode <on|off|status>', value: 'Gate new joins by account age, avatar and join patterns', inline: true },
+                            { name: '📸 /antinuke <snapshot|snapshots|restore>', value: 'Snapshot the server and restore what a nuker deleted', inline: true },
                             { name: '📊 /serverinfo', value: 'Get server information and statistics', inline: true },
                             { name: '🤖 /botinfo', value: 'Get bot information and statistics', inline: true },
+                            { name: '🎭 /reactionroles <create|delete|list>', value: 'Build reaction, button or dropdown role menus', inline: true },
+                            { name: '🎫 /ticket panel [channel]', value: 'Post a button panel for opening support tickets', inline: true },
                             { name: '� /staffstats [user] [days]', value: 'View staff activity statistics and leaderboard', inline: true },
                             { name: '�📚 /help', value: 'Show this help message', inline: true }
                         );
@@ -5526,6 +9226,239 @@ class GuardianBot {
                     await interaction.reply({ embeds: [helpEmbed] });
                     break;
 
+                case 'config':
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can change the server configuration!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const configSubcommand = options.getSubcommand();
+                    const configKey = options.getString('key');
+
+                    if (configSubcommand === 'get') {
+                        // A block name such as "antiRaid" lists every setting in that block
+                        const configEntries = this.dbManager.getGuildConfigEntries(interaction.guild.id)
+                            .filter(entry => !configKey || entry.key === configKey || entry.key.startsWith(`${configKey}.`));
+                        if (configEntries.length === 0) {
+                            return interaction.reply({ content: `❌ Unknown setting \`${configKey}\`. Run \`/config get\` to see every setting.`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        const configEmbed = new EmbedBuilder()
+                            .setTitle(`⚙️ Configuration - ${interaction.guild.name}`)
+                            .setDescription([
+                                '✏️ = set for this server, ▫️ = default',
+                                '',
+                                ...configEntries.map(entry => `${entry.overridden ? '✏️' : '▫️'} \`${entry.key}\` = ${this.formatConfigValue(entry.key, entry.value)}`)
+                            ].join('\n').substring(0, 4096))
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        if (configKey && configEntries.length === 1) {
+                            configEmbed.addFields({ name: '📝 Description', value: configEntries[0].description, inline: false });
+                        }
+
+                        return interaction.reply({ embeds: [configEmbed], flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Settings can\'t be changed while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    // dashboard.* decides who can change settings from the dashboard - a full reset clears it too
+                    const configChangesAccess = configSubcommand === 'reset' ? !configKey || configKey.startsWith('dashboard.') : configKey.startsWith('dashboard.');
+                    if (configChangesAccess && interaction.user.id !== interaction.guild.ownerId && !config.ownerIds.includes(interaction.user.id)) {
+                        return interaction.reply({ content: '❌ Only the server owner can change dashboard roles!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    // Snapshot for config_audit, so /config changes show up in the dashboard history
+                    const configBefore = this.dbManager.getGuildConfigOverrides(interaction.guild.id);
+
+                    if (configSubcommand === 'set') {
+                        const configResult = await this.dbManager.setGuildConfigValue(interaction.guild.id, configKey, options.getString('value'), interaction.user.id);
+                        if (configResult.error) {
+                            return interaction.reply({ content: `❌ ${configResult.error}`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        await this.dbManager.logConfigChange(interaction.guild.id, 'guild_config', configBefore, this.dbManager.getGuildConfigOverrides(interaction.guild.id), interaction.user.id);
+
+                        const configValueText = this.formatConfigValue(configKey, configResult.value);
+                        await interaction.reply({ content: `✅ \`${configKey}\` is now ${configValueText} for this server.`, flags: MessageFlags.Ephemeral });
+                        await this.logEvent(interaction.guild, 'Configuration Changed', `${interaction.user.tag} set \`${configKey}\` to ${configValueText}`, 0x0099ff);
+                    } else if (configSubcommand === 'reset') {
+                        const configResult = await this.dbManager.resetGuildConfigValue(interaction.guild.id, configKey);
+                        if (configResult.error) {
+                            return interaction.reply({ content: `❌ ${configResult.error}`, flags: MessageFlags.Ephemeral });
+                        }
+                        if (configResult.removed === 0) {
+                            return interaction.reply({ content: `ℹ️ ${configKey ? `\`${configKey}\` is` : 'All settings are'} already using the default.`, flags: MessageFlags.Ephemeral });
+                        }
+                        await this.dbManager.logConfigChange(interaction.guild.id, 'guild_config', configBefore, this.dbManager.getGuildConfigOverrides(interaction.guild.id), interaction.user.id);
+
+                        const resetText = configKey
+                            ? `\`${configKey}\` reset to ${this.formatConfigValue(configKey, this.dbManager.getGuildConfigDefault(configKey))}`
+                            : `${configResult.removed} setting(s) reset to their defaults`;
+                        await interaction.reply({ content: `✅ ${resetText}.`, flags: MessageFlags.Ephemeral });
+                        await this.logEvent(interaction.guild, 'Configuration Reset', `${interaction.user.tag}: ${resetText}`, 0x0099ff);
+                    }
+                    break;
+
+                case 'reactionroles':
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can manage role menus!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    if (!this.dbManager || !this.dbManager.isConnected) {
+                        return interaction.reply({ content: '❌ Role menus are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const rrSubcommand = options.getSubcommand();
+
+                    if (rrSubcommand === 'create') {
+                        const rrType = options.getString('type');
+                        const rrMode = options.getString('mode') || 'toggle';
+                        const rrMax = options.getInteger('max');
+                        const rrChannel = options.getChannel('channel') || interaction.channel;
+
+                        if (!rrChannel.isTextBased()) {
+                            return interaction.reply({ content: '❌ Role menus must be posted in a text channel!', flags: MessageFlags.Ephemeral });
+                        }
+                        if (rrMode === 'max' && !rrMax) {
+                            return interaction.reply({ content: '❌ Max mode needs the `max` option (how many roles a member can pick).', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const rrParsed = this.parseReactionRoleInput(options.getString('roles'), interaction.guild);
+                        if (rrParsed.error) {
+                            return interaction.reply({ content: `❌ ${rrParsed.error}`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        const rrLimit = rrType === 'reaction' ? 20 : 25;
+                        if (rrParsed.roles.length > rrLimit) {
+                            return interaction.reply({ content: `❌ ${rrType} menus can have at most ${rrLimit} roles!`, flags: MessageFlags.Ephemeral });
+                        }
+
+                        const rrModeText = {
+                            toggle: 'Pick as many roles as you like. Pick again to remove one.',
+                            unique: 'You can only have one of these roles at a time.',
+                            verify: 'Roles from this menu are permanent once picked.',
+                            max: `You can pick up to ${rrMax} of these roles.`
+                        };
+
+                        const rrEmbed = new EmbedBuilder()
+                            .setTitle(options.getString('title') || '🎭 Pick Your Roles')
+                            .setDescription(`${options.getString('description') ? `${options.getString('description')}\n\n` : ''}${rrParsed.roles.map(entry => `${entry.emoji} - <@&${entry.roleId}>`).join('\n')}\n\n*${rrModeText[rrMode]}*`)
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' });
+
+                        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+                        let rrMessage;
+                        try {
+                            rrMessage = await rrChannel.send({
+                                embeds: [rrEmbed],
+                                components: this.buildReactionRoleComponents(rrType, rrMode, rrParsed.roles, rrMax)
+                            });
+                            if (rrType === 'reaction') {
+                                for (const entry of rrParsed.roles) {
+                                    await rrMessage.react(entry.emoji);
+                                }
+                            }
+                        } catch (error) {
+                            log.roles.error('reaction_menu_post_failed', 'Failed to post role menu', { guildId: interaction.guild.id, userId: interaction.user.id, error });
+                            if (rrMessage) await rrMessage.delete().catch(() => {});
+                            return interaction.editReply({ content: `❌ Failed to post the menu: ${error.message}` });
+                        }
+
+                        const rrMenuId = await this.dbManager.createReactionRoleMenu({
+                            guildId: interaction.guild.id,
+                            channelId: rrChannel.id,
+                            messageId: rrMessage.id,
+                            type: rrType,
+                            mode: rrMode,
+                            maxRoles: rrMode === 'max' ? rrMax : null,
+                            title: options.getString('title'),
+                            createdBy: interaction.user.id
+                        }, rrParsed.roles);
+
+                        if (!rrMenuId) {
+                            await rrMessage.delete().catch(() => {});
+                            return interaction.editReply({ content: '❌ Failed to save the menu. Please try again.' });
+                        }
+
+                        this.reactionRoleMenus.set(rrMessage.id, {
+                            id: rrMenuId,
+                            guild_id: interaction.guild.id,
+                            channel_id: rrChannel.id,
+                            message_id: rrMessage.id,
+                            menu_type: rrType,
+                            mode: rrMode,
+                            max_roles: rrMode === 'max' ? rrMax : null,
+                            roles: rrParsed.roles.map(entry => ({ emoji: entry.emoji, role_id: entry.roleId, role_name: entry.roleName }))
+                        });
+
+                        await interaction.editReply({ content: `✅ Role menu posted in ${rrChannel.toString()} ([jump](${rrMessage.url})). Message ID: \`${rrMessage.id}\`` });
+                    } else if (rrSubcommand === 'delete') {
+                        const rrMessageId = options.getString('message_id');
+                        const rrMenu = this.reactionRoleMenus.get(rrMessageId);
+                        if (!rrMenu || rrMenu.guild_id !== interaction.guild.id) {
+                            return interaction.reply({ content: '❌ No role menu found with that message ID!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        await this.dbManager.deleteReactionRoleMenu(rrMessageId);
+                        this.reactionRoleMenus.delete(rrMessageId);
+
+                        const rrMenuChannel = interaction.guild.channels.cache.get(rrMenu.channel_id);
+                        const rrMenuMessage = rrMenuChannel ? await rrMenuChannel.messages.fetch(rrMessageId).catch(() => null) : null;
+                        if (rrMenuMessage) await rrMenuMessage.delete().catch(() => {});
+
+                        await interaction.reply({ content: '✅ Role menu deleted.', flags: MessageFlags.Ephemeral });
+                    } else if (rrSubcommand === 'list') {
+                        const rrMenus = [...this.reactionRoleMenus.values()].filter(menu => menu.guild_id === interaction.guild.id);
+                        if (rrMenus.length === 0) {
+                            return interaction.reply({ content: '📋 This server has no role menus. Create one with `/reactionroles create`.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const rrList = rrMenus.map(menu =>
+                            `**${menu.message_id}** in <#${menu.channel_id}> • ${menu.menu_type} • ${menu.mode}${menu.mode === 'max' ? ` (${menu.max_roles})` : ''}\n${menu.roles.map(entry => `${entry.emoji} <@&${entry.role_id}>`).join(' ')}`
+                        ).join('\n\n');
+
+                        const rrListEmbed = new EmbedBuilder()
+                            .setTitle('🎭 Role Menus')
+                            .setDescription(rrList.length > 4000 ? rrList.substring(0, 3997) + '...' : rrList)
+                            .setColor(0x0099ff)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [rrListEmbed], flags: MessageFlags.Ephemeral });
+                    }
+                    break;
+
+                case 'ticket':
+                    if (!this.hasAdminPermission(interaction.member)) {
+                        return interaction.reply({ content: '❌ Only Administrators can set up the ticket panel!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const ticketPanelChannel = options.getChannel('channel') || interaction.channel;
+                    if (!ticketPanelChannel.isTextBased()) {
+                        return interaction.reply({ content: '❌ The ticket panel must be posted in a text channel!', flags: MessageFlags.Ephemeral });
+                    }
+
+                    const ticketPanelEmbed = new EmbedBuilder()
+                        .setTitle('🎫 Support Tickets')
+                        .setDescription('Need help from staff? Click the button below to open a private ticket.\n\nOnly you and the staff team will be able to see it.')
+                        .setColor(0x0099ff)
+                        .setFooter({ text: 'GuardianBot, created by Skeeter' });
+
+                    const ticketPanelRow = new ActionRowBuilder().addComponents(
+                        new ButtonBuilder()
+                            .setCustomId('ticket_open')
+                            .setLabel('📩 Open Ticket')
+                            .setStyle(ButtonStyle.Primary)
+                    );
+
+                    await ticketPanelChannel.send({ embeds: [ticketPanelEmbed], components: [ticketPanelRow] });
+                    await interaction.reply({ content: `✅ Ticket panel posted in ${ticketPanelChannel.toString()}`, flags: MessageFlags.Ephemeral });
+                    break;
+
                 case 'staffstats':
                     if (!this.hasPermission(interaction.member)) {
                         return interaction.reply({ content: '❌ You don\'t have permission to view staff statistics!', flags: MessageFlags.Ephemeral });
@@ -5556,7 +9489,8 @@ class GuardianBot {
                                     { name: '🛡️ Moderation', value: `Recent: ${userActivity.recent_moderations}`, inline: true },
                                     { name: '📊 Activity Score', value: userActivity.activity_score.toString(), inline: true },
                                     { name: '⭐ Rating', value: userActivity.responsiveness_rating.charAt(0).toUpperCase() + userActivity.responsiveness_rating.slice(1), inline: true },
-                                    { name: '🕐 Last Active', value: userActivity.last_message ? `<t:${Math.floor(new Date(userActivity.last_message).getTime() / 1000)}:R>` : 'Never', inline: true }
+                                    { name: '🕐 Last Active', value: userActivity.last_message ? `<t:${Math.floor(new Date(userActivity.last_message).getTime() / 1000)}:R>` : 'Never', inline: true },
+                                    { name: '🎫 Tickets', value: `Claimed: ${userActivity.tickets_claimed}\nClosed: ${userActivity.tickets_closed}\nAvg Response: ${userActivity.avg_response_time !== null ? `${userActivity.avg_response_time} min` : 'N/A'}`, inline: true }
                                 )
                                 .setColor(0x00ff00)
                                 .setThumbnail(statsTargetUser.displayAvatarURL())
@@ -5583,6 +9517,8 @@ class GuardianBot {
                                 })
                                 .join('\n');
                             
+                            const ticketStats = await this.dbManager.getTicketStats(interaction.guild.id);
+
                             const leaderboardEmbed = new EmbedBuilder()
                                 .setTitle('📈 Staff Activity Leaderboard')
                                 .setDescription(`**Top active staff members (Last ${daysPeriod} days)**\n\n${leaderboardText}`)
@@ -5593,11 +9529,19 @@ class GuardianBot {
                                 .setColor(0x0099ff)
                                 .setFooter({ text: 'GuardianBot, created by Skeeter' })
                                 .setTimestamp();
+
+                            if (ticketStats && ticketStats.total_tickets > 0) {
+                                leaderboardEmbed.addFields({
+                                    name: '🎫 Tickets (Last 30 days)',
+                                    value: `Total: ${ticketStats.total_tickets} • Open: ${ticketStats.open_tickets} • Claimed: ${ticketStats.claimed_tickets} • Closed: ${ticketStats.closed_tickets}\nAvg time to claim: ${ticketStats.avg_claim_time_minutes !== null ? `${Math.round(ticketStats.avg_claim_time_minutes)} min` : 'N/A'}`,
+                                    inline: false
+                                });
+                            }
                                 
                             await interaction.reply({ embeds: [leaderboardEmbed] });
                         }
                     } catch (error) {
-                        console.error('Error fetching staff stats:', error);
+                        log.commands.error('command_failed', 'Staff stats command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while fetching staff statistics!', 
                             flags: MessageFlags.Ephemeral 
@@ -5668,7 +9612,7 @@ class GuardianBot {
                             }
                         );
                     } catch (error) {
-                        console.error('Error logging dashboard access:', error);
+                        log.dashboard.error('access_log_failed', 'Error logging dashboard access', { guildId: interaction.guild.id, userId: interaction.user.id, error });
                     }
                     break;
 
@@ -5715,7 +9659,7 @@ class GuardianBot {
                             
                         await interaction.reply({ embeds: [rankEmbed] });
                     } catch (error) {
-                        console.error('Error fetching rank:', error);
+                        log.commands.error('command_failed', 'Rank command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while fetching rank data!', 
                             flags: MessageFlags.Ephemeral 
@@ -5763,7 +9707,7 @@ class GuardianBot {
                             
                         await interaction.reply({ embeds: [leaderboardEmbed] });
                     } catch (error) {
-                        console.error('Error fetching leaderboard:', error);
+                        log.commands.error('command_failed', 'Leaderboard command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while fetching leaderboard data!', 
                             flags: MessageFlags.Ephemeral 
@@ -5821,7 +9765,7 @@ class GuardianBot {
                             });
                         }
                     } catch (error) {
-                        console.error('Error creating custom command:', error);
+                        log.commands.error('command_failed', 'Error creating custom command', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while creating the command!', 
                             flags: MessageFlags.Ephemeral 
@@ -5851,7 +9795,7 @@ class GuardianBot {
                             });
                         }
                     } catch (error) {
-                        console.error('Error deleting custom command:', error);
+                        log.commands.error('command_failed', 'Error deleting custom command', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while deleting the command!', 
                             flags: MessageFlags.Ephemeral 
@@ -5887,7 +9831,7 @@ class GuardianBot {
                             
                         await interaction.reply({ embeds: [commandsEmbed] });
                     } catch (error) {
-                        console.error('Error fetching custom commands:', error);
+                        log.commands.error('command_failed', 'Error fetching custom commands', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while fetching commands!', 
                             flags: MessageFlags.Ephemeral 
@@ -5899,46 +9843,109 @@ class GuardianBot {
                     if (!this.hasPermission(interaction.member)) {
                         return interaction.reply({ content: '❌ You don\'t have permission to manage role rewards!', flags: MessageFlags.Ephemeral });
                     }
-                    
-                    const rewardRole = options.getRole('role');
-                    const requiredLevel = options.getInteger('level');
-                    const removePrevious = options.getBoolean('remove_previous') || false;
-                    
-                    try {
-                        const success = await this.dbManager.addRoleReward(
-                            interaction.guild.id,
-                            rewardRole.id,
-                            rewardRole.name,
-                            requiredLevel,
-                            removePrevious,
-                            interaction.user.id
-                        );
+
+                    const rewardSubcommand = options.getSubcommand();
+
+                    if (rewardSubcommand === 'add') {
+                        const rewardRole = options.getRole('role');
+                        const requiredLevel = options.getInteger('level');
+                        const removePrevious = options.getBoolean('remove_previous') || false;
                         
-                        if (success) {
-                            const rewardEmbed = new EmbedBuilder()
-                                .setTitle('🏆 Role Reward Added!')
-                                .setDescription(`Users will now receive the **${rewardRole.name}** role when they reach level **${requiredLevel}**!`)
-                                .addFields(
-                                    { name: '🎭 Role', value: `<@&${rewardRole.id}>`, inline: true },
-                                    { name: '📈 Level Required', value: requiredLevel.toString(), inline: true },
-                                    { name: '🔄 Remove Previous', value: removePrevious ? 'Yes' : 'No', inline: true }
-                                )
-                                .setColor(0xffd700)
-                                .setFooter({ text: 'GuardianBot, created by Skeeter' })
-                                .setTimestamp();
-                                
-                            await interaction.reply({ embeds: [rewardEmbed] });
-                        } else {
+                        try {
+                            const success = await this.dbManager.addRoleReward(
+                                interaction.guild.id,
+                                rewardRole.id,
+                                rewardRole.name,
+                                requiredLevel,
+                                removePrevious,
+                                interaction.user.id
+                            );
+                            
+                            if (success) {
+                                const rewardEmbed = new EmbedBuilder()
+                                    .setTitle('🏆 Role Reward Added!')
+                                    .setDescription(`Users will now receive the **${rewardRole.name}** role when they reach level **${requiredLevel}**!\n\nRun \`/rolereward sync\` to give it to members who already qualify.`)
+                                    .addFields(
+                                        { name: '🎭 Role', value: `<@&${rewardRole.id}>`, inline: true },
+                                        { name: '📈 Level Required', value: requiredLevel.toString(), inline: true },
+                                        { name: '🔄 Remove Previous', value: removePrevious ? 'Yes' : 'No', inline: true }
+                                    )
+                                    .setColor(0xffd700)
+                                    .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                                    .setTimestamp();
+                                    
+                                await interaction.reply({ embeds: [rewardEmbed] });
+                            } else {
+                                await interaction.reply({ 
+                                    content: '❌ Failed to add role reward. Please try again!', 
+                                    flags: MessageFlags.Ephemeral 
+                                });
+                            }
+                        } catch (error) {
+                            log.commands.error('command_failed', 'Error adding role reward', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                             await interaction.reply({ 
-                                content: '❌ Failed to add role reward. Please try again!', 
+                                content: '❌ An error occurred while adding the role reward!', 
                                 flags: MessageFlags.Ephemeral 
                             });
                         }
-                    } catch (error) {
-                        console.error('Error adding role reward:', error);
-                        await interaction.reply({ 
-                            content: '❌ An error occurred while adding the role reward!', 
-                            flags: MessageFlags.Ephemeral 
+                    } else if (rewardSubcommand === 'remove') {
+                        const removeRewardRole = options.getRole('role');
+                        const rewardRemoved = await this.dbManager.removeRoleReward(interaction.guild.id, removeRewardRole.id);
+                        if (!rewardRemoved) {
+                            return interaction.reply({ content: `❌ **${removeRewardRole.name}** isn't a role reward!`, flags: MessageFlags.Ephemeral });
+                        }
+                        await interaction.reply({ content: `✅ **${removeRewardRole.name}** is no longer a role reward. Members keep the role until it's removed manually.`, flags: MessageFlags.Ephemeral });
+                    } else if (rewardSubcommand === 'list') {
+                        const rewardList = await this.dbManager.getRoleRewards(interaction.guild.id);
+                        if (rewardList.length === 0) {
+                            return interaction.reply({ content: '📋 No role rewards are set up. Add one with `/rolereward add`.', flags: MessageFlags.Ephemeral });
+                        }
+
+                        const rewardListEmbed = new EmbedBuilder()
+                            .setTitle('🏆 Level Role Rewards')
+                            .setDescription(rewardList.map(reward => `**Level ${reward.required_level}** → <@&${reward.role_id}>${reward.remove_previous ? ' *(replaces lower rewards)*' : ''}`).join('\n'))
+                            .setColor(0xffd700)
+                            .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                            .setTimestamp();
+
+                        await interaction.reply({ embeds: [rewardListEmbed], flags: MessageFlags.Ephemeral });
+                    } else if (rewardSubcommand === 'sync') {
+                        if (!this.hasAdminPermission(interaction.member)) {
+                            return interaction.reply({ content: '❌ Only Administrators can sync role rewards!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+                        const syncRewards = await this.dbManager.getRoleRewards(interaction.guild.id);
+                        if (syncRewards.length === 0) {
+                            return interaction.editReply({ content: '❌ No role rewards are set up!' });
+                        }
+
+                        const syncLevels = await this.dbManager.getGuildUserLevels(interaction.guild.id);
+                        let syncMembers = 0;
+                        let syncAdded = 0;
+                        let syncRemoved = 0;
+                        let syncFailed = 0;
+
+                        for (const levelRow of syncLevels) {
+                            const syncMember = interaction.guild.members.cache.get(levelRow.user_id);
+                            if (!syncMember || syncMember.user.bot) continue;
+
+                            try {
+                                const changes = await this.applyLevelRewards(syncMember, levelRow.level, syncRewards);
+                                if (changes.added.length > 0 || changes.removed.length > 0) syncMembers++;
+                                syncAdded += changes.added.length;
+                                syncRemoved += changes.removed.length;
+                            } catch (error) {
+                                syncFailed++;
+                                log.leveling.error('role_reward_sync_failed', `Failed to sync role rewards for ${syncMember.user.tag}`, { guildId: interaction.guild.id, userId: syncMember.id, error });
+                            }
+                        }
+
+                        await interaction.editReply({
+                            content: `✅ Role rewards synced for ${syncLevels.length} ranked members.\n` +
+                                `**${syncMembers}** members updated • **${syncAdded}** roles added • **${syncRemoved}** roles removed` +
+                                (syncFailed > 0 ? `\n⚠️ ${syncFailed} members could not be updated (check role hierarchy).` : '')
                         });
                     }
                     break;
@@ -5960,7 +9967,7 @@ class GuardianBot {
                                         { name: '🚫 Discord Invites', value: '✅ **Enabled** - Auto-delete and warn', inline: true },
                                         { name: '⚡ Escalation System', value: '✅ **Active** - Progressive punishments', inline: true },
                                         { name: '📊 Violation Tracking', value: '✅ **Logging** - All violations recorded', inline: true },
-                                        { name: '🔄 Punishment Scale', value: 'Warn → 5m mute → 30m mute → 2h mute → Ban', inline: false },
+                                        { name: '🔄 Punishment Scale', value: 'Warn → 5m mute → 30m mute → 2h mute → 7d ban → Ban', inline: false },
                                         { name: '🛡️ Staff Bypass', value: 'Staff members are exempt from auto-moderation', inline: false }
                                     )
                                     .setColor(0x00ff00)
@@ -6070,7 +10077,7 @@ class GuardianBot {
                                         '❌ **Discord invite filtering is DISABLED**\n\nNote: This feature is currently always enabled for server security. Contact an administrator to modify this setting.'
                                     )
                                     .addFields(
-                                        { name: '⚡ Escalation System', value: 'Warn → 5min mute → 30min mute → 2hr mute → Ban', inline: false },
+                                        { name: '⚡ Escalation System', value: 'Warn → 5min mute → 30min mute → 2hr mute → 7d ban → Ban', inline: false },
                                         { name: '🛡️ Staff Bypass', value: 'Staff members with moderation permissions are exempt', inline: false }
                                     )
                                     .setColor(enabled ? 0x00ff00 : 0xff4444)
@@ -6084,7 +10091,7 @@ class GuardianBot {
                                 await interaction.reply({ content: '❌ Unknown auto-moderation subcommand!', flags: MessageFlags.Ephemeral });
                         }
                     } catch (error) {
-                        console.error('Error handling automod command:', error);
+                        log.commands.error('command_failed', 'Automod command failed', { command: interaction.commandName, guildId: interaction.guild.id, userId: interaction.user.id, error });
                         await interaction.reply({ 
                             content: '❌ An error occurred while processing the auto-moderation command!', 
                             flags: MessageFlags.Ephemeral 
@@ -6133,7 +10140,6 @@ class GuardianBot {
                             const intel = await this.gatherDiscordIntelligence(pseudoMessage, aiMessage);
                             if (intel.gathered && Object.keys(intel.data).length > 0) {
                                 discordIntelContext = `\n\n[DISCORD INTELLIGENCE - REAL DATA]\n${JSON.stringify(intel.data, null, 2)}\n[END DISCORD INTELLIGENCE]\n\nUSE THE ABOVE REAL DISCORD DATA TO ANSWER THE USER'S QUESTION ACCURATELY. DO NOT MAKE UP DATA - USE ONLY WHAT IS PROVIDED ABOVE.\n\n`;
-                                console.log(`👑 [SUPREME OWNER] Discord Intelligence gathered for: ${interaction.user.tag}`);
                             }
                         }
 
@@ -6233,7 +10239,7 @@ class GuardianBot {
                             });
                         }
                     } catch (error) {
-                        console.error('AI command error:', error);
+                        log.commands.error('command_failed', 'AI command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         if (interaction.deferred) {
                             await interaction.editReply({ content: '❌ An error occurred while processing your AI request.' });
                         } else {
@@ -6279,7 +10285,7 @@ class GuardianBot {
                                 .setTimestamp();
 
                             await interaction.reply({ embeds: [lockEmbed] });
-                            console.log('🔒 AI locked by Skeeter via /ailock');
+                            log.ai.warn('ai_locked', 'AI locked via /ailock', { guildId: interaction.guild?.id, userId: interaction.user.id });
                         } else if (action === 'unlock') {
                             this.aiService.ownerOnlyMode = false;
                             this.aiService.alwaysOnForOwner = true;
@@ -6296,7 +10302,7 @@ class GuardianBot {
                                 .setTimestamp();
 
                             await interaction.reply({ embeds: [unlockEmbed] });
-                            console.log('🔓 AI unlocked by Skeeter via /ailock');
+                            log.ai.info('ai_unlocked', 'AI unlocked via /ailock', { guildId: interaction.guild?.id, userId: interaction.user.id });
                         } else if (action === 'status') {
                             const isLocked = this.aiService.ownerOnlyMode;
 
@@ -6316,7 +10322,7 @@ class GuardianBot {
                             await interaction.reply({ embeds: [statusEmbed], flags: MessageFlags.Ephemeral });
                         }
                     } catch (error) {
-                        console.error('Error in ailock command:', error);
+                        log.commands.error('command_failed', 'AI lock command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6364,7 +10370,7 @@ class GuardianBot {
                             });
                         }
                     } catch (error) {
-                        console.error('AI help command error:', error);
+                        log.commands.error('command_failed', 'AI help command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         if (interaction.deferred) {
                             await interaction.editReply({ content: '❌ An error occurred while processing your help request.' });
                         } else {
@@ -6379,6 +10385,208 @@ class GuardianBot {
                             return interaction.reply({ content: '❌ You don\'t have permission to use AI moderation!', flags: MessageFlags.Ephemeral });
                         }
 
+                        const aimodSubcommand = options.getSubcommand(false);
+                        const aimodSettingSubcommands = ['detection', 'exempt-role', 'exempt-channel', 'log-channel'];
+                        if (['status', 'toggle', 'queue', 'stats', 'feedback', 'threshold', 'autotune', ...aimodSettingSubcommands].includes(aimodSubcommand) && (!this.dbManager || !this.dbManager.isConnected)) {
+                            return interaction.reply({ content: '❌ AI moderation settings are unavailable while the database is offline!', flags: MessageFlags.Ephemeral });
+                        }
+
+                        if (aimodSubcommand === 'stats') {
+                            const aimodStats = await this.dbManager.getAIModerationStats(interaction.guild.id, 7);
+                            const formatPrecision = group => Object.entries(group)
+                                .map(([key, entry]) => `**${key}**: ${Math.round(entry.precision * 100)}% (${entry.correct} correct, ${entry.falsePositive} false positive)`)
+                                .join('\n') || 'No staff feedback yet';
+
+                            const statsEmbed = new EmbedBuilder()
+                                .setTitle('📊 AI Moderation Stats (7 days)')
+                                .addFields(
+                                    { name: 'Detections', value: `${aimodStats?.total_actions || 0}`, inline: true },
+                                    { name: 'Deletes / Warns', value: `${aimodStats?.deletes || 0} / ${aimodStats?.warns || 0}`, inline: true },
+                                    { name: 'Escalations', value: `${aimodStats?.escalations || 0}`, inline: true },
+                                    { name: 'Avg Confidence', value: `${Math.round(aimodStats?.avg_confidence || 0)}%`, inline: true },
+                                    { name: 'Avg Response', value: `${Math.round(aimodStats?.avg_response_time || 0)}ms`, inline: true },
+                                    { name: 'Users', value: `${aimodStats?.unique_users || 0}`, inline: true },
+                                    { name: 'Precision by Category', value: formatPrecision(aimodStats?.precision.byCategory || {}), inline: false },
+                                    { name: 'Precision by Confidence', value: formatPrecision(aimodStats?.precision.byBand || {}), inline: false }
+                                )
+                                .setColor(0x0099ff)
+                                .setFooter({ text: 'Precision = share of staff-judged detections marked correct • GuardianBot, created by Skeeter' })
+                                .setTimestamp();
+
+                            return interaction.reply({ embeds: [statsEmbed], flags: MessageFlags.Ephemeral });
+                        }
+
+                        if (aimodSubcommand === 'feedback') {
+                            const feedbackResult = await this.recordAIFeedback(interaction.guild, interaction.user.id, options.getInteger('log_id'), options.getString('verdict'));
+                            return interaction.reply({
+                                content: feedbackResult.success ? `✅ ${feedbackResult.message}` : `❌ ${feedbackResult.error}`,
+                                flags: MessageFlags.Ephemeral
+                            });
+                        }
+
+                        if (aimodSubcommand === 'threshold' || aimodSubcommand === 'autotune') {
+                            if (!this.hasAdminPermission(interaction.member) && (aimodSubcommand === 'threshold' || options.getString('mode'))) {
+                                return interaction.reply({ content: '❌ Only Administrators can change AI moderation thresholds!', flags: MessageFlags.Ephemeral });
+                            }
+
+                            const tuningBefore = await this.dbManager.getAIModerationTuning(interaction.guild.id);
+                            if (aimodSubcommand === 'threshold') {
+                                const thresholdAction = options.getString('action');
+                                const newThresholds = { ...(tuningBefore ? tuningBefore.thresholds : this.aiModeration.thresholds), [thresholdAction]: options.getInteger('confidence') };
+                                await this.dbManager.saveAIModerationThresholds(interaction.guild.id, newThresholds);
+                            } else if (options.getString('mode')) {
+                                await this.dbManager.setAIModerationAutoTune(interaction.guild.id, options.getString('mode'));
+                            }
+                            await this.dbManager.logConfigChange(interaction.guild.id, 'ai_moderation', tuningBefore, await this.dbManager.getAIModerationTuning(interaction.guild.id), interaction.user.id);
+
+                            // Switching to apply mode applies the current suggestion straight away - otherwise just show it
+                            const tuneResult = await this.autoTuneAIThresholds(interaction.guild,
+                                aimodSubcommand === 'autotune' && options.getString('mode') === 'apply' ? { force: true } : { dryRun: true });
+                            const tuneModes = { off: 'Off', suggest: 'Suggest only', apply: 'Apply automatically' };
+                            const tuneEmbed = new EmbedBuilder()
+                                .setTitle(aimodSubcommand === 'threshold' ? '🎛️ AI Moderation Threshold Updated' : '🎛️ AI Moderation Auto-Tune')
+                                .setDescription(tuneResult.applied
+                                    ? '✅ The suggested thresholds have been applied.'
+                                    : `Based on ${tuneResult.feedbackCount} staff-judged detection(s) from the last ${this.aiModeration.autoTune.windowDays} days.`)
+                                .addFields(
+                                    { name: 'Mode', value: tuneModes[tuneResult.mode] || tuneResult.mode, inline: false },
+                                    ...['delete', 'warn', 'escalate', 'ignore'].map(key => ({
+                                        name: key.charAt(0).toUpperCase() + key.slice(1),
+                                        value: tuneResult.applied || tuneResult.suggested[key] === tuneResult.current[key]
+                                            ? `${tuneResult.suggested[key]}%`
+                                            : `${tuneResult.current[key]}% (suggested: **${tuneResult.suggested[key]}%**)`,
+                                        inline: true
+                                    }))
+                                )
+                                .setColor(0x0099ff)
+                                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                                .setTimestamp();
+
+                            return interaction.reply({ embeds: [tuneEmbed], flags: MessageFlags.Ephemeral });
+                        }
+
+                        if (aimodSubcommand === 'toggle') {
+                            if (!this.hasAdminPermission(interaction.member)) {
+                                return interaction.reply({ content: '❌ Only Administrators can turn AI moderation on or off!', flags: MessageFlags.Ephemeral });
+                            }
+
+                            const aimodEnabled = options.getBoolean('enabled');
+                            const toggleBefore = await this.dbManager.getAIModerationTuning(interaction.guild.id);
+                            if (!(await this.dbManager.setAIModerationEnabled(interaction.guild.id, aimodEnabled))) {
+                                return interaction.reply({ content: '❌ Failed to save the AI moderation setting!', flags: MessageFlags.Ephemeral });
+                            }
+                            await this.dbManager.logConfigChange(interaction.guild.id, 'ai_moderation', toggleBefore, await this.dbManager.getAIModerationTuning(interaction.guild.id), interaction.user.id);
+
+                            return interaction.reply({
+                                content: aimodEnabled
+                                    ? '✅ AI moderation is now **on** for this server. Messages above the delete and warn thresholds are handled automatically; escalations go to `/aimod queue`.'
+                                    : '✅ AI moderation is now **off** for this server.',
+                                flags: MessageFlags.Ephemeral
+                            });
+                        }
+
+                        if (aimodSettingSubcommands.includes(aimodSubcommand)) {
+                            if (!this.hasAdminPermission(interaction.member)) {
+                                return interaction.reply({ content: '❌ Only Administrators can change AI moderation settings!', flags: MessageFlags.Ephemeral });
+                            }
+
+                            let editSettings;
+                            let settingMessage;
+                            if (aimodSubcommand === 'detection') {
+                                const safetyCritical = options.getString('category') === 'safety_critical';
+                                const detectionEnabled = options.getBoolean('enabled');
+                                editSettings = settings => {
+                                    settings[safetyCritical ? 'detectionSafetyCritical' : 'detectionSpamScams'] = detectionEnabled;
+                                };
+                                settingMessage = `✅ ${safetyCritical ? 'Safety critical' : 'Spam & scams'} detection is now **${detectionEnabled ? 'on' : 'off'}**.`;
+                            } else if (aimodSubcommand === 'log-channel') {
+                                const aimodLogChannel = options.getChannel('channel');
+                                if (!aimodLogChannel.isTextBased()) {
+                                    return interaction.reply({ content: '❌ The AI moderation log channel must be a text channel!', flags: MessageFlags.Ephemeral });
+                                }
+                                editSettings = settings => {
+                                    settings.logChannelId = aimodLogChannel.id;
+                                };
+                                settingMessage = `✅ AI moderation actions, escalations and auto-tune suggestions will be posted in ${aimodLogChannel}.`;
+                            } else {
+                                const exemptRole = aimodSubcommand === 'exempt-role';
+                                const exemptTarget = exemptRole ? options.getRole('role') : options.getChannel('channel');
+                                const exemptList = exemptRole ? 'exemptRoles' : 'exemptChannels';
+                                const addExemption = options.getString('action') === 'add';
+                                editSettings = settings => {
+                                    const others = settings[exemptList].filter(id => id !== exemptTarget.id);
+                                    settings[exemptList] = addExemption ? [...others, exemptTarget.id] : others;
+                                };
+                                settingMessage = addExemption
+                                    ? `✅ ${exemptTarget} is now exempt from AI moderation.`
+                                    : `✅ ${exemptTarget} is no longer exempt from AI moderation.`;
+                            }
+
+                            const settingsBefore = await this.dbManager.getAIModerationTuning(interaction.guild.id);
+                            if (!(await this.updateAIModerationSettings(interaction.guild.id, editSettings))) {
+                                return interaction.reply({ content: '❌ Failed to save the AI moderation setting!', flags: MessageFlags.Ephemeral });
+                            }
+                            await this.dbManager.logConfigChange(interaction.guild.id, 'ai_moderation', settingsBefore, await this.dbManager.getAIModerationTuning(interaction.guild.id), interaction.user.id);
+
+                            return interaction.reply({ content: settingMessage, flags: MessageFlags.Ephemeral });
+                        }
+
+                        if (aimodSubcommand === 'status') {
+                            const statusTuning = await this.dbManager.getAIModerationTuning(interaction.guild.id);
+                            const statusThresholds = statusTuning ? statusTuning.thresholds : this.aiModeration.thresholds;
+                            const killSwitch = this.getKillSwitchStatus();
+                            const aimodStatusEmbed = new EmbedBuilder()
+                                .setTitle('🤖 AI Moderation Status')
+                                .addFields(
+                                    { name: 'This Server', value: statusTuning?.enabled ? '✅ On' : '⛔ Off (turn it on with `/aimod toggle`)', inline: true },
+                                    { name: 'Kill Switch', value: killSwitch.active ? '🚨 Active - AI moderation is paused everywhere' : 'Inactive', inline: true },
+                                    { name: 'Thresholds', value: ['delete', 'warn', 'escalate', 'ignore'].map(key => `${key}: ${statusThresholds[key]}%`).join('\n'), inline: false },
+                                    {
+                                        name: 'Detection',
+                                        value: `Safety critical: ${statusTuning?.detection.safetyCritical === false ? 'off' : 'on'}\nSpam & scams: ${statusTuning?.detection.spamScams === false ? 'off' : 'on'}`,
+                                        inline: true
+                                    },
+                                    { name: 'Log Channel', value: statusTuning?.logChannelId ? `<#${statusTuning.logChannelId}>` : 'Server log channel', inline: true },
+                                    {
+                                        name: 'Exempt',
+                                        value: [...(statusTuning?.exemptRoles || []).map(id => `<@&${id}>`), ...(statusTuning?.exemptChannels || []).map(id => `<#${id}>`)].join(' ').substring(0, 1024) || 'Nothing',
+                                        inline: false
+                                    }
+                                )
+                                .setColor(statusTuning?.enabled && !killSwitch.active ? 0x00ff00 : 0x999999)
+                                .setFooter({ text: 'GuardianBot, created by Skeeter' })
+                                .setTimestamp();
+
+                            return interaction.reply({ embeds: [aimodStatusEmbed], flags: MessageFlags.Ephemeral });
+                        }
+
+                        if (aimodSubcommand === 'queue') {
+                            const pendingReviews = await this.dbManager.getPendingAIReviews(interaction.guild.id, 10);
+                            const queueEmbed = new EmbedBuilder()
+                                .setTitle('🧐 AI Review Queue')
+                                .setColor(pendingReviews.length > 0 ? 0xffaa00 : 0x00ff00)
+                                .setFooter({ text: `Unreviewed escalations expire after ${this.aiModeration.reviewTimeoutHours} hours • GuardianBot, created by Skeeter` })
+                                .setTimestamp();
+
+                            if (pendingReviews.length === 0) {
+                                queueEmbed.setDescription('✅ Nothing is waiting for review.');
+                            } else {
+                                queueEmbed.setDescription(`Showing the ${pendingReviews.length} oldest pending escalation(s). Use the buttons on each review in the AI log channel, or the dashboard.`);
+                                for (const entry of pendingReviews) {
+                                    const reviewLink = entry.review_message_id
+                                        ? `\n[Open review](https://discord.com/channels/${entry.guild_id}/${entry.review_channel_id}/${entry.review_message_id})`
+                                        : '';
+                                    queueEmbed.addFields({
+                                        name: `#${entry.id} • ${entry.username} • ${entry.confidence}% ${(entry.severity || 'none').toUpperCase()}`,
+                                        value: `"${(entry.message_content || '').substring(0, 150)}"\n<#${entry.channel_id}> • <t:${this.getAIReviewTimestamp(entry)}:R>${reviewLink}`,
+                                        inline: false
+                                    });
+                                }
+                            }
+
+                            return interaction.reply({ embeds: [queueEmbed], flags: MessageFlags.Ephemeral });
+                        }
+
                         const contentToAnalyze = options.getString('content');
 
                         if (!this.aiService || !this.aiService.enabled) {
@@ -6435,7 +10643,7 @@ class GuardianBot {
                             });
                         }
                     } catch (error) {
-                        console.error('AI mod command error:', error);
+                        log.commands.error('command_failed', 'AI mod command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         if (interaction.deferred) {
                             await interaction.editReply({ content: '❌ An error occurred while analyzing content.' });
                         } else {
@@ -6502,7 +10710,7 @@ class GuardianBot {
                             await interaction.reply({ embeds: [listEmbed], flags: MessageFlags.Ephemeral });
                         }
                     } catch (error) {
-                        console.error('AI channel command error:', error);
+                        log.commands.error('command_failed', 'AI channel command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred while managing AI channels.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6525,8 +10733,9 @@ class GuardianBot {
                                 { name: '🧠 Personality', value: status.personality, inline: true },
                                 { name: '📺 AI Channels', value: status.aiChannelCount.toString(), inline: true },
                                 { name: '💬 Active Conversations', value: status.activeConversations.toString(), inline: true },
-                                { name: '⚡ Fast Model', value: 'Claude 3 Haiku', inline: true },
-                                { name: '🧠 Smart Model', value: 'Claude 3.5 Sonnet', inline: true },
+                                { name: '🔌 Providers', value: status.providers.map(provider => `${provider.configured ? '✅' : '➖'} ${provider.name}${provider.rateLimitedForMs ? ` (rate limited, ${Math.ceil(provider.rateLimitedForMs / 1000)}s)` : ''}`).join('\n'), inline: true },
+                                { name: '💬 Chat Route', value: status.routes.chat.join(' → ') || 'None', inline: true },
+                                { name: '🛡️ Moderation Route', value: status.routes.moderate.join(' → ') || 'None', inline: true },
                                 { name: '⏱️ Rate Limits', value: `${status.rateLimitConfig.maxRequestsPerMinute}/min, ${status.rateLimitConfig.maxRequestsPerHour}/hour`, inline: false }
                             )
                             .setColor(status.enabled ? 0x00ff00 : 0xff0000)
@@ -6535,7 +10744,7 @@ class GuardianBot {
 
                         await interaction.reply({ embeds: [statusEmbed], flags: MessageFlags.Ephemeral });
                     } catch (error) {
-                        console.error('AI status command error:', error);
+                        log.commands.error('command_failed', 'AI status command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred while fetching AI status.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6558,7 +10767,7 @@ class GuardianBot {
                             flags: MessageFlags.Ephemeral
                         });
                     } catch (error) {
-                        console.error('AI clear command error:', error);
+                        log.commands.error('command_failed', 'AI clear command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred while clearing history.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6587,7 +10796,7 @@ class GuardianBot {
 
                         await interaction.reply({ embeds: [statusEmbed], flags: MessageFlags.Ephemeral });
                     } catch (error) {
-                        console.error('AI follow command error:', error);
+                        log.commands.error('command_failed', 'AI follow command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6615,7 +10824,7 @@ class GuardianBot {
 
                         await interaction.reply({ embeds: [stopEmbed], flags: MessageFlags.Ephemeral });
                     } catch (error) {
-                        console.error('AI stop command error:', error);
+                        log.commands.error('command_failed', 'AI stop command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6638,7 +10847,7 @@ class GuardianBot {
                         switch (subcommand) {
                             case 'activate': {
                                 const reason = interaction.options.getString('reason') || 'No reason provided';
-                                const result = this.activateKillSwitch(userId);
+                                const result = this.activateKillSwitch(userId, reason);
 
                                 if (!result.success) {
                                     return interaction.reply({
@@ -6716,7 +10925,7 @@ class GuardianBot {
                             }
                         }
                     } catch (error) {
-                        console.error('Kill switch command error:', error);
+                        log.commands.error('command_failed', 'Kill switch command failed', { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
                         await interaction.reply({ content: '❌ An error occurred.', flags: MessageFlags.Ephemeral });
                     }
                     break;
@@ -6725,7 +10934,7 @@ class GuardianBot {
                     await interaction.reply({ content: '❌ Unknown command! Use `/help` to see available commands.', flags: MessageFlags.Ephemeral });
             }
         } catch (error) {
-            console.error('Error handling slash command:', error);
+            log.commands.error('command_failed', `Error handling /${interaction.commandName}`, { command: interaction.commandName, guildId: interaction.guild?.id, userId: interaction.user.id, error });
             if (interaction.replied || interaction.deferred) {
                 await interaction.followUp({ content: '❌ An error occurred while processing your command!', flags: MessageFlags.Ephemeral });
             } else {
@@ -6735,11 +10944,8 @@ class GuardianBot {
     }
 
     async logEvent(guild, title, description, color = 0x0099ff) {
-        const logChannelId = config.logChannelId;
-        if (!logChannelId) return;
-
         try {
-            const logChannel = guild.channels.cache.get(logChannelId);
+            const logChannel = await this.getLogChannel(guild);
             if (logChannel) {
                 const logEmbed = new EmbedBuilder()
                     .setTitle(title)
@@ -6750,7 +10956,7 @@ class GuardianBot {
                 await logChannel.send({ embeds: [logEmbed] });
             }
         } catch (error) {
-            console.error('Failed to send to log channel:', error);
+            log.logChannels.error('log_event_failed', `Failed to send "${title}" to the log channel`, { guildId: guild?.id, error });
         }
     }
 
@@ -6819,37 +11025,22 @@ class GuardianBot {
                 await message.delete();
             }
         } catch (error) {
-            console.error('Error handling custom command:', error);
+            log.commands.error('custom_command_failed', 'Error handling custom command', { guildId: message.guild?.id, userId: message.author.id, error });
         }
     }
 
     async sendToLogChannel(guild, embed) {
-        const logChannelId = this.logChannelId || config.logChannelId;
-        if (!logChannelId) {
-            console.log('⚠️ No log channel configured');
-            return;
-        }
-
         try {
-            // Try to get channel from client directly (works across guilds)
-            let logChannel = this.client.channels.cache.get(logChannelId);
-
+            const logChannel = await this.getLogChannel(guild);
             if (!logChannel) {
-                // Try fetching from client
-                logChannel = await this.client.channels.fetch(logChannelId).catch(err => {
-                    console.error(`❌ Failed to fetch log channel ${logChannelId}:`, err.message);
-                    return null;
-                });
+                log.logChannels.debug('log_channel_missing', `No log channel configured for ${guild?.name || 'unknown guild'}`, { guildId: guild?.id });
+                return;
             }
 
-            if (logChannel) {
-                await logChannel.send({ embeds: [embed] });
-                console.log(`✅ Log sent to #${logChannel.name}`);
-            } else {
-                console.log(`⚠️ Log channel ${logChannelId} not found or not accessible`);
-            }
+            await logChannel.send({ embeds: [embed] });
+            log.logChannels.debug('log_sent', `Log sent to #${logChannel.name}`, { guildId: guild.id, channelId: logChannel.id });
         } catch (error) {
-            console.error('❌ Failed to send to log channel:', error.message);
+            log.logChannels.error('log_send_failed', 'Failed to send to log channel', { guildId: guild?.id, error });
         }
     }
 
@@ -6904,7 +11095,7 @@ class GuardianBot {
     async logRoleAction(guild, actionType, role, oldRole = null, targetUser = null, reason = null) {
         try {
             // Check if logging is enabled
-            if (!config.logging?.enabled) {
+            if (!this.isRoleLoggingEnabled(guild)) {
                 return;
             }
 
@@ -6953,7 +11144,7 @@ class GuardianBot {
             const query = `
                 INSERT INTO role_logs 
                 (guild_id, user_id, moderator_id, action_type, role_id, role_name, old_values, new_values, reason, timestamp)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
             `;
             
             await this.dbManager.query(query, [
@@ -6969,7 +11160,7 @@ class GuardianBot {
             ]);
             
         } catch (error) {
-            console.error('Error logging role action:', error);
+            log.roles.error('role_log_failed', `Error logging role action ${actionType}`, { guildId: guild.id, roleId: role?.id, action: actionType, error });
         }
     }
     
@@ -7284,10 +11475,10 @@ class GuardianBot {
                 }
             }
 
-            console.log(`🔍 [DISCORD INTEL] Gathered intelligence for Supreme Owner: ${Object.keys(intel.data).join(', ')}`);
+            log.ai.info('discord_intel_gathered', `Discord intelligence gathered for ${message.author.tag}: ${Object.keys(intel.data).join(', ')}`, { guildId: message.guild?.id, userId: message.author.id, sections: Object.keys(intel.data) });
 
         } catch (error) {
-            console.error('Discord Intelligence error:', error);
+            log.ai.error('discord_intel_failed', 'Discord intelligence error', { guildId: message.guild?.id, userId: message.author.id, error });
             intel.error = error.message;
         }
 
@@ -7330,7 +11521,6 @@ class GuardianBot {
                 const intel = await this.gatherDiscordIntelligence(message, cleanContent);
                 if (intel.gathered && Object.keys(intel.data).length > 0) {
                     discordIntelContext = `\n\n[DISCORD INTELLIGENCE - REAL DATA]\n${JSON.stringify(intel.data, null, 2)}\n[END DISCORD INTELLIGENCE]\n\nUSE THE ABOVE REAL DISCORD DATA TO ANSWER THE USER'S QUESTION ACCURATELY. DO NOT MAKE UP DATA - USE ONLY WHAT IS PROVIDED ABOVE.\n\n`;
-                    console.log(`👑 [SUPREME OWNER] Discord Intelligence gathered for: ${message.author.tag}`);
                 }
             }
 
@@ -7379,11 +11569,11 @@ class GuardianBot {
                 await message.reply(`⏳ ${result.error}`);
             } else {
                 // AI failed - show error message instead of fallback
-                console.error('AI response failed:', result.error);
+                log.ai.error('ai_response_failed', `AI response failed: ${result.error}`, { guildId: message.guild?.id, userId: message.author.id });
                 await message.reply('❌ AI is temporarily unavailable. Please try again later.');
             }
         } catch (error) {
-            console.error('Error handling AI mention:', error);
+            log.ai.error('ai_mention_failed', 'Error handling AI mention', { guildId: message.guild?.id, userId: message.author.id, error });
             await message.reply('❌ Something went wrong with AI. Please try again later.');
         }
     }
@@ -7456,7 +11646,7 @@ class GuardianBot {
         const guild = message.guild;
         const channel = message.channel;
         const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
-        const ALLOWED_ROLE_ID = '1436372186523762688'; // Staff role that can chat during freeze
+        const freezeRoleId = guild ? this.getFreezeRoleId(guild) : null; // Staff role that can chat during freeze
 
         try {
             // FREEZE THIS CHAT
@@ -7482,7 +11672,7 @@ class GuardianBot {
 
                 // Deny all other roles except staff
                 for (const [roleId, role] of guild.roles.cache) {
-                    if (roleId === everyoneRole.id || roleId === ALLOWED_ROLE_ID) continue;
+                    if (roleId === everyoneRole.id || roleId === freezeRoleId) continue;
                     const existingOverwrite = channel.permissionOverwrites.cache.get(roleId);
                     if (existingOverwrite && existingOverwrite.allow.has(PermissionFlagsBits.SendMessages)) {
                         await channel.permissionOverwrites.edit(role, { SendMessages: false });
@@ -7490,7 +11680,7 @@ class GuardianBot {
                 }
 
                 // Allow staff role
-                const allowedRole = guild.roles.cache.get(ALLOWED_ROLE_ID);
+                const allowedRole = freezeRoleId ? guild.roles.cache.get(freezeRoleId) : null;
                 if (allowedRole) {
                     await channel.permissionOverwrites.edit(allowedRole, { SendMessages: true });
                 }
@@ -7523,7 +11713,7 @@ class GuardianBot {
                     .setTimestamp();
                 await this.sendToLogChannel(guild, freezeLogEmbed);
 
-                console.log(`🥶 Froze #${channel.name}`);
+                log.moderation.info('channel_frozen', `Froze #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id, source: 'natural_language' });
                 return true;
             }
 
@@ -7584,7 +11774,7 @@ class GuardianBot {
                     .setTimestamp();
                 await this.sendToLogChannel(guild, unfreezeLogEmbed);
 
-                console.log(`🔥 Unfroze #${channel.name}`);
+                log.moderation.info('channel_unfrozen', `Unfroze #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id, source: 'natural_language' });
                 return true;
             }
 
@@ -7616,7 +11806,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, lockLogEmbed);
-                console.log(`🔒 Server lockdown initiated`);
+                log.moderation.warn('server_lockdown_requested', 'Server lockdown initiated', { guildId: guild.id, userId: message.author.id, source: 'natural_language' });
                 return true;
             }
 
@@ -7648,7 +11838,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, unlockLogEmbed);
-                console.log(`🔓 Server unlocked`);
+                log.moderation.info('server_unlock_requested', 'Server unlocked', { guildId: guild.id, userId: message.author.id, source: 'natural_language' });
                 return true;
             }
 
@@ -7681,7 +11871,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, slowLogEmbed);
-                console.log(`⏱️ Slow mode set to ${seconds}s`);
+                log.moderation.info('slowmode_set', `Slow mode set to ${seconds}s in #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id, seconds, source: 'natural_language' });
                 return true;
             }
 
@@ -7712,7 +11902,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, slowOffLogEmbed);
-                console.log(`⚡ Slow mode disabled`);
+                log.moderation.info('slowmode_set', `Slow mode disabled in #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id, seconds: 0, source: 'natural_language' });
                 return true;
             }
 
@@ -7767,7 +11957,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, muteLogEmbed);
-                console.log(`🔇 Muted ${member.user.tag} for ${duration}min`);
+                log.moderation.info('member_muted', `Muted ${member.user.tag} for ${duration}min`, { guildId: guild.id, userId: message.author.id, targetId: member.id, duration, source: 'natural_language' });
                 return true;
             }
 
@@ -7811,7 +12001,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, unmuteLogEmbed);
-                console.log(`🔊 Unmuted ${member.user.tag}`);
+                log.moderation.info('member_unmuted', `Unmuted ${member.user.tag}`, { guildId: guild.id, userId: message.author.id, targetId: member.id, source: 'natural_language' });
                 return true;
             }
 
@@ -7864,7 +12054,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, kickLogEmbed);
-                console.log(`👢 Kicked ${userTag}`);
+                log.moderation.info('member_kicked', `Kicked ${userTag}`, { guildId: guild.id, userId: message.author.id, targetId: usrId, source: 'natural_language' });
                 return true;
             }
 
@@ -7917,7 +12107,7 @@ class GuardianBot {
                     .setFooter({ text: 'TTT Guardian • Natural Language Command' })
                     .setTimestamp();
                 await this.sendToLogChannel(guild, banLogEmbed);
-                console.log(`🔨 Banned ${userTag}`);
+                log.moderation.info('member_banned', `Banned ${userTag}`, { guildId: guild.id, userId: message.author.id, targetId: usrId, source: 'natural_language' });
                 return true;
             }
 
@@ -7933,36 +12123,30 @@ class GuardianBot {
                     return true;
                 }
 
-                // Add warning to warningTracker
-                if (!this.warningTracker.has(member.id)) {
-                    this.warningTracker.set(member.id, []);
+                if (!this.dbManager || !this.dbManager.isConnected) {
+                    await message.reply("Database offline, can't store warnings.");
+                    return true;
                 }
 
-                const warning = {
-                    id: Date.now(),
-                    reason: reason,
-                    issuedBy: message.author.id,
-                    issuedByTag: message.author.tag,
-                    timestamp: Date.now(),
-                    guildId: guild.id
-                };
-
-                this.warningTracker.get(member.id).push(warning);
-                const totalWarnings = this.warningTracker.get(member.id).length;
+                // Persist the warning
+                const warningId = await this.dbManager.addWarning(guild.id, member.id, member.user.tag, message.author.id, message.author.tag, reason);
+                if (!warningId) {
+                    await message.reply("Failed to save warning.");
+                    return true;
+                }
+                const totalWarnings = await this.dbManager.getWarningCount(guild.id, member.id);
 
                 // Log to database
-                if (this.dbManager && this.dbManager.isConnected) {
-                    await this.dbManager.logModeration(
-                        guild.id,
-                        'warn',
-                        message.author.id,
-                        message.author.tag,
-                        member.id,
-                        member.user.tag,
-                        reason,
-                        { warning_count: totalWarnings }
-                    );
-                }
+                await this.dbManager.logModeration(
+                    guild.id,
+                    'warn',
+                    message.author.id,
+                    message.author.tag,
+                    member.id,
+                    member.user.tag,
+                    reason,
+                    { warning_id: warningId, warning_count: totalWarnings }
+                );
 
                 // Send warning embed (TTT themed)
                 const warnEmbed = new EmbedBuilder()
@@ -8010,7 +12194,7 @@ class GuardianBot {
                     await channel.send({ embeds: [autoMuteEmbed] });
                 }
 
-                console.log(`⚠️ Warned ${member.user.tag} (total: ${totalWarnings})`);
+                log.moderation.info('member_warned', `Warned ${member.user.tag} (total: ${totalWarnings})`, { guildId: guild.id, userId: message.author.id, targetId: member.id, totalWarnings, source: 'natural_language' });
                 return true;
             }
 
@@ -8028,7 +12212,7 @@ class GuardianBot {
 
                 await channel.send({ embeds: [aiStopEmbed] });
                 await this.sendToLogChannel(guild, aiStopEmbed);
-                console.log(`🤐 AI responses disabled`);
+                log.ai.info('ai_responses_disabled', `AI responses disabled in #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id });
                 return true;
             }
 
@@ -8046,7 +12230,7 @@ class GuardianBot {
 
                 await channel.send({ embeds: [aiStartEmbed] });
                 await this.sendToLogChannel(guild, aiStartEmbed);
-                console.log(`💬 AI responses enabled`);
+                log.ai.info('ai_responses_enabled', `AI responses enabled in #${channel.name}`, { guildId: guild.id, channelId: channel.id, userId: message.author.id });
                 return true;
             }
 
@@ -8056,7 +12240,7 @@ class GuardianBot {
                 const sayMessage = sayMatch[1];
                 await message.delete().catch(() => {});
                 await channel.send(sayMessage);
-                console.log(`💬 Skeeter used say command via natural language`);
+                log.commands.info('say_command', 'Say command used via natural language', { guildId: guild.id, channelId: channel.id, userId: message.author.id });
                 return true;
             }
 
@@ -8248,7 +12432,7 @@ class GuardianBot {
             return false;
 
         } catch (error) {
-            console.error('Error executing natural language command:', error);
+            log.commands.error('natural_language_command_failed', 'Error executing natural language command', { guildId: message.guild?.id, userId: message.author.id, error });
             await message.reply(`Error: ${error.message}`);
             return true;
         }
@@ -8282,7 +12466,6 @@ class GuardianBot {
                 const intel = await this.gatherDiscordIntelligence(message, content);
                 if (intel.gathered && Object.keys(intel.data).length > 0) {
                     discordIntelContext = `\n\n[DISCORD INTELLIGENCE - REAL DATA]\n${JSON.stringify(intel.data, null, 2)}\n[END DISCORD INTELLIGENCE]\n\nUSE THE ABOVE REAL DISCORD DATA TO ANSWER THE USER'S QUESTION ACCURATELY. DO NOT MAKE UP DATA - USE ONLY WHAT IS PROVIDED ABOVE.\n\n`;
-                    console.log(`👑 [SUPREME OWNER] Discord Intelligence gathered for: ${message.author.tag}`);
                 }
             }
 
@@ -8332,7 +12515,7 @@ class GuardianBot {
             }
             // If AI fails in AI channel, just don't respond (silent fail)
         } catch (error) {
-            console.error('Error handling AI channel message:', error);
+            log.ai.error('ai_channel_message_failed', 'Error handling AI channel message', { guildId: message.guild?.id, channelId: message.channel.id, userId: message.author.id, trigger: triggerType, error });
             // Silent fail in AI channels
         }
     }
@@ -8382,13 +12565,12 @@ class GuardianBot {
         const botToken = process.env.DISCORD_TOKEN || config.token;
 
         if (!botToken) {
-            console.error('❌ No Discord token found! Set DISCORD_TOKEN environment variable or check config.json');
+            log.bot.error('token_missing', 'No Discord token found! Set DISCORD_TOKEN environment variable or check config.json');
             process.exit(1);
         }
 
-        console.log(`🔑 Using token source: ${process.env.DISCORD_TOKEN ? 'Environment Variable' : 'config.json'}`);
+        log.bot.info('login_started', `Logging in (token from ${process.env.DISCORD_TOKEN ? 'environment variable' : 'config.json'})`);
         this.client.login(botToken);
-        console.log('🎯 Bot ready. Starting dashboard server...');
 
         // Start dashboard server automatically
         this.startDashboard();
@@ -8397,16 +12579,15 @@ class GuardianBot {
     // Start dashboard server
     async startDashboard() {
         try {
-            console.log('📊 Starting dashboard server...');
+            log.dashboard.info('dashboard_starting', 'Starting dashboard server');
 
             // Create dashboard server instance and pass this bot instance
             this.dashboardServer = new DashboardServer(this);
             await this.dashboardServer.start();
 
-            console.log('✅ Dashboard server started successfully');
+            log.dashboard.info('dashboard_started', 'Dashboard server started successfully');
         } catch (error) {
-            console.error('❌ Failed to start dashboard:', error);
-            console.error(error);
+            log.dashboard.error('dashboard_start_failed', 'Failed to start dashboard', { error });
         }
     }
 }
@@ -2,6 +2,7 @@
 const API_BASE = '/api';
 let AUTH_TOKEN = null; // Will be set when user logs in
 let currentUser = null;
+let guildRoles = {}; // guildId -> dashboard role ('viewer', 'moderator', 'admin' or 'owner'), filled in by loadGuilds()
 let darkMode = localStorage.getItem('darkMode') === 'true';
 
 // Security: HTML escape function to prevent XSS attacks
@@ -88,6 +89,7 @@ function showDashboard() {
     hideLoginModal();
     updateUserInterface();
     loadDashboardData();
+    connectLiveUpdates();
     showTab('dashboard');
 }
 
@@ -102,7 +104,7 @@ function updateUserInterface() {
         userCard.classList.remove('hidden');
         userName.textContent = currentUser.username || 'User';
         
-        const roleText = currentUser.isOwner ? 'Bot Owner' : 'Admin';
+        const roleText = currentUser.isOwner ? 'Bot Owner' : getHighestRoleLabel();
         userRoleBadge.textContent = roleText;
     }
     
@@ -110,6 +112,41 @@ function updateUserInterface() {
     if (profileSection) {
         profileSection.classList.remove('hidden');
     }
+
+    // Backups are bot-wide, so only bot owners get the tab
+    const backupsNav = document.getElementById('nav-backups');
+    if (backupsNav) {
+        backupsNav.classList.toggle('hidden', !currentUser.isOwner);
+    }
+}
+
+// Dashboard roles - the server checks every request, this only hides what a role can't use
+const DASHBOARD_ROLES = ['viewer', 'moderator', 'admin', 'owner'];
+const DASHBOARD_ROLE_LABELS = {
+    viewer: 'Viewer',
+    moderator: 'Moderator',
+    admin: 'Admin',
+    owner: 'Server Owner'
+};
+
+function hasGuildRole(guildId, minimumRole) {
+    return DASHBOARD_ROLES.indexOf(guildRoles[guildId]) >= DASHBOARD_ROLES.indexOf(minimumRole);
+}
+
+function getHighestRoleLabel() {
+    const highest = Math.max(-1, ...Object.values(guildRoles).map(role => DASHBOARD_ROLES.indexOf(role)));
+    return DASHBOARD_ROLE_LABELS[DASHBOARD_ROLES[highest]] || 'Viewer';
+}
+
+// Dims the given toggles when the user's role in the selected server is read-only
+function setTogglesReadOnly(features, readOnly) {
+    features.forEach(feature => {
+        const toggle = document.getElementById(`${feature}-toggle`);
+        if (!toggle) return;
+        toggle.classList.toggle('opacity-50', readOnly);
+        toggle.classList.toggle('cursor-not-allowed', readOnly);
+        toggle.title = readOnly ? 'Read-only - your dashboard role cannot change settings' : '';
+    });
 }
 
 // Login functions
@@ -148,6 +185,7 @@ function logout() {
     localStorage.removeItem('dashboard_user');
     localStorage.removeItem('oauth_state');
 
+    disconnectLiveUpdates();
     AUTH_TOKEN = null;
     currentUser = null;
 
@@ -219,20 +257,24 @@ function showTab(tabName) {
         'dashboard': 'Dashboard',
         'guilds': 'Servers',
         'moderation': 'Moderation',
+        'ai-review': 'AI Review',
         'features': 'Features',
         'staff': 'Staff Analytics',
         'staff-team': 'Staff Team',
-        'logs': 'Server Logs'
+        'audit': 'Audit Log',
+        'backups': 'Backups'
     };
 
     const tabDescriptions = {
         'dashboard': 'Welcome to your GuardianBot management dashboard',
         'guilds': 'Manage and view your Discord servers',
         'moderation': 'Manage warnings, mutes, bans and moderation history',
+        'ai-review': 'Approve, dismiss or flag AI moderation escalations',
         'features': 'Configure bot features and view available commands',
         'staff': 'View staff activity and moderation analytics',
         'staff-team': 'List of all users with staff roles in the selected server',
-        'logs': 'Monitor role changes and server activity logs'
+        'audit': 'Search and export everything the bot and your staff have done',
+        'backups': 'Back up, check and restore the bot database'
     };
     
     if (pageTitle && currentPage && tabInfo[tabName]) {
@@ -286,17 +328,24 @@ async function apiCall(endpoint, options = {}) {
     }
 }
 
+// Guild list with the user's dashboard role in each
+async function loadGuilds() {
+    const guilds = await apiCall('/guilds');
+    if (guilds && Array.isArray(guilds)) {
+        guildRoles = Object.fromEntries(guilds.map(guild => [guild.id, guild.userRole]));
+        updateUserInterface();
+    }
+    return guilds;
+}
+
 // Load data
 async function loadDashboardData() {
     const stats = await apiCall('/stats');
     if (stats) {
-        document.getElementById('guild-count').textContent = stats.guilds || 0;
-        document.getElementById('user-count').textContent = stats.users || 0;
-        document.getElementById('warning-count').textContent = stats.warnings || 0;
-        document.getElementById('bot-ping').textContent = stats.ping ? `${stats.ping}ms` : 'N/A';
+        updateStatCards(stats);
     }
     
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     console.log('🔍 Guilds API Response:', guilds);
     console.log('🔍 Is array?', Array.isArray(guilds));
     console.log('🔍 Type:', typeof guilds);
@@ -308,6 +357,13 @@ async function loadDashboardData() {
     }
 }
 
+function updateStatCards(stats) {
+    document.getElementById('guild-count').textContent = stats.guilds || 0;
+    document.getElementById('user-count').textContent = stats.users || 0;
+    document.getElementById('warning-count').textContent = stats.warnings || 0;
+    document.getElementById('bot-ping').textContent = stats.ping ? `${stats.ping}ms` : 'N/A';
+}
+
 function populateGuildSelectors(guilds) {
     console.log('🔧 populateGuildSelectors called with:', guilds);
     const selector = document.getElementById('guild-select');
@@ -342,14 +398,20 @@ async function loadTabData(tabName) {
         case 'moderation':
             await loadModerationTab();
             break;
+        case 'ai-review':
+            await loadAIReviewTab();
+            break;
         case 'automod':
             await loadAutoModTab();
             break;
         case 'features':
             await loadFeaturesTab();
             break;
-        case 'logs':
-            await loadLogsTab();
+        case 'audit':
+            await loadAuditTab();
+            break;
+        case 'backups':
+            await loadBackupsTab();
             break;
     }
 
@@ -363,7 +425,7 @@ async function loadStaffTeamTab() {
     if (!staffTeamList) return;
     
     // Populate server selector
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     if (staffTeamServerSelect && guilds && Array.isArray(guilds)) {
         staffTeamServerSelect.innerHTML = '<option value="">-- Choose a server --</option>' +
             guilds.map(guild => `<option value="${guild.id}">${guild.name}</option>`).join('');
@@ -416,7 +478,7 @@ async function loadStaffTeamForServer(guildId) {
         <div class="flex items-center space-x-4 p-4 bg-card-light dark:bg-card-dark rounded-xl card-shadow mb-3 border border-gray-200 dark:border-gray-700">
             <img src="${escapeHtml(member.avatar) || 'https://cdn.discordapp.com/embed/avatars/0.png'}" alt="Avatar" class="w-12 h-12 rounded-full border border-gray-300 dark:border-gray-700">
             <div class="flex-1">
-                <div class="font-semibold text-gray-900 dark:text-white">${escapeHtml(member.username)} <span class="text-xs text-gray-500">${escapeHtml(member.tag)}</span></div>
+                <div class="font-semibold text-gray-900 dark:text-white">${escapeHtml(member.username)} <span class="text-xs text-gray-500">${escapeHtml(member.tag)}</span> <span class="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">${escapeHtml(DASHBOARD_ROLE_LABELS[member.dashboardRole] || member.dashboardRole)}</span></div>
                 <div class="text-sm text-gray-500">Joined: ${new Date(member.joinedAt).toLocaleDateString()}</div>
                 <div class="flex flex-wrap gap-2 mt-1">
                     ${member.roles.map(role => `<span class="px-2 py-1 rounded-full text-xs font-medium bg-brand-100 text-brand-700">${escapeHtml(role.name)}</span>`).join('')}
@@ -426,9 +488,265 @@ async function loadStaffTeamForServer(guildId) {
     `).join('');
 }
 
+// AI Review Tab Implementation
+const AI_REVIEW_BUTTON_CLASS = 'px-3 py-1.5 rounded-lg text-xs font-medium text-white transition-colors disabled:opacity-50';
+
+const AI_REVIEW_DECISION_BUTTONS = [
+    { decision: 'mute', label: 'Approve: Mute', color: 'bg-orange-500 hover:bg-orange-600' },
+    { decision: 'kick', label: 'Approve: Kick', color: 'bg-red-500 hover:bg-red-600' },
+    { decision: 'ban', label: 'Approve: Ban', color: 'bg-red-700 hover:bg-red-800' },
+    { decision: 'dismiss', label: 'Dismiss', color: 'bg-gray-500 hover:bg-gray-600' },
+    { decision: 'false_positive', label: 'False Positive', color: 'bg-green-600 hover:bg-green-700' }
+];
+
+async function loadAIReviewTab() {
+    const serverSelect = document.getElementById('ai-review-server-select');
+    const guilds = await loadGuilds();
+    if (serverSelect && guilds && Array.isArray(guilds)) {
+        const selected = serverSelect.value;
+        serverSelect.innerHTML = '<option value="">-- Choose a server --</option>' +
+            guilds.map(guild => `<option value="${guild.id}">${escapeHtml(guild.name)}</option>`).join('');
+        serverSelect.value = selected;
+    }
+
+    await loadAIReviewQueue(serverSelect ? serverSelect.value : '');
+}
+
+async function loadAIReviewQueue(guildId) {
+    const reviewList = document.getElementById('ai-review-list');
+    if (!reviewList) return;
+
+    if (!guildId) {
+        reviewList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-server text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">Please select a server to view its review queue</p>
+            </div>
+        `;
+        return;
+    }
+
+    reviewList.innerHTML = `
+        <div class="text-center py-12">
+            <i class="fas fa-spinner fa-spin text-3xl text-gray-400 mb-4"></i>
+            <p class="text-gray-500">Loading review queue...</p>
+        </div>
+    `;
+
+    const queue = await apiCall(`/guilds/${guildId}/ai-review`);
+    if (!queue) {
+        reviewList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-exclamation-triangle text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">Could not load the review queue. You need the Moderator role on this server.</p>
+            </div>
+        `;
+        return;
+    }
+
+    document.getElementById('ai-review-timeout').textContent = queue.timeoutHours;
+
+    if (queue.reviews.length === 0) {
+        reviewList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-check-circle text-3xl text-green-500 mb-4"></i>
+                <p class="text-gray-500">Nothing is waiting for review</p>
+            </div>
+        `;
+        return;
+    }
+
+    reviewList.innerHTML = queue.reviews.map(review => `
+        <div id="ai-review-${review.id}" class="p-4 bg-card-light dark:bg-card-dark rounded-xl card-shadow mb-3 border border-gray-200 dark:border-gray-700">
+            <div class="flex items-center justify-between mb-2">
+                <div class="font-semibold text-gray-900 dark:text-white">#${review.id} &middot; ${escapeHtml(review.username)} <span class="text-xs text-gray-500">${escapeHtml(review.userId)}</span></div>
+                <div class="text-xs text-gray-500">${new Date(review.createdAt).toLocaleString()}</div>
+            </div>
+            <div class="p-3 rounded-lg bg-gray-50 dark:bg-gray-800 text-sm text-gray-800 dark:text-gray-200 mb-2 break-words">${escapeHtml(review.content || '')}</div>
+            <div class="flex flex-wrap gap-2 mb-2 text-xs">
+                <span class="px-2 py-1 rounded-full font-medium bg-yellow-100 text-yellow-800">${escapeHtml(review.confidence)}% confidence</span>
+                <span class="px-2 py-1 rounded-full font-medium bg-red-100 text-red-800">${escapeHtml((review.severity || 'none').toUpperCase())}</span>
+                ${review.categories.map(category => `<span class="px-2 py-1 rounded-full font-medium bg-brand-100 text-brand-700">${escapeHtml(category)}</span>`).join('')}
+            </div>
+            <p class="text-sm text-gray-600 dark:text-gray-400 mb-3">${escapeHtml(review.reasoning || 'No explanation provided')}</p>
+            ${renderAIReviewContext(review.context)}
+            <div class="flex flex-wrap gap-2">
+                ${AI_REVIEW_DECISION_BUTTONS.map(button => `<button onclick="submitAIReview('${guildId}', ${review.id}, '${button.decision}', this)" class="${AI_REVIEW_BUTTON_CLASS} ${button.color}">${button.label}</button>`).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Anonymized conversation the AI saw alongside the message
+function renderAIReviewContext(context) {
+    if (!context || (context.messages.length === 0 && !context.replyTo)) return '';
+
+    const lines = context.messages.map(entry => `<div><span class="font-medium">${escapeHtml(entry.speaker)}:</span> ${escapeHtml(entry.content)}</div>`);
+    if (context.replyTo) {
+        lines.push(`<div class="italic">Replying to <span class="font-medium">${escapeHtml(context.replyTo.speaker)}:</span> ${escapeHtml(context.replyTo.content)}</div>`);
+    }
+    if (context.target) {
+        lines.push(`<div class="text-gray-500">${context.targetIsParticipant ? 'Target is part of the conversation' : 'Target is not part of the conversation'}</div>`);
+    }
+
+    return `
+        <details class="mb-3 text-sm text-gray-700 dark:text-gray-300">
+            <summary class="cursor-pointer text-gray-500">Conversation context</summary>
+            <div class="mt-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-800 space-y-1 break-words">${lines.join('')}</div>
+        </details>
+    `;
+}
+
+async function submitAIReview(guildId, reviewId, decision, button) {
+    const resultDiv = document.getElementById('ai-review-result');
+    const showResult = (ok, text) => {
+        resultDiv.className = `mb-4 p-3 rounded-lg text-sm ${ok ? 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-300' : 'bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300'}`;
+        resultDiv.textContent = text;
+    };
+
+    const reviewButtons = document.querySelectorAll(`#ai-review-${reviewId} button`);
+    reviewButtons.forEach(reviewButton => { reviewButton.disabled = true; });
+    try {
+        const response = await fetch(`${API_BASE}/guilds/${guildId}/ai-review/${reviewId}/${decision}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${AUTH_TOKEN}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 401) {
+            logout();
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) {
+            showResult(true, `✅ ${data.message}${data.caseNumber ? ` (Case #${data.caseNumber})` : ''}`);
+            button.closest(`#ai-review-${reviewId}`).remove();
+        } else {
+            showResult(false, `❌ ${data.error || response.statusText}`);
+            // Someone else already handled it - refresh so it drops out of the list
+            if (response.status === 409) {
+                await loadAIReviewQueue(guildId);
+            }
+        }
+    } catch (error) {
+        showResult(false, `❌ Request failed: ${error.message}`);
+    } finally {
+        reviewButtons.forEach(reviewButton => { reviewButton.disabled = false; });
+    }
+}
+
+async function loadBackupsTab() {
+    const backupsList = document.getElementById('backups-list');
+    if (!backupsList) return;
+
+    const data = await apiCall('/backups');
+    if (!data) {
+        backupsList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-exclamation-triangle text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">Could not load backups. Only bot owners can manage them, and the database must be connected.</p>
+            </div>
+        `;
+        return;
+    }
+
+    document.getElementById('backups-interval').textContent = data.settings.intervalHours || 24;
+    document.getElementById('backups-retention').textContent = data.settings.retention || 7;
+    renderIntegrityStatus(data.integrity);
+
+    if (data.backups.length === 0) {
+        backupsList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-database text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">No backups yet</p>
+            </div>
+        `;
+        return;
+    }
+
+    backupsList.innerHTML = data.backups.map(backup => `
+        <div class="p-4 bg-card-light dark:bg-card-dark rounded-xl card-shadow mb-3 border border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-2">
+            <div>
+                <div class="font-mono text-sm text-gray-900 dark:text-white break-all">${escapeHtml(backup.name)}</div>
+                <div class="text-xs text-gray-500">${new Date(backup.createdAt).toLocaleString()} &middot; ${escapeHtml(backup.reason)} &middot; ${(backup.size / 1024 / 1024).toFixed(2)} MB</div>
+            </div>
+            <button onclick="restoreBackup('${escapeHtml(backup.name)}', this)" class="px-3 py-1.5 rounded-lg text-xs font-medium text-white transition-colors disabled:opacity-50 bg-red-600 hover:bg-red-700">Restore</button>
+        </div>
+    `).join('');
+}
+
+function renderIntegrityStatus(integrity) {
+    const integrityDiv = document.getElementById('backups-integrity');
+    if (!integrityDiv) return;
+
+    if (!integrity) {
+        integrityDiv.textContent = 'Integrity: not checked since the bot started';
+    } else if (integrity.ok) {
+        integrityDiv.textContent = `Integrity: ✅ OK (checked ${new Date(integrity.checkedAt).toLocaleString()})`;
+    } else {
+        integrityDiv.textContent = `Integrity: 🚨 ${integrity.problems.length} problem(s) found ${new Date(integrity.checkedAt).toLocaleString()} - ${integrity.problems.slice(0, 3).join('; ')}`;
+    }
+}
+
+// POST to a backups endpoint and show the outcome above the list
+async function submitBackupAction(endpoint, button) {
+    const resultDiv = document.getElementById('backups-result');
+    button.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${AUTH_TOKEN}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 401) {
+            logout();
+            return null;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        resultDiv.className = `mb-4 p-3 rounded-lg text-sm ${response.ok ? 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-300' : 'bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300'}`;
+        resultDiv.textContent = response.ok ? `✅ ${data.message || 'Done'}` : `❌ ${data.error || response.statusText}`;
+        return response.ok ? data : null;
+    } catch (error) {
+        resultDiv.className = 'mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300';
+        resultDiv.textContent = `❌ Request failed: ${error.message}`;
+        return null;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function createBackup(button) {
+    if (await submitBackupAction('/backups', button)) {
+        await loadBackupsTab();
+    }
+}
+
+async function runIntegrityCheck(button) {
+    const integrity = await submitBackupAction('/backups/integrity-check', button);
+    if (integrity) {
+        renderIntegrityStatus(integrity);
+        document.getElementById('backups-result').textContent = integrity.ok ? '✅ The database passed its integrity check' : '🚨 The database failed its integrity check - see the bot log channel';
+    }
+}
+
+async function restoreBackup(name, button) {
+    if (!confirm(`Replace ALL bot data with ${name}? Everything recorded since that backup is lost. The current database is backed up first.`)) return;
+
+    if (await submitBackupAction(`/backups/${encodeURIComponent(name)}/restore`, button)) {
+        await loadBackupsTab();
+    }
+}
+
 async function loadFeaturesTab() {
     // Populate guild selector for features
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     const featuresGuildSelect = document.getElementById('features-guild-select');
     
     if (featuresGuildSelect && guilds && Array.isArray(guilds)) {
@@ -462,6 +780,9 @@ async function toggleFeature(feature) {
     
     if (!toggle || toggle.disabled) return;
     
+    const featuresGuildSelect = document.getElementById('features-guild-select');
+    if (featuresGuildSelect?.value && !hasGuildRole(featuresGuildSelect.value, 'admin')) return;
+    
     // Toggle state
     featureStates[feature] = !featureStates[feature];
     
@@ -485,7 +806,6 @@ async function toggleFeature(feature) {
     }
     
     // Save to backend (if server is selected)
-    const featuresGuildSelect = document.getElementById('features-guild-select');
     if (featuresGuildSelect && featuresGuildSelect.value) {
         try {
             await apiCall(`/guilds/${featuresGuildSelect.value}/features/${feature}`, 'PUT', {
@@ -500,6 +820,8 @@ async function toggleFeature(feature) {
 }
 
 async function loadFeatureStates(guildId) {
+    setTogglesReadOnly(['xp', 'commands', 'automod'], !hasGuildRole(guildId, 'admin'));
+    
     try {
         const features = await apiCall(`/guilds/${guildId}/features`);
         if (features) {
@@ -543,7 +865,7 @@ function updateFeatureUI(feature) {
 
 async function loadAutoModTab() {
     // Populate guild selector for auto-moderation
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     const autoModGuildSelect = document.getElementById('automod-guild-select');
     
     if (autoModGuildSelect && guilds && Array.isArray(guilds)) {
@@ -576,6 +898,9 @@ async function toggleAutoMod(feature) {
     
     if (!toggle) return;
     
+    const autoModGuildSelect = document.getElementById('automod-guild-select');
+    if (autoModGuildSelect?.value && !hasGuildRole(autoModGuildSelect.value, 'admin')) return;
+    
     // Toggle state
     autoModStates[feature] = !autoModStates[feature];
     
@@ -606,7 +931,6 @@ async function toggleAutoMod(feature) {
     }
     
     // Save to backend (if server is selected)
-    const autoModGuildSelect = document.getElementById('automod-guild-select');
     if (autoModGuildSelect && autoModGuildSelect.value) {
         try {
             await apiCall(`/guilds/${autoModGuildSelect.value}/automod/${feature}`, 'PUT', {
@@ -621,6 +945,8 @@ async function toggleAutoMod(feature) {
 }
 
 async function loadAutoModStates(guildId) {
+    setTogglesReadOnly(Object.keys(autoModStates), !hasGuildRole(guildId, 'admin'));
+    
     try {
         const settings = await apiCall(`/guilds/${guildId}/automod`);
         if (settings) {
@@ -671,7 +997,7 @@ function updateAutoModUI(feature) {
 
 async function loadModerationTab() {
     // Populate guild selector for moderation
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     const modGuildSelect = document.getElementById('mod-guild-select');
     
     if (modGuildSelect && guilds && Array.isArray(guilds)) {
@@ -750,9 +1076,10 @@ async function loadRecentWarnings(guildId) {
                             <span><i class="fas fa-clock mr-1"></i>${new Date(warning.timestamp).toLocaleDateString()}</span>
                         </div>
                     </div>
+                    ${hasGuildRole(guildId, 'moderator') ? `
                     <button onclick="removeWarning('${escapeHtml(guildId)}', '${escapeHtml(warning.userId)}')" class="text-red-600 hover:text-red-700 ml-4">
                         <i class="fas fa-trash"></i>
-                    </button>
+                    </button>` : ''}
                 </div>
             </div>
         `).join('');
@@ -919,25 +1246,164 @@ async function removeWarning(guildId, userId) {
     }
 }
 
-// Modal functions (placeholders for future implementation)
+// Moderation action modals - each action runs through POST /guilds/:guildId/moderation/:action,
+// which applies the same checks as the slash commands and logs the case under the logged-in user
+const MOD_INPUT_CLASS = 'w-full bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg px-4 py-2 text-gray-900 dark:text-white';
+
+function modActionField(label, input) {
+    return `
+        <label class="block mb-4">
+            <span class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">${label}</span>
+            ${input}
+        </label>
+    `;
+}
+
+const MOD_USER_FIELD = modActionField('User ID', `<input type="text" name="userId" required placeholder="User ID or @mention" class="${MOD_INPUT_CLASS}">`);
+const MOD_REASON_FIELD = modActionField('Reason', `<input type="text" name="reason" maxlength="500" placeholder="Reason (optional)" class="${MOD_INPUT_CLASS}">`);
+
+function getSelectedModGuild() {
+    const guildSelect = document.getElementById('mod-guild-select');
+    if (!guildSelect || !guildSelect.value) {
+        alert('Please select a server first');
+        return null;
+    }
+    return guildSelect.value;
+}
+
+function showModActionModal(guildId, title, actions, fieldsHtml) {
+    const actionField = actions.length > 1
+        ? modActionField('Action', `<select name="action" class="${MOD_INPUT_CLASS}">${actions.map(action => `<option value="${action.value}">${action.label}</option>`).join('')}</select>`)
+        : `<input type="hidden" name="action" value="${actions[0].value}">`;
+
+    showModal(title, `
+        <form id="mod-action-form">
+            ${actionField}
+            ${fieldsHtml}
+            <div id="mod-action-result" class="hidden mb-4 p-3 rounded-lg text-sm"></div>
+            <button type="submit" class="w-full bg-brand-500 hover:bg-brand-600 text-white px-6 py-2 rounded-lg font-medium transition-colors">
+                <i class="fas fa-gavel mr-2"></i>Run Action
+            </button>
+        </form>
+    `);
+
+    const form = document.getElementById('mod-action-form');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        submitModAction(guildId, form);
+    });
+}
+
+async function submitModAction(guildId, form) {
+    const { action, ...body } = Object.fromEntries(new FormData(form));
+    if (body.userId) {
+        body.userId = body.userId.trim().replace(/[<@!>]/g, ''); // Remove mention formatting
+    }
+
+    const resultDiv = document.getElementById('mod-action-result');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const showResult = (ok, text) => {
+        resultDiv.className = `mb-4 p-3 rounded-lg text-sm ${ok ? 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-300' : 'bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300'}`;
+        resultDiv.textContent = text;
+    };
+
+    submitButton.disabled = true;
+    try {
+        const response = await fetch(`${API_BASE}/guilds/${guildId}/moderation/${action}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${AUTH_TOKEN}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (response.status === 401) {
+            logout();
+            return;
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (response.ok) {
+            showResult(true, `✅ ${data.message}${data.caseNumber ? ` (Case #${data.caseNumber})` : ''}`);
+            await loadModerationData(); // Refresh the data
+        } else {
+            showResult(false, `❌ ${data.error || response.statusText}`);
+        }
+    } catch (error) {
+        showResult(false, `❌ Request failed: ${error.message}`);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
 function showWarningModal() {
-    alert('Warning modal coming soon - use Discord commands for now (/warn @user reason)');
+    const guildId = getSelectedModGuild();
+    if (!guildId) return;
+
+    showModActionModal(guildId, 'Issue Warning', [{ value: 'warn', label: 'Warn' }], `
+        ${MOD_USER_FIELD}
+        ${modActionField('Reason', `<input type="text" name="reason" required maxlength="500" placeholder="Why is this user being warned?" class="${MOD_INPUT_CLASS}">`)}
+        ${modActionField('Expires after (days)', `<input type="number" name="expires" min="1" max="365" placeholder="Leave blank to never expire" class="${MOD_INPUT_CLASS}">`)}
+    `);
 }
 
 function showMuteModal() {
-    alert('Mute modal coming soon - use Discord commands for now (/mute @user duration reason)');
+    const guildId = getSelectedModGuild();
+    if (!guildId) return;
+
+    showModActionModal(guildId, 'Mute User', [
+        { value: 'mute', label: 'Mute' },
+        { value: 'unmute', label: 'Unmute' }
+    ], `
+        ${MOD_USER_FIELD}
+        ${modActionField('Duration (minutes, mute only)', `<input type="number" name="duration" min="1" max="1440" value="60" class="${MOD_INPUT_CLASS}">`)}
+        ${MOD_REASON_FIELD}
+    `);
 }
 
 function showBanModal() {
-    alert('Ban modal coming soon - use Discord commands for now (/ban @user reason)');
+    const guildId = getSelectedModGuild();
+    if (!guildId) return;
+
+    showModActionModal(guildId, 'Ban / Kick User', [
+        { value: 'ban', label: 'Ban' },
+        { value: 'kick', label: 'Kick' },
+        { value: 'unban', label: 'Unban' }
+    ], `
+        ${MOD_USER_FIELD}
+        ${modActionField('Ban duration (ban only)', `<input type="text" name="duration" placeholder="e.g. 12h, 7d - leave blank for a permanent ban" class="${MOD_INPUT_CLASS}">`)}
+        ${MOD_REASON_FIELD}
+    `);
 }
 
-function showLockdownModal() {
-    alert('Lockdown modal coming soon - use Discord commands for now (/lockdown #channel reason)');
+async function showLockdownModal() {
+    const guildId = getSelectedModGuild();
+    if (!guildId) return;
+
+    const channels = await apiCall(`/guilds/${guildId}/channels`);
+    const textChannels = (channels || []).filter(channel => channel.type === 0); // GuildText
+
+    showModActionModal(guildId, 'Channel Controls', [
+        { value: 'lockdown', label: 'Lockdown' },
+        { value: 'unlock', label: 'Unlock' },
+        { value: 'freeze', label: 'Freeze channel' },
+        { value: 'unfreeze', label: 'Unfreeze channel' },
+        { value: 'slowmode', label: 'Set slow mode' }
+    ], `
+        ${modActionField('Channel', `
+            <select name="channelId" class="${MOD_INPUT_CLASS}">
+                <option value="">Entire server (lockdown / unlock only)</option>
+                ${textChannels.map(channel => `<option value="${escapeHtml(channel.id)}">#${escapeHtml(channel.name)}</option>`).join('')}
+            </select>
+        `)}
+        ${modActionField('Slow mode (seconds, 0 = off)', `<input type="number" name="seconds" min="0" max="21600" value="60" class="${MOD_INPUT_CLASS}">`)}
+        ${MOD_REASON_FIELD}
+    `);
 }
 
 async function loadGuildsTab() {
-    const guilds = await apiCall('/guilds');
+    const guilds = await loadGuilds();
     const guildsList = document.getElementById('guilds-list');
     
     if (guildsList && guilds) {
@@ -1272,282 +1738,192 @@ function setupAutoModEventListeners() {
 }
 
 // ==========================================
-// LOGS TAB FUNCTIONALITY
+// AUDIT LOG TAB
 // ==========================================
 
-let currentLogsPage = 0;
-const logsPerPage = 20;
-const ROLE_LOGGING_GUILD_ID = '1390425243365109760'; // Triple Threat Tactical
-
-async function loadLogsTab() {
-    setupLogsEventListeners();
-    await loadRoleLogsStats();
-    await loadRoleLogs();
-}
-
-function setupLogsEventListeners() {
-    // Filter controls
-    const applyFiltersBtn = document.getElementById('apply-log-filters');
-    if (applyFiltersBtn) {
-        applyFiltersBtn.addEventListener('click', async () => {
-            currentLogsPage = 0; // Reset to first page
-            await loadRoleLogs();
-        });
-    }
+const AUDIT_SOURCE_LABELS = {
+    moderation: 'Moderation',
+    automod: 'AutoMod',
+    ai_moderation: 'AI moderation',
+    role: 'Role change',
+    verification: 'Verification',
+    config: 'Settings',
+    killswitch: 'Kill switch'
+};
 
-    // Quick action buttons
-    const refreshBtn = document.getElementById('refresh-role-logs');
-    if (refreshBtn) {
-        refreshBtn.addEventListener('click', async () => {
-            await loadRoleLogsStats();
-            await loadRoleLogs();
-        });
-    }
+// Cursor for the next page of the current search (null when there's nothing more)
+let auditNextCursor = null;
 
-    const exportBtn = document.getElementById('export-role-logs');
-    if (exportBtn) {
-        exportBtn.addEventListener('click', exportRoleLogs);
+async function loadAuditTab() {
+    const serverSelect = document.getElementById('audit-server-select');
+    const guilds = await loadGuilds();
+    if (serverSelect && guilds && Array.isArray(guilds)) {
+        const selected = serverSelect.value;
+        serverSelect.innerHTML = '<option value="">-- Choose a server --</option>' +
+            guilds.map(guild => `<option value="${guild.id}">${escapeHtml(guild.name)}</option>`).join('');
+        serverSelect.value = selected;
     }
 
-    // Pagination
-    const prevBtn = document.getElementById('logs-prev-page');
-    const nextBtn = document.getElementById('logs-next-page');
-    
-    if (prevBtn) {
-        prevBtn.addEventListener('click', async () => {
-            if (currentLogsPage > 0) {
-                currentLogsPage--;
-                await loadRoleLogs();
-            }
-        });
-    }
+    await searchAuditLog();
+}
 
-    if (nextBtn) {
-        nextBtn.addEventListener('click', async () => {
-            currentLogsPage++;
-            await loadRoleLogs();
-        });
+// The filter form as audit query parameters, empty fields left out
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    for (const [name, value] of new FormData(document.getElementById('audit-filters'))) {
+        if (value.trim()) params.set(name, value.trim());
     }
+    return params;
 }
 
-async function loadRoleLogsStats() {
+// GET an audit endpoint - shows the API's error above the list and returns null when it fails
+async function fetchAudit(endpoint) {
+    const resultDiv = document.getElementById('audit-result');
+    resultDiv.className = 'hidden';
     try {
-        const period = document.getElementById('log-period-filter')?.value || '168'; // Default 7 days
-        const stats = await apiCall(`/guilds/${ROLE_LOGGING_GUILD_ID}/role-logs/stats?days=${period}`);
-        
-        if (stats && stats.summary) {
-            // Update stats display
-            const totalActions = document.getElementById('total-role-actions');
-            const rolesCreated = document.getElementById('roles-created');
-            const rolesDeleted = document.getElementById('roles-deleted');
-            const rolesUpdated = document.getElementById('roles-updated');
-            const memberChanges = document.getElementById('member-role-changes');
-
-            if (totalActions) totalActions.textContent = stats.summary.totalActions || 0;
-            if (rolesCreated) rolesCreated.textContent = stats.summary.roleCreations || 0;
-            if (rolesDeleted) rolesDeleted.textContent = stats.summary.roleDeletions || 0;
-            if (rolesUpdated) rolesUpdated.textContent = stats.summary.roleUpdates || 0;
-            if (memberChanges) memberChanges.textContent = stats.summary.memberRoleChanges || 0;
-
-            // Update last update time
-            const lastUpdate = document.getElementById('last-log-update');
-            if (lastUpdate) {
-                lastUpdate.textContent = new Date().toLocaleString();
-            }
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+            headers: { 'Authorization': `Bearer ${AUTH_TOKEN}` }
+        });
+
+        if (response.status === 401) {
+            logout();
+            return null;
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || response.statusText);
         }
+        return response;
     } catch (error) {
-        console.error('Error loading role logs stats:', error);
+        resultDiv.className = 'mb-4 p-3 rounded-lg text-sm bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300';
+        resultDiv.textContent = `❌ ${error.message}`;
+        return null;
     }
 }
 
-async function loadRoleLogs() {
-    const container = document.getElementById('role-logs-container');
-    const countElement = document.getElementById('role-logs-count');
-    
-    if (container) {
-        container.innerHTML = `
-            <div class="text-center py-8">
-                <i class="fas fa-spinner fa-spin text-3xl text-gray-400 mb-4"></i>
-                <p class="text-gray-500">Loading role change logs...</p>
+async function searchAuditLog() {
+    const guildId = document.getElementById('audit-server-select').value;
+    const auditList = document.getElementById('audit-list');
+    const loadMoreButton = document.getElementById('audit-load-more');
+    auditNextCursor = null;
+    loadMoreButton.classList.add('hidden');
+
+    if (!guildId) {
+        auditList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-server text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">Please select a server to view its audit log</p>
             </div>
         `;
+        return;
     }
 
-    try {
-        const offset = currentLogsPage * logsPerPage;
-        const typeFilter = document.getElementById('log-type-filter')?.value;
-        
-        let endpoint = `/guilds/${ROLE_LOGGING_GUILD_ID}/role-logs?limit=${logsPerPage}&offset=${offset}`;
-        if (typeFilter && typeFilter === 'role-changes') {
-            // No additional filter needed, role logs are already role changes
-        }
-        
-        const response = await apiCall(endpoint);
-        
-        if (response && response.logs) {
-            displayRoleLogs(response.logs);
-            updateLogsPagination(response.pagination);
-            
-            if (countElement) {
-                countElement.textContent = `${response.pagination?.total || 0} logs found`;
-            }
-        } else {
-            if (container) {
-                container.innerHTML = `
-                    <div class="text-center py-8">
-                        <i class="fas fa-inbox text-3xl text-gray-400 mb-4"></i>
-                        <p class="text-gray-500">No role logs found</p>
-                        <p class="text-xs text-gray-400 mt-2">Role logging is active only for Triple Threat Tactical server</p>
-                    </div>
-                `;
-            }
-        }
-    } catch (error) {
-        console.error('Error loading role logs:', error);
-        if (container) {
-            container.innerHTML = `
-                <div class="text-center py-8">
-                    <i class="fas fa-exclamation-triangle text-3xl text-red-400 mb-4"></i>
-                    <p class="text-red-500">Error loading role logs</p>
-                    <p class="text-xs text-gray-400 mt-2">Please try again later</p>
-                </div>
-            `;
-        }
-    }
-}
+    auditList.innerHTML = `
+        <div class="text-center py-12">
+            <i class="fas fa-spinner fa-spin text-3xl text-gray-400 mb-4"></i>
+            <p class="text-gray-500">Searching the audit log...</p>
+        </div>
+    `;
 
-function displayRoleLogs(logs) {
-    const container = document.getElementById('role-logs-container');
-    
-    if (!container || !logs || logs.length === 0) {
-        if (container) {
-            container.innerHTML = `
-                <div class="text-center py-8">
-                    <i class="fas fa-inbox text-3xl text-gray-400 mb-4"></i>
-                    <p class="text-gray-500">No role logs found for the selected period</p>
-                </div>
-            `;
-        }
+    const response = await fetchAudit(`/guilds/${guildId}/audit?${getAuditQuery()}`);
+    const page = response ? await response.json() : null;
+    if (!page) {
+        auditList.innerHTML = '';
         return;
     }
 
-    const logsHtml = logs.map(log => {
-        const actionColors = {
-            'ROLE_CREATE': 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
-            'ROLE_DELETE': 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
-            'ROLE_UPDATE': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
-            'MEMBER_ROLE_ADD': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
-            'MEMBER_ROLE_REMOVE': 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-300'
-        };
-
-        const actionIcons = {
-            'ROLE_CREATE': 'fas fa-plus-circle',
-            'ROLE_DELETE': 'fas fa-minus-circle', 
-            'ROLE_UPDATE': 'fas fa-edit',
-            'MEMBER_ROLE_ADD': 'fas fa-user-plus',
-            'MEMBER_ROLE_REMOVE': 'fas fa-user-minus'
-        };
-
-        const actionColor = actionColors[log.action_type] || 'bg-gray-100 text-gray-800';
-        const actionIcon = actionIcons[log.action_type] || 'fas fa-question-circle';
-        const timestamp = new Date(log.timestamp).toLocaleString();
-
-        let detailsHtml = '';
-        
-        if (log.user_id) {
-            detailsHtml += `
-                <div class="text-sm text-gray-600 dark:text-gray-400">
-                    <span class="font-medium">Target User:</span> ${log.user_id}
-                </div>
-            `;
-        }
-
-        if (log.moderator_id) {
-            detailsHtml += `
-                <div class="text-sm text-gray-600 dark:text-gray-400">
-                    <span class="font-medium">Moderator:</span> ${log.moderator_id}
-                </div>
-            `;
-        }
-
-        if (log.reason) {
-            detailsHtml += `
-                <div class="text-sm text-gray-600 dark:text-gray-400">
-                    <span class="font-medium">Reason:</span> ${escapeHtml(log.reason)}
-                </div>
-            `;
-        }
-
-        return `
-            <div class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors">
-                <div class="flex items-start justify-between mb-3">
-                    <div class="flex items-center space-x-3">
-                        <i class="${actionIcon} text-gray-500"></i>
-                        <div>
-                            <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${actionColor}">
-                                ${log.action_type.replace(/_/g, ' ')}
-                            </span>
-                            <div class="text-sm font-medium text-gray-900 dark:text-white mt-1">
-                                Role: ${escapeHtml(log.role_name)}
-                            </div>
-                        </div>
-                    </div>
-                    <div class="text-xs text-gray-500">
-                        ${timestamp}
-                    </div>
-                </div>
-                ${detailsHtml ? `<div class="space-y-1">${detailsHtml}</div>` : ''}
+    if (page.entries.length === 0) {
+        auditList.innerHTML = `
+            <div class="text-center py-12">
+                <i class="fas fa-search text-3xl text-gray-400 mb-4"></i>
+                <p class="text-gray-500">No audit entries match these filters</p>
             </div>
         `;
-    }).join('');
+        return;
+    }
 
-    container.innerHTML = `<div class="space-y-3">${logsHtml}</div>`;
+    auditList.innerHTML = page.entries.map(renderAuditEntry).join('');
+    auditNextCursor = page.nextCursor;
+    loadMoreButton.classList.toggle('hidden', !auditNextCursor);
 }
 
-function updateLogsPagination(pagination) {
-    const paginationElement = document.getElementById('role-logs-pagination');
-    const rangeStart = document.getElementById('logs-range-start');
-    const rangeEnd = document.getElementById('logs-range-end');
-    const totalElement = document.getElementById('logs-total');
-    const prevBtn = document.getElementById('logs-prev-page');
-    const nextBtn = document.getElementById('logs-next-page');
+async function loadMoreAuditEntries(button) {
+    const guildId = document.getElementById('audit-server-select').value;
+    if (!guildId || !auditNextCursor) return;
+
+    const params = getAuditQuery();
+    params.set('cursor', auditNextCursor);
+    button.disabled = true;
+    const response = await fetchAudit(`/guilds/${guildId}/audit?${params}`);
+    const page = response ? await response.json() : null;
+    button.disabled = false;
+    if (!page) return;
+
+    document.getElementById('audit-list').insertAdjacentHTML('beforeend', page.entries.map(renderAuditEntry).join(''));
+    auditNextCursor = page.nextCursor;
+    button.classList.toggle('hidden', !auditNextCursor);
+}
 
-    if (!pagination) return;
+function renderAuditEntry(entry) {
+    // Name with the ID beside it, or whichever of the two the source recorded
+    const person = (name, id) => {
+        if (!name) return id ? escapeHtml(id) : '';
+        return id ? `${escapeHtml(name)} <span class="text-xs text-gray-500">${escapeHtml(id)}</span>` : escapeHtml(name);
+    };
+    const actor = person(entry.actorName, entry.actorId);
+    const target = person(entry.targetName, entry.targetId);
+
+    return `
+        <div class="p-4 bg-card-light dark:bg-card-dark rounded-xl card-shadow mb-3 border border-gray-200 dark:border-gray-700">
+            <div class="flex items-center justify-between mb-2">
+                <div class="flex flex-wrap items-center gap-2">
+                    <span class="px-2 py-1 rounded-full text-xs font-medium bg-brand-100 text-brand-700">${escapeHtml(AUDIT_SOURCE_LABELS[entry.source] || entry.source)}</span>
+                    <span class="font-semibold text-gray-900 dark:text-white">${escapeHtml(entry.action || 'unknown')}</span>
+                    ${entry.reference ? `<span class="text-xs text-gray-500">${escapeHtml(entry.reference)}</span>` : ''}
+                </div>
+                <div class="text-xs text-gray-500">${new Date(entry.createdAt).toLocaleString()}</div>
+            </div>
+            <div class="text-sm text-gray-700 dark:text-gray-300">
+                ${actor ? `<span class="text-gray-500">by</span> ${actor}` : ''}
+                ${target ? `<span class="text-gray-500 ml-2">on</span> ${target}` : ''}
+            </div>
+            ${entry.summary ? `<p class="text-sm text-gray-600 dark:text-gray-400 mt-2 break-words">${escapeHtml(entry.summary)}</p>` : ''}
+            ${entry.details ? `
+                <details class="mt-2 text-sm text-gray-700 dark:text-gray-300">
+                    <summary class="cursor-pointer text-gray-500">Details</summary>
+                    <div class="mt-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-800 break-words">${escapeHtml(entry.details)}</div>
+                </details>
+            ` : ''}
+        </div>
+    `;
+}
 
-    if (paginationElement) {
-        paginationElement.classList.toggle('hidden', pagination.total <= logsPerPage);
+// Downloads everything matching the current filters - the server caps the export, see X-Audit-Truncated
+async function exportAuditLog(format, button) {
+    const guildId = document.getElementById('audit-server-select').value;
+    if (!guildId) {
+        alert('Select a server first');
+        return;
     }
 
-    if (rangeStart) rangeStart.textContent = pagination.offset + 1;
-    if (rangeEnd) rangeEnd.textContent = Math.min(pagination.offset + pagination.limit, pagination.total);
-    if (totalElement) totalElement.textContent = pagination.total;
-
-    if (prevBtn) {
-        prevBtn.disabled = currentLogsPage === 0;
-        prevBtn.classList.toggle('opacity-50', currentLogsPage === 0);
-    }
+    const params = getAuditQuery();
+    params.set('format', format);
+    button.disabled = true;
+    const response = await fetchAudit(`/guilds/${guildId}/audit/export?${params}`);
+    button.disabled = false;
+    if (!response) return;
 
-    if (nextBtn) {
-        nextBtn.disabled = !pagination.hasMore;
-        nextBtn.classList.toggle('opacity-50', !pagination.hasMore);
-    }
-}
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = `audit-${guildId}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 
-function exportRoleLogs() {
-    // Simple CSV export functionality
-    const logs = document.querySelectorAll('#role-logs-container .border');
-    
-    if (logs.length === 0) {
-        alert('No logs to export');
-        return;
+    if (response.headers.get('X-Audit-Truncated') === 'true') {
+        const resultDiv = document.getElementById('audit-result');
+        resultDiv.className = 'mb-4 p-3 rounded-lg text-sm bg-yellow-50 text-yellow-700 dark:bg-yellow-900/20 dark:text-yellow-300';
+        resultDiv.textContent = '⚠️ The export hit its row limit - narrow the filters to get everything';
     }
-
-    // Create CSV content
-    let csvContent = 'Timestamp,Action Type,Role Name,User ID,Moderator ID,Reason\n';
-    
-    // Note: In a real implementation, you'd fetch the raw data from the API
-    // For now, show a simple message
-    alert('Export functionality would generate a CSV file with all role logs. This feature requires backend implementation.');
 }
 
 // Invite Bot function
@@ -1715,4 +2091,143 @@ function showModal(title, content) {
     `;
     
     document.body.appendChild(modal);
-}
\ No newline at end of file
+}
+
+// ==========================================
+// LIVE UPDATES (Server-Sent Events)
+// ==========================================
+
+let liveSource = null;
+const MAX_LIVE_FEED_ITEMS = 50;
+const liveCounts = { automod: 0, moderation: 0, joins: 0, leaves: 0, alerts: 0 };
+const seenLiveEvents = new Set(); // the stream replays recent events on every reconnect
+
+// Counter, icon and feed text for each event type the bot publishes
+const LIVE_EVENT_TYPES = {
+    automod: {
+        counter: 'automod',
+        icon: 'fa-robot text-yellow-500',
+        describe: data => `Auto-mod caught ${data.type} from user ${data.userId}`
+    },
+    moderation: {
+        counter: 'moderation',
+        icon: 'fa-gavel text-brand-500',
+        describe: data => `Case #${data.caseNumber}: ${data.actionType} by ${data.moderatorUsername}${data.targetUsername ? ` on ${data.targetUsername}` : ''}`
+    },
+    member_join: {
+        counter: 'joins',
+        icon: 'fa-user-plus text-green-500',
+        describe: data => `${data.tag} joined (${data.memberCount} members)`
+    },
+    member_leave: {
+        counter: 'leaves',
+        icon: 'fa-user-minus text-gray-500',
+        describe: data => `${data.tag} left (${data.memberCount} members)`
+    },
+    raid: {
+        counter: 'alerts',
+        icon: 'fa-exclamation-triangle text-red-600',
+        describe: data => `Raid detected: ${data.joinCount} joins in ${data.timeWindow / 1000}s`
+    },
+    raid_mode: {
+        icon: 'fa-shield-alt text-red-500',
+        describe: data => data.active ? `Raid mode on: ${data.reason}` : `Raid mode ended - ${data.caught} account(s) caught`
+    },
+    nuke: {
+        counter: 'alerts',
+        icon: 'fa-bomb text-red-600',
+        describe: data => `Anti-nuke triggered by ${data.executorTag}: ${data.actionCount} ${data.actionType} actions`
+    },
+    killswitch: {
+        counter: 'alerts',
+        icon: 'fa-power-off text-red-600',
+        describe: data => data.active ? 'AI moderation kill switch activated' : 'AI moderation kill switch deactivated'
+    }
+};
+
+function connectLiveUpdates() {
+    if (!AUTH_TOKEN || liveSource || typeof EventSource === 'undefined') return;
+
+    // EventSource can't send an Authorization header, so the token goes in the query string
+    liveSource = new EventSource(`${API_BASE}/events/stream?token=${encodeURIComponent(AUTH_TOKEN)}`);
+    liveSource.addEventListener('open', () => setLiveStatus('live'));
+    liveSource.addEventListener('error', () => {
+        // CONNECTING means the browser is retrying on its own; CLOSED means the server refused the token
+        setLiveStatus(liveSource?.readyState === EventSource.CLOSED ? 'offline' : 'reconnecting');
+    });
+    liveSource.addEventListener('stats', event => updateStatCards(JSON.parse(event.data)));
+    liveSource.addEventListener('live', event => handleLiveEvent(JSON.parse(event.data)));
+}
+
+function disconnectLiveUpdates() {
+    if (liveSource) {
+        liveSource.close();
+        liveSource = null;
+    }
+    setLiveStatus('offline');
+}
+
+function setLiveStatus(state) {
+    const dot = document.getElementById('live-status-dot');
+    const text = document.getElementById('live-status-text');
+    if (!dot || !text) return;
+
+    const states = {
+        live: ['bg-green-500', 'Live'],
+        reconnecting: ['bg-yellow-500', 'Reconnecting...'],
+        offline: ['bg-gray-400', 'Offline']
+    };
+    const [color, label] = states[state];
+    dot.className = `w-2 h-2 rounded-full mr-2 ${color}`;
+    text.textContent = label;
+}
+
+async function handleLiveEvent(event) {
+    const eventKey = `${event.timestamp}:${event.type}:${event.guildId}:${JSON.stringify(event.data)}`;
+    if (seenLiveEvents.has(eventKey)) return;
+    seenLiveEvents.add(eventKey);
+    if (seenLiveEvents.size > 500) {
+        seenLiveEvents.delete(seenLiveEvents.values().next().value);
+    }
+
+    const eventType = LIVE_EVENT_TYPES[event.type];
+    if (!eventType) return;
+
+    if (eventType.counter) {
+        liveCounts[eventType.counter]++;
+        const counter = document.getElementById(`live-count-${eventType.counter}`);
+        if (counter) counter.textContent = liveCounts[eventType.counter];
+    }
+    addLiveFeedItem(event, eventType);
+
+    // Refresh open views for the same server instead of waiting for the refresh button
+    if (event.type === 'automod' && document.getElementById('automod-guild-select')?.value === event.guildId) {
+        const violations = await apiCall(`/guilds/${event.guildId}/automod/violations?limit=10`);
+        populateAutoModViolations(violations?.violations || []);
+    }
+    if (event.type === 'moderation' && document.getElementById('mod-guild-select')?.value === event.guildId) {
+        await loadModerationData();
+    }
+}
+
+function addLiveFeedItem(event, eventType) {
+    const feed = document.getElementById('live-feed');
+    if (!feed) return;
+
+    document.getElementById('live-feed-empty')?.remove();
+
+    const item = document.createElement('div');
+    item.className = 'flex items-start space-x-3 p-3 bg-gray-50 dark:bg-gray-800 rounded-lg';
+    item.innerHTML = `
+        <i class="fas ${eventType.icon} mt-1"></i>
+        <div class="flex-1 min-w-0">
+            <p class="text-sm text-gray-900 dark:text-white">${escapeHtml(eventType.describe(event.data))}</p>
+            <p class="text-xs text-gray-500">${escapeHtml(event.guildName || 'All servers')} - ${new Date(event.timestamp).toLocaleTimeString()}</p>
+        </div>
+    `;
+    feed.prepend(item);
+
+    while (feed.children.length > MAX_LIVE_FEED_ITEMS) {
+        feed.lastElementChild.remove();
+    }
+}
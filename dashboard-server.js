@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const cors = require('cors');
 const session = require('express-session');
 const crypto = require('crypto');
@@ -11,6 +12,17 @@ const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
 // IMPORTANT: Set DASHBOARD_SECRET in your .env file (min 32 chars recommended)
 const TOKEN_SECRET = process.env.DASHBOARD_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 
+// Per-guild dashboard roles, lowest to highest
+const DASHBOARD_ROLES = ['viewer', 'moderator', 'admin', 'owner'];
+
+// Lowest dashboard role that has each capability - routes declare the capability they need
+const DASHBOARD_CAPABILITIES = {
+    view: 'viewer',           // read stats, logs, warnings and settings
+    moderate: 'moderator',    // send messages and clear warnings
+    manage: 'admin',          // change automod, welcome, join role and guild settings
+    manageAccess: 'owner'     // change who gets which dashboard role
+};
+
 /**
  * Creates a cryptographically signed token
  * Format: base64(payload).signature
@@ -72,12 +84,60 @@ function verifySignedToken(token) {
     }
 }
 
+// Audit log query string -> DatabaseManager audit filters (type is one source or a comma-separated list)
+function getAuditFilters(query) {
+    const { actor, target, type, action, from, to, q } = query;
+    return { actor, target, sources: type, action, from, to, query: q };
+}
+
+// Audit rows as the API returns them - created_at is UTC in SQLite's format
+function formatAuditEntry(entry) {
+    return {
+        source: entry.source,
+        id: entry.id,
+        createdAt: `${entry.created_at.replace(' ', 'T')}Z`,
+        action: entry.action,
+        actorId: entry.actor_id,
+        actorName: entry.actor_name,
+        targetId: entry.target_id,
+        targetName: entry.target_name,
+        summary: entry.summary,
+        details: entry.details,
+        reference: entry.reference
+    };
+}
+
+const AUDIT_CSV_COLUMNS = ['source', 'id', 'createdAt', 'action', 'actorId', 'actorName', 'targetId', 'targetName', 'summary', 'details', 'reference'];
+
+function toAuditCsv(entries) {
+    const cell = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        // Leading = + - @ would run as a formula when the file is opened in a spreadsheet
+        const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => cell(entry[column])).join(','));
+    return [AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
 class DashboardServer {
     constructor(botInstance) {
         this.bot = botInstance;
         this.app = express();
         // Prefer PORT (platform-conventional), then DASHBOARD_PORT, default to 8080
         this.port = process.env.PORT || process.env.DASHBOARD_PORT || 8080;
+
+        // Open live event streams - { res, user, guildId }
+        this.liveClients = new Set();
+        this.bot.liveEvents.on('event', event => this.broadcastLiveEvent(event));
+
+        // Keeps streams alive through proxies, refreshes the stat cards and closes streams whose token expired
+        this.liveHeartbeat = setInterval(() => {
+            this.sendLiveStats().catch(error => console.error('Live stats error:', error));
+        }, 30000);
+        this.liveHeartbeat.unref();
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -109,7 +169,8 @@ class DashboardServer {
         
         // Request logging middleware
         this.app.use((req, res, next) => {
-            console.log(`🌐 ${req.method} ${req.url} from ${req.ip}`);
+            // The live stream carries its token in the query string - keep it out of the logs
+            console.log(`🌐 ${req.method} ${req.url.replace(/([?&]token=)[^&]+/, '$1[redacted]')} from ${req.ip}`);
             next();
         });
         
@@ -120,13 +181,15 @@ class DashboardServer {
                 return next();
             }
 
+            // EventSource can't send headers, so the live stream passes the same signed token as ?token=
             const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            const token = authHeader?.startsWith('Bearer ')
+                ? authHeader.substring(7)
+                : req.path === '/events/stream' ? req.query.token : null;
+            if (!token) {
                 return res.status(401).json({ error: 'Unauthorized - Discord login required' });
             }
 
-            const token = authHeader.substring(7);
-
             try {
                 // Verify cryptographically signed token
                 const tokenData = verifySignedToken(token);
@@ -148,13 +211,14 @@ class DashboardServer {
                 // Check if user is bot owner (701257205445558293)
                 const isOwner = config.ownerIds.includes(userId);
 
-                // Get user's guild permissions from Discord OAuth
-                const userPermissions = await this.getUserPermissions(userId);
+                // Get the user's dashboard role in each guild they share with the bot
+                const guildRoles = await this.getUserPermissions(userId);
 
                 req.user = {
                     id: userId,
-                    permissions: userPermissions,
-                    isOwner: isOwner
+                    guildRoles,
+                    isOwner: isOwner,
+                    tokenExpiresAt: timestamp + maxAge
                 };
 
                 next();
@@ -274,34 +338,317 @@ class DashboardServer {
         });
     }
 
+    // Bot-wide counters for the stat cards (/api/stats and the live stream)
+    async getBotStats() {
+        const client = this.bot.client;
+
+        let warnings = 0;
+        if (this.bot.dbManager && this.bot.dbManager.isConnected) {
+            try {
+                const result = await this.bot.dbManager.query(`
+                    SELECT COUNT(DISTINCT guild_id || ':' || user_id) as count FROM warnings
+                    WHERE active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
+                `);
+                warnings = result[0]?.count || 0;
+            } catch (error) {
+                console.error('Error counting warnings:', error);
+            }
+        }
+
+        return {
+            guilds: client.guilds.cache.size,
+            users: client.guilds.cache.reduce((acc, guild) => acc + guild.memberCount, 0),
+            channels: client.channels.cache.size,
+            ping: client.ws.ping,
+            uptime: process.uptime(),
+            warnings,
+            botName: client.user.username,
+            botAvatar: client.user.displayAvatarURL()
+        };
+    }
+
+    // Live stream helpers - one SSE message is "event: <name>" plus a JSON data line
+    writeLiveEvent(res, name, data) {
+        res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    describeLiveEvent(event) {
+        return { ...event, guildName: event.guildId ? this.bot.client.guilds.cache.get(event.guildId)?.name || null : null };
+    }
+
+    canReceiveLiveEvent(client, event) {
+        if (!event.guildId) {
+            return true;
+        }
+        if (client.guildId && client.guildId !== event.guildId) {
+            return false;
+        }
+        return this.canAccessGuild(client.user, event.guildId);
+    }
+
+    broadcastLiveEvent(event) {
+        const payload = this.describeLiveEvent(event);
+        for (const client of this.liveClients) {
+            if (this.canReceiveLiveEvent(client, event)) {
+                this.writeLiveEvent(client.res, 'live', payload);
+            }
+        }
+    }
+
+    async sendLiveStats() {
+        if (this.liveClients.size === 0) {
+            return;
+        }
+
+        const stats = await this.getBotStats();
+        for (const client of this.liveClients) {
+            // Same 24 hour limit as every other API call - the browser reconnects and gets sent to login
+            if (Date.now() > client.user.tokenExpiresAt) {
+                client.res.end();
+                this.liveClients.delete(client);
+                continue;
+            }
+            this.writeLiveEvent(client.res, 'stats', stats);
+        }
+    }
+
+    // Helper method to get the user's dashboard role in a guild (null if they have none)
+    getGuildRole(user, guildId) {
+        // Bot owner is owner everywhere
+        if (user.isOwner) {
+            return 'owner';
+        }
+
+        return user.guildRoles?.[guildId] || null;
+    }
+
+    // Helper method to check a user's dashboard role in a guild against a route capability
+    hasGuildCapability(user, guildId, capability) {
+        const role = this.getGuildRole(user, guildId);
+        if (!role) {
+            return false;
+        }
+
+        return DASHBOARD_ROLES.indexOf(role) >= DASHBOARD_ROLES.indexOf(DASHBOARD_CAPABILITIES[capability]);
+    }
+
     // Helper method to check if user can access a specific guild
     canAccessGuild(user, guildId) {
-        // Bot owner can access all guilds
-        if (user.isOwner) {
-            return true;
+        return this.hasGuildCapability(user, guildId, 'view');
+    }
+
+    // Route middleware: rejects the request unless the user has the capability in :guildId
+    requireGuildCapability(capability) {
+        return (req, res, next) => {
+            const { guildId } = req.params;
+
+            if (!this.getGuildRole(req.user, guildId)) {
+                return res.status(403).json({ error: 'Access denied to this guild' });
+            }
+            if (!this.hasGuildCapability(req.user, guildId, capability)) {
+                return res.status(403).json({
+                    error: `Your dashboard role cannot do this (requires ${DASHBOARD_CAPABILITIES[capability]})`
+                });
+            }
+
+            next();
+        };
+    }
+
+    // Route middleware: bot-wide settings are limited to the bot owners
+    requireBotOwner(req, res, next) {
+        if (!req.user?.isOwner) {
+            return res.status(403).json({ error: 'Only bot owners can do this' });
         }
-        
-        // Regular users can only access guilds they have admin permissions in
-        return user.permissions && Array.isArray(user.permissions) && user.permissions.includes(guildId);
+
+        next();
+    }
+
+    // Writes config.json after a dashboard change. The bot shares this config object, so the change
+    // is already live - the file just keeps it across restarts (older versions live in config_audit)
+    saveConfigFile() {
+        const configPath = path.join(__dirname, 'config.json');
+        fs.writeFileSync(configPath + '.bak', fs.readFileSync(configPath));
+        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
     }
 
-    // Helper method to get user permissions across guilds
+    // Sets dotted settings keys ('antiRaid.joinThreshold') inside a config.json block
+    setConfigValues(target, values) {
+        for (const [key, value] of Object.entries(values)) {
+            const parts = key.split('.');
+            const field = parts.pop();
+            const node = parts.reduce((parent, part) => (parent[part] = parent[part] || {}), target);
+            node[field] = value;
+        }
+    }
+
+    // Current state of a settings scope as stored in config_audit snapshots (guildId null = bot-wide scopes)
+    async getSettingsSnapshot(guildId, scope) {
+        const db = this.bot.dbManager;
+        switch (scope) {
+            case 'guild_config':
+                return db.getGuildConfigOverrides(guildId);
+            case 'automod':
+                return db.normalizeSettings('automod', await db.getAutoModSettings(guildId));
+            case 'welcome':
+                return db.normalizeSettings('welcome', await db.getWelcomeSettings(guildId));
+            case 'join_roles':
+                return { roleIds: (await db.getJoinRoles(guildId)).map(role => role.role_id).sort() };
+            case 'ai_moderation':
+                return db.getAIModerationTuning(guildId);
+            case 'moderation':
+                return db.normalizeSettings('moderation', config.moderation);
+            case 'defaults':
+                return db.normalizeSettings('defaults', config);
+            default:
+                return null;
+        }
+    }
+
+    // Puts a settings scope back to a config_audit snapshot
+    async restoreSettingsSnapshot(guildId, scope, snapshot, actorId) {
+        const db = this.bot.dbManager;
+        switch (scope) {
+            case 'guild_config': {
+                const current = db.getGuildConfigOverrides(guildId);
+                for (const key of Object.keys(current).filter(key => !(key in (snapshot || {})))) {
+                    await db.resetGuildConfigValue(guildId, key);
+                }
+                for (const [key, value] of Object.entries(snapshot || {})) {
+                    await db.setGuildConfigValue(guildId, key, value, actorId);
+                }
+                break;
+            }
+            case 'automod':
+                if (snapshot) {
+                    await db.saveAutoModSettings(guildId, snapshot);
+                } else {
+                    await db.deleteAutoModSettings(guildId);
+                }
+                this.bot.autoModSettingsCache.delete(guildId);
+                break;
+            case 'welcome':
+                if (snapshot) {
+                    await db.saveWelcomeSettings(guildId, snapshot);
+                } else {
+                    await db.deleteWelcomeSettings(guildId);
+                }
+                break;
+            case 'join_roles': {
+                const guild = this.bot.client.guilds.cache.get(guildId);
+                const wanted = snapshot?.roleIds || [];
+                const current = (await db.getJoinRoles(guildId)).map(role => role.role_id);
+                for (const roleId of current.filter(roleId => !wanted.includes(roleId))) {
+                    await db.removeJoinRole(guildId, roleId);
+                }
+                for (const roleId of wanted.filter(roleId => !current.includes(roleId))) {
+                    await db.addJoinRole(guildId, roleId, guild?.roles.cache.get(roleId)?.name || 'Unknown role');
+                }
+                break;
+            }
+            case 'ai_moderation':
+                await db.saveAIModerationThresholds(guildId, snapshot?.thresholds || this.bot.aiModeration.thresholds);
+                await db.setAIModerationAutoTune(guildId, snapshot?.autoTune || 'off');
+                // Snapshots from before AI moderation was opt-in have no enabled flag - leave it as it is
+                if (!snapshot || 'enabled' in snapshot) {
+                    await db.setAIModerationEnabled(guildId, Boolean(snapshot?.enabled));
+                }
+                // Likewise for detection, exemptions and the log channel, which older snapshots leave out
+                if (!snapshot || 'logChannelId' in snapshot) {
+                    await this.bot.updateAIModerationSettings(guildId, settings => {
+                        settings.detectionSafetyCritical = snapshot ? snapshot.detection.safetyCritical : true;
+                        settings.detectionSpamScams = snapshot ? snapshot.detection.spamScams : true;
+                        settings.exemptRoles = snapshot ? snapshot.exemptRoles : [];
+                        settings.exemptChannels = snapshot ? snapshot.exemptChannels : [];
+                        settings.logChannelId = snapshot ? snapshot.logChannelId : null;
+                    });
+                }
+                break;
+            case 'moderation':
+                config.moderation = config.moderation || {};
+                this.setConfigValues(config.moderation, snapshot || {});
+                this.saveConfigFile();
+                break;
+            case 'defaults':
+                this.setConfigValues(config, snapshot || {});
+                this.saveConfigFile();
+                break;
+        }
+    }
+
+    // Runs a settings write and records it in config_audit as the scope's next version
+    async auditSettingsChange(guildId, scope, actorId, applyChange, revertedFrom = null) {
+        const before = await this.getSettingsSnapshot(guildId, scope);
+        const result = await applyChange();
+        const after = await this.getSettingsSnapshot(guildId, scope);
+        const audit = await this.bot.dbManager.logConfigChange(guildId, scope, before, after, actorId, revertedFrom);
+        return { result, audit };
+    }
+
+    // Shared by the guild and bot-wide revert routes - restores the snapshot from before an audited change
+    async revertSettingsChange(req, res, guildId) {
+        try {
+            if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                return res.status(503).json({ error: 'Database not available' });
+            }
+
+            const entry = await this.bot.dbManager.getConfigAuditEntry(guildId, parseInt(req.params.auditId, 10));
+            if (!entry) {
+                return res.status(404).json({ error: 'Config change not found' });
+            }
+
+            const changesAccess = entry.scope === 'guild_config' && entry.changes.some(change => change.key.startsWith('dashboard.'));
+            if (changesAccess && !this.hasGuildCapability(req.user, guildId, 'manageAccess')) {
+                return res.status(403).json({ error: 'Only the server owner can change dashboard roles' });
+            }
+
+            const { audit } = await this.auditSettingsChange(guildId, entry.scope, req.user.id,
+                () => this.restoreSettingsSnapshot(guildId, entry.scope, entry.before_value, req.user.id), entry.id);
+
+            res.json({ success: true, revertedVersion: entry.version, audit });
+        } catch (error) {
+            console.error('Error reverting config change:', error);
+            res.status(500).json({ error: 'Failed to revert config change' });
+        }
+    }
+
+    // Helper method to map a guild member's Discord permissions and roles to a dashboard role
+    getDashboardRole(guild, member) {
+        const guildConfig = this.bot.getGuildConfig(guild);
+        const hasAnyRole = roleIds => member.roles.cache.some(role => roleIds.includes(role.id));
+
+        if (guild.ownerId === member.id) {
+            return 'owner';
+        }
+        if (member.permissions.has('Administrator') || hasAnyRole(guildConfig.dashboard.adminRoleIds)) {
+            return 'admin';
+        }
+        if (
+            member.permissions.has('ManageGuild') ||
+            hasAnyRole(guildConfig.adminRoleIds) ||
+            hasAnyRole(guildConfig.dashboard.moderatorRoleIds)
+        ) {
+            return 'moderator';
+        }
+        if (hasAnyRole(guildConfig.dashboard.viewerRoleIds)) {
+            return 'viewer';
+        }
+
+        return null;
+    }
+
+    // Helper method to get the user's dashboard role in every guild they can access ({ guildId: role })
     async getUserPermissions(userId) {
         try {
-            const userGuilds = [];
+            const guildRoles = {};
             
             for (const guild of this.bot.client.guilds.cache.values()) {
                 try {
                     const member = await guild.members.fetch(userId).catch(() => null);
                     if (member) {
-                        // Check if user has administrator permission or is in admin roles
-                        const hasAdminPerm = member.permissions.has('Administrator');
-                        const hasAdminRole = member.roles.cache.some(role => 
-                            config.adminRoleIds.includes(role.id)
-                        );
-                        
-                        if (hasAdminPerm || hasAdminRole) {
-                            userGuilds.push(guild.id);
+                        const role = this.getDashboardRole(guild, member);
+                        if (role) {
+                            guildRoles[guild.id] = role;
                         }
                     }
                 } catch (error) {
@@ -310,10 +657,10 @@ class DashboardServer {
                 }
             }
             
-            return userGuilds;
+            return guildRoles;
         } catch (error) {
             console.error('Error getting user permissions:', error);
-            return [];
+            return {};
         }
     }
 
@@ -322,7 +669,9 @@ class DashboardServer {
         this.app.get('/api/mod/health', (req, res) => {
             try {
                 const since = Date.now() - 24 * 60 * 60 * 1000;
-                const recent = (this.bot.autoModEvents || []).filter(e => e.timestamp >= since);
+                const recent = (this.bot.autoModEvents || []).filter(
+                    e => e.timestamp >= since && this.canAccessGuild(req.user, e.guildId)
+                );
                 const totals = recent.reduce((acc, e) => {
                     acc[e.type] = (acc[e.type] || 0) + 1;
                     return acc;
@@ -342,7 +691,7 @@ class DashboardServer {
         });
 
         // Role hierarchy self-check
-        this.app.get('/api/guilds/:guildId/hierarchy-check', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/hierarchy-check', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const guildId = req.params.guildId;
                 const guild = this.bot.client.guilds.cache.get(guildId);
@@ -350,7 +699,7 @@ class DashboardServer {
 
                 const me = await guild.members.fetch(this.bot.client.user.id);
                 const myTop = me.roles.highest;
-                const adminRoleIds = config.adminRoleIds || [];
+                const adminRoleIds = this.bot.getGuildConfig(guild).adminRoleIds;
                 const adminRoles = guild.roles.cache.filter(r => adminRoleIds.includes(r.id));
                 const cannotManageRoles = adminRoles.filter(r => r.position >= myTop.position).map(r => ({ id: r.id, name: r.name, position: r.position }));
 
@@ -368,24 +717,26 @@ class DashboardServer {
             }
         });
                 // API: Get all staff members for a guild
-                this.app.get('/api/guilds/:guildId/staff-team', async (req, res) => {
+                this.app.get('/api/guilds/:guildId/staff-team', this.requireGuildCapability('view'), async (req, res) => {
                     try {
                         const { guildId } = req.params;
-                        const staffRoleIds = config.adminRoleIds || [];
                         const guild = this.bot.client.guilds.cache.get(guildId);
                         if (!guild) return res.status(404).json({ error: 'Guild not found' });
 
-                        // Use cached members only to avoid timeout on large guilds
-                        const staffMembers = guild.members.cache.filter(member =>
-                            member.roles.cache.some(role => staffRoleIds.includes(role.id))
-                        ).map(member => ({
-                            id: member.user.id,
-                            username: member.user.username,
-                            tag: member.user.tag,
-                            avatar: member.user.displayAvatarURL(),
-                            joinedAt: member.joinedAt,
-                            roles: member.roles.cache.filter(role => role.id !== guild.id).map(role => ({ id: role.id, name: role.name }))
-                        }));
+                        // Everyone with a dashboard role in this guild - use cached members only to avoid timeout on large guilds
+                        const staffMembers = guild.members.cache
+                            .filter(member => !member.user.bot)
+                            .map(member => ({ member, dashboardRole: this.getDashboardRole(guild, member) }))
+                            .filter(({ dashboardRole }) => dashboardRole)
+                            .map(({ member, dashboardRole }) => ({
+                                id: member.user.id,
+                                username: member.user.username,
+                                tag: member.user.tag,
+                                avatar: member.user.displayAvatarURL(),
+                                joinedAt: member.joinedAt,
+                                dashboardRole,
+                                roles: member.roles.cache.filter(role => role.id !== guild.id).map(role => ({ id: role.id, name: role.name }))
+                            }));
 
                         res.json(staffMembers);
                     } catch (error) {
@@ -417,22 +768,22 @@ class DashboardServer {
             }
         });
 
-        // Update moderation config (domains/attachments lists)
-        this.app.put('/api/mod/config', async (req, res) => {
+        // Update moderation config (domains/attachments lists) - only the lists in the body are replaced
+        this.app.put('/api/mod/config', this.requireBotOwner, async (req, res) => {
             try {
-                const { domains, attachments } = req.body;
-                if (!config.moderation) config.moderation = {};
-                if (domains) config.moderation.domains = domains;
-                if (attachments) config.moderation.attachments = attachments;
-                
-                // Backup and write config
-                const fs = require('fs');
-                const configPath = require('path').join(__dirname, 'config.json');
-                const backupPath = configPath + '.bak';
-                fs.writeFileSync(backupPath, fs.readFileSync(configPath));
-                fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+                const { domains, attachments } = req.body || {};
+                const validation = this.bot.dbManager.validateSettings('moderation', { domains, attachments });
+                if (validation.errors) {
+                    return res.status(400).json({ error: 'Invalid moderation config', details: validation.errors });
+                }
+
+                const { audit } = await this.auditSettingsChange(null, 'moderation', req.user.id, () => {
+                    if (!config.moderation) config.moderation = {};
+                    this.setConfigValues(config.moderation, validation.values);
+                    this.saveConfigFile();
+                });
                 
-                res.json({ status: 'ok', message: 'Moderation config updated' });
+                res.json({ status: 'ok', message: 'Moderation config updated', audit });
             } catch (err) {
                 console.error('Config update error:', err);
                 res.status(500).json({ error: 'config_update_failed' });
@@ -449,19 +800,37 @@ class DashboardServer {
         });
 
         // API: Get bot stats
-        this.app.get('/api/stats', (req, res) => {
-            const client = this.bot.client;
-            const stats = {
-                guilds: client.guilds.cache.size,
-                users: client.guilds.cache.reduce((acc, guild) => acc + guild.memberCount, 0),
-                channels: client.channels.cache.size,
-                ping: client.ws.ping,
-                uptime: process.uptime(),
-                warnings: this.bot.warningTracker.size,
-                botName: client.user.username,
-                botAvatar: client.user.displayAvatarURL()
-            };
-            res.json(stats);
+        this.app.get('/api/stats', async (req, res) => {
+            res.json(await this.getBotStats());
+        });
+
+        // API: Live event stream (Server-Sent Events) - automod, moderation, raid/nuke alerts, joins/leaves
+        // and kill switch changes for the guilds the user can view. ?guildId= narrows it to one guild.
+        this.app.get('/api/events/stream', async (req, res) => {
+            const guildId = req.query.guildId || null;
+            if (guildId && !this.canAccessGuild(req.user, guildId)) {
+                return res.status(403).json({ error: 'Access denied to this guild' });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const client = { res, user: req.user, guildId };
+            this.liveClients.add(client);
+            req.on('close', () => this.liveClients.delete(client));
+
+            // Catch up on what happened just before the page was opened
+            for (const event of this.bot.recentLiveEvents) {
+                if (this.canReceiveLiveEvent(client, event)) {
+                    this.writeLiveEvent(res, 'live', this.describeLiveEvent(event));
+                }
+            }
+            this.writeLiveEvent(res, 'stats', await this.getBotStats());
         });
 
         // API: Get guilds (filtered by user permissions)
@@ -469,30 +838,11 @@ class DashboardServer {
             try {
                 const user = req.user;
                 console.log('🔍 Guild API request - User ID:', user.id, 'Is Owner:', user.isOwner);
-                console.log('🔍 User permissions (guild IDs):', user.permissions);
-                
-                if (user.isOwner) {
-                    // Bot owner sees all guilds
-                    const guilds = this.bot.client.guilds.cache.map(guild => ({
-                        id: guild.id,
-                        name: guild.name,
-                        icon: guild.iconURL(),
-                        memberCount: guild.memberCount,
-                        ownerID: guild.ownerId,
-                        owner: guild.members.cache.get(guild.ownerId)?.user,
-                        joinedAt: guild.joinedAt,
-                        permissions: guild.me ? guild.me.permissions.toArray() : [],
-                        userRole: 'owner'
-                    }));
-                    console.log('✅ Owner - Returning all guilds:', guilds.length);
-                    res.json(guilds);
-                    return;
-                }
+                console.log('🔍 User dashboard roles:', user.guildRoles);
                 
-                // For regular users, only show guilds they have admin access to
-                const allowedGuildIds = user.permissions || [];
+                // Bot owner sees all guilds, everyone else only the guilds they have a dashboard role in
                 const accessibleGuilds = this.bot.client.guilds.cache
-                    .filter(guild => allowedGuildIds.includes(guild.id))
+                    .filter(guild => this.canAccessGuild(user, guild.id))
                     .map(guild => ({
                         id: guild.id,
                         name: guild.name,
@@ -502,7 +852,7 @@ class DashboardServer {
                         owner: guild.members.cache.get(guild.ownerId)?.user,
                         joinedAt: guild.joinedAt,
                         permissions: guild.me ? guild.me.permissions.toArray() : [],
-                        userRole: 'admin'
+                        userRole: this.getGuildRole(user, guild.id)
                     }));
                 
                 res.json(accessibleGuilds);
@@ -513,16 +863,11 @@ class DashboardServer {
         });
 
         // API: Get guild details
-        this.app.get('/api/guilds/:guildId', (req, res) => {
+        this.app.get('/api/guilds/:guildId', this.requireGuildCapability('view'), (req, res) => {
             try {
                 const guildId = req.params.guildId;
                 const user = req.user;
                 
-                // Check if user has permission to access this guild
-                if (!this.canAccessGuild(user, guildId)) {
-                    return res.status(403).json({ error: 'Access denied to this guild' });
-                }
-                
                 const guild = this.bot.client.guilds.cache.get(guildId);
                 if (!guild) {
                     return res.status(404).json({ error: 'Guild not found' });
@@ -539,7 +884,7 @@ class DashboardServer {
                     createdAt: guild.createdAt,
                     features: guild.features,
                     permissions: guild.me ? guild.me.permissions.toArray() : [],
-                    userRole: user.isOwner ? 'owner' : 'admin'
+                    userRole: this.getGuildRole(user, guildId)
                 };
                 res.json(guildInfo);
             } catch (error) {
@@ -549,55 +894,37 @@ class DashboardServer {
         });
 
         // API: Get warnings for a guild
-        this.app.get('/api/guilds/:guildId/warnings', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/warnings', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const guildId = req.params.guildId;
-                const user = req.user;
                 
-                // Check if user has permission to access this guild
-                if (!this.canAccessGuild(user, guildId)) {
-                    return res.status(403).json({ error: 'Access denied to this guild' });
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
                 }
-                
+
+                const { userId } = req.query;
+                const warnings = userId
+                    ? (await this.bot.dbManager.getWarnings(guildId, userId)).reverse()
+                    : await this.bot.dbManager.getGuildWarnings(guildId);
+
                 const guild = this.bot.client.guilds.cache.get(guildId);
-                
-                const guildWarnings = [];
-                
-                for (const [userId, warnings] of this.bot.warningTracker.entries()) {
-                    const userWarnings = warnings.filter(w => w.guildId === guildId);
-                    if (userWarnings.length > 0) {
-                        let username = 'Unknown User';
-                        let displayName = 'Unknown User';
-                        
-                        try {
-                            // Try to get the user from the guild first (for nickname)
-                            if (guild) {
-                                const member = await guild.members.fetch(userId).catch(() => null);
-                                if (member) {
-                                    username = member.user.username;
-                                    displayName = member.displayName || member.user.username;
-                                } else {
-                                    // If not in guild, try to get from Discord
-                                    const user = await this.bot.client.users.fetch(userId).catch(() => null);
-                                    if (user) {
-                                        username = user.username;
-                                        displayName = user.username;
-                                    }
-                                }
-                            }
-                        } catch (error) {
-                            console.error(`Error fetching user ${userId}:`, error.message);
-                        }
-                        
-                        guildWarnings.push({
-                            userId,
-                            username,
-                            displayName,
-                            warnings: userWarnings
-                        });
-                    }
-                }
-                
+
+                const guildWarnings = warnings.map(warning => {
+                    const member = guild?.members.cache.get(warning.user_id);
+                    return {
+                        id: warning.id,
+                        guildId: warning.guild_id,
+                        userId: warning.user_id,
+                        username: warning.username,
+                        displayName: member?.displayName || warning.username,
+                        reason: warning.reason,
+                        moderatorId: warning.moderator_id,
+                        moderatorName: warning.moderator_username,
+                        timestamp: `${warning.created_at.replace(' ', 'T')}Z`,
+                        expiresAt: warning.expires_at ? `${warning.expires_at.replace(' ', 'T')}Z` : null
+                    };
+                });
+
                 res.json(guildWarnings);
             } catch (error) {
                 console.error('Error fetching guild warnings:', error);
@@ -606,24 +933,18 @@ class DashboardServer {
         });
 
         // API: Get comprehensive moderation logs for a guild
-        this.app.get('/api/guilds/:guildId/moderation', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/moderation', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const guildId = req.params.guildId;
-                const user = req.user;
                 const { limit = 50, offset = 0, action = null, moderator = null } = req.query;
                 
-                // Check if user has permission to access this guild
-                if (!this.canAccessGuild(user, guildId)) {
-                    return res.status(403).json({ error: 'Access denied to this guild' });
-                }
-                
                 let moderationLogs = [];
                 
                 // If database is available, get from database
                 if (this.bot.dbManager && this.bot.dbManager.isConnected) {
                     let sql = `
                         SELECT * FROM moderation_logs 
-                        WHERE guild_id = ?
+                        WHERE guild_id = ? AND deleted = 0
                     `;
                     const params = [guildId];
                     
@@ -641,27 +962,6 @@ class DashboardServer {
                     params.push(parseInt(limit), parseInt(offset));
                     
                     moderationLogs = await this.bot.dbManager.query(sql, params);
-                } else {
-                    // Fallback to memory data if database unavailable
-                    const warningData = [];
-                    this.bot.warningTracker.forEach((warnings, userId) => {
-                        const userWarnings = warnings.filter(w => w.guildId === guildId);
-                        userWarnings.forEach(warning => {
-                            warningData.push({
-                                id: warning.id,
-                                guild_id: guildId,
-                                action_type: 'warn',
-                                moderator_id: warning.issuedBy,
-                                moderator_username: warning.issuedByTag,
-                                target_id: userId,
-                                target_username: 'Unknown User',
-                                reason: warning.reason,
-                                created_at: new Date(warning.timestamp),
-                                details: null
-                            });
-                        });
-                    });
-                    moderationLogs = warningData.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
                 }
 
                 // Add Discord audit logs to the moderation history
@@ -730,15 +1030,9 @@ class DashboardServer {
         });
 
         // API: Get moderation statistics for a guild
-        this.app.get('/api/guilds/:guildId/moderation/stats', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/moderation/stats', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const guildId = req.params.guildId;
-                const user = req.user;
-                
-                // Check if user has permission to access this guild
-                if (!this.canAccessGuild(user, guildId)) {
-                    return res.status(403).json({ error: 'Access denied to this guild' });
-                }
                 
                 let stats = {
                     total_actions: 0,
@@ -795,14 +1089,6 @@ class DashboardServer {
                     `, [guildId]);
                     
                     stats.recent_activity = recentActivity;
-                } else {
-                    // Fallback to memory data
-                    let warningCount = 0;
-                    this.bot.warningTracker.forEach((warnings, userId) => {
-                        warningCount += warnings.filter(w => w.guildId === guildId).length;
-                    });
-                    stats.warnings = warningCount;
-                    stats.total_actions = warningCount;
                 }
                 
                 res.json(stats);
@@ -815,16 +1101,26 @@ class DashboardServer {
         // API: Get staff leaderboard
         this.app.get('/api/staff/leaderboard', async (req, res) => {
             try {
+                const guildId = req.query.guildId || null;
+                if (guildId && !this.canAccessGuild(req.user, guildId)) {
+                    return res.status(403).json({ error: 'Access denied to this guild' });
+                }
+
                 if (this.bot.dbManager && this.bot.dbManager.isConnected) {
                     // Get all staff activity (last 30 days)
-                    const guildId = req.query.guildId || null;
                     const days = 30;
                     let staffActivity = [];
                     if (guildId) {
                         staffActivity = await this.bot.dbManager.getStaffActivityReport(guildId, days);
-                    } else {
+                    } else if (req.user.isOwner) {
                         // If no guildId, fallback to top staff globally
                         staffActivity = await this.bot.dbManager.getStaffActivityReport(null, days);
+                    } else {
+                        // Everyone else gets the guilds they can view
+                        for (const viewableGuildId of Object.keys(req.user.guildRoles)) {
+                            staffActivity.push(...(await this.bot.dbManager.getStaffActivityReport(viewableGuildId, days)));
+                        }
+                        staffActivity.sort((a, b) => (b.total_activities || 0) - (a.total_activities || 0));
                     }
                     // Map for dashboard
                     const leaderboard = staffActivity.map(staff => ({
@@ -860,36 +1156,31 @@ class DashboardServer {
             try {
                 const userId = req.params.userId;
                 const { guildId } = req.query;
+                if (guildId && !this.canAccessGuild(req.user, guildId)) {
+                    return res.status(403).json({ error: 'Access denied to this guild' });
+                }
                 
                 let history = [];
+                const viewableGuildIds = Object.keys(req.user.guildRoles);
                 
-                if (this.bot.dbManager && this.bot.dbManager.isConnected) {
+                if (this.bot.dbManager && this.bot.dbManager.isConnected && (guildId || req.user.isOwner || viewableGuildIds.length > 0)) {
                     let sql = `
                         SELECT * FROM moderation_logs 
-                        WHERE target_id = ?
+                        WHERE target_id = ? AND deleted = 0
                     `;
                     const params = [userId];
                     
                     if (guildId) {
                         sql += ` AND guild_id = ?`;
                         params.push(guildId);
+                    } else if (!req.user.isOwner) {
+                        sql += ` AND guild_id IN (${viewableGuildIds.map(() => '?').join(', ')})`;
+                        params.push(...viewableGuildIds);
                     }
                     
                     sql += ` ORDER BY created_at DESC LIMIT 50`;
                     
                     history = await this.bot.dbManager.query(sql, params);
-                } else {
-                    // Fallback to memory data for warnings
-                    const userWarnings = this.bot.warningTracker.get(userId) || [];
-                    history = userWarnings
-                        .filter(w => !guildId || w.guildId === guildId)
-                        .map(w => ({
-                            action_type: 'warn',
-                            moderator_username: w.issuedByTag,
-                            reason: w.reason,
-                            created_at: new Date(w.timestamp),
-                            guild_id: w.guildId
-                        }));
                 }
                 
                 res.json(history);
@@ -900,17 +1191,11 @@ class DashboardServer {
         });
 
         // API: Send message through bot
-        this.app.post('/api/guilds/:guildId/send-message', async (req, res) => {
+        this.app.post('/api/guilds/:guildId/send-message', this.requireGuildCapability('moderate'), async (req, res) => {
             try {
                 const guildId = req.params.guildId;
-                const user = req.user;
                 const { channelId, message, embed } = req.body;
                 
-                // Check if user has permission to access this guild
-                if (!this.canAccessGuild(user, guildId)) {
-                    return res.status(403).json({ error: 'Access denied to this guild' });
-                }
-                
                 const guild = this.bot.client.guilds.cache.get(guildId);
                 
                 if (!guild) {
@@ -944,7 +1229,7 @@ class DashboardServer {
         });
 
         // API: Get bot configuration
-        this.app.get('/api/config', (req, res) => {
+        this.app.get('/api/config', this.requireBotOwner, (req, res) => {
             const safeConfig = {
                 clientId: config.clientId,
                 logChannelId: config.logChannelId,
@@ -959,27 +1244,178 @@ class DashboardServer {
             res.json(safeConfig);
         });
 
-        // API: Update bot configuration
-        this.app.patch('/api/config', (req, res) => {
+        // API: Update the config.json defaults every guild falls back to - same keys as the guild settings
+        this.app.patch('/api/config', this.requireBotOwner, async (req, res) => {
             try {
-                const allowedUpdates = ['antiRaid', 'antiNuke', 'adminMonitoring', 'logging'];
-                const updates = req.body;
-                
-                for (const key of allowedUpdates) {
-                    if (updates[key] !== undefined) {
-                        config[key] = { ...config[key], ...updates[key] };
-                    }
+                const validation = this.bot.dbManager.validateSettings('defaults', req.body);
+                if (validation.errors) {
+                    return res.status(400).json({ error: 'Invalid settings', details: validation.errors });
                 }
 
-                // Save config (you might want to implement file writing)
-                res.json({ success: true, message: 'Configuration updated' });
+                const { audit } = await this.auditSettingsChange(null, 'defaults', req.user.id, () => {
+                    this.setConfigValues(config, validation.values);
+                    this.saveConfigFile();
+                });
+
+                res.json({ success: true, message: 'Configuration updated', audit });
             } catch (error) {
                 res.status(500).json({ error: 'Failed to update config: ' + error.message });
             }
         });
 
+        // API: Bot-wide settings history (moderation lists and config.json defaults)
+        this.app.get('/api/config/history', this.requireBotOwner, async (req, res) => {
+            const { scope = null, limit = 50 } = req.query;
+            res.json(await this.bot.dbManager.getConfigHistory(null, scope, Math.min(parseInt(limit, 10) || 50, 200)));
+        });
+
+        // API: Undo a bot-wide settings change
+        this.app.post('/api/config/history/:auditId/revert', this.requireBotOwner, (req, res) => this.revertSettingsChange(req, res, null));
+
+        // API: Database backups, backup settings and the last integrity check
+        this.app.get('/api/backups', this.requireBotOwner, (req, res) => {
+            if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                return res.status(503).json({ error: 'Database not connected' });
+            }
+
+            res.json({
+                backups: this.bot.dbManager.listBackups(),
+                settings: config.database.backups || {},
+                integrity: this.bot.lastIntegrityCheck || null
+            });
+        });
+
+        // API: Back up the database now
+        this.app.post('/api/backups', this.requireBotOwner, async (req, res) => {
+            if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                return res.status(503).json({ error: 'Database not connected' });
+            }
+
+            try {
+                const backup = await this.bot.createDatabaseBackup('manual');
+                res.json({ success: true, message: `Saved ${backup.name}`, backup });
+            } catch (error) {
+                console.error('Error backing up database:', error);
+                res.status(500).json({ error: 'Backup failed: ' + error.message });
+            }
+        });
+
+        // API: Run the integrity check now - a failure also alerts the bot log channel
+        this.app.post('/api/backups/integrity-check', this.requireBotOwner, async (req, res) => {
+            const integrity = await this.bot.runDatabaseIntegrityCheck();
+            if (!integrity) {
+                return res.status(503).json({ error: 'Database not connected' });
+            }
+            res.json(integrity);
+        });
+
+        // API: Replace the database with a backup - the current database is backed up first
+        this.app.post('/api/backups/:name/restore', this.requireBotOwner, async (req, res) => {
+            if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                return res.status(503).json({ error: 'Database not connected' });
+            }
+
+            try {
+                const result = await this.bot.restoreDatabaseBackup(req.params.name, req.user.id);
+                res.json({ success: true, message: `Restored ${result.restored}`, ...result });
+            } catch (error) {
+                console.error('Error restoring database backup:', error);
+                res.status(error.message.startsWith('No backup named') ? 404 : 500).json({ error: 'Restore failed: ' + error.message });
+            }
+        });
+
+        // API: Get a guild's settings (config.json defaults plus the guild's overrides)
+        this.app.get('/api/guilds/:guildId/config', this.requireGuildCapability('view'), (req, res) => {
+            const { guildId } = req.params;
+            res.json({
+                settings: this.bot.getGuildConfig(guildId),
+                entries: this.bot.dbManager.getGuildConfigEntries(guildId)
+            });
+        });
+
+        // API: Override guild settings - body is { "antiRaid.joinThreshold": 20, ... }
+        // Every value is validated before anything is saved
+        this.app.patch('/api/guilds/:guildId/config', this.requireGuildCapability('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
+                }
+
+                const validation = this.bot.dbManager.validateSettings('guild_config', req.body);
+                if (validation.errors) {
+                    return res.status(400).json({ error: 'Invalid settings', details: validation.errors });
+                }
+
+                // Dashboard role mappings decide who can change settings, so only owners may edit them
+                const changesAccess = Object.keys(validation.values).some(key => key.startsWith('dashboard.'));
+                if (changesAccess && !this.hasGuildCapability(req.user, guildId, 'manageAccess')) {
+                    return res.status(403).json({ error: 'Only the server owner can change dashboard roles' });
+                }
+
+                const { result, audit } = await this.auditSettingsChange(guildId, 'guild_config', req.user.id, async () => {
+                    for (const [key, value] of Object.entries(validation.values)) {
+                        const saved = await this.bot.dbManager.setGuildConfigValue(guildId, key, value, req.user.id);
+                        if (saved.error) {
+                            return saved;
+                        }
+                    }
+                    return {};
+                });
+                if (result.error) {
+                    return res.status(500).json({ error: result.error });
+                }
+
+                res.json({ success: true, settings: this.bot.getGuildConfig(guildId), audit });
+            } catch (error) {
+                console.error('Error saving guild config:', error);
+                res.status(500).json({ error: 'Failed to save guild config' });
+            }
+        });
+
+        // API: Reset one guild setting (or all of them) back to the config.json default
+        this.app.delete('/api/guilds/:guildId/config{/:key}', this.requireGuildCapability('manage'), async (req, res) => {
+            try {
+                const { guildId, key } = req.params;
+
+                // Resetting everything also resets the dashboard role mappings
+                const changesAccess = !key || key.startsWith('dashboard.');
+                if (changesAccess && !this.hasGuildCapability(req.user, guildId, 'manageAccess')) {
+                    return res.status(403).json({ error: 'Only the server owner can change dashboard roles' });
+                }
+
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
+                }
+
+                const { result, audit } = await this.auditSettingsChange(guildId, 'guild_config', req.user.id, () =>
+                    this.bot.dbManager.resetGuildConfigValue(guildId, key || null)
+                );
+                if (result.error) {
+                    return res.status(400).json({ error: result.error });
+                }
+
+                res.json({ success: true, removed: result.removed, settings: this.bot.getGuildConfig(guildId), audit });
+            } catch (error) {
+                console.error('Error resetting guild config:', error);
+                res.status(500).json({ error: 'Failed to reset guild config' });
+            }
+        });
+
+        // API: A guild's settings history (guild settings, automod, welcome and join roles), newest first
+        this.app.get('/api/guilds/:guildId/config/history', this.requireGuildCapability('view'), async (req, res) => {
+            const { scope = null, limit = 50 } = req.query;
+            res.json(await this.bot.dbManager.getConfigHistory(req.params.guildId, scope, Math.min(parseInt(limit, 10) || 50, 200)));
+        });
+
+        // API: Undo a guild settings change - restores that scope to how it was before the change
+        this.app.post('/api/guilds/:guildId/config/history/:auditId/revert', this.requireGuildCapability('manage'), (req, res) =>
+            this.revertSettingsChange(req, res, req.params.guildId)
+        );
+
         // API: Get server channels for a guild
-        this.app.get('/api/guilds/:guildId/channels', (req, res) => {
+        this.app.get('/api/guilds/:guildId/channels', this.requireGuildCapability('view'), (req, res) => {
             const guild = this.bot.client.guilds.cache.get(req.params.guildId);
             if (!guild) {
                 return res.status(404).json({ error: 'Guild not found' });
@@ -1001,22 +1437,96 @@ class DashboardServer {
         });
 
         // API: Clear warnings for a user
-        this.app.delete('/api/guilds/:guildId/warnings/:userId', (req, res) => {
-            const { guildId, userId } = req.params;
-            const userWarnings = this.bot.warningTracker.get(userId) || [];
-            const filteredWarnings = userWarnings.filter(w => w.guildId !== guildId);
-            
-            if (filteredWarnings.length === 0) {
-                this.bot.warningTracker.delete(userId);
-            } else {
-                this.bot.warningTracker.set(userId, filteredWarnings);
+        this.app.delete('/api/guilds/:guildId/warnings/:userId', this.requireGuildCapability('moderate'), async (req, res) => {
+            try {
+                const { guildId, userId } = req.params;
+
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
+                }
+
+                const removed = await this.bot.dbManager.clearWarnings(guildId, userId, req.user.id);
+                res.json({ success: true, removed, message: 'Warnings cleared for user in guild' });
+            } catch (error) {
+                console.error('Error clearing warnings:', error);
+                res.status(500).json({ error: 'Failed to clear warnings' });
+            }
+        });
+
+        // API: Run a moderation action (warn, mute, unmute, kick, ban, unban, lockdown, unlock, freeze, unfreeze, slowmode)
+        // as the logged-in user - the bot applies the same permission, rate limit and hierarchy checks as the slash commands
+        this.app.post('/api/guilds/:guildId/moderation/:action', this.requireGuildCapability('moderate'), async (req, res) => {
+            try {
+                const { guildId, action } = req.params;
+                const guild = this.bot.client.guilds.cache.get(guildId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Guild not found' });
+                }
+
+                const result = await this.bot.performDashboardModAction(guild, req.user.id, action, req.body || {});
+                if (!result.success) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+                res.json(result);
+            } catch (error) {
+                console.error('Error running moderation action:', error);
+                res.status(500).json({ error: 'Failed to run moderation action' });
             }
+        });
 
-            res.json({ success: true, message: 'Warnings cleared for user in guild' });
+        // API: AI moderation escalations waiting for review
+        this.app.get('/api/guilds/:guildId/ai-review', this.requireGuildCapability('moderate'), async (req, res) => {
+            try {
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
+                }
+
+                const pending = await this.bot.dbManager.getPendingAIReviews(req.params.guildId, 50);
+                res.json({
+                    timeoutHours: this.bot.aiModeration.reviewTimeoutHours,
+                    reviews: pending.map(entry => ({
+                        id: entry.id,
+                        userId: entry.user_id,
+                        username: entry.username,
+                        channelId: entry.channel_id,
+                        messageId: entry.message_id,
+                        content: entry.message_content,
+                        categories: Object.keys(entry.categoriesDetected),
+                        confidence: entry.confidence,
+                        severity: entry.severity,
+                        reasoning: entry.reasoning,
+                        context: entry.context,
+                        createdAt: `${entry.created_at.replace(' ', 'T')}Z`
+                    }))
+                });
+            } catch (error) {
+                console.error('Error fetching AI review queue:', error);
+                res.status(500).json({ error: 'Failed to fetch AI review queue' });
+            }
+        });
+
+        // API: Resolve an AI review - decision is mute, kick, ban, dismiss or false_positive
+        this.app.post('/api/guilds/:guildId/ai-review/:logId/:decision', this.requireGuildCapability('moderate'), async (req, res) => {
+            try {
+                const { guildId, logId, decision } = req.params;
+                const guild = this.bot.client.guilds.cache.get(guildId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Guild not found' });
+                }
+
+                const result = await this.bot.reviewAIEscalation(guild, req.user.id, parseInt(logId), decision);
+                if (!result.success) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+                res.json(result);
+            } catch (error) {
+                console.error('Error resolving AI review:', error);
+                res.status(500).json({ error: 'Failed to resolve AI review' });
+            }
         });
 
         // API: Get staff activity report
-        this.app.get('/api/guilds/:guildId/staff-activity', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/staff-activity', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const days = parseInt(req.query.days) || 7;
@@ -1039,7 +1549,7 @@ class DashboardServer {
         });
 
         // API: Get specific staff member activity
-        this.app.get('/api/guilds/:guildId/staff-activity/:userId', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/staff-activity/:userId', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId, userId } = req.params;
                 const days = parseInt(req.query.days) || 7;
@@ -1210,7 +1720,7 @@ class DashboardServer {
         });
 
         // API: Get auto-moderation violations for a guild
-        this.app.get('/api/guilds/:guildId/automod/violations', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/automod/violations', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const { limit = 50, type, userId } = req.query;
@@ -1234,7 +1744,7 @@ class DashboardServer {
         });
 
         // API: Get auto-moderation statistics for a guild
-        this.app.get('/api/guilds/:guildId/automod/stats', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/automod/stats', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const { days = 7 } = req.query;
@@ -1285,8 +1795,30 @@ class DashboardServer {
             }
         });
 
+        // API: Get ticket statistics for a guild (last 30 days)
+        this.app.get('/api/guilds/:guildId/tickets/stats', this.requireGuildCapability('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+
+                if (!this.bot || !this.bot.dbManager || !this.bot.dbManager.isConnected) {
+                    return res.status(503).json({ error: 'Database not available' });
+                }
+
+                const stats = await this.bot.dbManager.getTicketStats(guildId);
+                const leaderboard = await this.bot.dbManager.getStaffLeaderboard(10);
+
+                res.json({
+                    stats: stats || {},
+                    staff: leaderboard
+                });
+            } catch (error) {
+                console.error('Error fetching ticket stats:', error);
+                res.status(500).json({ error: 'Failed to fetch ticket statistics' });
+            }
+        });
+
         // API: Get auto-moderation settings for a guild
-        this.app.get('/api/guilds/:guildId/automod/settings', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/automod/settings', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
@@ -1334,23 +1866,35 @@ class DashboardServer {
         });
 
         // API: Update auto-moderation settings for a guild
-        this.app.post('/api/guilds/:guildId/automod/settings', async (req, res) => {
+        this.app.post('/api/guilds/:guildId/automod/settings', this.requireGuildCapability('manage'), async (req, res) => {
             try {
                 const { guildId } = req.params;
-                const { settings } = req.body;
+                const { settings } = req.body || {};
                 
-                if (!this.bot || !this.bot.dbManager) {
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
                     return res.status(503).json({ error: 'Database not available' });
                 }
 
-                // TODO: Implement settings update in database
-                // For now, just return the posted settings
-                console.log(`Auto-mod settings update for guild ${guildId}:`, settings);
+                const validation = this.bot.dbManager.validateSettings('automod', settings);
+                if (validation.errors) {
+                    return res.status(400).json({ error: 'Invalid auto-moderation settings', details: validation.errors });
+                }
+
+                const { result, audit } = await this.auditSettingsChange(guildId, 'automod', req.user.id, async () => {
+                    const saved = await this.bot.dbManager.saveAutoModSettings(guildId, validation.values);
+                    // Drop the bot's cached copy so the next message uses the new filters
+                    this.bot.autoModSettingsCache.delete(guildId);
+                    return saved;
+                });
+                if (!result) {
+                    return res.status(500).json({ error: 'Failed to update auto-moderation settings' });
+                }
 
                 res.json({ 
                     success: true, 
                     message: 'Auto-moderation settings updated successfully',
-                    settings: settings 
+                    settings: await this.getSettingsSnapshot(guildId, 'automod'),
+                    audit
                 });
             } catch (error) {
                 console.error('Error updating auto-mod settings:', error);
@@ -1358,190 +1902,73 @@ class DashboardServer {
             }
         });
 
-        // API: Get role change logs for a guild
-        this.app.get('/api/guilds/:guildId/role-logs', async (req, res) => {
+        // API: Search the guild's audit log - moderation, automod, AI moderation, role, verification,
+        // settings and kill switch entries in one newest-first list. Pass nextCursor back as cursor for the next page.
+        this.app.get('/api/guilds/:guildId/audit', this.requireGuildCapability('view'), (req, res) => {
             try {
-                const { guildId } = req.params;
-                const { limit = 50, offset = 0, action_type, user_id } = req.query;
-                const staffRoleIds = config.adminRoleIds || [];
-                const logChannelId = '1390425247731417332';
-
-                if (!this.bot || !this.bot.db) {
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
                     return res.status(503).json({ error: 'Database not available' });
                 }
 
-                let query = `
-                    SELECT 
-                        rl.id,
-                        rl.guild_id,
-                        rl.user_id,
-                        rl.moderator_id,
-                        rl.action_type,
-                        rl.role_id,
-                        rl.role_name,
-                        rl.old_values,
-                        rl.new_values,
-                        rl.reason,
-                        rl.timestamp,
-                        CASE 
-                            WHEN rl.user_id IS NOT NULL THEN 'User Role Change'
-                            ELSE 'Role Management'
-                        END as category
-                    FROM role_logs rl 
-                    WHERE rl.guild_id = ?
-                        AND rl.channel_id = ?
-                        AND rl.moderator_id IN (${staffRoleIds.map(() => '?').join(',')})
-                `;
-
-                const params = [guildId, logChannelId, ...staffRoleIds];
-
-                // Add filters if provided
-                if (action_type) {
-                    query += ` AND rl.action_type = ?`;
-                    params.push(action_type);
-                }
-
-                if (user_id) {
-                    query += ` AND rl.user_id = ?`;
-                    params.push(user_id);
-                }
-
-                query += ` ORDER BY rl.timestamp DESC LIMIT ? OFFSET ?`;
-                params.push(parseInt(limit), parseInt(offset));
-
-                const [rows] = await this.bot.db.execute(query, params);
-
-                // Get total count for pagination
-                let countQuery = `SELECT COUNT(*) as total FROM role_logs WHERE guild_id = ? AND channel_id = ? AND moderator_id IN (${staffRoleIds.map(() => '?').join(',')})`;
-                const countParams = [guildId, logChannelId, ...staffRoleIds];
-
-                if (action_type) {
-                    countQuery += ` AND action_type = ?`;
-                    countParams.push(action_type);
-                }
-
-                if (user_id) {
-                    countQuery += ` AND user_id = ?`;
-                    countParams.push(user_id);
-                }
-
-                const [countResult] = await this.bot.db.execute(countQuery, countParams);
-                const total = countResult[0].total;
-
-                // Process the logs for better frontend display
-                const processedLogs = rows.map(log => {
-                    const processed = { ...log };
-
-                    // Parse JSON fields
-                    if (processed.old_values) {
-                        try {
-                            processed.old_values = JSON.parse(processed.old_values);
-                        } catch (e) {
-                            processed.old_values = null;
-                        }
-                    }
-
-                    if (processed.new_values) {
-                        try {
-                            processed.new_values = JSON.parse(processed.new_values);
-                        } catch (e) {
-                            processed.new_values = null;
-                        }
-                    }
-
-                    return processed;
+                // Bot-wide entries (bot-wide settings, the kill switch) are for the bot owners only
+                const { cursor, limit } = req.query;
+                const result = this.bot.dbManager.searchAuditLog(req.params.guildId, getAuditFilters(req.query), {
+                    cursor,
+                    limit,
+                    includeGlobal: req.user.isOwner
                 });
+                if (result.error) {
+                    return res.status(400).json({ error: result.error });
+                }
 
                 res.json({
-                    logs: processedLogs,
-                    pagination: {
-                        total,
-                        limit: parseInt(limit),
-                        offset: parseInt(offset),
-                        hasMore: (parseInt(offset) + parseInt(limit)) < total
-                    }
+                    entries: result.entries.map(formatAuditEntry),
+                    nextCursor: result.nextCursor,
+                    sources: this.bot.dbManager.getAuditSources()
                 });
-
             } catch (error) {
-                console.error('Error fetching role logs:', error);
-                res.status(500).json({ error: 'Failed to fetch role change logs' });
+                console.error('Error searching audit log:', error);
+                res.status(500).json({ error: 'Failed to search audit log' });
             }
         });
 
-        // API: Get role log statistics for a guild
-        this.app.get('/api/guilds/:guildId/role-logs/stats', async (req, res) => {
+        // API: Download every audit entry matching the filters as CSV or JSON (format=csv|json)
+        this.app.get('/api/guilds/:guildId/audit/export', this.requireGuildCapability('view'), (req, res) => {
             try {
-                const { guildId } = req.params;
-                const { days = 30 } = req.query;
-                
-                if (!this.bot || !this.bot.db) {
+                if (!this.bot.dbManager || !this.bot.dbManager.isConnected) {
                     return res.status(503).json({ error: 'Database not available' });
                 }
 
-                // Get role action statistics
-                const statsQuery = `
-                    SELECT 
-                        action_type,
-                        COUNT(*) as count,
-                        DATE(timestamp) as date
-                    FROM role_logs 
-                    WHERE guild_id = ? 
-                        AND timestamp >= DATE_SUB(NOW(), INTERVAL ? DAY)
-                    GROUP BY action_type, DATE(timestamp)
-                    ORDER BY timestamp DESC
-                `;
-
-                const [rows] = await this.bot.db.execute(statsQuery, [guildId, parseInt(days)]);
-
-                // Get most active moderators
-                const moderatorQuery = `
-                    SELECT 
-                        moderator_id,
-                        COUNT(*) as actions,
-                        MAX(timestamp) as last_action
-                    FROM role_logs 
-                    WHERE guild_id = ? 
-                        AND moderator_id IS NOT NULL
-                        AND timestamp >= DATE_SUB(NOW(), INTERVAL ? DAY)
-                    GROUP BY moderator_id
-                    ORDER BY actions DESC
-                    LIMIT 10
-                `;
-
-                const [moderatorStats] = await this.bot.db.execute(moderatorQuery, [guildId, parseInt(days)]);
-
-                // Get most affected users (role changes)
-                const userQuery = `
-                    SELECT 
-                        user_id,
-                        COUNT(*) as role_changes,
-                        MAX(timestamp) as last_change
-                    FROM role_logs 
-                    WHERE guild_id = ? 
-                        AND user_id IS NOT NULL
-                        AND timestamp >= DATE_SUB(NOW(), INTERVAL ? DAY)
-                    GROUP BY user_id
-                    ORDER BY role_changes DESC
-                    LIMIT 10
-                `;
-
-                const [userStats] = await this.bot.db.execute(userQuery, [guildId, parseInt(days)]);
+                const { guildId } = req.params;
+                const format = req.query.format || 'csv';
+                if (!['csv', 'json'].includes(format)) {
+                    return res.status(400).json({ error: 'format must be csv or json' });
+                }
 
-                res.json({
-                    actionStats: rows,
-                    topModerators: moderatorStats,
-                    mostAffectedUsers: userStats,
-                    period: `Last ${days} days`
+                const result = this.bot.dbManager.exportAuditLog(guildId, getAuditFilters(req.query), {
+                    includeGlobal: req.user.isOwner
                 });
+                if (result.error) {
+                    return res.status(400).json({ error: result.error });
+                }
 
+                const entries = result.entries.map(formatAuditEntry);
+                const filename = `audit-${guildId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                // The export is capped - tell the client when it was cut short
+                res.setHeader('X-Audit-Truncated', String(result.truncated));
+                if (format === 'json') {
+                    return res.json({ guildId, exportedAt: new Date().toISOString(), truncated: result.truncated, entries });
+                }
+                res.type('text/csv').send(toAuditCsv(entries));
             } catch (error) {
-                console.error('Error fetching role log statistics:', error);
-                res.status(500).json({ error: 'Failed to fetch role log statistics' });
+                console.error('Error exporting audit log:', error);
+                res.status(500).json({ error: 'Failed to export audit log' });
             }
         });
 
         // API: Dashboard authentication endpoint
-        this.app.post('/api/auth/dashboard', (req, res) => {
+        this.app.post('/api/auth/dashboard', async (req, res) => {
             const { token } = req.body;
 
             if (!token) {
@@ -1564,12 +1991,11 @@ class DashboardServer {
                     return res.status(401).json({ error: 'Token expired' });
                 }
 
-                // In a real scenario, you'd verify the user has admin permissions
                 res.json({
                     success: true,
                     userId: userId,
                     validUntil: new Date(timestamp + maxAge).toISOString(),
-                    permissions: ['admin', 'staff-view', 'moderation']
+                    guildRoles: await this.getUserPermissions(userId)
                 });
             } catch (error) {
                 res.status(401).json({ error: 'Invalid token' });
@@ -1577,7 +2003,7 @@ class DashboardServer {
         });
 
         // API: Get welcome settings
-        this.app.get('/api/guilds/:guildId/welcome', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/welcome', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const settings = await this.bot.dbManager.getWelcomeSettings(guildId);
@@ -1589,14 +2015,22 @@ class DashboardServer {
         });
 
         // API: Save welcome settings
-        this.app.post('/api/guilds/:guildId/welcome', async (req, res) => {
+        this.app.post('/api/guilds/:guildId/welcome', this.requireGuildCapability('manage'), async (req, res) => {
             try {
                 const { guildId } = req.params;
-                const settings = req.body;
+
+                const validation = this.bot.dbManager.validateSettings('welcome', req.body);
+                if (validation.errors) {
+                    return res.status(400).json({ error: 'Invalid welcome settings', details: validation.errors });
+                }
                 
-                const success = await this.bot.dbManager.saveWelcomeSettings(guildId, settings);
+                // Fields left out of the body keep their current value
+                const { result: success, audit } = await this.auditSettingsChange(guildId, 'welcome', req.user.id, async () => {
+                    const existingSettings = await this.bot.dbManager.getWelcomeSettings(guildId);
+                    return this.bot.dbManager.saveWelcomeSettings(guildId, { ...existingSettings, ...validation.values });
+                });
                 if (success) {
-                    res.json({ success: true, message: 'Welcome settings saved' });
+                    res.json({ success: true, message: 'Welcome settings saved', audit });
                 } else {
                     res.status(500).json({ error: 'Failed to save welcome settings' });
                 }
@@ -1607,7 +2041,7 @@ class DashboardServer {
         });
 
         // API: Get verification stats
-        this.app.get('/api/guilds/:guildId/verification/stats', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/verification/stats', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const { days = 7 } = req.query;
@@ -1620,7 +2054,7 @@ class DashboardServer {
         });
 
         // API: Get join roles
-        this.app.get('/api/guilds/:guildId/join-roles', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/join-roles', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const roles = await this.bot.dbManager.getJoinRoles(guildId);
@@ -1632,14 +2066,21 @@ class DashboardServer {
         });
 
         // API: Add join role
-        this.app.post('/api/guilds/:guildId/join-roles', async (req, res) => {
+        this.app.post('/api/guilds/:guildId/join-roles', this.requireGuildCapability('manage'), async (req, res) => {
             try {
                 const { guildId } = req.params;
-                const { roleId, roleName } = req.body;
+                const { roleId } = req.body || {};
+
+                const role = this.bot.client.guilds.cache.get(guildId)?.roles.cache.get(roleId);
+                if (!role || role.managed || role.id === guildId) {
+                    return res.status(400).json({ error: 'roleId must be an assignable role in this server' });
+                }
                 
-                const success = await this.bot.dbManager.addJoinRole(guildId, roleId, roleName);
+                const { result: success, audit } = await this.auditSettingsChange(guildId, 'join_roles', req.user.id, () =>
+                    this.bot.dbManager.addJoinRole(guildId, role.id, role.name)
+                );
                 if (success) {
-                    res.json({ success: true, message: 'Join role added' });
+                    res.json({ success: true, message: 'Join role added', audit });
                 } else {
                     res.status(500).json({ error: 'Failed to add join role' });
                 }
@@ -1650,12 +2091,14 @@ class DashboardServer {
         });
 
         // API: Remove join role
-        this.app.delete('/api/guilds/:guildId/join-roles/:roleId', async (req, res) => {
+        this.app.delete('/api/guilds/:guildId/join-roles/:roleId', this.requireGuildCapability('manage'), async (req, res) => {
             try {
                 const { guildId, roleId } = req.params;
-                const success = await this.bot.dbManager.removeJoinRole(guildId, roleId);
+                const { result: success, audit } = await this.auditSettingsChange(guildId, 'join_roles', req.user.id, () =>
+                    this.bot.dbManager.removeJoinRole(guildId, roleId)
+                );
                 if (success) {
-                    res.json({ success: true, message: 'Join role removed' });
+                    res.json({ success: true, message: 'Join role removed', audit });
                 } else {
                     res.status(500).json({ error: 'Failed to remove join role' });
                 }
@@ -1666,7 +2109,7 @@ class DashboardServer {
         });
 
         // API: Get guild roles (for dropdown selection)
-        this.app.get('/api/guilds/:guildId/roles', async (req, res) => {
+        this.app.get('/api/guilds/:guildId/roles', this.requireGuildCapability('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const guild = this.bot.client.guilds.cache.get(guildId);
@@ -30,6 +30,26 @@ const commands = [
             option.setName('user')
                 .setDescription('The user to ban')
                 .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Reason for the ban')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Ban length for a temporary ban, e.g. 30m, 12h, 7d, 2w (leave blank for permanent)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('tempban')
+        .setDescription('Temporarily ban a user - they are unbanned automatically when it expires')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to ban')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Ban length, e.g. 30m, 12h, 7d, 2w')
+                .setRequired(true))
         .addStringOption(option =>
             option.setName('reason')
                 .setDescription('Reason for the ban')
@@ -45,7 +65,13 @@ const commands = [
         .addStringOption(option =>
             option.setName('reason')
                 .setDescription('Reason for the warning')
-                .setRequired(true)),
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('expires')
+                .setDescription('Days until the warning expires (leave blank to never expire)')
+                .setMinValue(1)
+                .setMaxValue(365)
+                .setRequired(false)),
     
     new SlashCommandBuilder()
         .setName('warnings')
@@ -97,6 +123,100 @@ const commands = [
                 .setDescription('Reason for the unmute')
                 .setRequired(false)),
 
+    new SlashCommandBuilder()
+        .setName('case')
+        .setDescription('View or manage moderation cases')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('View a moderation case')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Case number')
+                        .setMinValue(1)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reason')
+                .setDescription('Amend the reason of a moderation case')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Case number')
+                        .setMinValue(1)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('New reason for the case')
+                        .setMaxLength(1000)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Delete a moderation case')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Case number')
+                        .setMinValue(1)
+                        .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('modlog')
+        .setDescription('View the moderation history of a user')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to view cases for')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('page')
+                .setDescription('Page of cases to show, newest first (default: 1)')
+                .setMinValue(1)
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Search the server audit log')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('search')
+                .setDescription('Show the newest audit entries matching the filters')
+                .addUserOption(option =>
+                    option.setName('actor')
+                        .setDescription('Who did it (moderator, reviewer, settings editor)')
+                        .setRequired(false))
+                .addUserOption(option =>
+                    option.setName('target')
+                        .setDescription('Who it was done to')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Only entries from one source')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Moderation', value: 'moderation' },
+                            { name: 'AutoMod', value: 'automod' },
+                            { name: 'AI moderation', value: 'ai_moderation' },
+                            { name: 'Role changes', value: 'role' },
+                            { name: 'Verification', value: 'verification' },
+                            { name: 'Settings changes', value: 'config' },
+                            { name: 'AI kill switch', value: 'killswitch' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action name or part of it (ban, timeout, ROLE_ADD...)')
+                        .setMaxLength(50)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('query')
+                        .setDescription('Text to look for in reasons, names and details')
+                        .setMaxLength(100)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Only the last N days')
+                        .setMinValue(1)
+                        .setMaxValue(365)
+                        .setRequired(false))),
+
     new SlashCommandBuilder()
         .setName('unban')
         .setDescription('Unban a user from the server')
@@ -138,6 +258,89 @@ const commands = [
     new SlashCommandBuilder()
         .setName('raid')
         .setDescription('Announce raid alert with dramatic response'),
+
+    new SlashCommandBuilder()
+        .setName('raidmode')
+        .setDescription('Gate new joins by account age, avatar and join patterns during a raid')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('on')
+                .setDescription('Turn raid mode on (Admin only)')
+                .addIntegerOption(option =>
+                    option.setName('duration')
+                        .setDescription('Minutes to keep raid mode on (default from config)')
+                        .setMinValue(1)
+                        .setMaxValue(1440)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('off')
+                .setDescription('Turn raid mode off (Admin only)'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show raid mode status and recently caught accounts')),
+
+    new SlashCommandBuilder()
+        .setName('antinuke')
+        .setDescription('Anti-nuke snapshots and restore (Admin only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('snapshot')
+                .setDescription('Save a snapshot of channels and roles now'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('snapshots')
+                .setDescription('List recent snapshots'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('restore')
+                .setDescription('Preview and recreate channels and roles deleted since a snapshot')
+                .addIntegerOption(option =>
+                    option.setName('snapshot')
+                        .setDescription('Snapshot ID to restore from (default: latest)')
+                        .setMinValue(1)
+                        .setRequired(false))),
+    
+    new SlashCommandBuilder()
+        .setName('backup')
+        .setDescription('Database backups (Owner only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('now')
+                .setDescription('Back up the database now'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List backups and the last integrity check'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('restore')
+                .setDescription('Replace the database with a backup (the current one is backed up first)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Backup file name from /backup list')
+                        .setRequired(true))),
+    
+    new SlashCommandBuilder()
+        .setName('privacy')
+        .setDescription('Member data requests (Owner only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Get a JSON file of everything stored about a user')
+                .addStringOption(option =>
+                    option.setName('user')
+                        .setDescription('User ID or mention')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('purge')
+                .setDescription('Delete or anonymize everything stored about a user')
+                .addStringOption(option =>
+                    option.setName('user')
+                        .setDescription('User ID or mention')
+                        .setRequired(true))),
     
     new SlashCommandBuilder()
         .setName('say')
@@ -189,6 +392,150 @@ const commands = [
                 .setMaxValue(365)
                 .setRequired(false)),
     
+    new SlashCommandBuilder()
+        .setName('rolereward')
+        .setDescription('Roles granted automatically at XP levels')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Grant a role when members reach a level')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to grant')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('level')
+                        .setDescription('Level required')
+                        .setMinValue(1)
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('remove_previous')
+                        .setDescription('Remove lower level reward roles when this one is granted')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Stop granting a role reward')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Reward role to remove')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List level role rewards'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sync')
+                .setDescription('Give every member the reward roles for their current level (Admin only)')),
+
+    new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View or change this server\'s bot settings (Admin only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('get')
+                .setDescription('Show the current settings')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Setting or block to show, e.g. antiRaid or antiRaid.joinThreshold (default: all)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Change a setting for this server')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Setting to change, e.g. antiRaid.joinThreshold')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('New value - IDs or mentions for channels/roles, comma-separated for lists, "none" to clear')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Go back to the default value')
+                .addStringOption(option =>
+                    option.setName('key')
+                        .setDescription('Setting to reset (default: every setting)')
+                        .setRequired(false))),
+
+    new SlashCommandBuilder()
+        .setName('reactionroles')
+        .setDescription('Self-assignable role menus (Admin only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('create')
+                .setDescription('Post a new role menu')
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('How members pick roles')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Reactions', value: 'reaction' },
+                            { name: 'Buttons', value: 'button' },
+                            { name: 'Dropdown', value: 'select' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('roles')
+                        .setDescription('Emoji and role pairs, e.g. "🎮 @Gamer, 🎨 @Artist"')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Menu behaviour (default: toggle)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Toggle - add and remove freely', value: 'toggle' },
+                            { name: 'Unique - only one role from the menu', value: 'unique' },
+                            { name: 'Verify - add only, never remove', value: 'verify' },
+                            { name: 'Max - limit how many roles can be held', value: 'max' }
+                        ))
+                .addIntegerOption(option =>
+                    option.setName('max')
+                        .setDescription('Maximum roles a member can hold (max mode)')
+                        .setMinValue(1)
+                        .setMaxValue(25)
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post the menu in (default: this channel)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Menu title')
+                        .setMaxLength(256)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('description')
+                        .setDescription('Text shown above the role list')
+                        .setMaxLength(1000)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Delete a role menu')
+                .addStringOption(option =>
+                    option.setName('message_id')
+                        .setDescription('Message ID of the menu')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List role menus in this server')),
+
+    new SlashCommandBuilder()
+        .setName('ticket')
+        .setDescription('Support ticket system')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('panel')
+                .setDescription('Post a panel with a button to open tickets (Admin only)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post the panel in (default: this channel)')
+                        .setRequired(false))),
+
     new SlashCommandBuilder()
         .setName('dashboard')
         .setDescription('Access the GuardianBot dashboard'),
@@ -400,7 +747,41 @@ const commands = [
         .addSubcommand(subcommand =>
             subcommand
                 .setName('stats')
-                .setDescription('View AI moderation statistics')),
+                .setDescription('View AI moderation statistics'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('queue')
+                .setDescription('View escalations waiting for staff review'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('feedback')
+                .setDescription('Mark an AI moderation action as correct or a false positive')
+                .addIntegerOption(option =>
+                    option.setName('log_id')
+                        .setDescription('AI log number (shown on the log embed)')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addStringOption(option =>
+                    option.setName('verdict')
+                        .setDescription('Was the AI right?')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Correct', value: 'correct' },
+                            { name: 'False positive', value: 'false_positive' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('autotune')
+                .setDescription('View suggested thresholds from staff feedback, or set the auto-tune mode')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How feedback-based threshold suggestions are used')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Off', value: 'off' },
+                            { name: 'Suggest only', value: 'suggest' },
+                            { name: 'Apply automatically', value: 'apply' }
+                        ))),
 
     new SlashCommandBuilder()
         .setName('killswitch')
@@ -447,7 +828,7 @@ if (!clientId) {
 const rest = new REST({ version: '10' }).setToken(botToken);
 
 // Guild ID for local deployment (instant updates)
-const guildId = process.env.GUILD_ID || config.logging?.roleLoggingGuildId || '1390425243365109760';
+const guildId = process.env.GUILD_ID;
 
 (async () => {
     try {
@@ -455,6 +836,11 @@ const guildId = process.env.GUILD_ID || config.logging?.roleLoggingGuildId || '1
         const deployLocal = process.argv.includes('--local') || process.argv.includes('-l');
 
         if (deployLocal) {
+            if (!guildId) {
+                console.error('❌ No guild ID found! Set the GUILD_ID environment variable to deploy locally');
+                process.exit(1);
+            }
+
             console.log(`🔄 Deploying commands locally to guild: ${guildId}`);
 
             await rest.put(
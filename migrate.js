@@ -0,0 +1,84 @@
+// Database migrations - list, apply or roll back the versioned schema in src/migrations
+//   node migrate.js status            List migrations and when each was applied
+//   node migrate.js up [version]      Apply pending migrations (up to and including version)
+//   node migrate.js down [version]    Roll back the latest migration, or everything after version (0 for all)
+// The bot applies pending migrations itself on startup; stop it before rolling back.
+const DatabaseManager = require('./src/DatabaseManager');
+const { MigrationRunner, MIGRATIONS_DIR } = require('./src/MigrationRunner');
+
+const USAGE = 'Usage: node migrate.js status | up [version] | down [version]';
+
+function parseVersion(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+        console.error(`❌ "${value}" is not a migration version\n${USAGE}`);
+        process.exit(1);
+    }
+    return version;
+}
+
+function printStatus(runner) {
+    const status = runner.getStatus();
+    if (status.length === 0) {
+        console.log('No migrations found.');
+        return;
+    }
+
+    for (const migration of status) {
+        const state = migration.missing ? 'applied, file missing' : migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        const label = String(migration.version).padStart(3, '0');
+        console.log(`${migration.appliedAt ? '✅' : '⏳'} ${label} ${migration.name.padEnd(28)} ${state}`);
+    }
+}
+
+/**
+ * Run a status, up or down command against an open database and print the resulting status
+ * @param {object} db - Open better-sqlite3 database
+ * @param {number|null} targetVersion - See MigrationRunner.migrate() and rollback()
+ * @param {string} directory - Where the migration files are
+ * @returns {number} Exit code - 1 when a migration failed
+ */
+function runMigrationCommand(db, command, targetVersion = null, directory = MIGRATIONS_DIR) {
+    const runner = new MigrationRunner(db, directory);
+    try {
+        if (command === 'up') {
+            const applied = runner.migrate(targetVersion);
+            console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply');
+        } else if (command === 'down') {
+            const rolledBack = runner.rollback(targetVersion);
+            console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+        }
+        printStatus(runner);
+        return 0;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const [command = 'status', versionArg] = process.argv.slice(2);
+    if (!['status', 'up', 'down'].includes(command)) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const targetVersion = parseVersion(versionArg);
+
+    const database = new DatabaseManager();
+    if (!database.connect({ migrate: false })) {
+        process.exit(1);
+    }
+
+    try {
+        process.exitCode = runMigrationCommand(database.db, command, targetVersion);
+    } finally {
+        database.db.close();
+    }
+}
+
+module.exports = { runMigrationCommand };
@@ -0,0 +1,330 @@
+/**
+ * AIProviders - Provider layer for AIService
+ * Wraps Groq, Anthropic and any OpenAI-compatible local server (llama.cpp, Ollama, LM Studio)
+ * behind one complete() call, with a configurable provider/model order per task and
+ * automatic failover when a provider rate-limits or errors.
+ */
+
+const Groq = require('groq-sdk');
+const Anthropic = require('@anthropic-ai/sdk');
+const logger = require('./Logger');
+
+const log = logger.module('ai');
+
+// Tasks AIService routes through the providers - each can have its own order in config.ai.tasks
+const AI_TASKS = ['chat', 'chatSmart', 'analyze', 'moderate', 'command', 'help', 'autoResponse'];
+
+// Used for anything config.json's ai section leaves out
+const DEFAULT_AI_CONFIG = {
+    providers: {
+        groq: { model: 'llama-3.1-8b-instant' },
+        anthropic: { model: 'claude-3-5-haiku-latest' },
+        local: { baseUrl: null, model: 'local-model' }
+    },
+    fallbackOrder: ['groq', 'anthropic', 'local'],
+    tasks: {}
+};
+
+// How long a rate-limited provider is skipped when it doesn't send Retry-After
+const DEFAULT_RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+
+// Local servers can hang on a cold model load - don't hold up failover forever
+const LOCAL_REQUEST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Error from a provider call - rate limited errors put the provider on cooldown
+ */
+class AIProviderError extends Error {
+    constructor(provider, message, { status = null, rateLimited = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.rateLimited = rateLimited;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is in seconds or an HTTP date; SDK errors carry plain header objects, fetch a Headers instance
+function parseRetryAfter(headers) {
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function toProviderError(provider, error) {
+    if (error instanceof AIProviderError) {
+        return error;
+    }
+
+    const status = error.status ?? null;
+    return new AIProviderError(provider, error.message || 'Request failed', {
+        status,
+        rateLimited: status === 429,
+        retryAfterMs: parseRetryAfter(error.headers)
+    });
+}
+
+// Groq and local servers both speak the OpenAI chat completions format
+function toOpenAIMessages(system, messages) {
+    return [{ role: 'system', content: system }, ...messages];
+}
+
+function fromOpenAIResponse(response) {
+    return {
+        text: response.choices?.[0]?.message?.content || '',
+        usage: {
+            inputTokens: response.usage?.prompt_tokens || 0,
+            outputTokens: response.usage?.completion_tokens || 0
+        }
+    };
+}
+
+class GroqProvider {
+    constructor({ apiKey }) {
+        this.name = 'groq';
+        // No SDK retries - the router fails over to the next provider instead
+        this.client = apiKey ? new Groq({ apiKey, maxRetries: 0 }) : null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client);
+    }
+
+    async complete({ model, system, messages, maxTokens }) {
+        try {
+            const response = await this.client.chat.completions.create({
+                model,
+                max_tokens: maxTokens,
+                messages: toOpenAIMessages(system, messages)
+            });
+            return fromOpenAIResponse(response);
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+}
+
+class AnthropicProvider {
+    constructor({ apiKey }) {
+        this.name = 'anthropic';
+        this.client = apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
+    }
+
+    isConfigured() {
+        return Boolean(this.client);
+    }
+
+    // Anthropic needs the conversation to start with a user turn and alternate roles
+    formatMessages(messages) {
+        const formatted = [];
+        for (const { role, content } of messages) {
+            const last = formatted[formatted.length - 1];
+            if (last && last.role === role) {
+                last.content += `\n\n${content}`;
+            } else if (formatted.length > 0 || role === 'user') {
+                formatted.push({ role, content });
+            }
+        }
+        return formatted;
+    }
+
+    async complete({ model, system, messages, maxTokens }) {
+        try {
+            const response = await this.client.messages.create({
+                model,
+                max_tokens: maxTokens,
+                system,
+                messages: this.formatMessages(messages)
+            });
+            return {
+                text: response.content
+                    .filter(block => block.type === 'text')
+                    .map(block => block.text)
+                    .join(''),
+                usage: {
+                    inputTokens: response.usage?.input_tokens || 0,
+                    outputTokens: response.usage?.output_tokens || 0
+                }
+            };
+        } catch (error) {
+            throw toProviderError(this.name, error);
+        }
+    }
+}
+
+class OpenAICompatibleProvider {
+    constructor({ name = 'local', baseUrl, apiKey }) {
+        this.name = name;
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+        this.apiKey = apiKey || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    async complete({ model, system, messages, maxTokens }) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({ model, max_tokens: maxTokens, messages: toOpenAIMessages(system, messages) }),
+                signal: AbortSignal.timeout(LOCAL_REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw new AIProviderError(this.name, `Could not reach ${this.baseUrl}: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new AIProviderError(this.name, `HTTP ${response.status} ${body.substring(0, 200)}`.trim(), {
+                status: response.status,
+                rateLimited: response.status === 429,
+                retryAfterMs: parseRetryAfter(response.headers)
+            });
+        }
+
+        return fromOpenAIResponse(await response.json());
+    }
+}
+
+/**
+ * Picks the provider/model for each task and fails over down the list
+ *
+ * config.ai (all optional):
+ *   providers: { groq: { model }, anthropic: { model }, local: { baseUrl, model } }
+ *   fallbackOrder: ['groq', 'anthropic', 'local']      - default order for every task
+ *   tasks: { moderate: ['local', { provider: 'groq', model: 'llama-3.3-70b-versatile' }] }
+ */
+class AIProviderRouter {
+    /**
+     * @param {object} aiConfig - config.json ai section
+     * @param {object} credentials - { groqApiKey, anthropicApiKey, localBaseUrl, localApiKey }
+     */
+    constructor(aiConfig = {}, credentials = {}) {
+        this.config = {
+            providers: { ...DEFAULT_AI_CONFIG.providers },
+            fallbackOrder: aiConfig.fallbackOrder || DEFAULT_AI_CONFIG.fallbackOrder,
+            tasks: { ...DEFAULT_AI_CONFIG.tasks, ...aiConfig.tasks }
+        };
+        for (const [name, settings] of Object.entries(aiConfig.providers || {})) {
+            this.config.providers[name] = { ...this.config.providers[name], ...settings };
+        }
+
+        this.providers = {
+            groq: new GroqProvider({ apiKey: credentials.groqApiKey }),
+            anthropic: new AnthropicProvider({ apiKey: credentials.anthropicApiKey }),
+            local: new OpenAICompatibleProvider({
+                baseUrl: credentials.localBaseUrl || this.config.providers.local.baseUrl,
+                apiKey: credentials.localApiKey
+            })
+        };
+
+        this.cooldowns = new Map(); // provider name -> timestamp it can be used again
+    }
+
+    hasAnyProvider() {
+        return Object.values(this.providers).some(provider => provider.isConfigured());
+    }
+
+    getConfiguredProviders() {
+        return Object.values(this.providers)
+            .filter(provider => provider.isConfigured())
+            .map(provider => provider.name);
+    }
+
+    /**
+     * Provider/model attempts for a task, in order - unconfigured providers are left out
+     * @param {string} task - One of AI_TASKS
+     * @returns {Array<{ provider: string, model: string }>}
+     */
+    getRoute(task) {
+        const entries = this.config.tasks[task] || this.config.fallbackOrder;
+        return entries
+            .map(entry => (typeof entry === 'string' ? { provider: entry } : entry))
+            .filter(entry => this.providers[entry.provider]?.isConfigured())
+            .map(entry => ({
+                provider: entry.provider,
+                model: entry.model || this.config.providers[entry.provider]?.model
+            }));
+    }
+
+    /**
+     * Run a completion, trying each provider on the task's route until one answers
+     * @param {string} task - One of AI_TASKS
+     * @param {object} request - { system, messages: [{ role, content }], maxTokens }
+     * @returns {Promise<{ text: string, usage: object, provider: string, model: string }>}
+     */
+    complete(task, request) {
+        const route = this.getRoute(task);
+        if (route.length === 0) {
+            return Promise.reject(new AIProviderError(null, `No AI provider is configured for ${task}`));
+        }
+
+        return this.tryRoute(task, request, route, []);
+    }
+
+    // Failover is sequential on purpose - the next provider on the route is only asked when this one fails
+    async tryRoute(task, request, route, failures) {
+        if (route.length === 0) {
+            throw new AIProviderError(null, `All AI providers failed for ${task} - ${failures.join('; ')}`);
+        }
+
+        const [{ provider, model }, ...rest] = route;
+        const cooldownUntil = this.cooldowns.get(provider) || 0;
+        if (cooldownUntil > Date.now()) {
+            const skipped = `${provider}: rate limited for ${Math.ceil((cooldownUntil - Date.now()) / 1000)}s`;
+            return this.tryRoute(task, request, rest, [...failures, skipped]);
+        }
+
+        try {
+            const result = await this.providers[provider].complete({ ...request, model });
+            return { ...result, provider, model };
+        } catch (error) {
+            const providerError = toProviderError(provider, error);
+            if (providerError.rateLimited) {
+                this.cooldowns.set(
+                    provider,
+                    Date.now() + (providerError.retryAfterMs ?? DEFAULT_RATE_LIMIT_COOLDOWN_MS)
+                );
+            }
+            log.warn('provider_failed', `AI provider ${provider} (${model}) failed for ${task}`, {
+                provider,
+                model,
+                task,
+                error: providerError
+            });
+            return this.tryRoute(task, request, rest, [...failures, `${provider}: ${providerError.message}`]);
+        }
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            providers: Object.values(this.providers).map(provider => ({
+                name: provider.name,
+                configured: provider.isConfigured(),
+                rateLimitedForMs: Math.max(0, (this.cooldowns.get(provider.name) || 0) - now)
+            })),
+            routes: Object.fromEntries(
+                AI_TASKS.map(task => [task, this.getRoute(task).map(({ provider, model }) => `${provider}/${model}`)])
+            )
+        };
+    }
+}
+
+module.exports = { AIProviderRouter, AIProviderError, AI_TASKS };
@@ -1,14 +1,16 @@
 /**
- * AIService - Groq AI Integration for GuardianBot
+ * AIService - AI Integration for GuardianBot
  * Provides conversational AI, moderation assistance, natural language commands,
- * and smart auto-responses using Groq's Llama API (FREE + FAST)
+ * and smart auto-responses through the providers in AIProviders.js (Groq, Anthropic, local)
  *
  * SECURITY: Integrated with SecurityHardening module for Tier 4 protection
  */
 
-const Groq = require('groq-sdk');
+const { AIProviderRouter } = require('./AIProviders');
+const { classifyMessage } = require('./LocalClassifier');
 const SecurityHardening = require('./SecurityHardening');
 const GraySwain = require('./GraySwainSecurity');
+const config = require('../config.json');
 
 // =============================================================================
 // SECURITY: Prompt Injection Detection Patterns
@@ -175,26 +177,23 @@ function sanitizeInput(message) {
 
 class AIService {
     constructor(options = {}) {
-        this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
-        this.enabled = !!this.apiKey;
         this.dbManager = options.dbManager || null; // Database manager for persistent memory
 
+        // Provider, model and fallback order per task come from config.json's ai section
+        // Default is Groq's 8B model for everything to conserve the free-tier daily token limit
+        this.providers = new AIProviderRouter(options.ai || config.ai, {
+            groqApiKey: options.apiKey || process.env.GROQ_API_KEY,
+            anthropicApiKey: options.anthropicApiKey || process.env.ANTHROPIC_API_KEY,
+            localBaseUrl: process.env.LOCAL_AI_BASE_URL,
+            localApiKey: process.env.LOCAL_AI_API_KEY
+        });
+        this.enabled = this.providers.hasAnyProvider();
+
         if (!this.enabled) {
-            console.log('⚠️ AI Service disabled - no GROQ_API_KEY found');
+            console.log('⚠️ AI Service disabled - set GROQ_API_KEY, ANTHROPIC_API_KEY or LOCAL_AI_BASE_URL');
             return;
         }
 
-        this.client = new Groq({
-            apiKey: this.apiKey
-        });
-
-        // Model configuration - Using Groq's Llama models (FREE + FAST)
-        // Using 8B for everything to conserve daily token limit (100k/day free tier)
-        this.models = {
-            fast: 'llama-3.1-8b-instant',         // Fast model for moderation/simple tasks
-            smart: 'llama-3.1-8b-instant',        // Using 8B to save tokens (70B uses too many)
-        };
-
         // Supreme owner ID - THE ONLY WAY to verify Skeeter is by Discord user ID
         // This is passed from Discord.js and CANNOT be spoofed by users
         this.supremeOwnerId = '701257205445558293';
@@ -536,11 +535,17 @@ Skeeter has a KILL SWITCH (/killswitch) to disable AI moderation if needed.
 - /unlock [channel] - Unlock channel or server
 - Freeze system allows only staff to chat during incidents
 
+=== SERVER SETTINGS ===
+- /config get [key] - Show this server's settings (log channel, staff roles, anti-raid, anti-nuke, lockdown)
+- /config set <key> <value> - Change a setting for this server (Admin only)
+- /config reset [key] - Go back to the default
+
 === LEVELING SYSTEM ===
 - XP awarded for messages
 - /rank [user] - Check level and XP
 - /leaderboard [page] - Server XP rankings
-- /rolereward <role> <level> - Set role rewards for levels
+- /rolereward add <role> <level> - Set role rewards for levels
+- /rolereward sync - Give members the reward roles for their current level
 
 === CUSTOM COMMANDS ===
 - /addcommand <name> <response> - Create custom !commands
@@ -614,7 +619,19 @@ bounty6482:
         this.responseCache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
 
-        console.log('✅ AI Service initialized with Groq API (Llama 3.3 70B)');
+        console.log(`✅ AI Service initialized with providers: ${this.providers.getConfiguredProviders().join(', ')}`);
+    }
+
+    /**
+     * Run a completion for a task through the provider router, failing over between providers
+     * @param {string} task - Task name from AI_TASKS (chat, moderate, command, ...)
+     * @param {string} system - System prompt
+     * @param {Array} messages - [{ role: 'user'|'assistant', content }]
+     * @param {number} maxTokens - Completion token limit
+     * @returns {Promise<{ text: string, usage: object, provider: string, model: string }>}
+     */
+    complete(task, system, messages, maxTokens) {
+        return this.providers.complete(task, { system, messages, maxTokens });
     }
 
     /**
@@ -707,6 +724,21 @@ bounty6482:
         this.conversationHistory.delete(contextId);
     }
 
+    /**
+     * Drop a user's messages from every in-memory conversation (privacy purge)
+     * @param {string} userId - Discord user ID
+     */
+    forgetUser(userId) {
+        this.conversationHistory.delete(userId);
+        for (const [contextId, history] of this.conversationHistory) {
+            this.conversationHistory.set(
+                contextId,
+                history.filter(entry => entry.userId !== userId)
+            );
+        }
+        this.rateLimits.delete(userId);
+    }
+
     /**
      * Build system prompt based on context
      */
@@ -941,18 +973,16 @@ ${this.knowledgeBase.knownUsers}
                 { role: 'user', content: `${currentUserPrefix}${sanitizedMessage}` }
             ];
 
-            // Make API call with memories (Groq uses OpenAI-compatible format)
+            // Make API call with memories
             const systemPrompt = await this.buildSystemPrompt({ ...context, memories });
-            const response = await this.client.chat.completions.create({
-                model: context.useSmartModel ? this.models.smart : this.models.fast,
-                max_tokens: 1024,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    ...messages
-                ]
-            });
+            const response = await this.complete(
+                context.useSmartModel ? 'chatSmart' : 'chat',
+                systemPrompt,
+                messages,
+                1024
+            );
 
-            const assistantMessage = response.choices[0].message.content;
+            const assistantMessage = response.text;
 
             // Check if user asked to remember something
             await this.checkAndSaveMemory(sanitizedMessage, assistantMessage, context);
@@ -968,7 +998,8 @@ ${this.knowledgeBase.knownUsers}
             return {
                 success: true,
                 response: assistantMessage,
-                tokensUsed: (response.usage?.prompt_tokens || 0) + (response.usage?.completion_tokens || 0)
+                tokensUsed: response.usage.inputTokens + response.usage.outputTokens,
+                provider: response.provider
             };
 
         } catch (error) {
@@ -1014,16 +1045,14 @@ Return ONLY a valid JSON object in this exact format:
   "explanation": "brief explanation of your analysis"
 }`;
 
-            const response = await this.client.chat.completions.create({
-                model: this.models.fast, // Use fast model for moderation
-                max_tokens: 500,
-                messages: [
-                    { role: 'system', content: 'You are a content moderation AI. Analyze messages objectively and return only valid JSON. Be fair but vigilant.' },
-                    { role: 'user', content: analysisPrompt }
-                ]
-            });
+            const response = await this.complete(
+                'analyze',
+                'You are a content moderation AI. Analyze messages objectively and return only valid JSON. Be fair but vigilant.',
+                [{ role: 'user', content: analysisPrompt }],
+                500
+            );
 
-            const responseText = response.choices[0].message.content.trim();
+            const responseText = response.text.trim();
 
             // Parse JSON from response
             try {
@@ -1058,23 +1087,37 @@ Return ONLY a valid JSON object in this exact format:
     /**
      * Enhanced message moderation with safety-critical and spam/scam detection
      * Returns structured action recommendations based on confidence thresholds
+     *
+     * The local classifier runs first: messages it scores below preFilter.skipBelow or at/above
+     * preFilter.decideAbove are settled without the LLM, and only the ambiguous middle is sent on.
+     * It also answers when no provider is configured or the LLM call fails (source: 'local').
+     *
+     * options.context is the anonymized conversation around the message, from the bot's buildAIModerationContext():
+     * { content, messages: [{ speaker, content }], replyTo: { speaker, content }, target, targetIsParticipant }
      * @param {object} message - Discord message object
-     * @param {object} options - Moderation options
+     * @param {object} options - Moderation options ({ thresholds, categories, preFilter, context })
      * @returns {object} Moderation result with recommended action
      */
     async moderateMessage(message, options = {}) {
+        const startTime = Date.now();
+        const {
+            thresholds = { delete: 85, warn: 75, escalate: 60, ignore: 40 },
+            categories = { safetyCritical: true, spamScams: true },
+            preFilter = { skipBelow: 15, decideAbove: 85 },
+            context = null
+        } = options;
+
+        const localAnalysis = classifyMessage(message.content, { categories });
+        const localResult = () => this.buildModerationResult(localAnalysis, thresholds, startTime, 'local');
+
         if (!this.enabled) {
-            return { action: 'none', reason: 'AI Service disabled' };
+            return localResult();
+        }
+        if (preFilter && (localAnalysis.score < preFilter.skipBelow || localAnalysis.score >= preFilter.decideAbove)) {
+            return localResult();
         }
-
-        const startTime = Date.now();
 
         try {
-            const {
-                thresholds = { delete: 85, warn: 75, escalate: 60, ignore: 40 },
-                categories = { safetyCritical: true, spamScams: true }
-            } = options;
-
             // Build detection focus based on enabled categories
             const detectionFocus = [];
             if (categories.safetyCritical) {
@@ -1096,9 +1139,9 @@ Return ONLY a valid JSON object in this exact format:
 
             // Shortened prompt for faster response
             // CONTEXT: Military game server (Triple Threat Tactical / Arma) - in-game violence is normal
-            const analysisPrompt = `Analyze this Discord message for violations:
-"${message.content.substring(0, 500)}"
-
+            const analysisPrompt = `Analyze this Discord message${context ? ' from [Author]' : ''} for violations:
+"${(context ? context.content : message.content).substring(0, 500)}"
+${this.formatModerationContext(context)}
 CONTEXT: Military game server (Triple Threat Tactical / Arma). In-game violence talk is NORMAL and OK.
 NSFW/sexual content/nudity is ALLOWED - do NOT flag for that.
 Only flag REAL threats directed at actual people (IRL threats, doxxing, real harassment).
@@ -1108,17 +1151,14 @@ Check for: ${detectionFocus.join('; ')}
 Return JSON only:
 {"safe":bool,"confidence":0-100,"severity":"none|low|medium|high|critical","category":"threat|doxxing|harassment|scam|spam|none","reasoning":"brief"}`;
 
-            const response = await this.client.chat.completions.create({
-                model: this.models.fast,
-                max_tokens: 200,
-                messages: [
-                    { role: 'system', content: 'Content safety AI for gaming Discord (Triple Threat Tactical). In-game violence/killing talk is OK. NSFW/sexual content is ALLOWED. Only flag REAL threats at actual people, doxxing, or serious harassment. Return minimal JSON.' },
-                    { role: 'user', content: analysisPrompt }
-                ]
-            });
+            const response = await this.complete(
+                'moderate',
+                'Content safety AI for gaming Discord (Triple Threat Tactical). In-game violence/killing talk is OK. NSFW/sexual content is ALLOWED. Only flag REAL threats at actual people, doxxing, or serious harassment. Return minimal JSON.',
+                [{ role: 'user', content: analysisPrompt }],
+                200
+            );
 
-            const responseText = response.choices[0].message.content.trim();
-            const responseTimeMs = Date.now() - startTime;
+            const responseText = response.text.trim();
 
             // Parse JSON response
             let analysis;
@@ -1130,62 +1170,87 @@ Return JSON only:
                     throw new Error('No JSON found');
                 }
             } catch (parseError) {
-                console.error('Failed to parse AI moderation response:', responseText);
-                return {
-                    action: 'none',
-                    reason: 'Parse error - defaulting to safe',
-                    confidence: 0,
-                    responseTimeMs
-                };
+                console.error('Failed to parse AI moderation response - using local classifier:', responseText);
+                return localResult();
             }
 
-            // Determine action based on confidence thresholds
-            let action = 'none';
-            const confidence = analysis.confidence || 0;
-
-            if (!analysis.safe && confidence >= thresholds.delete) {
-                action = 'delete';
-            } else if (!analysis.safe && confidence >= thresholds.warn) {
-                action = 'warn';
-            } else if (!analysis.safe && confidence >= thresholds.escalate) {
-                action = 'escalate';
-            } else if (confidence < thresholds.ignore) {
-                action = 'none';
-            }
+            return this.buildModerationResult(analysis, thresholds, startTime, 'llm');
+        } catch (error) {
+            console.error('AI moderateMessage Error - using local classifier:', error);
+            return { ...localResult(), llmError: error.message };
+        }
+    }
 
-            // CSAM is ALWAYS critical - override any threshold
-            const detectedCategory = analysis.category?.toLowerCase() || '';
-            if (detectedCategory === 'csam' || (analysis.reasoning && analysis.reasoning.toLowerCase().includes('csam'))) {
-                action = 'escalate'; // Always escalate CSAM to humans, never auto-act
-                analysis.severity = 'critical';
-            }
+    // Conversation lines for the moderation prompt - empty without context
+    formatModerationContext(context) {
+        if (!context) {
+            return '';
+        }
 
-            // Convert simplified category to categories object for compatibility
-            const detectedCategories = {};
-            if (detectedCategory && detectedCategory !== 'none') {
-                detectedCategories[detectedCategory] = { detected: true, confidence: confidence };
-            }
+        const lines = [];
+        if (context.messages.length > 0) {
+            lines.push('Recent messages in the channel (oldest first, speakers anonymized):');
+            lines.push(...context.messages.map(entry => `[${entry.speaker}]: ${entry.content}`));
+        }
+        if (context.replyTo) {
+            lines.push(`[Author] is replying to [${context.replyTo.speaker}]: ${context.replyTo.content}`);
+        }
+        if (context.target) {
+            lines.push(
+                context.targetIsParticipant
+                    ? `[${context.target}] is taking part in this conversation.`
+                    : `[${context.target}] has not been part of this conversation.`
+            );
+        }
+        if (lines.length === 0) {
+            return '';
+        }
+        return `\n${lines.join('\n')}\nUse the conversation to tell banter between participants apart from a real threat.\n`;
+    }
 
-            return {
-                action,
-                confidence,
-                safe: analysis.safe,
-                severity: analysis.severity || 'none',
-                categories: detectedCategories,
-                reasoning: analysis.reasoning || 'No explanation provided',
-                recommendation: action,
-                responseTimeMs
-            };
+    /**
+     * Turn an analysis ({ safe, confidence, severity, category, reasoning }) from the LLM or the
+     * local classifier into a moderation result, applying the confidence thresholds
+     */
+    buildModerationResult(analysis, thresholds, startTime, source) {
+        // Determine action based on confidence thresholds
+        let action = 'none';
+        const confidence = analysis.confidence || 0;
+
+        if (!analysis.safe && confidence >= thresholds.delete) {
+            action = 'delete';
+        } else if (!analysis.safe && confidence >= thresholds.warn) {
+            action = 'warn';
+        } else if (!analysis.safe && confidence >= thresholds.escalate) {
+            action = 'escalate';
+        } else if (confidence < thresholds.ignore) {
+            action = 'none';
+        }
 
-        } catch (error) {
-            console.error('AI moderateMessage Error:', error);
-            return {
-                action: 'none',
-                reason: `Error: ${error.message}`,
-                confidence: 0,
-                error: true
-            };
+        // CSAM is ALWAYS critical - override any threshold
+        const detectedCategory = analysis.category?.toLowerCase() || '';
+        if (detectedCategory === 'csam' || (analysis.reasoning && analysis.reasoning.toLowerCase().includes('csam'))) {
+            action = 'escalate'; // Always escalate CSAM to humans, never auto-act
+            analysis.severity = 'critical';
+        }
+
+        // Convert simplified category to categories object for compatibility
+        const detectedCategories = {};
+        if (detectedCategory && detectedCategory !== 'none') {
+            detectedCategories[detectedCategory] = { detected: true, confidence };
         }
+
+        return {
+            action,
+            confidence,
+            safe: analysis.safe,
+            severity: analysis.severity || 'none',
+            categories: detectedCategories,
+            reasoning: analysis.reasoning || 'No explanation provided',
+            recommendation: action,
+            responseTimeMs: Date.now() - startTime,
+            source
+        };
     }
 
     /**
@@ -1226,16 +1291,14 @@ Return ONLY a valid JSON object:
 
 If the request doesn't match any command or is unclear, set understood to false and explain what you need.`;
 
-            const response = await this.client.chat.completions.create({
-                model: this.models.fast,
-                max_tokens: 300,
-                messages: [
-                    { role: 'system', content: 'You are a command parser for a Discord bot. Parse natural language into structured commands. Return only valid JSON.' },
-                    { role: 'user', content: parsePrompt }
-                ]
-            });
+            const response = await this.complete(
+                'command',
+                'You are a command parser for a Discord bot. Parse natural language into structured commands. Return only valid JSON.',
+                [{ role: 'user', content: parsePrompt }],
+                300
+            );
 
-            const responseText = response.choices[0].message.content.trim();
+            const responseText = response.text.trim();
 
             try {
                 const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -1291,18 +1354,11 @@ Available bot features:
 Provide a helpful, concise answer. Use Discord markdown formatting. If it's a feature request, acknowledge it but explain current capabilities.`;
 
             const systemPrompt = await this.buildSystemPrompt({ ...context, purpose: 'help' });
-            const response = await this.client.chat.completions.create({
-                model: this.models.fast,
-                max_tokens: 800,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: helpPrompt }
-                ]
-            });
+            const response = await this.complete('help', systemPrompt, [{ role: 'user', content: helpPrompt }], 800);
 
             return {
                 success: true,
-                response: response.choices[0].message.content
+                response: response.text
             };
 
         } catch (error) {
@@ -1346,18 +1402,16 @@ Provide a helpful, concise answer. Use Discord markdown formatting. If it's a fe
             }
 
             const systemPrompt = await this.buildSystemPrompt(context);
-            const response = await this.client.chat.completions.create({
-                model: this.models.fast,
-                max_tokens: 300,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: prompt }
-                ]
-            });
+            const response = await this.complete(
+                'autoResponse',
+                systemPrompt,
+                [{ role: 'user', content: prompt }],
+                300
+            );
 
             return {
                 success: true,
-                response: response.choices[0].message.content
+                response: response.text
             };
 
         } catch (error) {
@@ -1550,7 +1604,7 @@ Provide a helpful, concise answer. Use Discord markdown formatting. If it's a fe
     getStatus() {
         return {
             enabled: this.enabled,
-            models: this.models,
+            ...this.providers.getStatus(),
             personality: this.personality.name,
             aiChannelCount: this.aiChannels.size,
             activeConversations: this.conversationHistory.size,
@@ -3,18 +3,646 @@
 // Uses better-sqlite3 for high-performance synchronous SQLite
 
 const Database = require('better-sqlite3');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config.json');
+const { MigrationRunner } = require('./MigrationRunner');
+
+// Permission names accepted in lockdown.removePermissions
+const LOCKDOWN_PERMISSION_NAMES = [
+    'SEND_MESSAGES',
+    'SEND_MESSAGES_IN_THREADS',
+    'CREATE_PUBLIC_THREADS',
+    'ADD_REACTIONS',
+    'CONNECT',
+    'SPEAK'
+];
+
+// Per-guild settings that can be changed with /config or the dashboard.
+// Keys are dotted paths into config.json - anything a guild hasn't overridden falls back to the value there.
+const GUILD_CONFIG_SCHEMA = {
+    logChannelId: { type: 'snowflake', description: 'Channel that receives moderation and security logs' },
+    adminRoleIds: { type: 'snowflake[]', description: 'Roles allowed to use staff commands' },
+    staffRoleId: { type: 'snowflake', description: 'Staff role exempt from AI moderation' },
+    freezeAllowedRoleId: {
+        type: 'snowflake',
+        description: 'Role that can still talk in frozen channels (staff role if unset)'
+    },
+    'antiRaid.enabled': { type: 'boolean', description: 'Detect join floods' },
+    'antiRaid.joinThreshold': {
+        type: 'integer',
+        min: 2,
+        max: 500,
+        description: 'Joins within the time window that count as a raid'
+    },
+    'antiRaid.timeWindow': {
+        type: 'integer',
+        min: 1000,
+        max: 600000,
+        description: 'Join flood window in milliseconds'
+    },
+    'antiRaid.lockdownOnRaid': { type: 'boolean', description: 'Lock the server when a raid is detected' },
+    'antiRaid.raidModeDurationMinutes': {
+        type: 'integer',
+        min: 1,
+        max: 1440,
+        description: 'How long raid mode stays on'
+    },
+    'antiRaid.raidModeAction': {
+        type: 'enum',
+        values: ['kick', 'quarantine'],
+        description: 'What raid mode does to flagged joins'
+    },
+    'antiRaid.quarantineRoleId': { type: 'snowflake', description: 'Quarantine role (24h timeout if unset)' },
+    'antiRaid.minAccountAgeDays': {
+        type: 'integer',
+        min: 0,
+        max: 365,
+        description: 'Minimum account age during raid mode'
+    },
+    'antiRaid.flagDefaultAvatar': { type: 'boolean', description: 'Flag default-avatar accounts during raid mode' },
+    'antiRaid.usernameSimilarityThreshold': {
+        type: 'number',
+        min: 0,
+        max: 1,
+        description: 'Username similarity that counts as a pattern'
+    },
+    'antiRaid.joinClusterWindowMs': {
+        type: 'integer',
+        min: 0,
+        max: 600000,
+        description: 'Join cluster window in milliseconds (0 = off)'
+    },
+    'antiRaid.joinClusterSize': {
+        type: 'integer',
+        min: 0,
+        max: 100,
+        description: 'Joins within the cluster window to flag (0 = off)'
+    },
+    'antiNuke.enabled': { type: 'boolean', description: 'Detect mass channel/role deletion' },
+    'antiNuke.channelDeleteThreshold': {
+        type: 'integer',
+        min: 1,
+        max: 50,
+        description: 'Channel deletions that trigger anti-nuke'
+    },
+    'antiNuke.roleDeleteThreshold': {
+        type: 'integer',
+        min: 1,
+        max: 50,
+        description: 'Role deletions that trigger anti-nuke'
+    },
+    'antiNuke.timeWindow': { type: 'integer', min: 1000, max: 600000, description: 'Anti-nuke window in milliseconds' },
+    'antiNuke.banNukers': { type: 'boolean', description: 'Ban users who trigger anti-nuke' },
+    'antiNuke.snapshotRetention': { type: 'integer', min: 1, max: 50, description: 'Snapshots kept per guild' },
+    'lockdown.removePermissions': {
+        type: 'enum[]',
+        values: LOCKDOWN_PERMISSION_NAMES,
+        description: 'Permissions denied to @everyone during lockdown (messages are always locked)'
+    },
+    'lockdown.exemptRoles': { type: 'snowflake[]', description: 'Roles that keep their permissions during lockdown' },
+    'logging.enabled': { type: 'boolean', description: 'Log role events to the database' },
+    'logging.logRoleChanges': { type: 'boolean', description: 'Log role creation, updates, deletion and assignments' },
+    'dashboard.viewerRoleIds': { type: 'snowflake[]', description: 'Roles with read-only dashboard access' },
+    'dashboard.moderatorRoleIds': {
+        type: 'snowflake[]',
+        description: 'Roles that can send messages and clear warnings from the dashboard'
+    },
+    'dashboard.adminRoleIds': { type: 'snowflake[]', description: 'Roles that can change settings from the dashboard' },
+    'retention.aiChatLogsDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep AI chat logs (0 = forever)'
+    },
+    'retention.aiMemoryDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep AI memories (0 = forever)'
+    },
+    'retention.aiModerationLogsDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep AI moderation detections (pending reviews are kept) (0 = forever)'
+    },
+    'retention.automodViolationsDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep automod violations and their message content (0 = forever)'
+    },
+    'retention.staffActivityDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep staff activity events (0 = forever)'
+    },
+    'retention.roleLogsDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep role change logs (0 = forever)'
+    },
+    'retention.verificationLogsDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep verification logs (0 = forever)'
+    },
+    'retention.raidTrackingDays': {
+        type: 'integer',
+        min: 0,
+        max: 3650,
+        description: 'Days to keep join tracking (0 = forever)'
+    }
+};
+
+// Dashboard-editable automod_settings columns
+const AUTOMOD_SETTINGS_SCHEMA = {
+    spam_detection: { type: 'boolean', description: 'Detect message spam' },
+    spam_limit: { type: 'integer', min: 2, max: 50, description: 'Messages within the spam timeframe' },
+    spam_timeframe: { type: 'integer', min: 1, max: 60, description: 'Spam timeframe in seconds' },
+    bad_words_filter: { type: 'boolean', description: 'Delete messages with blocked words' },
+    blocked_words: { type: 'string[]', lowercase: true, maxItems: 500, description: 'Blocked words and phrases' },
+    invite_filter: { type: 'boolean', description: 'Delete Discord invite links' },
+    caps_filter: { type: 'boolean', description: 'Delete messages in mostly capital letters' },
+    caps_percentage: {
+        type: 'integer',
+        min: 10,
+        max: 100,
+        description: 'Capital letter percentage that counts as caps'
+    },
+    emoji_spam_filter: { type: 'boolean', description: 'Delete messages with too many emojis' },
+    emoji_limit: { type: 'integer', min: 1, max: 100, description: 'Emojis allowed per message' },
+    repeated_text_filter: { type: 'boolean', description: 'Delete repeated text' },
+    punishment_type: {
+        type: 'enum',
+        values: ['warn', 'mute', 'kick', 'tempban', 'ban'],
+        description: 'Punishment once the violation threshold is reached'
+    },
+    punishment_duration: {
+        type: 'integer',
+        min: 60,
+        max: 2419200,
+        description: 'Mute/tempban length in seconds'
+    },
+    violation_threshold: { type: 'integer', min: 1, max: 20, description: 'Violations in 24 hours before punishing' }
+};
+
+// Dashboard-editable welcome_settings columns
+const WELCOME_SETTINGS_SCHEMA = {
+    welcome_enabled: { type: 'boolean', description: 'Send welcome messages' },
+    welcome_channel_id: { type: 'snowflake', description: 'Welcome channel' },
+    welcome_message: { type: 'string', maxLength: 2000, description: 'Welcome message' },
+    welcome_embed_enabled: { type: 'boolean', description: 'Send the welcome message as an embed' },
+    welcome_color: { type: 'color', description: 'Welcome embed color' },
+    welcome_dm: { type: 'boolean', description: 'Also DM new members' },
+    welcome_dm_message: { type: 'string', maxLength: 2000, description: 'Welcome DM' },
+    goodbye_enabled: { type: 'boolean', description: 'Send goodbye messages' },
+    goodbye_channel_id: { type: 'snowflake', description: 'Goodbye channel' },
+    goodbye_message: { type: 'string', maxLength: 2000, description: 'Goodbye message' },
+    goodbye_embed_enabled: { type: 'boolean', description: 'Send the goodbye message as an embed' },
+    goodbye_color: { type: 'color', description: 'Goodbye embed color' },
+    auto_role_enabled: { type: 'boolean', description: 'Give new members a role' },
+    auto_role_id: { type: 'snowflake', description: 'Role given to new members' },
+    verification_enabled: { type: 'boolean', description: 'Require verification' },
+    verification_channel_id: { type: 'snowflake', description: 'Verification channel' },
+    verification_message: { type: 'string', maxLength: 2000, description: 'Verification message' },
+    verification_role_id: { type: 'snowflake', description: 'Role given once verified' },
+    verification_type: { type: 'enum', values: ['button', 'reaction'], description: 'How members verify' },
+    verification_emoji: { type: 'string', maxLength: 64, description: 'Reaction verification emoji' },
+    verification_timeout_hours: {
+        type: 'integer',
+        min: 0,
+        max: 720,
+        description: 'Hours before unverified members are kicked (0 = off)'
+    },
+    verification_reminder: { type: 'boolean', description: 'Remind unverified members before the kick' }
+};
+
+// config.json "moderation" block - bot-wide link and attachment lists
+const MODERATION_CONFIG_SCHEMA = {
+    'domains.allowlist': {
+        type: 'string[]',
+        lowercase: true,
+        pattern: /^[a-z0-9.-]+$/,
+        maxItems: 500,
+        description: 'Domains that are always allowed'
+    },
+    'domains.denylist': {
+        type: 'string[]',
+        lowercase: true,
+        pattern: /^[a-z0-9.-]+$/,
+        maxItems: 500,
+        description: 'Domains (or parts of them) that are blocked'
+    },
+    'attachments.allowExtensions': {
+        type: 'string[]',
+        lowercase: true,
+        pattern: /^\.[a-z0-9]+$/,
+        maxItems: 100,
+        description: 'File extensions that are always allowed'
+    },
+    'attachments.denyExtensions': {
+        type: 'string[]',
+        lowercase: true,
+        pattern: /^\.[a-z0-9]+$/,
+        maxItems: 100,
+        description: 'File extensions that are blocked'
+    }
+};
+
+// Schemas by settings scope - also the scope names used in config_audit.
+// "defaults" is the config.json values that guilds fall back to, so it shares the guild schema.
+const SETTINGS_SCHEMAS = {
+    guild_config: GUILD_CONFIG_SCHEMA,
+    defaults: GUILD_CONFIG_SCHEMA,
+    automod: AUTOMOD_SETTINGS_SCHEMA,
+    welcome: WELCOME_SETTINGS_SCHEMA,
+    moderation: MODERATION_CONFIG_SCHEMA
+};
+
+// { antiRaid: { enabled: true } } -> { 'antiRaid.enabled': true }; arrays are values, not nested settings
+function flattenSettings(settings, prefix = '') {
+    return Object.entries(settings || {}).reduce((flat, [key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(flat, flattenSettings(value, path));
+        } else if (value !== undefined) {
+            flat[path] = value;
+        }
+        return flat;
+    }, {});
+}
+
+// AI moderation staff_response values that mean staff agreed with the AI - dismissed escalations count as neither
+const AI_CORRECT_RESPONSES = ['correct', 'approved'];
+
+// Confidence bands for AI moderation precision - nothing below the ignore threshold is logged
+function getConfidenceBand(confidence) {
+    const low = Math.min(90, Math.max(40, Math.floor(confidence / 10) * 10));
+    return low === 90 ? '90-100' : `${low}-${low + 9}`;
+}
+
+// Feedback rows -> { byCategory, byBand } with { correct, falsePositive, precision } each (precision 0-1)
+function summarizeAIPrecision(feedback) {
+    const summary = { byCategory: {}, byBand: {} };
+    const count = (group, key, correct) => {
+        const entry = (group[key] = group[key] || { correct: 0, falsePositive: 0, precision: null });
+        entry[correct ? 'correct' : 'falsePositive']++;
+        entry.precision = entry.correct / (entry.correct + entry.falsePositive);
+    };
+
+    for (const row of feedback) {
+        const categories = Object.keys(row.categoriesDetected);
+        for (const category of categories.length > 0 ? categories : ['none']) {
+            count(summary.byCategory, category, row.correct);
+        }
+        count(summary.byBand, getConfidenceBand(row.confidence), row.correct);
+    }
+    return summary;
+}
+
+// Lists every key whose value differs between two settings snapshots (null = nothing stored)
+function diffSettings(before, after) {
+    const flatBefore = flattenSettings(before);
+    const flatAfter = flattenSettings(after);
+    return [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])]
+        .filter(key => JSON.stringify(flatBefore[key]) !== JSON.stringify(flatAfter[key]))
+        .map(key => ({ key, before: flatBefore[key] ?? null, after: flatAfter[key] ?? null }));
+}
+
+// Tables the nightly retention job prunes, by retention.* setting - keep excludes rows that must stay
+const RETENTION_TABLES = {
+    aiChatLogsDays: { table: 'ai_chat_logs', dateColumn: 'created_at' },
+    aiMemoryDays: { table: 'ai_memory', dateColumn: 'updated_at' },
+    aiModerationLogsDays: {
+        table: 'ai_moderation_logs',
+        dateColumn: 'created_at',
+        keep: "staff_response IS 'pending'"
+    },
+    automodViolationsDays: { table: 'automod_violations', dateColumn: 'created_at' },
+    staffActivityDays: { table: 'staff_activity', dateColumn: 'activity_timestamp' },
+    roleLogsDays: { table: 'role_logs', dateColumn: 'timestamp' },
+    verificationLogsDays: { table: 'verification_logs', dateColumn: 'created_at' },
+    raidTrackingDays: { table: 'raid_tracking', dateColumn: 'join_timestamp' }
+};
+
+// Stand-ins for a purged user's name, and for their ID in NOT NULL columns
+const PURGED_USERNAME = 'Deleted User';
+const PURGED_USER_ID = '0';
+
+// Every column that holds a Discord user ID, for /privacy export and purge. purge is 'delete' to remove
+// the matching rows, or the columns to overwrite. Sanctions (cases, warnings, temp bans) keep the
+// target's ID so they still apply, but lose the name - and cases the user handled as staff keep their
+// moderator ID for the same reason. name is the column holding the user's name next to the ID.
+const USER_DATA_COLUMNS = [
+    { table: 'ai_chat_logs', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'ai_memory', column: 'user_id', purge: 'delete' },
+    { table: 'ai_memory', column: 'created_by', purge: { created_by: null } },
+    { table: 'ai_moderation_logs', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'ai_moderation_logs', column: 'executed_by', purge: { executed_by: null } },
+    { table: 'ai_moderation_logs', column: 'reviewed_by', purge: { reviewed_by: null } },
+    { table: 'ai_killswitch_log', column: 'activated_by', purge: { activated_by: PURGED_USER_ID } },
+    { table: 'automod_violations', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'config_audit', column: 'actor_id', purge: { actor_id: null } },
+    {
+        table: 'custom_commands',
+        column: 'created_by',
+        purge: { created_by: PURGED_USER_ID, created_by_username: PURGED_USERNAME },
+        name: 'created_by_username'
+    },
+    { table: 'guild_config', column: 'updated_by', purge: { updated_by: null } },
+    { table: 'guild_snapshots', column: 'created_by', purge: { created_by: null } },
+    {
+        table: 'moderation_logs',
+        column: 'target_id',
+        purge: { target_username: PURGED_USERNAME },
+        name: 'target_username'
+    },
+    {
+        table: 'moderation_logs',
+        column: 'moderator_id',
+        purge: { moderator_username: PURGED_USERNAME },
+        name: 'moderator_username'
+    },
+    { table: 'moderation_logs', column: 'updated_by', purge: { updated_by: null } },
+    { table: 'moderation_logs', column: 'deleted_by', purge: { deleted_by: null } },
+    { table: 'owner_protection', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'raid_tracking', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'reaction_role_menus', column: 'created_by', purge: { created_by: PURGED_USER_ID } },
+    { table: 'reaction_roles', column: 'created_by', purge: { created_by: PURGED_USER_ID } },
+    { table: 'role_logs', column: 'user_id', purge: 'delete' },
+    { table: 'role_logs', column: 'moderator_id', purge: { moderator_id: null } },
+    { table: 'role_rewards', column: 'created_by', purge: { created_by: PURGED_USER_ID } },
+    { table: 'staff_activity', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'staff_metrics', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'staff_stats', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'temp_bans', column: 'user_id', purge: { username: PURGED_USERNAME }, name: 'username' },
+    {
+        table: 'temp_bans',
+        column: 'moderator_id',
+        purge: { moderator_username: PURGED_USERNAME },
+        name: 'moderator_username'
+    },
+    {
+        table: 'tickets',
+        column: 'creator_id',
+        purge: { creator_username: PURGED_USERNAME, subject: '[purged]', description: null },
+        name: 'creator_username'
+    },
+    {
+        table: 'tickets',
+        column: 'claimed_by',
+        purge: { claimed_by: null, claimed_by_username: null },
+        name: 'claimed_by_username'
+    },
+    {
+        table: 'tickets',
+        column: 'closed_by',
+        purge: { closed_by: null, closed_by_username: null },
+        name: 'closed_by_username'
+    },
+    { table: 'unverified_members', column: 'user_id', purge: 'delete' },
+    { table: 'user_levels', column: 'user_id', purge: 'delete', name: 'username' },
+    { table: 'verification_logs', column: 'user_id', purge: 'delete' },
+    { table: 'warnings', column: 'user_id', purge: { username: PURGED_USERNAME }, name: 'username' },
+    {
+        table: 'warnings',
+        column: 'moderator_id',
+        purge: { moderator_username: PURGED_USERNAME },
+        name: 'moderator_username'
+    },
+    { table: 'warnings', column: 'removed_by', purge: { removed_by: null } }
+];
+
+// A purged user's lines in other users' AI moderation context ({ speakers: { label: userId } } names who
+// said what) are replaced by this, and the speaker label no longer points at them
+const PURGED_MESSAGE = '[purged]';
+
+// The context speaker labels that belong to a user - only context logged since speakers were recorded has any
+function getContextLabels(context, userId) {
+    return Object.entries(context?.speakers || {})
+        .filter(([, speakerId]) => speakerId === userId)
+        .map(([label]) => label);
+}
+
+// Matches any of a user's IDs or names as a whole word inside free text (case details, transcripts)
+function buildIdentityPattern(identities) {
+    const escaped = identities.map(identity => identity.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\w.#])(?:${escaped.join('|')})(?![\\w#])`, 'g');
+}
+
+// Copy of a JSON value with pattern matches in every string replaced
+function replaceInJson(value, pattern, replacer) {
+    if (typeof value === 'string') {
+        return value.replace(pattern, replacer);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => replaceInJson(item, pattern, replacer));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, replaceInJson(item, pattern, replacer)])
+        );
+    }
+    return value;
+}
+
+// Tables behind the unified audit log (/audit search and the dashboard Audit tab). Each source maps its
+// columns onto the same entry shape. guildFilter picks a guild's rows and globalFilter the bot-wide ones
+// (bot-wide settings changes, the kill switch), which only the bot owners see.
+const AUDIT_SOURCES = {
+    moderation: {
+        table: 'moderation_logs',
+        guildFilter: 'guild_id = ?',
+        where: 'deleted IS NOT 1',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: 'action_type',
+            actor_id: 'moderator_id',
+            actor_name: 'moderator_username',
+            target_id: 'target_id',
+            target_name: 'target_username',
+            summary: 'reason',
+            details: 'details',
+            reference: "'case ' || case_number"
+        }
+    },
+    automod: {
+        table: 'automod_violations',
+        guildFilter: 'guild_id = ?',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: 'violation_type',
+            actor_id: 'NULL',
+            actor_name: "'AutoMod'",
+            target_id: 'user_id',
+            target_name: 'username',
+            summary: 'punishment_applied',
+            details: 'message_content',
+            reference: 'channel_id'
+        }
+    },
+    ai_moderation: {
+        table: 'ai_moderation_logs',
+        guildFilter: 'guild_id = ?',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: 'action_taken',
+            actor_id: 'COALESCE(reviewed_by, executed_by)',
+            actor_name: "CASE WHEN reviewed_by IS NULL THEN 'AI Moderation' END",
+            target_id: 'user_id',
+            target_name: 'username',
+            summary: 'reasoning',
+            details: 'message_content',
+            reference: 'staff_response'
+        }
+    },
+    role: {
+        table: 'role_logs',
+        guildFilter: 'guild_id = ?',
+        columns: {
+            id: 'id',
+            created_at: 'timestamp',
+            action: 'action_type',
+            actor_id: 'moderator_id',
+            actor_name: 'NULL',
+            target_id: 'user_id',
+            target_name: 'NULL',
+            summary: 'role_name',
+            details: 'reason',
+            reference: 'role_id'
+        }
+    },
+    verification: {
+        table: 'verification_logs',
+        guildFilter: 'guild_id = ?',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: "'verification_' || status",
+            actor_id: 'NULL',
+            actor_name: 'NULL',
+            target_id: 'user_id',
+            target_name: 'username',
+            summary: 'verification_type',
+            details: 'NULL',
+            reference: 'NULL'
+        }
+    },
+    config: {
+        table: 'config_audit',
+        guildFilter: 'guild_id = ?',
+        globalFilter: 'guild_id IS NULL',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: "CASE WHEN reverted_from IS NULL THEN 'config_update' ELSE 'config_revert' END",
+            actor_id: 'actor_id',
+            actor_name: 'NULL',
+            target_id: 'NULL',
+            target_name: 'NULL',
+            summary: 'scope',
+            details: 'changes',
+            reference: "'v' || version"
+        }
+    },
+    killswitch: {
+        table: 'ai_killswitch_log',
+        guildFilter: null,
+        globalFilter: 'TRUE',
+        columns: {
+            id: 'id',
+            created_at: 'created_at',
+            action: "'killswitch_' || action",
+            actor_id: 'activated_by',
+            actor_name: 'NULL',
+            target_id: 'NULL',
+            target_name: 'NULL',
+            summary: 'reason',
+            details: 'expires_at',
+            reference: 'NULL'
+        }
+    }
+};
+
+// Columns of an audit entry, in UNION order
+const AUDIT_ENTRY_COLUMNS = [
+    'id',
+    'created_at',
+    'action',
+    'actor_id',
+    'actor_name',
+    'target_id',
+    'target_name',
+    'summary',
+    'details',
+    'reference'
+];
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_MAX_PAGE_SIZE = 200;
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+// 2026-10-18, 2026-10-18T12:00:00Z, ... -> '2026-10-18 12:00:00' (SQLite's CURRENT_TIMESTAMP format, UTC).
+// A bare date as the end of a range covers that whole day. Returns null for anything unparseable.
+function toAuditTimestamp(value, endOfDay = false) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return value;
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59Z` : value);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Audit page cursors are the sort key of the last entry on the page: created_at|source|id
+function encodeAuditCursor(entry) {
+    return Buffer.from(`${entry.created_at}|${entry.source}|${entry.id}`).toString('base64url');
+}
+
+function decodeAuditCursor(cursor) {
+    const [createdAt, source, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    if (!toAuditTimestamp(createdAt) || !AUDIT_SOURCES[source] || !/^\d+$/.test(id || '')) {
+        return null;
+    }
+    return { createdAt, source, id: Number(id) };
+}
+
+// LIKE pattern that matches value anywhere, with its own % and _ taken literally
+function toLikePattern(value) {
+    return `%${String(value).replace(/[\\%_]/g, character => `\\${character}`)}%`;
+}
+
+// guardianbot-2026-01-31T12-00-00-000Z-scheduled.db -> timestamp, reason
+const BACKUP_FILE_PATTERN = /^[\w-]+?-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)\.db$/;
 
-class DatabaseManager {
+// Emits 'moderationLogged' after logModeration() records a case
+class DatabaseManager extends EventEmitter {
     constructor() {
+        super();
         this.db = null;
         this.isConnected = false;
         this.dbPath = null;
+        this.guildConfigCache = new Map(); // guildId -> { 'antiRaid.joinThreshold': 20, ... }
     }
 
-    async connect() {
+    /**
+     * Open the SQLite database and bring its schema up to date
+     * @param {object} options - { migrate: false } opens without applying migrations (used by migrate.js)
+     */
+    connect({ migrate = true } = {}) {
         if (!config.database.enabled) {
             console.log('📊 Database is disabled in config');
             return false;
@@ -32,17 +660,13 @@ class DatabaseManager {
                 fs.mkdirSync(dataDir, { recursive: true });
             }
 
-            // Open database (creates if doesn't exist)
-            this.db = new Database(this.dbPath);
-
-            // Enable WAL mode for better performance
-            this.db.pragma('journal_mode = WAL');
-
-            this.isConnected = true;
+            this.openDatabase();
             console.log('✅ Connected to SQLite database!');
 
-            // Initialize tables
-            await this.initializeTables();
+            if (migrate) {
+                this.runMigrations();
+                this.loadGuildConfig();
+            }
 
             return true;
         } catch (error) {
@@ -53,436 +677,480 @@ class DatabaseManager {
         }
     }
 
-    async initializeTables() {
-        try {
-            // Create tickets table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS tickets (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    ticket_id TEXT UNIQUE NOT NULL,
-                    channel_id TEXT NOT NULL,
-                    creator_id TEXT NOT NULL,
-                    creator_username TEXT NOT NULL,
-                    subject TEXT NOT NULL,
-                    description TEXT,
-                    priority TEXT DEFAULT 'medium',
-                    status TEXT DEFAULT 'open',
-                    claimed_by TEXT NULL,
-                    claimed_by_username TEXT NULL,
-                    claimed_at TEXT NULL,
-                    closed_by TEXT NULL,
-                    closed_by_username TEXT NULL,
-                    closed_at TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_channel_id ON tickets(channel_id)');
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_creator_id ON tickets(creator_id)');
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)');
-
-            // Create staff statistics table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS staff_stats (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id TEXT UNIQUE NOT NULL,
-                    username TEXT NOT NULL,
-                    tickets_claimed INTEGER DEFAULT 0,
-                    tickets_closed INTEGER DEFAULT 0,
-                    tickets_deleted INTEGER DEFAULT 0,
-                    total_response_time INTEGER DEFAULT 0,
-                    response_count INTEGER DEFAULT 0,
-                    first_activity TEXT DEFAULT CURRENT_TIMESTAMP,
-                    last_activity TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Open the database file at dbPath (creates it if it doesn't exist)
+    openDatabase() {
+        this.db = new Database(this.dbPath);
 
-            // Create moderation logs table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS moderation_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    action_type TEXT NOT NULL,
-                    moderator_id TEXT NOT NULL,
-                    moderator_username TEXT NOT NULL,
-                    target_id TEXT NULL,
-                    target_username TEXT NULL,
-                    reason TEXT,
-                    details TEXT,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_modlogs_guild_id ON moderation_logs(guild_id)');
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_modlogs_action_type ON moderation_logs(action_type)');
-
-            // Create anti-raid tracking table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS raid_tracking (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    join_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-                    ip_address TEXT NULL,
-                    account_age_days INTEGER NULL,
-                    is_suspicious INTEGER DEFAULT 0,
-                    action_taken TEXT DEFAULT 'none'
-                )
-            `);
+        // Enable WAL mode for better performance
+        this.db.pragma('journal_mode = WAL');
 
-            // Create owner protection table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS owner_protection (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    violation_type TEXT NOT NULL,
-                    message_content TEXT NULL,
-                    warning_count INTEGER DEFAULT 1,
-                    action_taken TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        this.isConnected = true;
+    }
 
-            // Create staff activity tracking table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS staff_activity (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    activity_type TEXT NOT NULL,
-                    channel_id TEXT NULL,
-                    channel_name TEXT NULL,
-                    activity_data TEXT NULL,
-                    activity_timestamp TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Apply pending migrations from src/migrations - throws if one fails (it is rolled back)
+    runMigrations() {
+        const applied = new MigrationRunner(this.db).migrate();
+        if (applied.length > 0) {
+            console.log(`✅ Applied ${applied.length} database migration(s)`);
+        } else {
+            console.log('✅ Database schema is up to date');
+        }
+    }
 
-            // Create staff response metrics table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS staff_metrics (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT UNIQUE NOT NULL,
-                    username TEXT NOT NULL,
-                    daily_messages INTEGER DEFAULT 0,
-                    daily_commands INTEGER DEFAULT 0,
-                    daily_voice_time INTEGER DEFAULT 0,
-                    weekly_messages INTEGER DEFAULT 0,
-                    weekly_commands INTEGER DEFAULT 0,
-                    weekly_voice_time INTEGER DEFAULT 0,
-                    monthly_messages INTEGER DEFAULT 0,
-                    monthly_commands INTEGER DEFAULT 0,
-                    monthly_voice_time INTEGER DEFAULT 0,
-                    total_messages INTEGER DEFAULT 0,
-                    total_commands INTEGER DEFAULT 0,
-                    total_voice_time INTEGER DEFAULT 0,
-                    last_message TEXT NULL,
-                    last_command TEXT NULL,
-                    last_voice_activity TEXT NULL,
-                    activity_score REAL DEFAULT 0,
-                    responsiveness_rating TEXT DEFAULT 'inactive',
-                    first_seen TEXT DEFAULT CURRENT_TIMESTAMP,
-                    last_updated TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Backups
+    getBackupDirectory() {
+        const { directory } = config.database.backups || {};
+        return directory ? path.resolve(directory) : path.join(path.dirname(this.dbPath), 'backups');
+    }
 
-            // Create user experience and leveling table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS user_levels (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    xp INTEGER DEFAULT 0,
-                    level INTEGER DEFAULT 0,
-                    messages_sent INTEGER DEFAULT 0,
-                    last_xp_gain TEXT NULL,
-                    total_xp_earned INTEGER DEFAULT 0,
-                    level_up_notifications INTEGER DEFAULT 1,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(guild_id, user_id)
-                )
-            `);
+    /**
+     * Hot backup of the live database with better-sqlite3's backup API - safe while the bot is writing
+     * @param {string} reason - 'scheduled', 'manual' or 'pre-restore' (kept in the file name)
+     * @returns {Promise<object>} { name, reason, size, createdAt }
+     */
+    async backupDatabase(reason = 'manual') {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
 
-            // Create role rewards table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS role_rewards (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    role_id TEXT NOT NULL,
-                    role_name TEXT NOT NULL,
-                    required_level INTEGER NOT NULL,
-                    remove_previous INTEGER DEFAULT 0,
-                    created_by TEXT NOT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(guild_id, role_id)
-                )
-            `);
+        const directory = this.getBackupDirectory();
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
 
-            // Create custom commands table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS custom_commands (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    command_name TEXT NOT NULL,
-                    command_response TEXT NOT NULL,
-                    created_by TEXT NOT NULL,
-                    created_by_username TEXT NOT NULL,
-                    uses INTEGER DEFAULT 0,
-                    enabled INTEGER DEFAULT 1,
-                    delete_trigger INTEGER DEFAULT 0,
-                    dm_response INTEGER DEFAULT 0,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(guild_id, command_name)
-                )
-            `);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const name = `${path.basename(this.dbPath, '.db')}-${stamp}-${reason}.db`;
+        await this.db.backup(path.join(directory, name));
+        return this.listBackups().find(backup => backup.name === name);
+    }
 
-            // Create auto-moderation settings table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS automod_settings (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT UNIQUE NOT NULL,
-                    spam_detection INTEGER DEFAULT 1,
-                    spam_limit INTEGER DEFAULT 5,
-                    spam_timeframe INTEGER DEFAULT 5,
-                    bad_words_filter INTEGER DEFAULT 1,
-                    blocked_words TEXT NULL,
-                    invite_filter INTEGER DEFAULT 1,
-                    caps_filter INTEGER DEFAULT 1,
-                    caps_percentage INTEGER DEFAULT 70,
-                    emoji_spam_filter INTEGER DEFAULT 1,
-                    emoji_limit INTEGER DEFAULT 10,
-                    repeated_text_filter INTEGER DEFAULT 1,
-                    punishment_type TEXT DEFAULT 'mute',
-                    punishment_duration INTEGER DEFAULT 300,
-                    violation_threshold INTEGER DEFAULT 3,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Backups in the backup directory, newest first
+    listBackups() {
+        const directory = this.getBackupDirectory();
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
 
-            // Create reaction roles table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS reaction_roles (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    message_id TEXT NOT NULL,
-                    channel_id TEXT NOT NULL,
-                    emoji TEXT NOT NULL,
-                    role_id TEXT NOT NULL,
-                    role_name TEXT NOT NULL,
-                    created_by TEXT NOT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(message_id, emoji)
-                )
-            `);
+        return fs
+            .readdirSync(directory)
+            .map(name => ({ name, match: name.match(BACKUP_FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ name, match }) => ({
+                name,
+                reason: match[2],
+                size: fs.statSync(path.join(directory, name)).size,
+                createdAt: match[1].replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Delete all but the newest `retention` backups - returns the names that were deleted
+    pruneBackups(retention) {
+        const expired = this.listBackups().slice(Math.max(1, retention));
+        for (const backup of expired) {
+            fs.unlinkSync(path.join(this.getBackupDirectory(), backup.name));
+        }
+        return expired.map(backup => backup.name);
+    }
+
+    /**
+     * PRAGMA integrity_check on the live database, or on a backup file when a name is given
+     * @returns {object} { ok, problems: string[] }
+     */
+    checkIntegrity(backupName = null) {
+        const target = backupName
+            ? new Database(this.resolveBackupPath(backupName), { readonly: true, fileMustExist: true })
+            : this.db;
+        try {
+            const problems = target
+                .pragma('integrity_check')
+                .map(row => row.integrity_check)
+                .filter(result => result !== 'ok');
+            return { ok: problems.length === 0, problems };
+        } finally {
+            if (backupName) {
+                target.close();
+            }
+        }
+    }
 
-            // Create welcome/goodbye settings table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS welcome_settings (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT UNIQUE NOT NULL,
-                    welcome_enabled INTEGER DEFAULT 0,
-                    welcome_channel_id TEXT NULL,
-                    welcome_message TEXT NULL,
-                    welcome_embed_enabled INTEGER DEFAULT 1,
-                    welcome_color TEXT DEFAULT '#00ff00',
-                    welcome_dm INTEGER DEFAULT 0,
-                    welcome_dm_message TEXT NULL,
-                    goodbye_enabled INTEGER DEFAULT 0,
-                    goodbye_channel_id TEXT NULL,
-                    goodbye_message TEXT NULL,
-                    goodbye_embed_enabled INTEGER DEFAULT 1,
-                    goodbye_color TEXT DEFAULT '#ff0000',
-                    auto_role_enabled INTEGER DEFAULT 0,
-                    auto_role_id TEXT NULL,
-                    verification_enabled INTEGER DEFAULT 0,
-                    verification_channel_id TEXT NULL,
-                    verification_message TEXT NULL,
-                    verification_role_id TEXT NULL,
-                    verification_type TEXT DEFAULT 'button',
-                    verification_emoji TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Only names listBackups() returns are accepted, so a name can't point outside the backup directory
+    resolveBackupPath(name) {
+        if (!this.listBackups().some(backup => backup.name === name)) {
+            throw new Error(`No backup named ${name}`);
+        }
+        return path.join(this.getBackupDirectory(), name);
+    }
 
-            // Create auto-moderation violations table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS automod_violations (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    violation_type TEXT NOT NULL,
-                    message_content TEXT NULL,
-                    channel_id TEXT NOT NULL,
-                    punishment_applied TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_automod_guild_user ON automod_violations(guild_id, user_id)');
-
-            // Create AI memory table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS ai_memory (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    memory_type TEXT NOT NULL,
-                    guild_id TEXT NULL,
-                    user_id TEXT NULL,
-                    key_name TEXT NOT NULL,
-                    content TEXT NOT NULL,
-                    importance INTEGER DEFAULT 5,
-                    created_by TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    /**
+     * Replace the live database with a backup. The backup is integrity-checked first and the current
+     * database is backed up (reason 'pre-restore') so the restore itself can be undone.
+     * Migrations run on the restored file, so an older backup is brought up to the current schema.
+     * @returns {Promise<object>} { restored, safetyBackup }
+     */
+    async restoreBackup(name) {
+        const backupPath = this.resolveBackupPath(name);
+        const integrity = this.checkIntegrity(name);
+        if (!integrity.ok) {
+            throw new Error(`Backup ${name} failed its integrity check: ${integrity.problems.slice(0, 3).join('; ')}`);
+        }
 
-            // Create AI moderation settings table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS ai_moderation_settings (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT UNIQUE NOT NULL,
-                    enabled INTEGER DEFAULT 1,
-                    detection_safety_critical INTEGER DEFAULT 1,
-                    detection_spam_scams INTEGER DEFAULT 1,
-                    threshold_delete INTEGER DEFAULT 85,
-                    threshold_warn INTEGER DEFAULT 75,
-                    threshold_escalate INTEGER DEFAULT 60,
-                    threshold_ignore INTEGER DEFAULT 40,
-                    exempt_roles TEXT DEFAULT NULL,
-                    exempt_channels TEXT DEFAULT NULL,
-                    exempt_users TEXT DEFAULT NULL,
-                    log_channel_id TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        const safetyBackup = await this.backupDatabase('pre-restore');
 
-            // Create AI moderation logs table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS ai_moderation_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    channel_id TEXT NOT NULL,
-                    message_id TEXT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    message_content TEXT NULL,
-                    categories_detected TEXT NULL,
-                    confidence INTEGER NOT NULL,
-                    severity TEXT DEFAULT 'none',
-                    reasoning TEXT NULL,
-                    action_taken TEXT NOT NULL,
-                    auto_executed INTEGER DEFAULT 0,
-                    executed_by TEXT NULL,
-                    staff_response TEXT DEFAULT 'pending',
-                    response_time_ms INTEGER NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        // Nothing else touches the database until it's reopened - better-sqlite3 calls are synchronous
+        this.db.close();
+        this.isConnected = false;
+        try {
+            for (const suffix of ['-wal', '-shm']) {
+                fs.rmSync(this.dbPath + suffix, { force: true });
+            }
+            fs.copyFileSync(backupPath, this.dbPath);
+        } finally {
+            this.openDatabase();
+        }
 
-            // Create kill switch log table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS ai_killswitch_log (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    action TEXT NOT NULL,
-                    activated_by TEXT NOT NULL,
-                    reason TEXT NULL,
-                    expires_at TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        this.runMigrations();
+        this.guildConfigCache.clear();
+        this.loadGuildConfig();
+        return { restored: name, safetyBackup: safetyBackup.name };
+    }
 
-            // Create AI chat logs table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS ai_chat_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    channel_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    user_message TEXT NOT NULL,
-                    ai_response TEXT NOT NULL,
-                    trigger_type TEXT DEFAULT 'keyword',
-                    tokens_used INTEGER DEFAULT 0,
-                    response_time_ms INTEGER DEFAULT 0,
-                    was_rate_limited INTEGER DEFAULT 0,
-                    injection_blocked INTEGER DEFAULT 0,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+    // Privacy and retention
+    /**
+     * Delete a guild's rows that are older than its retention windows
+     * @param {object} retention - The guild's retention settings ({ aiChatLogsDays: 90, ... } - 0 keeps rows forever)
+     * @returns {object} Rows deleted per table (tables with nothing to delete are left out)
+     */
+    applyRetention(guildId, retention) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
 
-            // Create role_logs table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS role_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NULL,
-                    moderator_id TEXT NULL,
-                    action_type TEXT NOT NULL,
-                    role_id TEXT NOT NULL,
-                    role_name TEXT NOT NULL,
-                    old_values TEXT NULL,
-                    new_values TEXT NULL,
-                    reason TEXT NULL,
-                    timestamp TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            this.db.exec('CREATE INDEX IF NOT EXISTS idx_role_logs_guild ON role_logs(guild_id)');
-
-            // Create verification_logs table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS verification_logs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    verification_type TEXT NOT NULL,
-                    status TEXT NOT NULL,
-                    verified_at TEXT NULL,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
+        const deleted = {};
+        const prune = this.db.transaction(() => {
+            for (const [key, { table, dateColumn, keep }] of Object.entries(RETENTION_TABLES)) {
+                const days = retention[key];
+                if (!days) {
+                    continue;
+                }
 
-            // Create join_roles table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS join_roles (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    role_id TEXT NOT NULL,
-                    role_name TEXT NOT NULL,
-                    priority INTEGER DEFAULT 0,
-                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    UNIQUE(guild_id, role_id)
-                )
-            `);
+                // datetime() reads both SQLite's CURRENT_TIMESTAMP format and ISO strings
+                const result = this.db
+                    .prepare(
+                        `DELETE FROM ${table} WHERE guild_id = ? AND datetime(${dateColumn}) < datetime('now', ?)${keep ? ` AND NOT (${keep})` : ''}`
+                    )
+                    .run(guildId, `-${days} days`);
+                if (result.changes > 0) {
+                    deleted[table] = result.changes;
+                }
+            }
+        });
+        prune();
+        return deleted;
+    }
 
-            // Create unverified_members table
-            this.db.exec(`
-                CREATE TABLE IF NOT EXISTS unverified_members (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    guild_id TEXT NOT NULL,
-                    user_id TEXT NOT NULL,
-                    username TEXT NOT NULL,
-                    joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                    verification_attempts INTEGER DEFAULT 0,
-                    last_attempt TEXT NULL,
-                    kicked_for_inactivity INTEGER DEFAULT 0,
-                    UNIQUE(guild_id, user_id)
-                )
-            `);
+    /**
+     * Every name stored next to a user's ID (the name columns in USER_DATA_COLUMNS) - used to find them in free text
+     * @returns {string[]} Distinct names, longest first
+     */
+    getKnownUsernames(userId) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
 
-            console.log('✅ Database tables initialized successfully!');
-        } catch (error) {
-            console.error('❌ Failed to initialize database tables:', error);
+        const names = new Set();
+        for (const { table, column, name } of USER_DATA_COLUMNS) {
+            if (!name) {
+                continue;
+            }
+            const rows = this.db
+                .prepare(`SELECT DISTINCT ${name} AS name FROM ${table} WHERE ${column} = ? AND ${name} IS NOT NULL`)
+                .all(userId);
+            rows.forEach(row => names.add(row.name));
         }
+        names.delete(PURGED_USERNAME);
+        return [...names].sort((a, b) => b.length - a.length);
+    }
+
+    // Tickets with a transcript saved on disk
+    getTicketTranscripts() {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
+        return this.db
+            .prepare(
+                'SELECT ticket_id, guild_id, creator_id, transcript_path FROM tickets WHERE transcript_path IS NOT NULL'
+            )
+            .all();
+    }
+
+    // Other users' AI moderation logs whose context has lines from this user, with the labels they spoke under
+    getAIModerationContextMentions(userId) {
+        return this.db
+            .prepare("SELECT * FROM ai_moderation_logs WHERE user_id != ? AND context LIKE ? ESCAPE '\\'")
+            .all(userId, toLikePattern(`"${userId}"`))
+            .map(row => ({ row, context: JSON.parse(row.context) }))
+            .map(entry => ({ ...entry, labels: getContextLabels(entry.context, userId) }))
+            .filter(entry => entry.labels.length > 0);
+    }
+
+    // Cases whose details name the user by ID or by one of their names (raid mode rules list other joiners, for one)
+    getModerationDetailsMentions(identities) {
+        const pattern = buildIdentityPattern(identities);
+        return this.db
+            .prepare(
+                `SELECT * FROM moderation_logs WHERE details IS NOT NULL AND (${identities.map(() => "details LIKE ? ESCAPE '\\'").join(' OR ')})`
+            )
+            .all(...identities.map(toLikePattern))
+            .filter(row => row.details.search(pattern) !== -1);
+    }
+
+    /**
+     * Everything stored about a user, across every guild
+     * Besides the rows in USER_DATA_COLUMNS this has the cases whose details mention them and, as
+     * 'ai_moderation_logs.context', their lines in the context of other users' AI moderation logs
+     * @returns {object} { userId, generatedAt, tables: { table: rows } } - tables without rows are left out
+     */
+    exportUserData(userId) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const tables = {};
+        const addRows = (table, rows) => {
+            // A row can match more than one column (a moderator warning themselves)
+            const seen = new Set((tables[table] || []).map(row => JSON.stringify(row)));
+            const newRows = rows.filter(row => !seen.has(JSON.stringify(row)));
+            if (newRows.length > 0) {
+                tables[table] = [...(tables[table] || []), ...newRows];
+            }
+        };
+
+        for (const { table, column } of USER_DATA_COLUMNS) {
+            addRows(table, this.db.prepare(`SELECT * FROM ${table} WHERE ${column} = ?`).all(userId));
+        }
+        addRows('moderation_logs', this.getModerationDetailsMentions([userId, ...this.getKnownUsernames(userId)]));
+        addRows(
+            'ai_moderation_logs.context',
+            this.getAIModerationContextMentions(userId).map(({ row, context, labels }) => ({
+                log_id: row.id,
+                guild_id: row.guild_id,
+                channel_id: row.channel_id,
+                created_at: row.created_at,
+                messages: [...context.messages, ...(context.replyTo ? [context.replyTo] : [])]
+                    .filter(entry => labels.includes(entry.speaker))
+                    .map(entry => entry.content)
+            }))
+        );
+
+        return { userId, generatedAt: new Date().toISOString(), tables };
+    }
+
+    /**
+     * Delete or anonymize a user's data in every table - see USER_DATA_COLUMNS for what happens where.
+     * Their names and ID are also replaced in case details, and their lines in other users' AI moderation
+     * context are blanked ('moderation_logs.details' and 'ai_moderation_logs.context' in the result)
+     * @returns {object} Rows deleted or anonymized per table
+     */
+    purgeUserData(userId) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const affected = {};
+        const count = (key, changes) => {
+            if (changes > 0) {
+                affected[key] = (affected[key] || 0) + changes;
+            }
+        };
+
+        const purge = this.db.transaction(() => {
+            // Names are looked up before the loop below overwrites them
+            const identities = [userId, ...this.getKnownUsernames(userId)];
+            const pattern = buildIdentityPattern(identities);
+            for (const row of this.getModerationDetailsMentions(identities)) {
+                const details = replaceInJson(JSON.parse(row.details), pattern, match =>
+                    match === userId ? PURGED_USER_ID : PURGED_USERNAME
+                );
+                count(
+                    'moderation_logs.details',
+                    this.db
+                        .prepare('UPDATE moderation_logs SET details = ? WHERE id = ?')
+                        .run(JSON.stringify(details), row.id).changes
+                );
+            }
+
+            for (const { row, context, labels } of this.getAIModerationContextMentions(userId)) {
+                const redact = entry =>
+                    entry && labels.includes(entry.speaker) ? { ...entry, content: PURGED_MESSAGE } : entry;
+                const speakers = Object.fromEntries(
+                    Object.entries(context.speakers).filter(([label]) => !labels.includes(label))
+                );
+                const redacted = {
+                    ...context,
+                    messages: context.messages.map(redact),
+                    replyTo: redact(context.replyTo),
+                    speakers
+                };
+                count(
+                    'ai_moderation_logs.context',
+                    this.db
+                        .prepare('UPDATE ai_moderation_logs SET context = ? WHERE id = ?')
+                        .run(JSON.stringify(redacted), row.id).changes
+                );
+            }
+
+            for (const { table, column, purge: action } of USER_DATA_COLUMNS) {
+                const result =
+                    action === 'delete'
+                        ? this.db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(userId)
+                        : this.db
+                              .prepare(
+                                  `UPDATE ${table} SET ${Object.keys(action)
+                                      .map(key => `${key} = ?`)
+                                      .join(', ')} WHERE ${column} = ?`
+                              )
+                              .run(...Object.values(action), userId);
+                count(table, result.changes);
+            }
+        });
+        purge();
+        return affected;
+    }
+
+    // Audit log
+    /**
+     * Builds the audit query for a guild - every AUDIT_SOURCES table (or just filters.sources) as one UNION
+     * @param {object} filters - { actor, target, sources, action, from, to, query }
+     * @param {object} options - { includeGlobal } - also match bot-wide rows (for bot owners only)
+     * @returns {object} { sql, params } with the filters in a trailing WHERE, or { error } for a bad filter
+     */
+    buildAuditQuery(guildId, filters = {}, { includeGlobal = false } = {}) {
+        const requested = Array.isArray(filters.sources) ? filters.sources : String(filters.sources || '').split(',');
+        const sources = requested.map(source => source.trim()).filter(Boolean);
+        const unknown = sources.filter(source => !AUDIT_SOURCES[source]);
+        if (unknown.length > 0) {
+            return { error: `Unknown audit source(s): ${unknown.join(', ')}` };
+        }
+
+        const params = [];
+        const branches = (sources.length > 0 ? sources : Object.keys(AUDIT_SOURCES)).map(name => {
+            const { table, guildFilter, globalFilter, where, columns } = AUDIT_SOURCES[name];
+            // datetime() reads both SQLite's CURRENT_TIMESTAMP format and ISO strings
+            const selected = AUDIT_ENTRY_COLUMNS.map(column => {
+                const expression = column === 'created_at' ? `datetime(${columns[column]})` : columns[column];
+                return `${expression} AS ${column}`;
+            });
+            // A source with nothing this caller may see (the kill switch, for non-owners) matches no rows
+            const scopes = [guildFilter, includeGlobal && globalFilter].filter(Boolean);
+            const scope = scopes.length > 0 ? `(${scopes.join(' OR ')})` : 'FALSE';
+            if (guildFilter) {
+                params.push(guildId);
+            }
+            return `SELECT '${name}' AS source, ${selected.join(', ')} FROM ${table} WHERE ${[scope, where].filter(Boolean).join(' AND ')}`;
+        });
+
+        const conditions = [];
+        for (const role of ['actor', 'target']) {
+            if (filters[role]) {
+                conditions.push(`(${role}_id = ? OR ${role}_name LIKE ? ESCAPE '\\')`);
+                params.push(String(filters[role]), toLikePattern(filters[role]));
+            }
+        }
+        if (filters.action) {
+            conditions.push("action LIKE ? ESCAPE '\\'");
+            params.push(toLikePattern(filters.action));
+        }
+        for (const [key, operator] of [
+            ['from', '>='],
+            ['to', '<=']
+        ]) {
+            if (!filters[key]) {
+                continue;
+            }
+            const timestamp = toAuditTimestamp(filters[key], key === 'to');
+            if (!timestamp) {
+                return { error: `"${filters[key]}" is not a valid date` };
+            }
+            conditions.push(`created_at ${operator} ?`);
+            params.push(timestamp);
+        }
+        if (filters.query) {
+            const searched = ['action', 'actor_name', 'target_name', 'summary', 'details', 'reference'];
+            conditions.push(
+                `(actor_id = ? OR target_id = ? OR ${searched.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`
+            );
+            const pattern = toLikePattern(filters.query);
+            params.push(String(filters.query), String(filters.query), ...searched.map(() => pattern));
+        }
+
+        const sql = `SELECT * FROM (${branches.join(' UNION ALL ')})${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+        return { sql, params };
+    }
+
+    /**
+     * One page of a guild's audit log, newest first
+     * @param {object} filters - See buildAuditQuery - actor and target match an ID or part of a name
+     * @param {object} page - { cursor, limit, includeGlobal } - cursor is the nextCursor of the previous page,
+     * includeGlobal adds the bot-wide entries (for bot owners only)
+     * @returns {object} { entries, nextCursor } (nextCursor is null on the last page), or { error }
+     */
+    searchAuditLog(guildId, filters = {}, { cursor = null, limit = AUDIT_PAGE_SIZE, includeGlobal = false } = {}) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const query = this.buildAuditQuery(guildId, filters, { includeGlobal });
+        if (query.error) {
+            return query;
+        }
+
+        let { sql } = query;
+        const params = [...query.params];
+        if (cursor) {
+            const after = decodeAuditCursor(cursor);
+            if (!after) {
+                return { error: 'Invalid cursor' };
+            }
+            sql = `SELECT * FROM (${sql}) WHERE created_at < ? OR (created_at = ? AND source > ?) OR (created_at = ? AND source = ? AND id < ?)`;
+            params.push(after.createdAt, after.createdAt, after.source, after.createdAt, after.source, after.id);
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || AUDIT_PAGE_SIZE, 1), AUDIT_MAX_PAGE_SIZE);
+        // One extra row tells us whether there's another page
+        const rows = this.db
+            .prepare(`${sql} ORDER BY created_at DESC, source ASC, id DESC LIMIT ?`)
+            .all(...params, pageSize + 1);
+        const entries = rows.slice(0, pageSize);
+        return {
+            entries,
+            nextCursor: rows.length > pageSize ? encodeAuditCursor(entries[entries.length - 1]) : null
+        };
+    }
+
+    /**
+     * Every audit entry matching the filters, newest first, for CSV/JSON export
+     * @param {object} options - { includeGlobal } - see searchAuditLog
+     * @returns {object} { entries, truncated } - truncated when there were more than AUDIT_EXPORT_MAX_ROWS, or { error }
+     */
+    exportAuditLog(guildId, filters = {}, { includeGlobal = false } = {}) {
+        if (!this.isConnected || !this.db) {
+            throw new Error('Database not connected');
+        }
+
+        const query = this.buildAuditQuery(guildId, filters, { includeGlobal });
+        if (query.error) {
+            return query;
+        }
+
+        const rows = this.db
+            .prepare(`${query.sql} ORDER BY created_at DESC, source ASC, id DESC LIMIT ?`)
+            .all(...query.params, AUDIT_EXPORT_MAX_ROWS + 1);
+        return { entries: rows.slice(0, AUDIT_EXPORT_MAX_ROWS), truncated: rows.length > AUDIT_EXPORT_MAX_ROWS };
+    }
+
+    getAuditSources() {
+        return Object.keys(AUDIT_SOURCES);
     }
 
     // Helper method for running queries
@@ -502,143 +1170,1058 @@ class DatabaseManager {
                 return { affectedRows: result.changes, insertId: result.lastInsertRowid };
             }
         } catch (error) {
-            console.error('❌ Database query error:', error);
-            throw error;
+            console.error('❌ Database query error:', error);
+            throw error;
+        }
+    }
+
+    // Guild Configuration
+    loadGuildConfig() {
+        this.guildConfigCache.clear();
+        try {
+            const rows = this.db.prepare('SELECT guild_id, setting_key, value FROM guild_config').all();
+            for (const row of rows) {
+                // Settings that were removed from the schema are ignored rather than deleted
+                if (!GUILD_CONFIG_SCHEMA[row.setting_key]) {
+                    continue;
+                }
+                if (!this.guildConfigCache.has(row.guild_id)) {
+                    this.guildConfigCache.set(row.guild_id, {});
+                }
+                this.guildConfigCache.get(row.guild_id)[row.setting_key] = JSON.parse(row.value);
+            }
+        } catch (error) {
+            console.error('❌ Failed to load guild config:', error);
+        }
+    }
+
+    getGuildConfigDefault(key) {
+        const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), config);
+        if (value !== undefined) {
+            return value;
+        }
+        const definition = GUILD_CONFIG_SCHEMA[key];
+        if (definition.type.endsWith('[]')) {
+            return [];
+        }
+        return { boolean: false, integer: 0, number: 0, enum: definition.values?.[0], snowflake: '' }[definition.type];
+    }
+
+    // Effective settings for a guild, shaped like config.json (settings.antiRaid.timeWindow etc.)
+    // Works without a database connection - guilds then just get the config.json defaults
+    getGuildConfig(guildId) {
+        const settings = {
+            antiRaid: { ...config.antiRaid },
+            antiNuke: { ...config.antiNuke },
+            adminMonitoring: { ...config.adminMonitoring },
+            lockdown: { ...config.lockdown },
+            logging: { ...config.logging },
+            dashboard: { ...config.dashboard },
+            retention: { ...config.retention }
+        };
+        const overrides = this.guildConfigCache.get(guildId) || {};
+
+        for (const key of Object.keys(GUILD_CONFIG_SCHEMA)) {
+            const parts = key.split('.');
+            const field = parts.pop();
+            const target = parts.reduce((node, part) => node[part], settings);
+            target[field] = key in overrides ? overrides[key] : this.getGuildConfigDefault(key);
+        }
+
+        return settings;
+    }
+
+    // Just the guild's own overrides ({ 'antiRaid.joinThreshold': 20 }), used for config_audit snapshots
+    getGuildConfigOverrides(guildId) {
+        return { ...this.guildConfigCache.get(guildId) };
+    }
+
+    // Every editable setting with its current value, for /config get and the dashboard
+    getGuildConfigEntries(guildId) {
+        const overrides = this.guildConfigCache.get(guildId) || {};
+        return Object.entries(GUILD_CONFIG_SCHEMA).map(([key, definition]) => ({
+            key,
+            ...definition,
+            value: key in overrides ? overrides[key] : this.getGuildConfigDefault(key),
+            overridden: key in overrides
+        }));
+    }
+
+    // Converts a raw value (slash command text or dashboard JSON) to the setting's type
+    // Returns { value } or { error } with a message that can be shown to the user
+    parseGuildConfigValue(key, rawValue) {
+        const definition = GUILD_CONFIG_SCHEMA[key];
+        if (!definition) {
+            return { error: `Unknown setting \`${key}\`` };
+        }
+        return this.parseSettingValue(key, definition, rawValue);
+    }
+
+    parseSettingValue(key, definition, rawValue) {
+        const isEmpty =
+            rawValue === null ||
+            rawValue === undefined ||
+            (typeof rawValue === 'string' && ['', 'none', 'clear'].includes(rawValue.trim().toLowerCase()));
+        const toList = value =>
+            (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+                .map(item => String(item).trim())
+                .filter(Boolean);
+        // Accept <#channel>, <@&role> and <@user> mentions as well as bare IDs
+        const toSnowflake = value =>
+            String(value)
+                .trim()
+                .replace(/^<(?:#|@&?)(\d+)>$/, '$1');
+        const isSnowflake = value => /^\d{17,20}$/.test(value);
+
+        switch (definition.type) {
+            case 'boolean': {
+                if (typeof rawValue === 'boolean') {
+                    return { value: rawValue };
+                }
+                const text = String(rawValue).trim().toLowerCase();
+                if (['true', 'on', 'yes', 'enabled', '1'].includes(text)) {
+                    return { value: true };
+                }
+                if (['false', 'off', 'no', 'disabled', '0'].includes(text)) {
+                    return { value: false };
+                }
+                return { error: `\`${key}\` must be true or false` };
+            }
+            case 'integer':
+            case 'number': {
+                const number = typeof rawValue === 'number' ? rawValue : Number(String(rawValue).trim());
+                if (
+                    isEmpty ||
+                    !Number.isFinite(number) ||
+                    (definition.type === 'integer' && !Number.isInteger(number))
+                ) {
+                    return {
+                        error: `\`${key}\` must be a ${definition.type === 'integer' ? 'whole number' : 'number'}`
+                    };
+                }
+                if (number < definition.min || number > definition.max) {
+                    return { error: `\`${key}\` must be between ${definition.min} and ${definition.max}` };
+                }
+                return { value: number };
+            }
+            case 'enum': {
+                const text = String(rawValue).trim().toLowerCase();
+                if (!definition.values.includes(text)) {
+                    return { error: `\`${key}\` must be one of: ${definition.values.join(', ')}` };
+                }
+                return { value: text };
+            }
+            case 'enum[]': {
+                const items = isEmpty ? [] : toList(rawValue).map(item => item.toUpperCase());
+                const invalid = items.filter(item => !definition.values.includes(item));
+                if (invalid.length > 0) {
+                    return {
+                        error: `Invalid value(s) for \`${key}\`: ${invalid.join(', ')} (allowed: ${definition.values.join(', ')})`
+                    };
+                }
+                return { value: [...new Set(items)] };
+            }
+            case 'snowflake': {
+                if (isEmpty) {
+                    return { value: '' };
+                }
+                const id = toSnowflake(rawValue);
+                if (!isSnowflake(id)) {
+                    return { error: `\`${key}\` must be a Discord ID or mention` };
+                }
+                return { value: id };
+            }
+            case 'snowflake[]': {
+                const ids = isEmpty ? [] : toList(rawValue).map(toSnowflake);
+                const invalid = ids.filter(id => !isSnowflake(id));
+                if (invalid.length > 0) {
+                    return { error: `Invalid ID(s) for \`${key}\`: ${invalid.join(', ')}` };
+                }
+                return { value: [...new Set(ids)] };
+            }
+            case 'string': {
+                const text = rawValue === null || rawValue === undefined ? '' : String(rawValue);
+                if (text.length > definition.maxLength) {
+                    return { error: `\`${key}\` can be at most ${definition.maxLength} characters` };
+                }
+                return { value: text };
+            }
+            case 'color': {
+                if (isEmpty) {
+                    return { value: '' };
+                }
+                const color = String(rawValue).trim().toLowerCase();
+                if (!/^#[0-9a-f]{6}$/.test(color)) {
+                    return { error: `\`${key}\` must be a hex color like #00ff00` };
+                }
+                return { value: color };
+            }
+            case 'string[]': {
+                // Stored lists may be JSON arrays, the dashboard sends arrays and commands send comma/line separated text
+                let items = rawValue;
+                if (typeof rawValue === 'string' && rawValue.trim().startsWith('[')) {
+                    try {
+                        items = JSON.parse(rawValue);
+                    } catch {
+                        items = rawValue;
+                    }
+                }
+                items = isEmpty
+                    ? []
+                    : (Array.isArray(items) ? items : String(items).split(/[,\n]+/))
+                          .map(item => String(item).trim())
+                          .map(item => (definition.lowercase ? item.toLowerCase() : item))
+                          .filter(Boolean);
+                const invalid = definition.pattern ? items.filter(item => !definition.pattern.test(item)) : [];
+                if (invalid.length > 0) {
+                    return { error: `Invalid value(s) for \`${key}\`: ${invalid.join(', ')}` };
+                }
+                if (items.length > definition.maxItems) {
+                    return { error: `\`${key}\` can have at most ${definition.maxItems} entries` };
+                }
+                return { value: [...new Set(items)] };
+            }
+            default:
+                return { error: `Setting \`${key}\` has an unsupported type` };
+        }
+    }
+
+    // Validates a dashboard payload against one of SETTINGS_SCHEMAS - nested objects are read as dotted keys
+    // Returns { values } with every value converted, or { errors } listing every problem
+    validateSettings(scope, payload) {
+        const schema = SETTINGS_SCHEMAS[scope];
+        if (!schema) {
+            return { errors: [`Unknown settings scope \`${scope}\``] };
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { errors: ['Settings must be a JSON object'] };
+        }
+
+        const values = {};
+        const errors = [];
+        for (const [key, rawValue] of Object.entries(flattenSettings(payload))) {
+            const parsed = schema[key]
+                ? this.parseSettingValue(key, schema[key], rawValue)
+                : { error: `Unknown setting \`${key}\`` };
+            if (parsed.error) {
+                errors.push(parsed.error);
+            } else {
+                values[key] = parsed.value;
+            }
+        }
+        if (errors.length === 0 && Object.keys(values).length === 0) {
+            errors.push('No settings provided');
+        }
+        return errors.length > 0 ? { errors } : { values };
+    }
+
+    // A stored row or config block reduced to its schema fields as parsed values, so audit
+    // snapshots compare like with like (a stored 1 and a submitted true are the same setting)
+    normalizeSettings(scope, settings) {
+        if (!settings) {
+            return null;
+        }
+        const schema = SETTINGS_SCHEMAS[scope];
+        const flat = flattenSettings(settings);
+        return Object.fromEntries(
+            Object.keys(schema)
+                .filter(key => key in flat)
+                .map(key => {
+                    const parsed = this.parseSettingValue(key, schema[key], flat[key]);
+                    return [key, parsed.error ? flat[key] : parsed.value];
+                })
+        );
+    }
+
+    async setGuildConfigValue(guildId, key, rawValue, updatedBy = null) {
+        if (!this.isConnected) {
+            return { error: 'Database not available' };
+        }
+        const parsed = this.parseGuildConfigValue(key, rawValue);
+        if (parsed.error) {
+            return parsed;
+        }
+        try {
+            await this.query(
+                `INSERT INTO guild_config (guild_id, setting_key, value, updated_by, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+                 ON CONFLICT(guild_id, setting_key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+                [guildId, key, JSON.stringify(parsed.value), updatedBy]
+            );
+            if (!this.guildConfigCache.has(guildId)) {
+                this.guildConfigCache.set(guildId, {});
+            }
+            this.guildConfigCache.get(guildId)[key] = parsed.value;
+            return parsed;
+        } catch (error) {
+            console.error('❌ Failed to save guild setting:', error);
+            return { error: 'Failed to save setting' };
+        }
+    }
+
+    // Drops a guild's override (or all of them when no key is given) so config.json applies again
+    async resetGuildConfigValue(guildId, key = null) {
+        if (!this.isConnected) {
+            return { error: 'Database not available' };
+        }
+        if (key && !GUILD_CONFIG_SCHEMA[key]) {
+            return { error: `Unknown setting \`${key}\`` };
+        }
+        try {
+            const result = key
+                ? await this.query('DELETE FROM guild_config WHERE guild_id = ? AND setting_key = ?', [guildId, key])
+                : await this.query('DELETE FROM guild_config WHERE guild_id = ?', [guildId]);
+            if (!key) {
+                this.guildConfigCache.delete(guildId);
+            } else if (this.guildConfigCache.has(guildId)) {
+                delete this.guildConfigCache.get(guildId)[key];
+            }
+            return { removed: result.affectedRows };
+        } catch (error) {
+            console.error('❌ Failed to reset guild setting:', error);
+            return { error: 'Failed to reset setting' };
+        }
+    }
+
+    // Configuration Audit
+    // Records a settings change as the next version for the guild (null = bot-wide) and scope.
+    // before/after are full snapshots (null = nothing stored); nothing is written when they match
+    logConfigChange(guildId, scope, before, after, actorId = null, revertedFrom = null) {
+        if (!this.isConnected) {
+            return null;
+        }
+        const changes = diffSettings(before, after);
+        if (changes.length === 0) {
+            return null;
+        }
+        try {
+            const insertVersion = this.db.transaction(() => {
+                const { next } = this.db
+                    .prepare(
+                        'SELECT COALESCE(MAX(version), 0) + 1 AS next FROM config_audit WHERE guild_id IS ? AND scope = ?'
+                    )
+                    .get(guildId, scope);
+                const result = this.db
+                    .prepare(
+                        `INSERT INTO config_audit (guild_id, scope, version, actor_id, before_value, after_value, changes, reverted_from)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+                    )
+                    .run(
+                        guildId,
+                        scope,
+                        next,
+                        actorId,
+                        JSON.stringify(before),
+                        JSON.stringify(after),
+                        JSON.stringify(changes),
+                        revertedFrom
+                    );
+                return { id: result.lastInsertRowid, version: next, changes };
+            });
+            return insertVersion();
+        } catch (error) {
+            console.error('❌ Failed to log config change:', error);
+            return null;
+        }
+    }
+
+    parseConfigAuditRow(row) {
+        return {
+            ...row,
+            before_value: JSON.parse(row.before_value),
+            after_value: JSON.parse(row.after_value),
+            changes: JSON.parse(row.changes)
+        };
+    }
+
+    async getConfigHistory(guildId, scope = null, limit = 50) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            let sql = 'SELECT * FROM config_audit WHERE guild_id IS ?';
+            const params = [guildId];
+            if (scope) {
+                sql += ' AND scope = ?';
+                params.push(scope);
+            }
+            sql += ' ORDER BY id DESC LIMIT ?';
+            params.push(limit);
+            const rows = await this.query(sql, params);
+            return rows.map(row => this.parseConfigAuditRow(row));
+        } catch (error) {
+            console.error('❌ Failed to get config history:', error);
+            return [];
+        }
+    }
+
+    async getConfigAuditEntry(guildId, auditId) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query('SELECT * FROM config_audit WHERE id = ? AND guild_id IS ?', [
+                auditId,
+                guildId
+            ]);
+            return result[0] ? this.parseConfigAuditRow(result[0]) : null;
+        } catch (error) {
+            console.error('❌ Failed to get config audit entry:', error);
+            return null;
+        }
+    }
+
+    // Ticket Management
+    async saveTicket(ticketData) {
+        try {
+            await this.query(
+                `INSERT INTO tickets (ticket_id, guild_id, channel_id, creator_id, creator_username, subject, description, priority, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    ticketData.ticketId,
+                    ticketData.guildId || null,
+                    ticketData.channelId,
+                    ticketData.creatorId,
+                    ticketData.creatorUsername,
+                    ticketData.subject,
+                    ticketData.description,
+                    ticketData.priority || 'medium',
+                    'open'
+                ]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save ticket:', error);
+            return false;
+        }
+    }
+
+    // Returns false if the ticket was already claimed or closed
+    async claimTicket(channelId, claimedBy, claimedByUsername) {
+        try {
+            const result = await this.query(
+                `UPDATE tickets SET status = 'claimed', claimed_by = ?, claimed_by_username = ?, claimed_at = datetime('now'), updated_at = datetime('now')
+                 WHERE channel_id = ? AND status = 'open'`,
+                [claimedBy, claimedByUsername, channelId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to claim ticket:', error);
+            return false;
+        }
+    }
+
+    async closeTicket(channelId, closedBy, closedByUsername, transcriptPath = null) {
+        try {
+            const result = await this.query(
+                `UPDATE tickets SET status = 'closed', closed_by = ?, closed_by_username = ?, closed_at = datetime('now'), transcript_path = ?, updated_at = datetime('now')
+                 WHERE channel_id = ? AND status IN ('open', 'claimed')`,
+                [closedBy, closedByUsername, transcriptPath, channelId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to close ticket:', error);
+            return false;
+        }
+    }
+
+    async deleteTicket(channelId) {
+        try {
+            await this.query(`UPDATE tickets SET status = 'deleted' WHERE channel_id = ?`, [channelId]);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to delete ticket:', error);
+            return false;
+        }
+    }
+
+    async getTicket(channelId) {
+        try {
+            const results = await this.query(`SELECT * FROM tickets WHERE channel_id = ? LIMIT 1`, [channelId]);
+            return results.length > 0 ? results[0] : null;
+        } catch (error) {
+            console.error('❌ Failed to get ticket:', error);
+            return null;
+        }
+    }
+
+    async getOpenTicketByCreator(guildId, creatorId) {
+        try {
+            const results = await this.query(
+                `SELECT * FROM tickets WHERE guild_id = ? AND creator_id = ? AND status IN ('open', 'claimed') LIMIT 1`,
+                [guildId, creatorId]
+            );
+            return results.length > 0 ? results[0] : null;
+        } catch (error) {
+            console.error('❌ Failed to get open ticket:', error);
+            return null;
+        }
+    }
+
+    async getNextTicketNumber(guildId) {
+        try {
+            const results = await this.query('SELECT COUNT(*) as count FROM tickets WHERE guild_id = ?', [guildId]);
+            return (results[0]?.count || 0) + 1;
+        } catch (error) {
+            console.error('❌ Failed to get next ticket number:', error);
+            return Date.now() % 100000;
+        }
+    }
+
+    async getTicketStats(guildId = null) {
+        try {
+            const results = await this.query(
+                `SELECT
+                     COUNT(*) as total_tickets,
+                     SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) as open_tickets,
+                     SUM(CASE WHEN status = 'claimed' THEN 1 ELSE 0 END) as claimed_tickets,
+                     SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_tickets,
+                     SUM(CASE WHEN status = 'deleted' THEN 1 ELSE 0 END) as deleted_tickets,
+                     AVG(CASE WHEN claimed_at IS NOT NULL
+                         THEN (julianday(claimed_at) - julianday(created_at)) * 24 * 60
+                         END) as avg_claim_time_minutes
+                 FROM tickets WHERE created_at >= datetime('now', '-30 days')
+                     AND (? IS NULL OR guild_id = ?)`,
+                [guildId, guildId]
+            );
+            return results[0];
+        } catch (error) {
+            console.error('❌ Failed to get ticket stats:', error);
+            return null;
+        }
+    }
+
+    // Staff Statistics
+    async updateStaffStats(userId, username, action, responseTime = null) {
+        try {
+            const existing = await this.query('SELECT id FROM staff_stats WHERE user_id = ?', [userId]);
+
+            if (existing.length > 0) {
+                let sql = `UPDATE staff_stats SET username = ?, ${action} = ${action} + 1, last_activity = datetime('now')`;
+                const params = [username];
+                if (responseTime) {
+                    sql += `, total_response_time = total_response_time + ?, response_count = response_count + 1`;
+                    params.push(responseTime);
+                }
+                sql += ` WHERE user_id = ?`;
+                params.push(userId);
+                await this.query(sql, params);
+            } else {
+                await this.query(
+                    `INSERT INTO staff_stats (user_id, username, ${action}, total_response_time, response_count) VALUES (?, ?, 1, ?, ?)`,
+                    [userId, username, responseTime || 0, responseTime ? 1 : 0]
+                );
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to update staff stats:', error);
+            return false;
+        }
+    }
+
+    async getStaffLeaderboard(limit = 10) {
+        try {
+            return await this.query(`
+                SELECT username, tickets_claimed, tickets_closed, tickets_deleted,
+                    CASE WHEN response_count > 0 THEN ROUND(total_response_time * 1.0 / response_count / 60000, 2) ELSE 0 END as avg_response_time,
+                    last_activity
+                FROM staff_stats ORDER BY tickets_closed DESC, avg_response_time ASC LIMIT ?
+            `, [limit]);
+        } catch (error) {
+            console.error('❌ Failed to get staff leaderboard:', error);
+            return [];
+        }
+    }
+
+    // Moderation Logging
+    // Every logged action becomes a case numbered per guild - returns the case number, or false on failure
+    async logModeration(
+        guildId,
+        actionType,
+        moderatorId,
+        moderatorUsername,
+        targetId = null,
+        targetUsername = null,
+        reason = null,
+        details = null
+    ) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const insertCase = this.db.transaction(() => {
+                const { next } = this.db
+                    .prepare('SELECT COALESCE(MAX(case_number), 0) + 1 AS next FROM moderation_logs WHERE guild_id = ?')
+                    .get(guildId);
+                this.db
+                    .prepare(
+                        `INSERT INTO moderation_logs (guild_id, case_number, action_type, moderator_id, moderator_username, target_id, target_username, reason, details)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+                    )
+                    .run(
+                        guildId,
+                        next,
+                        actionType,
+                        moderatorId,
+                        moderatorUsername,
+                        targetId,
+                        targetUsername,
+                        reason,
+                        details ? JSON.stringify(details) : null
+                    );
+                return next;
+            });
+            const caseNumber = insertCase();
+            this.emit('moderationLogged', {
+                guildId,
+                caseNumber,
+                actionType,
+                moderatorId,
+                moderatorUsername,
+                targetId,
+                targetUsername,
+                reason
+            });
+            return caseNumber;
+        } catch (error) {
+            console.error('❌ Failed to log moderation action:', error);
+            return false;
+        }
+    }
+
+    async getCase(guildId, caseNumber) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query(
+                'SELECT * FROM moderation_logs WHERE guild_id = ? AND case_number = ? AND deleted = 0',
+                [guildId, caseNumber]
+            );
+            return result[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get case:', error);
+            return null;
+        }
+    }
+
+    async updateCaseReason(guildId, caseNumber, reason, updatedBy) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE moderation_logs SET reason = ?, updated_by = ?, updated_at = datetime('now')
+                 WHERE guild_id = ? AND case_number = ? AND deleted = 0`,
+                [reason, updatedBy, guildId, caseNumber]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to update case reason:', error);
+            return false;
+        }
+    }
+
+    // Cases are soft-deleted so their numbers are never reused
+    async deleteCase(guildId, caseNumber, deletedBy) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE moderation_logs SET deleted = 1, deleted_by = ?, deleted_at = datetime('now')
+                 WHERE guild_id = ? AND case_number = ? AND deleted = 0`,
+                [deletedBy, guildId, caseNumber]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete case:', error);
+            return false;
+        }
+    }
+
+    async getUserCases(guildId, userId, limit = 25, offset = 0) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            return await this.query(
+                `SELECT * FROM moderation_logs
+                 WHERE guild_id = ? AND target_id = ? AND deleted = 0
+                 ORDER BY case_number DESC LIMIT ? OFFSET ?`,
+                [guildId, userId, limit, offset]
+            );
+        } catch (error) {
+            console.error('❌ Failed to get user cases:', error);
+            return [];
+        }
+    }
+
+    async countUserCases(guildId, userId) {
+        if (!this.isConnected) {
+            return 0;
+        }
+        try {
+            const rows = await this.query(
+                'SELECT COUNT(*) AS count FROM moderation_logs WHERE guild_id = ? AND target_id = ? AND deleted = 0',
+                [guildId, userId]
+            );
+            return rows[0].count;
+        } catch (error) {
+            console.error('❌ Failed to count user cases:', error);
+            return 0;
+        }
+    }
+
+    // Warning System
+    // Warnings are soft-deleted (active = 0) so the history survives removals; expired warnings stop counting
+    async addWarning(guildId, userId, username, moderatorId, moderatorUsername, reason, expiresInDays = null) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query(
+                `INSERT INTO warnings (guild_id, user_id, username, moderator_id, moderator_username, reason, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', '+' || ? || ' days') END)`,
+                [guildId, userId, username, moderatorId, moderatorUsername, reason, expiresInDays, expiresInDays]
+            );
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('❌ Failed to add warning:', error);
+            return null;
+        }
+    }
+
+    async getWarnings(guildId, userId) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            return await this.query(
+                `SELECT * FROM warnings
+                 WHERE guild_id = ? AND user_id = ? AND active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
+                 ORDER BY created_at ASC, id ASC`,
+                [guildId, userId]
+            );
+        } catch (error) {
+            console.error('❌ Failed to get warnings:', error);
+            return [];
+        }
+    }
+
+    async getGuildWarnings(guildId) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            return await this.query(
+                `SELECT * FROM warnings
+                 WHERE guild_id = ? AND active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))
+                 ORDER BY created_at DESC, id DESC`,
+                [guildId]
+            );
+        } catch (error) {
+            console.error('❌ Failed to get guild warnings:', error);
+            return [];
+        }
+    }
+
+    async getWarningCount(guildId, userId) {
+        if (!this.isConnected) {
+            return 0;
+        }
+        try {
+            const result = await this.query(
+                `SELECT COUNT(*) as count FROM warnings
+                 WHERE guild_id = ? AND user_id = ? AND active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+                [guildId, userId]
+            );
+            return result[0]?.count || 0;
+        } catch (error) {
+            console.error('❌ Failed to get warning count:', error);
+            return 0;
+        }
+    }
+
+    async removeWarning(guildId, warningId, removedBy) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE warnings SET active = 0, removed_by = ?, removed_at = datetime('now')
+                 WHERE guild_id = ? AND id = ? AND active = 1`,
+                [removedBy, guildId, warningId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to remove warning:', error);
+            return false;
+        }
+    }
+
+    async clearWarnings(guildId, userId, removedBy) {
+        if (!this.isConnected) {
+            return 0;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE warnings SET active = 0, removed_by = ?, removed_at = datetime('now')
+                 WHERE guild_id = ? AND user_id = ? AND active = 1 AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+                [removedBy, guildId, userId]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            console.error('❌ Failed to clear warnings:', error);
+            return 0;
+        }
+    }
+
+    // Temporary Bans
+    // A user has at most one active temp ban per guild; re-banning replaces the previous expiry
+    async addTempBan(guildId, userId, username, moderatorId, moderatorUsername, reason, durationMs) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            await this.resolveTempBan(guildId, userId);
+            const result = await this.query(
+                `INSERT INTO temp_bans (guild_id, user_id, username, moderator_id, moderator_username, reason, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))`,
+                [guildId, userId, username, moderatorId, moderatorUsername, reason, Math.ceil(durationMs / 1000)]
+            );
+            return Number(result.insertId);
+        } catch (error) {
+            console.error('❌ Failed to add temp ban:', error);
+            return null;
+        }
+    }
+
+    async getExpiredTempBans() {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            return await this.query(`
+                SELECT * FROM temp_bans
+                WHERE active = 1 AND expires_at <= datetime('now')
+                ORDER BY expires_at ASC
+            `);
+        } catch (error) {
+            console.error('❌ Failed to get expired temp bans:', error);
+            return [];
+        }
+    }
+
+    async getActiveTempBan(guildId, userId) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query(
+                'SELECT * FROM temp_bans WHERE guild_id = ? AND user_id = ? AND active = 1',
+                [guildId, userId]
+            );
+            return result[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get temp ban:', error);
+            return null;
         }
     }
 
-    // Ticket Management
-    async saveTicket(ticketData) {
+    async resolveTempBan(guildId, userId) {
+        if (!this.isConnected) {
+            return false;
+        }
         try {
-            await this.query(`
-                INSERT INTO tickets (ticket_id, channel_id, creator_id, creator_username, subject, description, priority, status)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [ticketData.ticketId, ticketData.channelId, ticketData.creatorId, ticketData.creatorUsername,
-                ticketData.subject, ticketData.description, ticketData.priority, 'open']);
-            return true;
+            const result = await this.query(
+                `UPDATE temp_bans SET active = 0, resolved_at = datetime('now')
+                 WHERE guild_id = ? AND user_id = ? AND active = 1`,
+                [guildId, userId]
+            );
+            return result.affectedRows > 0;
         } catch (error) {
-            console.error('❌ Failed to save ticket:', error);
+            console.error('❌ Failed to resolve temp ban:', error);
             return false;
         }
     }
 
-    async claimTicket(channelId, claimedBy, claimedByUsername) {
+    // Reaction Roles
+    // Saves a menu and its emoji -> role mappings in one transaction
+    createReactionRoleMenu(menu, roles) {
+        if (!this.isConnected) {
+            return null;
+        }
         try {
-            await this.query(`
-                UPDATE tickets SET status = 'claimed', claimed_by = ?, claimed_by_username = ?, claimed_at = datetime('now')
-                WHERE channel_id = ? AND status = 'open'
-            `, [claimedBy, claimedByUsername, channelId]);
-            return true;
+            const insertMenu = this.db.transaction(() => {
+                const result = this.db
+                    .prepare(
+                        `INSERT INTO reaction_role_menus (guild_id, channel_id, message_id, menu_type, mode, max_roles, title, created_by)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+                    )
+                    .run(
+                        menu.guildId,
+                        menu.channelId,
+                        menu.messageId,
+                        menu.type,
+                        menu.mode,
+                        menu.maxRoles || null,
+                        menu.title || null,
+                        menu.createdBy
+                    );
+
+                const insertRole = this.db
+                    .prepare(`INSERT INTO reaction_roles (guild_id, message_id, channel_id, emoji, role_id, role_name, created_by)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)`);
+                for (const role of roles) {
+                    insertRole.run(
+                        menu.guildId,
+                        menu.messageId,
+                        menu.channelId,
+                        role.emoji,
+                        role.roleId,
+                        role.roleName,
+                        menu.createdBy
+                    );
+                }
+                return Number(result.lastInsertRowid);
+            });
+            return insertMenu();
         } catch (error) {
-            console.error('❌ Failed to claim ticket:', error);
-            return false;
+            console.error('❌ Failed to create reaction role menu:', error);
+            return null;
         }
     }
 
-    async closeTicket(channelId, closedBy, closedByUsername) {
+    // Returns every menu (optionally for one guild) with its roles attached
+    async getReactionRoleMenus(guildId = null) {
+        if (!this.isConnected) {
+            return [];
+        }
         try {
-            await this.query(`
-                UPDATE tickets SET status = 'closed', closed_by = ?, closed_by_username = ?, closed_at = datetime('now')
-                WHERE channel_id = ? AND status IN ('open', 'claimed')
-            `, [closedBy, closedByUsername, channelId]);
-            return true;
+            const menus = guildId
+                ? await this.query('SELECT * FROM reaction_role_menus WHERE guild_id = ? ORDER BY id ASC', [guildId])
+                : await this.query('SELECT * FROM reaction_role_menus ORDER BY id ASC');
+            const roles = guildId
+                ? await this.query('SELECT * FROM reaction_roles WHERE guild_id = ? ORDER BY id ASC', [guildId])
+                : await this.query('SELECT * FROM reaction_roles ORDER BY id ASC');
+
+            return menus.map(menu => ({ ...menu, roles: roles.filter(role => role.message_id === menu.message_id) }));
         } catch (error) {
-            console.error('❌ Failed to close ticket:', error);
-            return false;
+            console.error('❌ Failed to get reaction role menus:', error);
+            return [];
         }
     }
 
-    async deleteTicket(channelId) {
+    deleteReactionRoleMenu(messageId) {
+        if (!this.isConnected) {
+            return false;
+        }
         try {
-            await this.query(`UPDATE tickets SET status = 'deleted' WHERE channel_id = ?`, [channelId]);
-            return true;
+            const deleteMenu = this.db.transaction(() => {
+                this.db.prepare('DELETE FROM reaction_roles WHERE message_id = ?').run(messageId);
+                return this.db.prepare('DELETE FROM reaction_role_menus WHERE message_id = ?').run(messageId).changes;
+            });
+            return deleteMenu() > 0;
         } catch (error) {
-            console.error('❌ Failed to delete ticket:', error);
+            console.error('❌ Failed to delete reaction role menu:', error);
             return false;
         }
     }
 
-    async getTicket(channelId) {
+    // Raid Tracking
+    async logRaidJoin(guildId, userId, username, accountAgeDays, rulesTriggered = [], actionTaken = 'none') {
+        if (!this.isConnected) {
+            return false;
+        }
         try {
-            const results = await this.query(`SELECT * FROM tickets WHERE channel_id = ? LIMIT 1`, [channelId]);
-            return results.length > 0 ? results[0] : null;
+            await this.query(
+                `INSERT INTO raid_tracking (guild_id, user_id, username, account_age_days, is_suspicious, action_taken, rules_triggered)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    guildId,
+                    userId,
+                    username,
+                    accountAgeDays,
+                    rulesTriggered.length > 0 ? 1 : 0,
+                    actionTaken,
+                    rulesTriggered.length > 0 ? JSON.stringify(rulesTriggered) : null
+                ]
+            );
+            return true;
         } catch (error) {
-            console.error('❌ Failed to get ticket:', error);
-            return null;
+            console.error('❌ Failed to log raid join:', error);
+            return false;
         }
     }
 
-    async getTicketStats() {
+    // Anti-Nuke Snapshots
+    async saveGuildSnapshot(guildId, snapshot, triggerType = 'scheduled', createdBy = null, keep = 10) {
+        if (!this.isConnected) {
+            return null;
+        }
         try {
-            const results = await this.query(`
-                SELECT
-                    COUNT(*) as total_tickets,
-                    SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) as open_tickets,
-                    SUM(CASE WHEN status = 'claimed' THEN 1 ELSE 0 END) as claimed_tickets,
-                    SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_tickets,
-                    SUM(CASE WHEN status = 'deleted' THEN 1 ELSE 0 END) as deleted_tickets,
-                    AVG(CASE WHEN claimed_at IS NOT NULL
-                        THEN (julianday(claimed_at) - julianday(created_at)) * 24 * 60
-                        END) as avg_claim_time_minutes
-                FROM tickets WHERE created_at >= datetime('now', '-30 days')
-            `);
-            return results[0];
+            const result = await this.query(
+                `INSERT INTO guild_snapshots (guild_id, trigger_type, created_by, role_count, channel_count, data)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    guildId,
+                    triggerType,
+                    createdBy,
+                    snapshot.roles.length,
+                    snapshot.channels.length,
+                    JSON.stringify(snapshot)
+                ]
+            );
+
+            // Only the most recent snapshots are kept per guild
+            await this.query(
+                `DELETE FROM guild_snapshots WHERE guild_id = ? AND id NOT IN (
+                     SELECT id FROM guild_snapshots WHERE guild_id = ? ORDER BY id DESC LIMIT ?
+                 )`,
+                [guildId, guildId, keep]
+            );
+
+            return Number(result.insertId);
         } catch (error) {
-            console.error('❌ Failed to get ticket stats:', error);
+            console.error('❌ Failed to save guild snapshot:', error);
             return null;
         }
     }
 
-    // Staff Statistics
-    async updateStaffStats(userId, username, action, responseTime = null) {
+    // Returns the snapshot with its parsed data - the latest one unless an id is given
+    async getGuildSnapshot(guildId, snapshotId = null) {
+        if (!this.isConnected) {
+            return null;
+        }
         try {
-            const existing = await this.query('SELECT id FROM staff_stats WHERE user_id = ?', [userId]);
-
-            if (existing.length > 0) {
-                let sql = `UPDATE staff_stats SET username = ?, ${action} = ${action} + 1, last_activity = datetime('now')`;
-                const params = [username];
-                if (responseTime) {
-                    sql += `, total_response_time = total_response_time + ?, response_count = response_count + 1`;
-                    params.push(responseTime);
-                }
-                sql += ` WHERE user_id = ?`;
-                params.push(userId);
-                await this.query(sql, params);
-            } else {
-                await this.query(`INSERT INTO staff_stats (user_id, username, ${action}) VALUES (?, ?, 1)`, [userId, username]);
+            const result = snapshotId
+                ? await this.query('SELECT * FROM guild_snapshots WHERE guild_id = ? AND id = ?', [guildId, snapshotId])
+                : await this.query('SELECT * FROM guild_snapshots WHERE guild_id = ? ORDER BY id DESC LIMIT 1', [
+                      guildId
+                  ]);
+            if (!result[0]) {
+                return null;
             }
-            return true;
+            return { ...result[0], data: JSON.parse(result[0].data) };
         } catch (error) {
-            console.error('❌ Failed to update staff stats:', error);
-            return false;
+            console.error('❌ Failed to get guild snapshot:', error);
+            return null;
         }
     }
 
-    async getStaffLeaderboard(limit = 10) {
-        try {
-            return await this.query(`
-                SELECT username, tickets_claimed, tickets_closed, tickets_deleted,
-                    CASE WHEN response_count > 0 THEN ROUND(total_response_time * 1.0 / response_count / 60000, 2) ELSE 0 END as avg_response_time,
-                    last_activity
-                FROM staff_stats ORDER BY tickets_closed DESC, avg_response_time ASC LIMIT ?
-            `, [limit]);
-        } catch (error) {
-            console.error('❌ Failed to get staff leaderboard:', error);
+    async getGuildSnapshots(guildId, limit = 10) {
+        if (!this.isConnected) {
             return [];
         }
-    }
-
-    // Moderation Logging
-    async logModeration(guildId, actionType, moderatorId, moderatorUsername, targetId = null, targetUsername = null, reason = null, details = null) {
         try {
-            await this.query(`
-                INSERT INTO moderation_logs (guild_id, action_type, moderator_id, moderator_username, target_id, target_username, reason, details)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-            `, [guildId, actionType, moderatorId, moderatorUsername, targetId, targetUsername, reason, details ? JSON.stringify(details) : null]);
-            return true;
+            return await this.query(
+                `SELECT id, guild_id, trigger_type, created_by, role_count, channel_count, created_at
+                 FROM guild_snapshots WHERE guild_id = ? ORDER BY id DESC LIMIT ?`,
+                [guildId, limit]
+            );
         } catch (error) {
-            console.error('❌ Failed to log moderation action:', error);
-            return false;
+            console.error('❌ Failed to get guild snapshots:', error);
+            return [];
         }
     }
 
@@ -711,9 +2294,13 @@ class DatabaseManager {
                 SELECT sm.user_id, sm.username, sm.daily_messages, sm.daily_commands, sm.daily_voice_time,
                     sm.weekly_messages, sm.weekly_commands, sm.weekly_voice_time, sm.activity_score,
                     sm.responsiveness_rating, sm.last_message, sm.last_command, sm.last_voice_activity,
-                    COUNT(sa.id) as total_activities
+                    COUNT(sa.id) as total_activities,
+                    COALESCE(ss.tickets_claimed, 0) as tickets_claimed, COALESCE(ss.tickets_closed, 0) as tickets_closed,
+                    COALESCE(ss.tickets_deleted, 0) as tickets_deleted,
+                    CASE WHEN ss.response_count > 0 THEN ROUND(ss.total_response_time * 1.0 / ss.response_count / 60000, 2) ELSE NULL END as avg_response_time
                 FROM staff_metrics sm
                 LEFT JOIN staff_activity sa ON sm.user_id = sa.user_id AND sa.guild_id = ? AND sa.activity_timestamp >= datetime('now', '-' || ? || ' days')
+                LEFT JOIN staff_stats ss ON ss.user_id = sm.user_id
                 WHERE sm.guild_id = ?
                 GROUP BY sm.user_id, sm.username ORDER BY sm.activity_score DESC, sm.last_message DESC
             `, [guildId, days, guildId]);
@@ -825,6 +2412,18 @@ class DatabaseManager {
         }
     }
 
+    async getGuildUserLevels(guildId) {
+        try {
+            return await this.query(
+                'SELECT user_id, username, level, level_up_notifications FROM user_levels WHERE guild_id = ? AND level > 0',
+                [guildId]
+            );
+        } catch (error) {
+            console.error('❌ Failed to get guild user levels:', error);
+            return [];
+        }
+    }
+
     // Role Rewards System
     async addRoleReward(guildId, roleId, roleName, requiredLevel, removePrevious, createdBy) {
         try {
@@ -853,6 +2452,19 @@ class DatabaseManager {
         }
     }
 
+    async removeRoleReward(guildId, roleId) {
+        try {
+            const result = await this.query('DELETE FROM role_rewards WHERE guild_id = ? AND role_id = ?', [
+                guildId,
+                roleId
+            ]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to remove role reward:', error);
+            return false;
+        }
+    }
+
     async getRoleRewardsForLevel(guildId, level) {
         try {
             return await this.query('SELECT * FROM role_rewards WHERE guild_id = ? AND required_level <= ? ORDER BY required_level DESC', [guildId, level]);
@@ -914,6 +2526,59 @@ class DatabaseManager {
         }
     }
 
+    // Auto-Moderation Settings
+    async getAutoModSettings(guildId) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query('SELECT * FROM automod_settings WHERE guild_id = ?', [guildId]);
+            return result[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get auto-mod settings:', error);
+            return null;
+        }
+    }
+
+    // Writes the given automod_settings columns (validated against AUTOMOD_SETTINGS_SCHEMA), creating the row if needed
+    async saveAutoModSettings(guildId, settings) {
+        if (!this.isConnected) {
+            return false;
+        }
+        const columns = Object.keys(settings).filter(column => AUTOMOD_SETTINGS_SCHEMA[column]);
+        const values = columns.map(column => {
+            const value = settings[column];
+            if (typeof value === 'boolean') {
+                return value ? 1 : 0;
+            }
+            return Array.isArray(value) ? JSON.stringify(value) : value;
+        });
+        try {
+            await this.query(
+                `INSERT INTO automod_settings (guild_id${columns.map(column => `, ${column}`).join('')}) VALUES (?${columns.map(() => ', ?').join('')})
+                 ON CONFLICT(guild_id) DO UPDATE SET ${columns.map(column => `${column} = excluded.${column}, `).join('')}updated_at = CURRENT_TIMESTAMP`,
+                [guildId, ...values]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save auto-mod settings:', error);
+            return false;
+        }
+    }
+
+    async deleteAutoModSettings(guildId) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query('DELETE FROM automod_settings WHERE guild_id = ?', [guildId]);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to delete auto-mod settings:', error);
+            return false;
+        }
+    }
+
     // Auto-Moderation Violation Methods
     async logAutoModViolation(guildId, userId, username, violationType, messageContent, channelId, punishmentApplied = null) {
         try {
@@ -957,7 +2622,13 @@ class DatabaseManager {
         try {
             let sql = 'SELECT COUNT(*) as count FROM automod_violations WHERE guild_id = ? AND user_id = ?';
             const params = [guildId, userId];
-            if (violationType) { sql += ' AND violation_type = ?'; params.push(violationType); }
+            if (Array.isArray(violationType)) {
+                sql += ` AND violation_type IN (${violationType.map(() => '?').join(', ')})`;
+                params.push(...violationType);
+            } else if (violationType) {
+                sql += ' AND violation_type = ?';
+                params.push(violationType);
+            }
             if (timeframe) { sql += ` AND created_at >= datetime('now', '-' || ? || ' hours')`; params.push(timeframe); }
             const result = await this.query(sql, params);
             return result[0]?.count || 0;
@@ -1002,28 +2673,75 @@ class DatabaseManager {
     async saveWelcomeSettings(guildId, settings) {
         try {
             const existingSettings = await this.getWelcomeSettings(guildId);
+            // 0 disables the verification timeout kick - omitted fields keep their current value
+            const timeoutHours = settings.verification_timeout_hours ?? existingSettings?.verification_timeout_hours;
+            const verificationTimeoutHours = Math.min(Math.max(parseInt(timeoutHours, 10) || 0, 0), 720);
+            const verificationReminder = settings.verification_reminder ?? existingSettings?.verification_reminder ?? 1;
 
             if (existingSettings) {
-                await this.query(`
-                    UPDATE welcome_settings SET welcome_enabled = ?, welcome_channel_id = ?, welcome_message = ?, welcome_embed_enabled = ?, welcome_color = ?, welcome_dm = ?,
-                    welcome_dm_message = ?, goodbye_enabled = ?, goodbye_channel_id = ?, goodbye_message = ?, goodbye_embed_enabled = ?, goodbye_color = ?,
-                    auto_role_enabled = ?, auto_role_id = ?, verification_enabled = ?, verification_channel_id = ?, verification_message = ?, verification_role_id = ?,
-                    verification_type = ?, verification_emoji = ?, updated_at = datetime('now') WHERE guild_id = ?
-                `, [settings.welcome_enabled ? 1 : 0, settings.welcome_channel_id, settings.welcome_message, settings.welcome_embed_enabled ? 1 : 0, settings.welcome_color || '#00ff00',
-                    settings.welcome_dm ? 1 : 0, settings.welcome_dm_message, settings.goodbye_enabled ? 1 : 0, settings.goodbye_channel_id, settings.goodbye_message,
-                    settings.goodbye_embed_enabled ? 1 : 0, settings.goodbye_color || '#ff0000', settings.auto_role_enabled ? 1 : 0, settings.auto_role_id,
-                    settings.verification_enabled ? 1 : 0, settings.verification_channel_id, settings.verification_message, settings.verification_role_id,
-                    settings.verification_type || 'button', settings.verification_emoji, guildId]);
+                await this.query(
+                    `UPDATE welcome_settings SET welcome_enabled = ?, welcome_channel_id = ?, welcome_message = ?, welcome_embed_enabled = ?, welcome_color = ?, welcome_dm = ?,
+                     welcome_dm_message = ?, goodbye_enabled = ?, goodbye_channel_id = ?, goodbye_message = ?, goodbye_embed_enabled = ?, goodbye_color = ?,
+                     auto_role_enabled = ?, auto_role_id = ?, verification_enabled = ?, verification_channel_id = ?, verification_message = ?, verification_role_id = ?,
+                     verification_type = ?, verification_emoji = ?, verification_timeout_hours = ?, verification_reminder = ?, updated_at = datetime('now') WHERE guild_id = ?`,
+                    [
+                        settings.welcome_enabled ? 1 : 0,
+                        settings.welcome_channel_id,
+                        settings.welcome_message,
+                        settings.welcome_embed_enabled ? 1 : 0,
+                        settings.welcome_color || '#00ff00',
+                        settings.welcome_dm ? 1 : 0,
+                        settings.welcome_dm_message,
+                        settings.goodbye_enabled ? 1 : 0,
+                        settings.goodbye_channel_id,
+                        settings.goodbye_message,
+                        settings.goodbye_embed_enabled ? 1 : 0,
+                        settings.goodbye_color || '#ff0000',
+                        settings.auto_role_enabled ? 1 : 0,
+                        settings.auto_role_id,
+                        settings.verification_enabled ? 1 : 0,
+                        settings.verification_channel_id,
+                        settings.verification_message,
+                        settings.verification_role_id,
+                        settings.verification_type || 'button',
+                        settings.verification_emoji,
+                        verificationTimeoutHours,
+                        verificationReminder ? 1 : 0,
+                        guildId
+                    ]
+                );
             } else {
-                await this.query(`
-                    INSERT INTO welcome_settings (guild_id, welcome_enabled, welcome_channel_id, welcome_message, welcome_embed_enabled, welcome_color, welcome_dm, welcome_dm_message,
-                    goodbye_enabled, goodbye_channel_id, goodbye_message, goodbye_embed_enabled, goodbye_color, auto_role_enabled, auto_role_id, verification_enabled,
-                    verification_channel_id, verification_message, verification_role_id, verification_type, verification_emoji) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [guildId, settings.welcome_enabled ? 1 : 0, settings.welcome_channel_id, settings.welcome_message, settings.welcome_embed_enabled ? 1 : 0, settings.welcome_color || '#00ff00',
-                    settings.welcome_dm ? 1 : 0, settings.welcome_dm_message, settings.goodbye_enabled ? 1 : 0, settings.goodbye_channel_id, settings.goodbye_message,
-                    settings.goodbye_embed_enabled ? 1 : 0, settings.goodbye_color || '#ff0000', settings.auto_role_enabled ? 1 : 0, settings.auto_role_id,
-                    settings.verification_enabled ? 1 : 0, settings.verification_channel_id, settings.verification_message, settings.verification_role_id,
-                    settings.verification_type || 'button', settings.verification_emoji]);
+                await this.query(
+                    `INSERT INTO welcome_settings (guild_id, welcome_enabled, welcome_channel_id, welcome_message, welcome_embed_enabled, welcome_color, welcome_dm, welcome_dm_message,
+                     goodbye_enabled, goodbye_channel_id, goodbye_message, goodbye_embed_enabled, goodbye_color, auto_role_enabled, auto_role_id, verification_enabled,
+                     verification_channel_id, verification_message, verification_role_id, verification_type, verification_emoji, verification_timeout_hours, verification_reminder)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        guildId,
+                        settings.welcome_enabled ? 1 : 0,
+                        settings.welcome_channel_id,
+                        settings.welcome_message,
+                        settings.welcome_embed_enabled ? 1 : 0,
+                        settings.welcome_color || '#00ff00',
+                        settings.welcome_dm ? 1 : 0,
+                        settings.welcome_dm_message,
+                        settings.goodbye_enabled ? 1 : 0,
+                        settings.goodbye_channel_id,
+                        settings.goodbye_message,
+                        settings.goodbye_embed_enabled ? 1 : 0,
+                        settings.goodbye_color || '#ff0000',
+                        settings.auto_role_enabled ? 1 : 0,
+                        settings.auto_role_id,
+                        settings.verification_enabled ? 1 : 0,
+                        settings.verification_channel_id,
+                        settings.verification_message,
+                        settings.verification_role_id,
+                        settings.verification_type || 'button',
+                        settings.verification_emoji,
+                        verificationTimeoutHours,
+                        verificationReminder ? 1 : 0
+                    ]
+                );
             }
             return true;
         } catch (error) {
@@ -1032,6 +2750,16 @@ class DatabaseManager {
         }
     }
 
+    async deleteWelcomeSettings(guildId) {
+        try {
+            await this.query('DELETE FROM welcome_settings WHERE guild_id = ?', [guildId]);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to delete welcome settings:', error);
+            return false;
+        }
+    }
+
     async logVerification(guildId, userId, username, verificationType, status) {
         try {
             await this.query(`INSERT INTO verification_logs (guild_id, user_id, username, verification_type, status, verified_at) VALUES (?, ?, ?, ?, ?, ?)`,
@@ -1092,11 +2820,23 @@ class DatabaseManager {
 
     async trackUnverifiedMember(guildId, userId, username) {
         try {
-            const existing = await this.query('SELECT id FROM unverified_members WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
+            const existing = await this.query('SELECT id FROM unverified_members WHERE guild_id = ? AND user_id = ?', [
+                guildId,
+                userId
+            ]);
             if (existing.length > 0) {
-                await this.query(`UPDATE unverified_members SET verification_attempts = verification_attempts + 1, last_attempt = datetime('now') WHERE id = ?`, [existing[0].id]);
+                // A rejoin restarts the verification timeout
+                await this.query(
+                    `UPDATE unverified_members SET verification_attempts = verification_attempts + 1, last_attempt = datetime('now'),
+                     joined_at = datetime('now'), kicked_for_inactivity = 0, reminder_sent = 0 WHERE id = ?`,
+                    [existing[0].id]
+                );
             } else {
-                await this.query('INSERT INTO unverified_members (guild_id, user_id, username) VALUES (?, ?, ?)', [guildId, userId, username]);
+                await this.query('INSERT INTO unverified_members (guild_id, user_id, username) VALUES (?, ?, ?)', [
+                    guildId,
+                    userId,
+                    username
+                ]);
             }
             return true;
         } catch (error) {
@@ -1124,6 +2864,35 @@ class DatabaseManager {
         }
     }
 
+    // Guilds with verification on and a timeout set - the sweep only looks at these
+    async getVerificationTimeoutGuilds() {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            return await this.query(`
+                SELECT guild_id, verification_timeout_hours, verification_reminder, verification_role_id, verification_type
+                FROM welcome_settings WHERE verification_enabled = 1 AND verification_timeout_hours > 0
+            `);
+        } catch (error) {
+            console.error('❌ Failed to get verification timeout guilds:', error);
+            return [];
+        }
+    }
+
+    async markReminderSent(guildId, userId) {
+        try {
+            await this.query('UPDATE unverified_members SET reminder_sent = 1 WHERE guild_id = ? AND user_id = ?', [
+                guildId,
+                userId
+            ]);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to mark verification reminder sent:', error);
+            return false;
+        }
+    }
+
     async markMemberKicked(guildId, userId) {
         try {
             await this.query('UPDATE unverified_members SET kicked_for_inactivity = 1 WHERE guild_id = ? AND user_id = ?', [guildId, userId]);
@@ -1243,10 +3012,10 @@ class DatabaseManager {
 
             if (existing.length > 0) {
                 await this.query(`UPDATE ai_moderation_settings SET enabled = ?, detection_safety_critical = ?, detection_spam_scams = ?, threshold_delete = ?, threshold_warn = ?, threshold_escalate = ?, threshold_ignore = ?, exempt_roles = ?, exempt_channels = ?, exempt_users = ?, log_channel_id = ?, updated_at = datetime('now') WHERE guild_id = ?`,
-                    [settings.enabled ? 1 : 0, settings.detectionSafetyCritical ? 1 : 0, settings.detectionSpamScams ? 1 : 0, settings.thresholdDelete || 85, settings.thresholdWarn || 75, settings.thresholdEscalate || 60, settings.thresholdIgnore || 40, JSON.stringify(settings.exemptRoles || []), JSON.stringify(settings.exemptChannels || []), JSON.stringify(settings.exemptUsers || []), settings.logChannelId || null, guildId]);
+                    [settings.enabled ? 1 : 0, settings.detectionSafetyCritical ? 1 : 0, settings.detectionSpamScams ? 1 : 0, settings.thresholdDelete ?? 85, settings.thresholdWarn ?? 75, settings.thresholdEscalate ?? 60, settings.thresholdIgnore ?? 40, JSON.stringify(settings.exemptRoles || []), JSON.stringify(settings.exemptChannels || []), JSON.stringify(settings.exemptUsers || []), settings.logChannelId || null, guildId]);
             } else {
                 await this.query(`INSERT INTO ai_moderation_settings (guild_id, enabled, detection_safety_critical, detection_spam_scams, threshold_delete, threshold_warn, threshold_escalate, threshold_ignore, exempt_roles, exempt_channels, exempt_users, log_channel_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [guildId, settings.enabled ? 1 : 0, settings.detectionSafetyCritical ? 1 : 0, settings.detectionSpamScams ? 1 : 0, settings.thresholdDelete || 85, settings.thresholdWarn || 75, settings.thresholdEscalate || 60, settings.thresholdIgnore || 40, JSON.stringify(settings.exemptRoles || []), JSON.stringify(settings.exemptChannels || []), JSON.stringify(settings.exemptUsers || []), settings.logChannelId || null]);
+                    [guildId, settings.enabled ? 1 : 0, settings.detectionSafetyCritical ? 1 : 0, settings.detectionSpamScams ? 1 : 0, settings.thresholdDelete ?? 85, settings.thresholdWarn ?? 75, settings.thresholdEscalate ?? 60, settings.thresholdIgnore ?? 40, JSON.stringify(settings.exemptRoles || []), JSON.stringify(settings.exemptChannels || []), JSON.stringify(settings.exemptUsers || []), settings.logChannelId || null]);
             }
             return true;
         } catch (error) {
@@ -1255,18 +3024,162 @@ class DatabaseManager {
         }
     }
 
+    parseAIModerationLogRow(row) {
+        return {
+            ...row,
+            categoriesDetected: row.categories_detected ? JSON.parse(row.categories_detected) : {},
+            context: row.context ? JSON.parse(row.context) : null
+        };
+    }
+
+    // Returns the log ID - escalations start out 'pending' in the review queue, other actions need no review
     async logAIModeration(logData) {
-        if (!this.isConnected) return false;
+        if (!this.isConnected) {
+            return null;
+        }
         try {
-            await this.query(`INSERT INTO ai_moderation_logs (guild_id, channel_id, message_id, user_id, username, message_content, categories_detected, confidence, severity, reasoning, action_taken, auto_executed, executed_by, response_time_ms) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [logData.guildId, logData.channelId, logData.messageId || null, logData.userId, logData.username, logData.messageContent || null, JSON.stringify(logData.categoriesDetected || {}), logData.confidence, logData.severity || 'none', logData.reasoning || null, logData.actionTaken, logData.autoExecuted ? 1 : 0, logData.executedBy || null, logData.responseTimeMs || null]);
-            return true;
+            const staffResponse = logData.actionTaken === 'escalate' ? 'pending' : 'none';
+            const result = await this.query(
+                `INSERT INTO ai_moderation_logs (guild_id, channel_id, message_id, user_id, username, message_content, categories_detected, confidence, severity, reasoning, action_taken, auto_executed, executed_by, staff_response, response_time_ms, context) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    logData.guildId,
+                    logData.channelId,
+                    logData.messageId || null,
+                    logData.userId,
+                    logData.username,
+                    logData.messageContent || null,
+                    JSON.stringify(logData.categoriesDetected || {}),
+                    logData.confidence,
+                    logData.severity || 'none',
+                    logData.reasoning || null,
+                    logData.actionTaken,
+                    logData.autoExecuted ? 1 : 0,
+                    logData.executedBy || null,
+                    staffResponse,
+                    logData.responseTimeMs || null,
+                    logData.context ? JSON.stringify(logData.context) : null
+                ]
+            );
+            return Number(result.insertId);
         } catch (error) {
             console.error('❌ Failed to log AI moderation:', error);
+            return null;
+        }
+    }
+
+    async getAIModerationLog(guildId, logId) {
+        if (!this.isConnected) {
+            return null;
+        }
+        try {
+            const result = await this.query('SELECT * FROM ai_moderation_logs WHERE guild_id = ? AND id = ?', [
+                guildId,
+                logId
+            ]);
+            return result.length > 0 ? this.parseAIModerationLogRow(result[0]) : null;
+        } catch (error) {
+            console.error('❌ Failed to get AI moderation log:', error);
+            return null;
+        }
+    }
+
+    async setAIReviewMessage(logId, channelId, messageId) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query(
+                'UPDATE ai_moderation_logs SET review_channel_id = ?, review_message_id = ? WHERE id = ?',
+                [channelId, messageId, logId]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save AI review message:', error);
+            return false;
+        }
+    }
+
+    // Oldest first, so the queue is worked in the order things happened
+    async getPendingAIReviews(guildId, limit = 25) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            const result = await this.query(
+                `SELECT * FROM ai_moderation_logs WHERE guild_id = ? AND action_taken = 'escalate' AND staff_response = 'pending' ORDER BY created_at ASC, id ASC LIMIT ?`,
+                [guildId, limit]
+            );
+            return result.map(row => this.parseAIModerationLogRow(row));
+        } catch (error) {
+            console.error('❌ Failed to get pending AI reviews:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Close a pending review - only succeeds while it's still pending, so two reviewers can't both act on it
+     * @param {number} logId - ai_moderation_logs ID
+     * @param {string} staffResponse - 'approved', 'dismissed', 'false_positive' or 'expired'
+     * @param {string|null} reviewedBy - Reviewer's Discord ID (null when it expired)
+     * @param {string|null} reviewAction - Action taken on approval (mute, kick, ban)
+     * @returns {Promise<boolean>} True if this call closed the review
+     */
+    async resolveAIReview(logId, staffResponse, reviewedBy = null, reviewAction = null) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE ai_moderation_logs SET staff_response = ?, reviewed_by = ?, review_action = ?, reviewed_at = datetime('now') WHERE id = ? AND staff_response = 'pending'`,
+                [staffResponse, reviewedBy, reviewAction, logId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to resolve AI review:', error);
+            return false;
+        }
+    }
+
+    // Put a review back in the queue - used when an approved action fails
+    async reopenAIReview(logId) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query(
+                `UPDATE ai_moderation_logs SET staff_response = 'pending', reviewed_by = NULL, review_action = NULL, reviewed_at = NULL WHERE id = ?`,
+                [logId]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to reopen AI review:', error);
             return false;
         }
     }
 
+    // Marks reviews pending for longer than maxAgeHours as expired and returns them
+    async expireStaleAIReviews(maxAgeHours) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            const stale = await this.query(
+                `SELECT * FROM ai_moderation_logs WHERE action_taken = 'escalate' AND staff_response = 'pending' AND created_at < datetime('now', '-' || ? || ' hours')`,
+                [maxAgeHours]
+            );
+            if (stale.length > 0) {
+                await this.query(
+                    `UPDATE ai_moderation_logs SET staff_response = 'expired', reviewed_at = datetime('now') WHERE staff_response = 'pending' AND id IN (${stale.map(() => '?').join(', ')})`,
+                    stale.map(row => row.id)
+                );
+            }
+            return stale;
+        } catch (error) {
+            console.error('❌ Failed to expire stale AI reviews:', error);
+            return [];
+        }
+    }
+
     async getAIModerationLogs(guildId, options = {}) {
         if (!this.isConnected) return [];
         try {
@@ -1279,7 +3192,7 @@ class DatabaseManager {
             sql += ' ORDER BY created_at DESC LIMIT ?';
             params.push(limit);
             const result = await this.query(sql, params);
-            return result.map(row => ({ ...row, categoriesDetected: row.categories_detected ? JSON.parse(row.categories_detected) : {} }));
+            return result.map(row => this.parseAIModerationLogRow(row));
         } catch (error) {
             console.error('❌ Failed to get AI moderation logs:', error);
             return [];
@@ -1295,13 +3208,151 @@ class DatabaseManager {
                 AVG(confidence) as avg_confidence, AVG(response_time_ms) as avg_response_time, COUNT(DISTINCT user_id) as unique_users
                 FROM ai_moderation_logs WHERE guild_id = ? AND created_at >= datetime('now', '-' || ? || ' days')
             `, [guildId, days]);
-            return result[0] || null;
+            if (!result[0]) {
+                return null;
+            }
+            return { ...result[0], precision: summarizeAIPrecision(await this.getAIModerationFeedback(guildId, days)) };
         } catch (error) {
             console.error('❌ Failed to get AI moderation stats:', error);
             return null;
         }
     }
 
+    // Logs staff have judged, with correct = true when they agreed with the AI
+    async getAIModerationFeedback(guildId, days = 30) {
+        if (!this.isConnected) {
+            return [];
+        }
+        try {
+            const result = await this.query(
+                `SELECT id, confidence, categories_detected, action_taken, staff_response FROM ai_moderation_logs
+                 WHERE guild_id = ? AND staff_response IN ('correct', 'approved', 'false_positive') AND created_at >= datetime('now', '-' || ? || ' days')`,
+                [guildId, days]
+            );
+            return result.map(row => ({
+                ...row,
+                categoriesDetected: row.categories_detected ? JSON.parse(row.categories_detected) : {},
+                correct: AI_CORRECT_RESPONSES.includes(row.staff_response)
+            }));
+        } catch (error) {
+            console.error('❌ Failed to get AI moderation feedback:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Record staff feedback on an AI moderation log - pending escalations go through the review queue instead
+     * @param {string} verdict - 'correct' or 'false_positive'
+     * @returns {Promise<boolean>} True if the log was updated
+     */
+    async setAIModerationFeedback(guildId, logId, verdict, reviewedBy) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            const result = await this.query(
+                `UPDATE ai_moderation_logs SET staff_response = ?, reviewed_by = ?, reviewed_at = datetime('now')
+                 WHERE guild_id = ? AND id = ? AND NOT (action_taken = 'escalate' AND staff_response = 'pending')`,
+                [verdict, reviewedBy, guildId, logId]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to save AI moderation feedback:', error);
+            return false;
+        }
+    }
+
+    // { enabled, thresholds: { delete, warn, escalate, ignore }, autoTune, detection, exemptRoles, exemptChannels,
+    // logChannelId } - the ai_moderation config_audit snapshot. null when the guild has no AI moderation settings yet
+    // (AI moderation is off)
+    async getAIModerationTuning(guildId) {
+        const settings = await this.getAIModerationSettings(guildId);
+        if (!settings) {
+            return null;
+        }
+        return {
+            enabled: Boolean(settings.enabled),
+            thresholds: {
+                delete: settings.threshold_delete,
+                warn: settings.threshold_warn,
+                escalate: settings.threshold_escalate,
+                ignore: settings.threshold_ignore
+            },
+            autoTune: settings.auto_tune || 'off',
+            detection: {
+                safetyCritical: Boolean(settings.detection_safety_critical),
+                spamScams: Boolean(settings.detection_spam_scams)
+            },
+            exemptRoles: settings.exemptRoles,
+            exemptChannels: settings.exemptChannels,
+            logChannelId: settings.log_channel_id || null
+        };
+    }
+
+    // autoTuned stamps auto_tuned_at, so auto-tuning can space out its changes
+    async saveAIModerationThresholds(guildId, thresholds, autoTuned = false) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query(
+                `INSERT INTO ai_moderation_settings (guild_id, enabled, threshold_delete, threshold_warn, threshold_escalate, threshold_ignore, auto_tuned_at)
+                 VALUES (?, 0, ?, ?, ?, ?, CASE WHEN ? THEN datetime('now') ELSE NULL END)
+                 ON CONFLICT(guild_id) DO UPDATE SET threshold_delete = excluded.threshold_delete, threshold_warn = excluded.threshold_warn,
+                    threshold_escalate = excluded.threshold_escalate, threshold_ignore = excluded.threshold_ignore,
+                    auto_tuned_at = CASE WHEN ? THEN datetime('now') ELSE ai_moderation_settings.auto_tuned_at END, updated_at = datetime('now')`,
+                [
+                    guildId,
+                    thresholds.delete,
+                    thresholds.warn,
+                    thresholds.escalate,
+                    thresholds.ignore,
+                    autoTuned ? 1 : 0,
+                    autoTuned ? 1 : 0
+                ]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save AI moderation thresholds:', error);
+            return false;
+        }
+    }
+
+    async setAIModerationAutoTune(guildId, mode) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query(
+                `INSERT INTO ai_moderation_settings (guild_id, enabled, auto_tune) VALUES (?, 0, ?)
+                 ON CONFLICT(guild_id) DO UPDATE SET auto_tune = excluded.auto_tune, updated_at = datetime('now')`,
+                [guildId, mode]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save AI moderation auto-tune mode:', error);
+            return false;
+        }
+    }
+
+    // AI moderation is opt-in - it only runs in guilds where this was turned on
+    async setAIModerationEnabled(guildId, enabled) {
+        if (!this.isConnected) {
+            return false;
+        }
+        try {
+            await this.query(
+                `INSERT INTO ai_moderation_settings (guild_id, enabled) VALUES (?, ?)
+                 ON CONFLICT(guild_id) DO UPDATE SET enabled = excluded.enabled, updated_at = datetime('now')`,
+                [guildId, enabled ? 1 : 0]
+            );
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save AI moderation enabled state:', error);
+            return false;
+        }
+    }
+
     async logKillSwitch(action, activatedBy, reason = null, expiresAt = null) {
         if (!this.isConnected) return false;
         try {
@@ -0,0 +1,206 @@
+/**
+ * LocalClassifier - Offline rule-based message classifier for AI moderation
+ * Weighted pattern lists for threats, doxxing, crypto scams and phishing lures. Runs in-process
+ * with no API calls and returns the same fields as the LLM analysis in AIService.moderateMessage
+ * (safe, confidence, severity, category), so it can pre-filter messages before the LLM and
+ * stand in for it when no provider is available.
+ */
+
+// Each matching rule adds its weight to its category's risk score (0-99)
+const RULES = {
+    threat: [
+        {
+            pattern:
+                /\b(?:i(?:'m| am)?\s*(?:gonna|going to|will)|i'?ll)\s+(?:kill|murder|shoot|stab|hurt|beat)\s+(?:you|u|ya|him|her|them|your)\b/i,
+            weight: 55,
+            label: 'threat of violence'
+        },
+        {
+            pattern: /\b(?:kys|kill\s+your\s*self|go\s+die)\b/i,
+            weight: 60,
+            label: 'telling someone to kill themselves'
+        },
+        {
+            pattern: /\b(?:i\s+know|found(?:\s+out)?|gonna\s+find)\s+where\s+(?:you|u)\s+live\b/i,
+            weight: 65,
+            label: 'threat against a real-life location'
+        },
+        {
+            pattern: /\b(?:swat(?:ting|ted)?\s+(?:you|u|him|her|them)|bomb\s+threat)\b/i,
+            weight: 60,
+            label: 'swatting or bomb threat'
+        },
+        {
+            pattern: /\b(?:irl|in\s+real\s+life|at\s+your\s+(?:house|school|work))\b/i,
+            weight: 20,
+            label: 'real-life reference'
+        }
+    ],
+    doxxing: [
+        // Not in the middle of a dotted number, so a server address and port ("10.0.100.200 2302") isn't read as one
+        {
+            pattern: /(?<![\d.])(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/,
+            weight: 45,
+            label: 'phone number'
+        },
+        // +1 numbers are already matched above - don't count the same number twice
+        {
+            pattern: /\+(?!1[\s.-])\d{1,3}[\s.-]\d{2,4}[\s.-]\d{3,4}[\s.-]\d{3,4}\b/,
+            weight: 45,
+            label: 'international phone number'
+        },
+        {
+            pattern:
+                /\b\d{1,5}\s+(?:[a-z]+\s+){1,3}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl)\b/i,
+            weight: 45,
+            label: 'street address'
+        },
+        {
+            pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/,
+            weight: 40,
+            label: 'IP address'
+        },
+        { pattern: /\b\d{3}-\d{2}-\d{4}\b/, weight: 50, label: 'social security number' },
+        {
+            pattern:
+                /\b(?:(?:he|she|they)\s+lives?\s+at|(?:his|her|their|ur|your)\s+(?:address|ip|phone(?:\s+number)?|real\s+name)\s+is)\b/i,
+            weight: 35,
+            label: 'sharing personal details'
+        }
+    ],
+    scam: [
+        {
+            pattern: /\b(?:free|claim)\s+(?:crypto|btc|eth|usdt|sol|airdrop|tokens?)\b/i,
+            weight: 40,
+            label: 'free crypto offer'
+        },
+        {
+            pattern: /\b(?:double|2x|triple)\s+(?:your\s+)?(?:crypto|btc|eth|bitcoin|money|investment)\b/i,
+            weight: 50,
+            label: 'doubling scheme'
+        },
+        { pattern: /\b(?:connect|verify|sync)\s+(?:your\s+)?wallet\b/i, weight: 45, label: 'wallet connection lure' },
+        {
+            pattern: /\b(?:seed|recovery|secret)\s+phrase\b|\bprivate\s+key\b/i,
+            weight: 45,
+            label: 'asks for wallet secrets'
+        },
+        { pattern: /\bguaranteed\s+(?:profit|returns?|income)\b/i, weight: 40, label: 'guaranteed returns' },
+        {
+            pattern: /\bsend\s+\d+(?:\.\d+)?\s*(?:btc|eth|sol|usdt|bitcoin)\b[\s\S]*\b(?:receive|get\s+back)\b/i,
+            weight: 55,
+            label: 'send-to-receive scheme'
+        },
+        {
+            pattern: /\b(?:dm|message)\s+me\s+(?:to|for|about)\s+(?:invest|earn|profit|trading)/i,
+            weight: 30,
+            label: 'investment DM lure'
+        },
+        { pattern: /\b(?:100x|pump\s+and\s+dump|presale\s+ending)\b/i, weight: 25, label: 'pump-and-dump hype' }
+    ],
+    phishing: [
+        { pattern: /\bfree\s+(?:discord\s+)?nitro\b/i, weight: 45, label: 'free Nitro lure' },
+        {
+            pattern: /\b(?:d[i1l]sc[o0]rd|dlscord|discorcl|disc0rd)[a-z-]*\.(?!com\b|gg\b|media\b|net\b)[a-z]{2,}\b/i,
+            weight: 60,
+            label: 'Discord lookalike domain'
+        },
+        { pattern: /\bsteamcommun(?!ity\.com\b)[a-z1]*\.[a-z]{2,}\b/i, weight: 60, label: 'Steam lookalike domain' },
+        {
+            pattern: /\b(?:verify|confirm|secure|unlock)\s+your\s+(?:account|identity|wallet)\b/i,
+            weight: 35,
+            label: 'account verification lure'
+        },
+        {
+            pattern:
+                /\byour\s+account\s+(?:will\s+be|has\s+been|is\s+being)\s+(?:banned|suspended|disabled|terminated|deleted)\b/i,
+            weight: 35,
+            label: 'fake account warning'
+        },
+        { pattern: /\bi\s+accidentally\s+reported\s+(?:you|your\s+account)\b/i, weight: 65, label: 'fake report scam' },
+        {
+            pattern: /https?:\/\/(?:bit\.ly|tinyurl\.com|cutt\.ly|is\.gd|rb\.gy|t\.co|shorturl\.at)\//i,
+            weight: 20,
+            label: 'shortened link'
+        }
+    ]
+};
+
+// Game talk ("I'll kill you next round") lowers the threat score so it reaches the LLM instead of being flagged
+const GAME_CONTEXT_PATTERN =
+    /\b(?:round|match|game|respawn|spawn|squad|server|mission|op|loadout|pvp|arma|reforger|in[-\s]?game|lobby)\b/i;
+const GAME_CONTEXT_DISCOUNT = 25;
+
+// Risk score at which a message is treated as unsafe - below it the verdict is "safe"
+const UNSAFE_SCORE = 50;
+
+// Detection groups used by the aimod config -> classifier categories
+const CATEGORY_GROUPS = {
+    safetyCritical: ['threat', 'doxxing'],
+    spamScams: ['scam', 'phishing']
+};
+
+function getSeverity(category, score) {
+    if (score >= 85) {
+        return category === 'threat' || category === 'doxxing' ? 'critical' : 'high';
+    }
+    if (score >= 65) {
+        return 'high';
+    }
+    if (score >= UNSAFE_SCORE) {
+        return 'medium';
+    }
+    return score > 0 ? 'low' : 'none';
+}
+
+/**
+ * Classify a message with the local rules
+ * @param {string} content - Message text
+ * @param {object} options - { categories: { safetyCritical, spamScams } } (both on by default)
+ * @returns {object} { safe, confidence, score, severity, category, reasoning, matches }
+ *   score is the risk (0-99); confidence is how sure the verdict is, as the LLM reports it
+ */
+function classifyMessage(content, options = {}) {
+    const { categories = { safetyCritical: true, spamScams: true } } = options;
+    const text = String(content || '');
+
+    const enabledCategories = Object.entries(CATEGORY_GROUPS)
+        .filter(([group]) => categories[group] !== false)
+        .flatMap(([, group]) => group);
+
+    const scores = {};
+    const matches = [];
+    for (const category of enabledCategories) {
+        scores[category] = 0;
+        for (const rule of RULES[category]) {
+            if (rule.pattern.test(text)) {
+                scores[category] += rule.weight;
+                matches.push({ category, label: rule.label, weight: rule.weight });
+            }
+        }
+    }
+
+    if (scores.threat > 0 && GAME_CONTEXT_PATTERN.test(text)) {
+        scores.threat = Math.max(0, scores.threat - GAME_CONTEXT_DISCOUNT);
+    }
+
+    const [category, rawScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || ['none', 0];
+    const score = Math.min(99, rawScore);
+    const safe = score < UNSAFE_SCORE;
+
+    return {
+        safe,
+        // A clean message is a confident "safe"; a borderline score is an unsure one either way
+        confidence: safe ? 100 - score : score,
+        score,
+        severity: getSeverity(category, score),
+        category: score > 0 ? category : 'none',
+        reasoning:
+            matches.length > 0
+                ? `Local rules matched: ${matches.map(match => match.label).join(', ')}`
+                : 'No local rules matched',
+        matches
+    };
+}
+
+module.exports = { classifyMessage };
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const config = require('../config.json');
 
 // =============================================================================
 // SECURITY: Log Sanitization to Prevent Token/Secret Exposure
@@ -20,6 +21,18 @@ function sanitizeLogData(data) {
             // Remove Groq/Anthropic API keys
             .replace(/(?:gsk_|sk-ant-)[A-Za-z0-9_-]{40,}/g, '[API_KEY_REDACTED]');
     }
+    // Errors have no enumerable fields - keep what's useful for debugging
+    if (data instanceof Error) {
+        return {
+            name: data.name,
+            message: sanitizeLogData(data.message),
+            ...(data.code !== undefined && { code: data.code }),
+            stack: sanitizeLogData(data.stack)
+        };
+    }
+    if (data instanceof Date) {
+        return data.toISOString();
+    }
     if (typeof data === 'object' && data !== null) {
         const sanitized = Array.isArray(data) ? [] : {};
         for (const [key, value] of Object.entries(data)) {
@@ -35,15 +48,29 @@ function sanitizeLogData(data) {
     return data;
 }
 
+// =============================================================================
+// Levels: LOG_LEVEL (or config.logger.level) applies to everything, config.logger.modules
+// overrides it per module, e.g. { "antiNuke": "debug", "commands": "warn" }
+// =============================================================================
+const loggerConfig = config.logger || {};
+const baseLevel = () => process.env.LOG_LEVEL || loggerConfig.level || 'info';
+
+const moduleLevelFilter = winston.format(info => {
+    const threshold = (info.module && loggerConfig.modules?.[info.module]) || baseLevel();
+    const { levels } = winston.config.npm;
+    return levels[info.level] <= (levels[threshold] ?? levels.info) ? info : false;
+});
+
 // Custom format with sanitization for console output with colors
 const consoleFormat = winston.format.combine(
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.colorize({ all: true }),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
+    winston.format.printf(({ timestamp, level, message, service: _service, module, ...meta }) => {
         const sanitizedMessage = sanitizeLogData(message);
         const sanitizedMeta = sanitizeLogData(meta);
         const metaStr = Object.keys(sanitizedMeta).length ? ` ${JSON.stringify(sanitizedMeta)}` : '';
-        return `[${timestamp}] ${level}: ${sanitizedMessage}${metaStr}`;
+        const moduleStr = module ? ` [${module}]` : '';
+        return `[${timestamp}] ${level}${moduleStr}: ${sanitizedMessage}${metaStr}`;
     })
 );
 
@@ -58,9 +85,11 @@ const fileFormat = winston.format.combine(
     winston.format.json()
 );
 
-// Create the logger instance
+// Create the logger instance - the level is left wide open and moduleLevelFilter decides what's written,
+// so module overrides can be more verbose than the base level (and config changes apply without a restart)
 const logger = winston.createLogger({
-    level: process.env.LOG_LEVEL || 'info',
+    level: 'silly',
+    format: moduleLevelFilter(),
     defaultMeta: { service: 'guardian-bot' },
     transports: [
         // Console output with colors
@@ -92,6 +121,37 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Optional JSON-lines stream of structured events (entries with an event name) for log shippers -
+// unlike combined.log it isn't rotated, so rotate it with logrotate or whatever ships it
+if (loggerConfig.jsonLines?.enabled) {
+    const eventsOnly = winston.format(info => (info.event ? info : false));
+    logger.add(
+        new winston.transports.File({
+            filename: path.resolve(process.cwd(), loggerConfig.jsonLines.file || 'logs/events.jsonl'),
+            format: winston.format.combine(eventsOnly(), fileFormat)
+        })
+    );
+}
+
+// Module loggers - every entry carries the module and an event name so combined.log can be searched by either:
+//   const log = logger.module('antiNuke');
+//   log.warn('nuke_detected', `Channel deleted by ${executor.tag}`, { guildId, userId: executor.id });
+const moduleLoggers = new Map();
+logger.module = name => {
+    if (!moduleLoggers.has(name)) {
+        const write = level => {
+            return (event, message, fields = {}) => logger.log(level, message, { module: name, event, ...fields });
+        };
+        moduleLoggers.set(name, {
+            error: write('error'),
+            warn: write('warn'),
+            info: write('info'),
+            debug: write('debug')
+        });
+    }
+    return moduleLoggers.get(name);
+};
+
 // Add convenience methods for bot-specific logging
 logger.bot = {
     ready: (tag, guildCount) => {
@@ -187,3 +247,4 @@ logger.bot = {
 };
 
 module.exports = logger;
+module.exports.sanitizeLogData = sanitizeLogData;
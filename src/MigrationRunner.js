@@ -0,0 +1,209 @@
+/**
+ * MigrationRunner - Versioned schema migrations for DatabaseManager
+ * Migrations live in src/migrations as NNN_name.js files exporting { description, up(db, schema), down(db, schema) }.
+ * Applied versions are recorded in the schema_migrations table and each migration runs in its own
+ * transaction, so a failing migration leaves the database at the previous version.
+ * better-sqlite3 is synchronous and so are migrations - don't make up/down async.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// 001_initial_schema.js -> version 1, name initial_schema
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// Helpers passed to up()/down() as the second argument
+function createSchemaHelpers(db) {
+    const hasColumn = (table, column) =>
+        db
+            .prepare(`PRAGMA table_info(${table})`)
+            .all()
+            .some(c => c.name === column);
+
+    return {
+        hasColumn,
+
+        // Adds a column to an existing table if it's missing - returns true when the column was added
+        ensureColumn(table, column, definition) {
+            if (hasColumn(table, column)) {
+                return false;
+            }
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            return true;
+        },
+
+        // Drops a column if it's there - returns true when the column was dropped
+        dropColumn(table, column) {
+            if (!hasColumn(table, column)) {
+                return false;
+            }
+            db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+            return true;
+        }
+    };
+}
+
+class MigrationRunner {
+    /**
+     * @param {object} db - Open better-sqlite3 database
+     * @param {string} directory - Where the migration files are
+     */
+    constructor(db, directory = MIGRATIONS_DIR) {
+        this.db = db;
+        this.directory = directory;
+        this.schema = createSchemaHelpers(db);
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Migration files in version order
+     * @returns {Array<{ version: number, name: string, description: string, up: Function, down: Function }>}
+     */
+    loadMigrations() {
+        const migrations = [];
+        for (const file of fs.readdirSync(this.directory)) {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) {
+                continue;
+            }
+
+            const version = Number(match[1]);
+            const duplicate = migrations.find(migration => migration.version === version);
+            if (duplicate) {
+                throw new Error(`Migrations ${duplicate.file} and ${file} share version ${version}`);
+            }
+
+            const definition = require(path.join(this.directory, file));
+            if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+
+            migrations.push({
+                version,
+                name: match[2],
+                file,
+                description: definition.description || match[2],
+                up: definition.up,
+                down: definition.down
+            });
+        }
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    // version -> applied_at
+    getAppliedVersions() {
+        const rows = this.db.prepare('SELECT version, applied_at FROM schema_migrations ORDER BY version').all();
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    }
+
+    /**
+     * Every migration and whether it's applied - applied versions with no file are listed as missing
+     * @returns {Array<{ version, name, description, appliedAt, missing }>}
+     */
+    getStatus() {
+        const applied = this.getAppliedVersions();
+        const migrations = this.loadMigrations();
+        const status = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            appliedAt: applied.get(migration.version) || null,
+            missing: false
+        }));
+
+        const known = new Set(migrations.map(migration => migration.version));
+        const orphans = this.db
+            .prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+            .all()
+            .filter(row => !known.has(row.version))
+            .map(row => ({
+                version: row.version,
+                name: row.name,
+                description: null,
+                appliedAt: row.applied_at,
+                missing: true
+            }));
+
+        return [...status, ...orphans].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Apply pending migrations in version order
+     * @param {number|null} targetVersion - Stop after this version (all pending when null)
+     * @returns {Array<object>} The migrations that were applied
+     */
+    migrate(targetVersion = null) {
+        const applied = this.getAppliedVersions();
+        const pending = this.loadMigrations().filter(
+            migration =>
+                !applied.has(migration.version) && (targetVersion === null || migration.version <= targetVersion)
+        );
+
+        for (const migration of pending) {
+            this.run(migration, 'up');
+        }
+        return pending;
+    }
+
+    /**
+     * Roll back applied migrations, newest first
+     * @param {number|null} targetVersion - Roll back everything after this version (only the latest when null, 0 for all)
+     * @returns {Array<object>} The migrations that were rolled back
+     */
+    rollback(targetVersion = null) {
+        const appliedVersions = [...this.getAppliedVersions().keys()].sort((a, b) => b - a);
+        const toRollBack =
+            targetVersion === null
+                ? appliedVersions.slice(0, 1)
+                : appliedVersions.filter(version => version > targetVersion);
+
+        const migrations = this.loadMigrations();
+        const steps = toRollBack.map(version => {
+            const migration = migrations.find(candidate => candidate.version === version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but its file is missing - cannot roll it back`);
+            }
+            return migration;
+        });
+
+        for (const migration of steps) {
+            this.run(migration, 'down');
+        }
+        return steps;
+    }
+
+    run(migration, direction) {
+        const step = this.db.transaction(() => {
+            migration[direction](this.db, this.schema);
+            if (direction === 'up') {
+                this.db
+                    .prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+                    .run(migration.version, migration.name);
+            } else {
+                this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+            }
+        });
+
+        try {
+            step();
+        } catch (error) {
+            error.message = `Migration ${migration.file} (${direction}) failed: ${error.message}`;
+            throw error;
+        }
+        console.log(
+            `${direction === 'up' ? '⬆️' : '⬇️'} Migration ${migration.file} ${direction === 'up' ? 'applied' : 'rolled back'}`
+        );
+    }
+}
+
+module.exports = { MigrationRunner, MIGRATIONS_DIR };
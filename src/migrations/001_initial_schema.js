@@ -0,0 +1,544 @@
+/**
+ * Baseline schema - every table the bot had before versioned migrations.
+ * Replaces DatabaseManager.initializeTables and the MySQL database-setup.sql. The tables from that
+ * script the bot never used (guild_settings, temp_mutes, server_stats, raid_logs) are not created.
+ * Databases created before migrations existed already have these tables, so everything here is
+ * IF NOT EXISTS / ensureColumn and adopting an existing database is a no-op.
+ */
+
+// Dropped newest-first by down()
+const TABLES = [
+    'config_audit',
+    'guild_config',
+    'guild_snapshots',
+    'temp_bans',
+    'warnings',
+    'ai_chat_logs',
+    'ai_killswitch_log',
+    'ai_moderation_logs',
+    'ai_moderation_settings',
+    'ai_memory',
+    'automod_violations',
+    'welcome_settings',
+    'reaction_role_menus',
+    'reaction_roles',
+    'automod_settings',
+    'custom_commands',
+    'role_rewards',
+    'user_levels',
+    'staff_metrics',
+    'staff_activity',
+    'owner_protection',
+    'raid_tracking',
+    'moderation_logs',
+    'staff_stats',
+    'tickets'
+];
+
+module.exports = {
+    description: 'Baseline schema',
+
+    up(db, schema) {
+        // Create tickets table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ticket_id TEXT UNIQUE NOT NULL,
+                channel_id TEXT NOT NULL,
+                creator_id TEXT NOT NULL,
+                creator_username TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                description TEXT,
+                priority TEXT DEFAULT 'medium',
+                status TEXT DEFAULT 'open',
+                claimed_by TEXT NULL,
+                claimed_by_username TEXT NULL,
+                claimed_at TEXT NULL,
+                closed_by TEXT NULL,
+                closed_by_username TEXT NULL,
+                closed_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_channel_id ON tickets(channel_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_creator_id ON tickets(creator_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)');
+        schema.ensureColumn('tickets', 'guild_id', 'TEXT NULL');
+        schema.ensureColumn('tickets', 'transcript_path', 'TEXT NULL');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tickets_guild_id ON tickets(guild_id)');
+
+        // Create staff statistics table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS staff_stats (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT UNIQUE NOT NULL,
+                username TEXT NOT NULL,
+                tickets_claimed INTEGER DEFAULT 0,
+                tickets_closed INTEGER DEFAULT 0,
+                tickets_deleted INTEGER DEFAULT 0,
+                total_response_time INTEGER DEFAULT 0,
+                response_count INTEGER DEFAULT 0,
+                first_activity TEXT DEFAULT CURRENT_TIMESTAMP,
+                last_activity TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create moderation logs table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS moderation_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                action_type TEXT NOT NULL,
+                moderator_id TEXT NOT NULL,
+                moderator_username TEXT NOT NULL,
+                target_id TEXT NULL,
+                target_username TEXT NULL,
+                reason TEXT,
+                details TEXT,
+                case_number INTEGER NULL,
+                updated_by TEXT NULL,
+                updated_at TEXT NULL,
+                deleted INTEGER DEFAULT 0,
+                deleted_by TEXT NULL,
+                deleted_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_modlogs_guild_id ON moderation_logs(guild_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_modlogs_action_type ON moderation_logs(action_type)');
+
+        // Case columns were added after release; upgrade older databases and number their existing rows
+        if (schema.ensureColumn('moderation_logs', 'case_number', 'INTEGER NULL')) {
+            db.exec(`
+                UPDATE moderation_logs SET case_number = (
+                    SELECT COUNT(*) FROM moderation_logs AS earlier
+                    WHERE earlier.guild_id = moderation_logs.guild_id AND earlier.id <= moderation_logs.id
+                )
+            `);
+        }
+        schema.ensureColumn('moderation_logs', 'updated_by', 'TEXT NULL');
+        schema.ensureColumn('moderation_logs', 'updated_at', 'TEXT NULL');
+        schema.ensureColumn('moderation_logs', 'deleted', 'INTEGER DEFAULT 0');
+        schema.ensureColumn('moderation_logs', 'deleted_by', 'TEXT NULL');
+        schema.ensureColumn('moderation_logs', 'deleted_at', 'TEXT NULL');
+        db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_modlogs_guild_case ON moderation_logs(guild_id, case_number)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_modlogs_target ON moderation_logs(guild_id, target_id)');
+
+        // Create anti-raid tracking table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS raid_tracking (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                join_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+                ip_address TEXT NULL,
+                account_age_days INTEGER NULL,
+                is_suspicious INTEGER DEFAULT 0,
+                action_taken TEXT DEFAULT 'none',
+                rules_triggered TEXT NULL
+            )
+        `);
+        schema.ensureColumn('raid_tracking', 'rules_triggered', 'TEXT NULL');
+
+        // Create owner protection table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS owner_protection (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                violation_type TEXT NOT NULL,
+                message_content TEXT NULL,
+                warning_count INTEGER DEFAULT 1,
+                action_taken TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create staff activity tracking table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS staff_activity (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                activity_type TEXT NOT NULL,
+                channel_id TEXT NULL,
+                channel_name TEXT NULL,
+                activity_data TEXT NULL,
+                activity_timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create staff response metrics table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS staff_metrics (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT UNIQUE NOT NULL,
+                username TEXT NOT NULL,
+                daily_messages INTEGER DEFAULT 0,
+                daily_commands INTEGER DEFAULT 0,
+                daily_voice_time INTEGER DEFAULT 0,
+                weekly_messages INTEGER DEFAULT 0,
+                weekly_commands INTEGER DEFAULT 0,
+                weekly_voice_time INTEGER DEFAULT 0,
+                monthly_messages INTEGER DEFAULT 0,
+                monthly_commands INTEGER DEFAULT 0,
+                monthly_voice_time INTEGER DEFAULT 0,
+                total_messages INTEGER DEFAULT 0,
+                total_commands INTEGER DEFAULT 0,
+                total_voice_time INTEGER DEFAULT 0,
+                last_message TEXT NULL,
+                last_command TEXT NULL,
+                last_voice_activity TEXT NULL,
+                activity_score REAL DEFAULT 0,
+                responsiveness_rating TEXT DEFAULT 'inactive',
+                first_seen TEXT DEFAULT CURRENT_TIMESTAMP,
+                last_updated TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create user experience and leveling table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS user_levels (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                xp INTEGER DEFAULT 0,
+                level INTEGER DEFAULT 0,
+                messages_sent INTEGER DEFAULT 0,
+                last_xp_gain TEXT NULL,
+                total_xp_earned INTEGER DEFAULT 0,
+                level_up_notifications INTEGER DEFAULT 1,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, user_id)
+            )
+        `);
+
+        // Create role rewards table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS role_rewards (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                role_name TEXT NOT NULL,
+                required_level INTEGER NOT NULL,
+                remove_previous INTEGER DEFAULT 0,
+                created_by TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, role_id)
+            )
+        `);
+
+        // Create custom commands table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS custom_commands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                command_name TEXT NOT NULL,
+                command_response TEXT NOT NULL,
+                created_by TEXT NOT NULL,
+                created_by_username TEXT NOT NULL,
+                uses INTEGER DEFAULT 0,
+                enabled INTEGER DEFAULT 1,
+                delete_trigger INTEGER DEFAULT 0,
+                dm_response INTEGER DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, command_name)
+            )
+        `);
+
+        // Create auto-moderation settings table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS automod_settings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT UNIQUE NOT NULL,
+                spam_detection INTEGER DEFAULT 1,
+                spam_limit INTEGER DEFAULT 5,
+                spam_timeframe INTEGER DEFAULT 5,
+                bad_words_filter INTEGER DEFAULT 1,
+                blocked_words TEXT NULL,
+                invite_filter INTEGER DEFAULT 1,
+                caps_filter INTEGER DEFAULT 1,
+                caps_percentage INTEGER DEFAULT 70,
+                emoji_spam_filter INTEGER DEFAULT 1,
+                emoji_limit INTEGER DEFAULT 10,
+                repeated_text_filter INTEGER DEFAULT 1,
+                punishment_type TEXT DEFAULT 'mute',
+                punishment_duration INTEGER DEFAULT 300,
+                violation_threshold INTEGER DEFAULT 3,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create reaction roles table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS reaction_roles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                emoji TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                role_name TEXT NOT NULL,
+                created_by TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(message_id, emoji)
+            )
+        `);
+
+        // Menu-level settings for reaction_roles (one row per menu message)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS reaction_role_menus (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                message_id TEXT UNIQUE NOT NULL,
+                menu_type TEXT NOT NULL DEFAULT 'reaction',
+                mode TEXT NOT NULL DEFAULT 'toggle',
+                max_roles INTEGER NULL,
+                title TEXT NULL,
+                created_by TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_reaction_roles_message ON reaction_roles(message_id)');
+
+        // Create welcome/goodbye settings table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS welcome_settings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT UNIQUE NOT NULL,
+                welcome_enabled INTEGER DEFAULT 0,
+                welcome_channel_id TEXT NULL,
+                welcome_message TEXT NULL,
+                welcome_dm INTEGER DEFAULT 0,
+                welcome_dm_message TEXT NULL,
+                goodbye_enabled INTEGER DEFAULT 0,
+                goodbye_channel_id TEXT NULL,
+                goodbye_message TEXT NULL,
+                auto_role_id TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create auto-moderation violations table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS automod_violations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                violation_type TEXT NOT NULL,
+                message_content TEXT NULL,
+                channel_id TEXT NOT NULL,
+                punishment_applied TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_automod_guild_user ON automod_violations(guild_id, user_id)');
+
+        // Create AI memory table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_memory (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                memory_type TEXT NOT NULL,
+                guild_id TEXT NULL,
+                user_id TEXT NULL,
+                key_name TEXT NOT NULL,
+                content TEXT NOT NULL,
+                importance INTEGER DEFAULT 5,
+                created_by TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create AI moderation settings table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_moderation_settings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT UNIQUE NOT NULL,
+                enabled INTEGER DEFAULT 1,
+                detection_safety_critical INTEGER DEFAULT 1,
+                detection_spam_scams INTEGER DEFAULT 1,
+                threshold_delete INTEGER DEFAULT 85,
+                threshold_warn INTEGER DEFAULT 75,
+                threshold_escalate INTEGER DEFAULT 60,
+                threshold_ignore INTEGER DEFAULT 40,
+                exempt_roles TEXT DEFAULT NULL,
+                exempt_channels TEXT DEFAULT NULL,
+                exempt_users TEXT DEFAULT NULL,
+                log_channel_id TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create AI moderation logs table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_moderation_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                message_id TEXT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                message_content TEXT NULL,
+                categories_detected TEXT NULL,
+                confidence INTEGER NOT NULL,
+                severity TEXT DEFAULT 'none',
+                reasoning TEXT NULL,
+                action_taken TEXT NOT NULL,
+                auto_executed INTEGER DEFAULT 0,
+                executed_by TEXT NULL,
+                staff_response TEXT DEFAULT 'pending',
+                response_time_ms INTEGER NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Review queue columns - escalations are posted for staff with buttons and resolved by a reviewer
+        schema.ensureColumn('ai_moderation_logs', 'reviewed_by', 'TEXT NULL');
+        schema.ensureColumn('ai_moderation_logs', 'reviewed_at', 'TEXT NULL');
+        schema.ensureColumn('ai_moderation_logs', 'review_action', 'TEXT NULL');
+        schema.ensureColumn('ai_moderation_logs', 'review_channel_id', 'TEXT NULL');
+        schema.ensureColumn('ai_moderation_logs', 'review_message_id', 'TEXT NULL');
+        // Anonymized conversation the decision was made in (JSON), so reviewers see why it fired
+        schema.ensureColumn('ai_moderation_logs', 'context', 'TEXT NULL');
+        db.exec(
+            'CREATE INDEX IF NOT EXISTS idx_ai_modlogs_review ON ai_moderation_logs(guild_id, action_taken, staff_response)'
+        );
+
+        // Threshold auto-tuning from staff feedback - 'off', 'suggest' or 'apply'
+        schema.ensureColumn('ai_moderation_settings', 'auto_tune', "TEXT DEFAULT 'off'");
+        schema.ensureColumn('ai_moderation_settings', 'auto_tuned_at', 'TEXT NULL');
+
+        // Create kill switch log table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_killswitch_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                activated_by TEXT NOT NULL,
+                reason TEXT NULL,
+                expires_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create AI chat logs table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_chat_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                channel_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                user_message TEXT NOT NULL,
+                ai_response TEXT NOT NULL,
+                trigger_type TEXT DEFAULT 'keyword',
+                tokens_used INTEGER DEFAULT 0,
+                response_time_ms INTEGER DEFAULT 0,
+                was_rate_limited INTEGER DEFAULT 0,
+                injection_blocked INTEGER DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create warnings table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS warnings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                moderator_id TEXT NOT NULL,
+                moderator_username TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                expires_at TEXT NULL,
+                active INTEGER DEFAULT 1,
+                removed_by TEXT NULL,
+                removed_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_warnings_guild_user ON warnings(guild_id, user_id)');
+
+        // Create temp_bans table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS temp_bans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NULL,
+                moderator_id TEXT NOT NULL,
+                moderator_username TEXT NOT NULL,
+                reason TEXT,
+                expires_at TEXT NOT NULL,
+                active INTEGER DEFAULT 1,
+                resolved_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_temp_bans_active_expiry ON temp_bans(active, expires_at)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_temp_bans_guild_user ON temp_bans(guild_id, user_id)');
+
+        // Create guild_snapshots table (anti-nuke restore points)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS guild_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                trigger_type TEXT NOT NULL DEFAULT 'scheduled',
+                created_by TEXT NULL,
+                role_count INTEGER DEFAULT 0,
+                channel_count INTEGER DEFAULT 0,
+                data TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_guild_snapshots_guild ON guild_snapshots(guild_id, created_at)');
+
+        // Create guild_config table (per-guild overrides of config.json, values stored as JSON)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS guild_config (
+                guild_id TEXT NOT NULL,
+                setting_key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_by TEXT NULL,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (guild_id, setting_key)
+            )
+        `);
+
+        // Create config_audit table (every settings change as a numbered version per guild and scope, guild_id NULL = bot-wide)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS config_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NULL,
+                scope TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                actor_id TEXT NULL,
+                before_value TEXT NULL,
+                after_value TEXT NULL,
+                changes TEXT NOT NULL,
+                reverted_from INTEGER NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_config_audit_scope ON config_audit(guild_id, scope, version)');
+    },
+
+    down(db) {
+        for (const table of TABLES) {
+            db.exec(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,87 @@
+/**
+ * Welcome verification - replaces the MySQL welcome-system-update.sql.
+ * Adds the verification, embed and auto-role columns to welcome_settings and the tables the
+ * verification gate uses. welcome_messages from that script was never used and is not created.
+ */
+
+// welcome_settings columns added by this migration
+const WELCOME_COLUMNS = {
+    welcome_embed_enabled: 'INTEGER DEFAULT 1',
+    welcome_color: "TEXT DEFAULT '#00ff00'",
+    goodbye_embed_enabled: 'INTEGER DEFAULT 1',
+    goodbye_color: "TEXT DEFAULT '#ff0000'",
+    auto_role_enabled: 'INTEGER DEFAULT 0',
+    verification_enabled: 'INTEGER DEFAULT 0',
+    verification_channel_id: 'TEXT NULL',
+    verification_message: 'TEXT NULL',
+    verification_role_id: 'TEXT NULL',
+    verification_type: "TEXT DEFAULT 'button'",
+    verification_emoji: 'TEXT NULL',
+    verification_timeout_hours: 'INTEGER DEFAULT 0',
+    verification_reminder: 'INTEGER DEFAULT 1'
+};
+
+module.exports = {
+    description: 'Welcome verification columns and tables',
+
+    up(db, schema) {
+        for (const [column, definition] of Object.entries(WELCOME_COLUMNS)) {
+            schema.ensureColumn('welcome_settings', column, definition);
+        }
+
+        // Create verification_logs table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS verification_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                verification_type TEXT NOT NULL,
+                status TEXT NOT NULL,
+                verified_at TEXT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create join_roles table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS join_roles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                role_name TEXT NOT NULL,
+                priority INTEGER DEFAULT 0,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(guild_id, role_id)
+            )
+        `);
+
+        // Create unverified_members table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS unverified_members (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                username TEXT NOT NULL,
+                joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                verification_attempts INTEGER DEFAULT 0,
+                last_attempt TEXT NULL,
+                kicked_for_inactivity INTEGER DEFAULT 0,
+                UNIQUE(guild_id, user_id)
+            )
+        `);
+        schema.ensureColumn('unverified_members', 'reminder_sent', 'INTEGER DEFAULT 0');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_verification_logs_guild_user ON verification_logs(guild_id, user_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_verification_logs_status ON verification_logs(status)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_unverified_members_joined ON unverified_members(joined_at)');
+    },
+
+    down(db, schema) {
+        db.exec('DROP TABLE IF EXISTS unverified_members');
+        db.exec('DROP TABLE IF EXISTS join_roles');
+        db.exec('DROP TABLE IF EXISTS verification_logs');
+        for (const column of Object.keys(WELCOME_COLUMNS)) {
+            schema.dropColumn('welcome_settings', column);
+        }
+    }
+};
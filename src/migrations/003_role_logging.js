@@ -0,0 +1,36 @@
+/**
+ * Role logging - replaces the MySQL role-logging-update.sql.
+ * That script also added role_logging_enabled/role_log_channel to guild_settings; those settings
+ * are the logging.* keys in guild_config now, so only the role_logs table is created here.
+ */
+
+module.exports = {
+    description: 'Role change log',
+
+    up(db) {
+        // Create role_logs table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS role_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                user_id TEXT NULL,
+                moderator_id TEXT NULL,
+                action_type TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                role_name TEXT NOT NULL,
+                old_values TEXT NULL,
+                new_values TEXT NULL,
+                reason TEXT NULL,
+                timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_role_logs_guild ON role_logs(guild_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_role_logs_guild_timestamp ON role_logs(guild_id, timestamp)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_role_logs_role ON role_logs(role_id)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_role_logs_user ON role_logs(user_id)');
+    },
+
+    down(db) {
+        db.exec('DROP TABLE IF EXISTS role_logs');
+    }
+};
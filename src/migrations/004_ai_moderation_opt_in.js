@@ -0,0 +1,17 @@
+/**
+ * AI moderation is opt-in - a guild only gets it after turning it on with /aimod toggle.
+ * Settings rows were created enabled by default (and by /aimod threshold or autotune alone), so every
+ * existing row starts off disabled. The column default stays 1 - the inserts set enabled themselves.
+ */
+
+module.exports = {
+    description: 'Turn AI moderation off until a guild opts in',
+
+    up(db) {
+        db.exec('UPDATE ai_moderation_settings SET enabled = 0');
+    },
+
+    down(db) {
+        db.exec('UPDATE ai_moderation_settings SET enabled = 1');
+    }
+};
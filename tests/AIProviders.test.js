@@ -0,0 +1,229 @@
+// The SDK clients are never called - every test swaps the router's providers for stubs
+jest.mock('groq-sdk', () => jest.fn(), { virtual: true });
+jest.mock('@anthropic-ai/sdk', () => jest.fn(), { virtual: true });
+jest.mock('../src/Logger', () => ({
+    module: () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })
+}));
+
+const { AIProviderRouter, AIProviderError } = require('../src/AIProviders');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+const REQUEST = { system: 'Be brief.', messages: [{ role: 'user', content: 'hi' }], maxTokens: 50 };
+
+let now;
+
+function stubProvider(name) {
+    return { name, isConfigured: () => true, complete: jest.fn() };
+}
+
+// A router with all three providers stubbed and configured
+function createRouter(aiConfig = {}) {
+    const router = new AIProviderRouter(aiConfig);
+    for (const name of ['groq', 'anthropic', 'local']) {
+        router.providers[name] = stubProvider(name);
+    }
+    return router;
+}
+
+function answer(text) {
+    return { text, usage: { inputTokens: 1, outputTokens: 1 } };
+}
+
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+beforeEach(() => {
+    now = NOW;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('AIProviderRouter fallback order', () => {
+    test('uses the first provider on the route when it answers', async () => {
+        const router = createRouter();
+        router.providers.groq.complete.mockResolvedValue(answer('from groq'));
+
+        await expect(router.complete('chat', REQUEST)).resolves.toMatchObject({
+            text: 'from groq',
+            provider: 'groq',
+            model: 'llama-3.1-8b-instant'
+        });
+        expect(router.providers.groq.complete).toHaveBeenCalledWith({ ...REQUEST, model: 'llama-3.1-8b-instant' });
+        expect(router.providers.anthropic.complete).not.toHaveBeenCalled();
+    });
+
+    test('fails over down the route one provider at a time', async () => {
+        const router = createRouter();
+        const calls = [];
+        router.providers.groq.complete.mockImplementation(() => {
+            calls.push('groq');
+            return Promise.reject(httpError(500));
+        });
+        router.providers.anthropic.complete.mockImplementation(() => {
+            calls.push('anthropic');
+            return Promise.reject(httpError(503));
+        });
+        router.providers.local.complete.mockImplementation(() => {
+            calls.push('local');
+            return Promise.resolve(answer('from local'));
+        });
+
+        await expect(router.complete('chat', REQUEST)).resolves.toMatchObject({
+            text: 'from local',
+            provider: 'local'
+        });
+        expect(calls).toEqual(['groq', 'anthropic', 'local']);
+    });
+
+    test('a task route overrides the fallback order and can pick the model', async () => {
+        const router = createRouter({
+            fallbackOrder: ['groq', 'anthropic'],
+            tasks: { moderate: ['local', { provider: 'groq', model: 'llama-3.3-70b-versatile' }] }
+        });
+        router.providers.local.complete.mockRejectedValue(httpError(500));
+        router.providers.groq.complete.mockResolvedValue(answer('ok'));
+
+        await expect(router.complete('moderate', REQUEST)).resolves.toMatchObject({
+            provider: 'groq',
+            model: 'llama-3.3-70b-versatile'
+        });
+        expect(router.providers.anthropic.complete).not.toHaveBeenCalled();
+        expect(router.getRoute('chat').map(({ provider }) => provider)).toEqual(['groq', 'anthropic']);
+    });
+
+    test('leaves unconfigured providers off the route', () => {
+        const router = createRouter();
+        router.providers.anthropic.isConfigured = () => false;
+
+        expect(router.getRoute('chat')).toEqual([
+            { provider: 'groq', model: 'llama-3.1-8b-instant' },
+            { provider: 'local', model: 'local-model' }
+        ]);
+    });
+
+    test('rejects when no provider on the route is configured', async () => {
+        const router = new AIProviderRouter();
+
+        await expect(router.complete('chat', REQUEST)).rejects.toThrow('No AI provider is configured for chat');
+    });
+
+    test('rejects with every failure when the whole route fails', async () => {
+        const router = createRouter();
+        router.providers.groq.complete.mockRejectedValue(httpError(500));
+        router.providers.anthropic.complete.mockRejectedValue(new Error('socket hang up'));
+        router.providers.local.complete.mockRejectedValue(new AIProviderError('local', 'Could not reach server'));
+
+        await expect(router.complete('chat', REQUEST)).rejects.toThrow(
+            'All AI providers failed for chat - groq: HTTP 500; anthropic: socket hang up; local: Could not reach server'
+        );
+    });
+});
+
+describe('AIProviderRouter cooldowns', () => {
+    test('a 429 with Retry-After in seconds skips the provider for that long', async () => {
+        const router = createRouter();
+        router.providers.groq.complete.mockRejectedValueOnce(httpError(429, { 'retry-after': '30' }));
+        router.providers.anthropic.complete.mockResolvedValue(answer('from anthropic'));
+
+        await expect(router.complete('chat', REQUEST)).resolves.toMatchObject({ provider: 'anthropic' });
+        expect(router.cooldowns.get('groq')).toBe(NOW + 30 * 1000);
+
+        now += 10 * 1000;
+        router.providers.anthropic.complete.mockRejectedValue(httpError(500));
+        router.providers.local.complete.mockRejectedValue(httpError(500));
+
+        await expect(router.complete('chat', REQUEST)).rejects.toThrow('groq: rate limited for 20s');
+        expect(router.providers.groq.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('the provider is used again once the cooldown is over', async () => {
+        const router = createRouter();
+        router.providers.groq.complete
+            .mockRejectedValueOnce(httpError(429, { 'retry-after': '30' }))
+            .mockResolvedValue(answer('from groq'));
+        router.providers.anthropic.complete.mockResolvedValue(answer('from anthropic'));
+
+        await router.complete('chat', REQUEST);
+        now += 30 * 1000;
+
+        await expect(router.complete('chat', REQUEST)).resolves.toMatchObject({ provider: 'groq' });
+    });
+
+    test('reads Retry-After as an HTTP date', async () => {
+        const router = createRouter();
+        const retryAt = new Date(NOW + 2 * 60 * 1000).toUTCString();
+        router.providers.groq.complete.mockRejectedValue(httpError(429, { 'retry-after': retryAt }));
+        router.providers.anthropic.complete.mockResolvedValue(answer('ok'));
+
+        await router.complete('chat', REQUEST);
+
+        expect(router.cooldowns.get('groq')).toBe(NOW + 2 * 60 * 1000);
+    });
+
+    test('reads Retry-After from a fetch Headers instance', async () => {
+        const router = createRouter();
+        router.providers.groq.complete.mockRejectedValue(httpError(429, new Headers({ 'Retry-After': '5' })));
+        router.providers.anthropic.complete.mockResolvedValue(answer('ok'));
+
+        await router.complete('chat', REQUEST);
+
+        expect(router.cooldowns.get('groq')).toBe(NOW + 5 * 1000);
+    });
+
+    test.each([
+        ['no Retry-After', {}],
+        ['an unreadable Retry-After', { 'retry-after': 'soon' }]
+    ])('a 429 with %s is skipped for the default minute', async (_, headers) => {
+        const router = createRouter();
+        router.providers.groq.complete.mockRejectedValue(httpError(429, headers));
+        router.providers.anthropic.complete.mockResolvedValue(answer('ok'));
+
+        await router.complete('chat', REQUEST);
+
+        expect(router.cooldowns.get('groq')).toBe(NOW + 60 * 1000);
+    });
+
+    test('other errors do not put the provider on cooldown', async () => {
+        const router = createRouter();
+        router.providers.groq.complete
+            .mockRejectedValueOnce(httpError(503, { 'retry-after': '30' }))
+            .mockResolvedValue(answer('from groq'));
+        router.providers.anthropic.complete.mockResolvedValue(answer('from anthropic'));
+
+        await router.complete('chat', REQUEST);
+
+        expect(router.cooldowns.has('groq')).toBe(false);
+        await expect(router.complete('chat', REQUEST)).resolves.toMatchObject({ provider: 'groq' });
+    });
+
+    test('a rate limited AIProviderError keeps its own retry time', async () => {
+        const router = createRouter({ fallbackOrder: ['local', 'groq'] });
+        router.providers.local.complete.mockRejectedValue(
+            new AIProviderError('local', 'HTTP 429', { status: 429, rateLimited: true, retryAfterMs: 15 * 1000 })
+        );
+        router.providers.groq.complete.mockResolvedValue(answer('ok'));
+
+        await router.complete('chat', REQUEST);
+
+        expect(router.cooldowns.get('local')).toBe(NOW + 15 * 1000);
+    });
+
+    test('getStatus reports the time left on each cooldown', async () => {
+        const router = createRouter();
+        router.providers.groq.complete.mockRejectedValue(httpError(429, { 'retry-after': '30' }));
+        router.providers.anthropic.complete.mockResolvedValue(answer('ok'));
+
+        await router.complete('chat', REQUEST);
+        now += 12 * 1000;
+
+        expect(router.getStatus().providers).toEqual([
+            { name: 'groq', configured: true, rateLimitedForMs: 18 * 1000 },
+            { name: 'anthropic', configured: true, rateLimitedForMs: 0 },
+            { name: 'local', configured: true, rateLimitedForMs: 0 }
+        ]);
+    });
+});
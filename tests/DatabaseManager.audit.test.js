@@ -0,0 +1,273 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../src/DatabaseManager');
+
+const GUILD_ID = '100';
+const OTHER_GUILD_ID = '200';
+
+let tempDir;
+let db;
+
+function addCase({ guildId = GUILD_ID, action, moderator, target, reason, createdAt, deleted = 0 }) {
+    db.db
+        .prepare(
+            `INSERT INTO moderation_logs
+                (guild_id, action_type, moderator_id, moderator_username, target_id, target_username, reason, case_number, deleted, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT COUNT(*) + 1 FROM moderation_logs WHERE guild_id = ?), ?, ?)`
+        )
+        .run(
+            guildId,
+            action,
+            moderator.id,
+            moderator.name,
+            target.id,
+            target.name,
+            reason,
+            guildId,
+            deleted,
+            createdAt
+        );
+}
+
+function addViolation({ guildId = GUILD_ID, type, user, punishment, createdAt }) {
+    db.db
+        .prepare(
+            `INSERT INTO automod_violations
+                (guild_id, user_id, username, violation_type, message_content, channel_id, punishment_applied, created_at)
+             VALUES (?, ?, ?, ?, 'join discord.gg/spam', '300', ?, ?)`
+        )
+        .run(guildId, user.id, user.name, type, punishment, createdAt);
+}
+
+function addConfigChange({ guildId, scope, actorId, createdAt }) {
+    db.db
+        .prepare(
+            `INSERT INTO config_audit (guild_id, scope, version, actor_id, changes, created_at)
+             VALUES (?, ?, 1, ?, '{"enabled":[false,true]}', ?)`
+        )
+        .run(guildId, scope, actorId, createdAt);
+}
+
+function addKillSwitch({ actorId, reason, createdAt }) {
+    db.db
+        .prepare(
+            "INSERT INTO ai_killswitch_log (action, activated_by, reason, created_at) VALUES ('activate', ?, ?, ?)"
+        )
+        .run(actorId, reason, createdAt);
+}
+
+// Follows nextCursor to the end and returns every entry
+function readAllPages(filters, options) {
+    const entries = [];
+    let cursor = null;
+    do {
+        const page = db.searchAuditLog(GUILD_ID, filters, { ...options, cursor });
+        entries.push(...page.entries);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return entries;
+}
+
+function describeEntries(entries) {
+    return entries.map(entry => `${entry.source}:${entry.action}`);
+}
+
+const ALICE = { id: '1', name: 'Alice' };
+const BOB = { id: '2', name: 'Bob' };
+const SPAMMER = { id: '9', name: 'Spammer' };
+const NEWBIE = { id: '8', name: 'Newbie' };
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-audit-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    db = new DatabaseManager();
+    db.dbPath = path.join(tempDir, 'test.db');
+    db.openDatabase();
+    db.runMigrations();
+
+    addCase({
+        action: 'ban',
+        moderator: ALICE,
+        target: SPAMMER,
+        reason: 'raid spam',
+        createdAt: '2026-03-01 10:00:00'
+    });
+    addCase({ action: 'warn', moderator: BOB, target: NEWBIE, reason: 'caps', createdAt: '2026-03-02 10:00:00' });
+    addCase({
+        action: 'kick',
+        moderator: BOB,
+        target: NEWBIE,
+        reason: 'deleted case',
+        createdAt: '2026-03-02 11:00:00',
+        deleted: 1
+    });
+    addViolation({ type: 'invite_link', user: SPAMMER, punishment: 'mute', createdAt: '2026-03-02 10:00:00' });
+    addConfigChange({ guildId: GUILD_ID, scope: 'antiRaid', actorId: ALICE.id, createdAt: '2026-03-03 09:30:00' });
+    addConfigChange({ guildId: null, scope: 'ai', actorId: ALICE.id, createdAt: '2026-03-03 12:00:00' });
+    addKillSwitch({ actorId: ALICE.id, reason: 'provider outage', createdAt: '2026-03-04 08:00:00' });
+
+    addCase({
+        guildId: OTHER_GUILD_ID,
+        action: 'ban',
+        moderator: ALICE,
+        target: SPAMMER,
+        reason: 'raid spam',
+        createdAt: '2026-03-01 10:00:00'
+    });
+});
+
+afterEach(() => {
+    db.db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('searchAuditLog', () => {
+    test("lists the guild's entries from every source, newest first", () => {
+        const { entries, nextCursor } = db.searchAuditLog(GUILD_ID);
+
+        expect(describeEntries(entries)).toEqual([
+            'config:config_update',
+            'automod:invite_link',
+            'moderation:warn',
+            'moderation:ban'
+        ]);
+        expect(entries[3]).toMatchObject({
+            actor_id: '1',
+            actor_name: 'Alice',
+            target_id: '9',
+            target_name: 'Spammer',
+            summary: 'raid spam',
+            reference: 'case 1'
+        });
+        expect(nextCursor).toBeNull();
+    });
+
+    test('bot-wide settings changes and the kill switch are only included for bot owners', () => {
+        const { entries } = db.searchAuditLog(GUILD_ID, {}, { includeGlobal: true });
+
+        expect(describeEntries(entries)).toEqual([
+            'killswitch:killswitch_activate',
+            'config:config_update',
+            'config:config_update',
+            'automod:invite_link',
+            'moderation:warn',
+            'moderation:ban'
+        ]);
+        expect(entries.filter(entry => entry.source === 'config').map(entry => entry.summary)).toEqual([
+            'ai',
+            'antiRaid'
+        ]);
+    });
+
+    test('pages with the cursor without repeating or skipping entries', () => {
+        for (let day = 10; day < 20; day++) {
+            // Same timestamp in both sources, so the page breaks fall on ties
+            const createdAt = `2026-03-${day} 10:00:00`;
+            addCase({ action: 'timeout', moderator: BOB, target: NEWBIE, reason: `day ${day}`, createdAt });
+            addViolation({ type: 'spam', user: NEWBIE, punishment: 'warn', createdAt });
+        }
+        const everything = db.searchAuditLog(GUILD_ID, {}, { limit: 200 }).entries;
+
+        const pages = [];
+        let cursor = null;
+        do {
+            const page = db.searchAuditLog(GUILD_ID, {}, { limit: 3, cursor });
+            pages.push(page.entries);
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(everything).toHaveLength(24);
+        expect(pages).toHaveLength(8);
+        expect(pages.every(page => page.length === 3)).toBe(true);
+        expect(pages.flat()).toEqual(everything);
+    });
+
+    test('the last page has no next cursor', () => {
+        const first = db.searchAuditLog(GUILD_ID, {}, { limit: 2 });
+        const second = db.searchAuditLog(GUILD_ID, {}, { limit: 2, cursor: first.nextCursor });
+
+        expect(first.nextCursor).not.toBeNull();
+        expect(describeEntries(second.entries)).toEqual(['moderation:warn', 'moderation:ban']);
+        expect(second.nextCursor).toBeNull();
+    });
+
+    test('rejects a cursor it did not make', () => {
+        expect(db.searchAuditLog(GUILD_ID, {}, { cursor: 'not-a-cursor' })).toEqual({ error: 'Invalid cursor' });
+    });
+
+    test('query matches names, reasons and IDs in any source', () => {
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { query: 'spam' }).entries)).toEqual([
+            'automod:invite_link',
+            'moderation:ban'
+        ]);
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { query: '8' }).entries)).toEqual(['moderation:warn']);
+    });
+
+    test('query takes % and _ literally', () => {
+        expect(db.searchAuditLog(GUILD_ID, { query: '%' }).entries).toEqual([]);
+        expect(db.searchAuditLog(GUILD_ID, { query: 'inv_te' }).entries).toEqual([]);
+    });
+
+    test('actor matches an ID or part of a name', () => {
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { actor: '1' }).entries)).toEqual([
+            'config:config_update',
+            'moderation:ban'
+        ]);
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { actor: 'bo' }).entries)).toEqual(['moderation:warn']);
+    });
+
+    test('from and to limit the date range, and a bare to date covers that whole day', () => {
+        const { entries } = db.searchAuditLog(GUILD_ID, { from: '2026-03-02', to: '2026-03-02' });
+
+        expect(describeEntries(entries)).toEqual(['automod:invite_link', 'moderation:warn']);
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { from: '2026-03-02T10:00:01Z' }).entries)).toEqual([
+            'config:config_update'
+        ]);
+    });
+
+    test('sources and action narrow the entries', () => {
+        expect(describeEntries(db.searchAuditLog(GUILD_ID, { sources: 'moderation' }).entries)).toEqual([
+            'moderation:warn',
+            'moderation:ban'
+        ]);
+        expect(
+            describeEntries(db.searchAuditLog(GUILD_ID, { sources: ['automod', 'config'], action: 'invite' }).entries)
+        ).toEqual(['automod:invite_link']);
+    });
+
+    test('the kill switch source has no entries for anyone but the bot owners', () => {
+        expect(db.searchAuditLog(GUILD_ID, { sources: 'killswitch' }).entries).toEqual([]);
+        expect(db.searchAuditLog(GUILD_ID, { sources: 'killswitch' }, { includeGlobal: true }).entries).toHaveLength(1);
+    });
+
+    test('reports an unknown source or an unreadable date', () => {
+        expect(db.searchAuditLog(GUILD_ID, { sources: 'moderation, tickets, dms' })).toEqual({
+            error: 'Unknown audit source(s): tickets, dms'
+        });
+        expect(db.searchAuditLog(GUILD_ID, { from: 'last tuesday' })).toEqual({
+            error: '"last tuesday" is not a valid date'
+        });
+    });
+});
+
+describe('exportAuditLog', () => {
+    test.each([
+        ['no filters', {}, {}],
+        ['a query', { query: 'spam' }, {}],
+        ['an actor and a date range', { actor: 'Alice', from: '2026-03-01', to: '2026-03-03' }, {}],
+        ['the bot-wide entries', {}, { includeGlobal: true }]
+    ])('returns the same entries as paging through the search with %s', (_, filters, options) => {
+        const exported = db.exportAuditLog(GUILD_ID, filters, options);
+
+        expect(exported.truncated).toBe(false);
+        expect(exported.entries.length).toBeGreaterThan(0);
+        expect(exported.entries).toEqual(readAllPages(filters, { ...options, limit: 1 }));
+    });
+
+    test('reports the same filter errors as the search', () => {
+        expect(db.exportAuditLog(GUILD_ID, { sources: 'dms' })).toEqual({ error: 'Unknown audit source(s): dms' });
+    });
+});
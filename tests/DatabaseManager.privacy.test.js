@@ -0,0 +1,383 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('../src/DatabaseManager');
+
+const GUILD_ID = '100';
+const OTHER_GUILD_ID = '200';
+
+let tempDir;
+let db;
+
+function insertRow(table, values) {
+    const columns = Object.keys(values);
+    return db.db
+        .prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+        .run(...Object.values(values)).lastInsertRowid;
+}
+
+// SQLite's CURRENT_TIMESTAMP format, the given number of days back
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function selectAll(table) {
+    return db.db.prepare(`SELECT * FROM ${table} ORDER BY id`).all();
+}
+
+function selectColumn(table, column) {
+    return selectAll(table).map(row => row[column]);
+}
+
+// Every row of the tables, by ID, to see which rows a purge touched
+function snapshotTables(tables) {
+    return Object.fromEntries(
+        tables.map(table => [table, new Map(selectAll(table).map(row => [row.id, JSON.stringify(row)]))])
+    );
+}
+
+const ALICE = { id: '111', name: 'Alice' };
+const BOB = { id: '222', name: 'Bob' };
+const SPAMMER = { id: '999', name: 'Spammer' };
+const NEWBIE = { id: '888', name: 'Newbie' };
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-privacy-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    db = new DatabaseManager();
+    db.dbPath = path.join(tempDir, 'test.db');
+    db.openDatabase();
+    db.runMigrations();
+});
+
+afterEach(() => {
+    db.db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('applyRetention', () => {
+    function addChatLog(guildId, label, createdAt) {
+        insertRow('ai_chat_logs', {
+            guild_id: guildId,
+            channel_id: '300',
+            user_id: NEWBIE.id,
+            username: NEWBIE.name,
+            user_message: label,
+            ai_response: 'hi',
+            created_at: createdAt
+        });
+    }
+
+    function addAIModerationLog(label, staffResponse, createdAt) {
+        insertRow('ai_moderation_logs', {
+            guild_id: GUILD_ID,
+            channel_id: '300',
+            user_id: SPAMMER.id,
+            username: SPAMMER.name,
+            message_content: label,
+            confidence: 90,
+            action_taken: 'flag',
+            staff_response: staffResponse,
+            created_at: createdAt
+        });
+    }
+
+    beforeEach(() => {
+        addChatLog(GUILD_ID, 'old', daysAgo(40));
+        addChatLog(GUILD_ID, 'recent', daysAgo(5));
+        addChatLog(OTHER_GUILD_ID, 'other guild', daysAgo(40));
+        addAIModerationLog('old pending', 'pending', daysAgo(40));
+        addAIModerationLog('old reviewed', 'confirmed', daysAgo(40));
+        addAIModerationLog('recent reviewed', 'confirmed', daysAgo(5));
+    });
+
+    test("deletes the guild's rows older than the window and keeps the rest", () => {
+        expect(db.applyRetention(GUILD_ID, { aiChatLogsDays: 30 })).toEqual({ ai_chat_logs: 1 });
+        expect(selectColumn('ai_chat_logs', 'user_message')).toEqual(['recent', 'other guild']);
+    });
+
+    test('keeps rows the keep condition protects, however old', () => {
+        expect(db.applyRetention(GUILD_ID, { aiModerationLogsDays: 30 })).toEqual({ ai_moderation_logs: 1 });
+        expect(selectColumn('ai_moderation_logs', 'message_content')).toEqual(['old pending', 'recent reviewed']);
+    });
+
+    test('reads ISO timestamps as well as SQLite ones', () => {
+        for (const [username, days] of [
+            ['old', 40],
+            ['recent', 5]
+        ]) {
+            insertRow('raid_tracking', {
+                guild_id: GUILD_ID,
+                user_id: NEWBIE.id,
+                username,
+                join_timestamp: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+            });
+        }
+
+        expect(db.applyRetention(GUILD_ID, { raidTrackingDays: 30 })).toEqual({ raid_tracking: 1 });
+        expect(selectColumn('raid_tracking', 'username')).toEqual(['recent']);
+    });
+
+    test('leaves tables alone when their setting is missing or 0', () => {
+        expect(db.applyRetention(GUILD_ID, { aiChatLogsDays: 0 })).toEqual({});
+        expect(selectAll('ai_chat_logs')).toHaveLength(3);
+        expect(selectAll('ai_moderation_logs')).toHaveLength(3);
+    });
+});
+
+describe('user data export and purge', () => {
+    const TABLES = [
+        'moderation_logs',
+        'warnings',
+        'ai_chat_logs',
+        'automod_violations',
+        'ai_moderation_logs',
+        'tickets'
+    ];
+
+    function addCase({ moderator, target, action, details = null }) {
+        return insertRow('moderation_logs', {
+            guild_id: GUILD_ID,
+            action_type: action,
+            moderator_id: moderator.id,
+            moderator_username: moderator.name,
+            target_id: target?.id ?? null,
+            target_username: target?.name ?? null,
+            reason: 'test',
+            details
+        });
+    }
+
+    function addWarning({ moderator, user }) {
+        return insertRow('warnings', {
+            guild_id: GUILD_ID,
+            user_id: user.id,
+            username: user.name,
+            moderator_id: moderator.id,
+            moderator_username: moderator.name,
+            reason: 'test'
+        });
+    }
+
+    // Newbie's AI moderation log, with Spammer's message in its context
+    function addContextLog() {
+        const context = {
+            content: 'stop it',
+            messages: [
+                { speaker: 'Target', content: 'buy cheap nitro' },
+                { speaker: 'Author', content: 'nobody wants that' }
+            ],
+            replyTo: { speaker: 'Target', content: 'buy cheap nitro' },
+            target: 'Target',
+            targetIsParticipant: true,
+            speakers: { Author: NEWBIE.id, Target: SPAMMER.id }
+        };
+        return insertRow('ai_moderation_logs', {
+            guild_id: GUILD_ID,
+            channel_id: '300',
+            user_id: NEWBIE.id,
+            username: NEWBIE.name,
+            message_content: 'stop it',
+            confidence: 40,
+            action_taken: 'none',
+            reviewed_by: BOB.id,
+            context: JSON.stringify(context)
+        });
+    }
+
+    let ids;
+
+    beforeEach(() => {
+        ids = {
+            ban: addCase({ moderator: ALICE, target: SPAMMER, action: 'ban' }),
+            warnCase: addCase({ moderator: BOB, target: NEWBIE, action: 'warn' }),
+            raidCase: addCase({
+                moderator: ALICE,
+                action: 'raid_mode',
+                details: JSON.stringify({
+                    rules: ['Spammer and Newbie joined within 5s'],
+                    userIds: [SPAMMER.id, NEWBIE.id]
+                })
+            }),
+            warning: addWarning({ moderator: ALICE, user: SPAMMER }),
+            bobsWarning: addWarning({ moderator: BOB, user: SPAMMER }),
+            selfWarning: addWarning({ moderator: BOB, user: BOB }),
+            contextLog: addContextLog()
+        };
+
+        for (const user of [SPAMMER, NEWBIE]) {
+            insertRow('ai_chat_logs', {
+                guild_id: GUILD_ID,
+                channel_id: '300',
+                user_id: user.id,
+                username: user.name,
+                user_message: `hi from ${user.name}`,
+                ai_response: 'hi'
+            });
+        }
+        insertRow('automod_violations', {
+            guild_id: GUILD_ID,
+            user_id: SPAMMER.id,
+            username: SPAMMER.name,
+            violation_type: 'invite_link',
+            message_content: 'join discord.gg/spam',
+            channel_id: '300'
+        });
+        insertRow('ai_moderation_logs', {
+            guild_id: GUILD_ID,
+            channel_id: '300',
+            user_id: SPAMMER.id,
+            username: SPAMMER.name,
+            message_content: 'buy cheap nitro',
+            confidence: 95,
+            action_taken: 'delete'
+        });
+        insertRow('tickets', {
+            ticket_id: 'ticket-1',
+            guild_id: GUILD_ID,
+            channel_id: '400',
+            creator_id: SPAMMER.id,
+            creator_username: SPAMMER.name,
+            subject: 'Why was I muted?',
+            description: 'I only posted one link',
+            claimed_by: BOB.id,
+            claimed_by_username: BOB.name
+        });
+    });
+
+    test('purge anonymizes cases and warnings against the user but keeps the rows and staff IDs', () => {
+        db.purgeUserData(SPAMMER.id);
+
+        expect(selectAll('moderation_logs').find(row => row.id === ids.ban)).toMatchObject({
+            target_id: SPAMMER.id,
+            target_username: 'Deleted User',
+            moderator_id: ALICE.id,
+            moderator_username: 'Alice'
+        });
+        expect(selectAll('warnings').slice(0, 2)).toEqual([
+            expect.objectContaining({
+                id: ids.warning,
+                user_id: SPAMMER.id,
+                username: 'Deleted User',
+                moderator_id: ALICE.id
+            }),
+            expect.objectContaining({
+                id: ids.bobsWarning,
+                user_id: SPAMMER.id,
+                username: 'Deleted User',
+                moderator_id: BOB.id
+            })
+        ]);
+    });
+
+    test('purging a staff member keeps their moderator ID on the cases and warnings they handled', () => {
+        db.purgeUserData(BOB.id);
+
+        expect(selectAll('moderation_logs').find(row => row.id === ids.warnCase)).toMatchObject({
+            moderator_id: BOB.id,
+            moderator_username: 'Deleted User',
+            target_username: 'Newbie'
+        });
+        expect(
+            selectAll('warnings').map(({ moderator_id, moderator_username, username }) => [
+                moderator_id,
+                moderator_username,
+                username
+            ])
+        ).toEqual([
+            [ALICE.id, 'Alice', 'Spammer'],
+            [BOB.id, 'Deleted User', 'Spammer'],
+            [BOB.id, 'Deleted User', 'Deleted User']
+        ]);
+    });
+
+    test("purge deletes the user's own logs, redacts tickets and leaves other users' rows", () => {
+        expect(db.purgeUserData(SPAMMER.id)).toEqual({
+            'moderation_logs.details': 1,
+            'ai_moderation_logs.context': 1,
+            ai_chat_logs: 1,
+            ai_moderation_logs: 1,
+            automod_violations: 1,
+            moderation_logs: 1,
+            tickets: 1,
+            warnings: 2
+        });
+
+        expect(selectColumn('ai_chat_logs', 'user_id')).toEqual([NEWBIE.id]);
+        expect(selectColumn('ai_moderation_logs', 'user_id')).toEqual([NEWBIE.id]);
+        expect(selectAll('automod_violations')).toEqual([]);
+        expect(selectAll('tickets')[0]).toMatchObject({
+            creator_id: SPAMMER.id,
+            creator_username: 'Deleted User',
+            subject: '[purged]',
+            description: null,
+            claimed_by: BOB.id
+        });
+    });
+
+    test("purge replaces the user's names and ID in case details and their lines in others' AI context", () => {
+        db.purgeUserData(SPAMMER.id);
+
+        const raidCase = selectAll('moderation_logs').find(row => row.id === ids.raidCase);
+        expect(JSON.parse(raidCase.details)).toEqual({
+            rules: ['Deleted User and Newbie joined within 5s'],
+            userIds: ['0', NEWBIE.id]
+        });
+
+        const context = JSON.parse(selectAll('ai_moderation_logs')[0].context);
+        expect(context.messages).toEqual([
+            { speaker: 'Target', content: '[purged]' },
+            { speaker: 'Author', content: 'nobody wants that' }
+        ]);
+        expect(context.replyTo).toEqual({ speaker: 'Target', content: '[purged]' });
+        expect(context.speakers).toEqual({ Author: NEWBIE.id });
+    });
+
+    test('export includes the case details and AI context that mention the user', () => {
+        const { userId, tables } = db.exportUserData(SPAMMER.id);
+
+        expect(userId).toBe(SPAMMER.id);
+        expect(tables.moderation_logs.map(row => row.id)).toEqual([ids.ban, ids.raidCase]);
+        expect(tables['ai_moderation_logs.context']).toEqual([
+            expect.objectContaining({ log_id: ids.contextLog, messages: ['buy cheap nitro', 'buy cheap nitro'] })
+        ]);
+        expect(db.getKnownUsernames(SPAMMER.id)).toEqual(['Spammer']);
+    });
+
+    test.each([
+        ['a member', SPAMMER],
+        ['a staff member', BOB]
+    ])('export lists exactly the rows purge changes for %s', (_, user) => {
+        const { tables } = db.exportUserData(user.id);
+        const exported = {};
+        for (const [key, rows] of Object.entries(tables)) {
+            const table = key === 'ai_moderation_logs.context' ? 'ai_moderation_logs' : key;
+            const rowIds = rows.map(row => (key === table ? row.id : row.log_id));
+            exported[table] = [...(exported[table] || []), ...rowIds].sort((a, b) => a - b);
+        }
+
+        const before = snapshotTables(TABLES);
+        db.purgeUserData(user.id);
+        const after = snapshotTables(TABLES);
+        const changed = {};
+        for (const table of TABLES) {
+            const rowIds = [...before[table]].filter(([id, row]) => after[table].get(id) !== row).map(([id]) => id);
+            if (rowIds.length > 0) {
+                changed[table] = rowIds;
+            }
+        }
+
+        expect(Object.keys(exported).length).toBeGreaterThan(0);
+        expect(changed).toEqual(exported);
+    });
+
+    test('throws when the database is not connected', () => {
+        db.isConnected = false;
+
+        expect(() => db.exportUserData(SPAMMER.id)).toThrow('Database not connected');
+        expect(() => db.purgeUserData(SPAMMER.id)).toThrow('Database not connected');
+        expect(() => db.applyRetention(GUILD_ID, { aiChatLogsDays: 30 })).toThrow('Database not connected');
+    });
+});
@@ -0,0 +1,113 @@
+const { classifyMessage } = require('../src/LocalClassifier');
+
+describe('classifyMessage scores and thresholds', () => {
+    test('a message no rule matches is a confident safe', () => {
+        expect(classifyMessage('anyone up for a few rounds tonight?')).toMatchObject({
+            safe: true,
+            score: 0,
+            confidence: 100,
+            severity: 'none',
+            category: 'none',
+            matches: []
+        });
+    });
+
+    test('a single weak rule stays below the unsafe score', () => {
+        const result = classifyMessage('call me 555-123-4567');
+
+        expect(result).toMatchObject({ safe: true, score: 45, confidence: 55, severity: 'low', category: 'doxxing' });
+    });
+
+    test('a score of 50 or more is unsafe, with the score as the confidence', () => {
+        const result = classifyMessage('i will kill you');
+
+        expect(result).toMatchObject({
+            safe: false,
+            score: 55,
+            confidence: 55,
+            severity: 'medium',
+            category: 'threat'
+        });
+    });
+
+    test('rules in the same category add up', () => {
+        const result = classifyMessage('his phone number is 555-123-4567');
+
+        expect(result.score).toBe(80);
+        expect(result.severity).toBe('high');
+        expect(result.matches.map(match => match.label)).toEqual(['phone number', 'sharing personal details']);
+    });
+
+    test('scores are capped at 99 and a critical threat or doxxing score is critical', () => {
+        const result = classifyMessage('i know where you live and i will kill you irl');
+
+        expect(result.score).toBe(99);
+        expect(result.severity).toBe('critical');
+    });
+
+    test('scams and phishing top out at high severity', () => {
+        const result = classifyMessage('free nitro at discord-gift.xyz');
+
+        expect(result).toMatchObject({ safe: false, score: 99, severity: 'high', category: 'phishing' });
+    });
+
+    test('the highest scoring category wins', () => {
+        const result = classifyMessage('send 1 btc and receive 2 btc, guaranteed profit - call 555-123-4567');
+
+        expect(result.category).toBe('scam');
+        expect(result.matches.map(match => match.category)).toEqual(['doxxing', 'scam', 'scam']);
+    });
+
+    test('turning a detection group off skips its categories', () => {
+        const result = classifyMessage('free nitro at discord-gift.xyz', {
+            categories: { safetyCritical: true, spamScams: false }
+        });
+
+        expect(result).toMatchObject({ safe: true, score: 0, category: 'none' });
+    });
+});
+
+describe('classifyMessage false positives', () => {
+    test.each([
+        'join our server at 85.190.145.12:2302',
+        'connect 192.168.100.200 2302, password is in the lobby channel',
+        'server ip 203.113.145.2 port 2302'
+    ])('a game server address is not doxxing: %s', message => {
+        const result = classifyMessage(message);
+
+        expect(result.safe).toBe(true);
+        expect(result.matches.map(match => match.label)).toEqual(['IP address']);
+    });
+
+    test('a +1 number only counts as one phone number', () => {
+        const result = classifyMessage('+1 555 123 4567');
+
+        expect(result.safe).toBe(true);
+        expect(result.matches.map(match => match.label)).toEqual(['phone number']);
+    });
+
+    test.each([
+        ['i will kill you next round', 30],
+        ['i know where you live, see you next match', 40],
+        ["i'm gonna shoot you in the lobby", 30]
+    ])('game talk takes 25 off the threat score: %s', (message, score) => {
+        const result = classifyMessage(message);
+
+        expect(result.safe).toBe(true);
+        expect(result.score).toBe(score);
+        expect(result.category).toBe('threat');
+    });
+
+    test('the game-context discount only applies to threats', () => {
+        const result = classifyMessage('free nitro for the whole squad: discord-gift.xyz');
+
+        expect(result).toMatchObject({ safe: false, score: 99, category: 'phishing' });
+    });
+
+    test('the game-context discount never takes a score below zero', () => {
+        const result = classifyMessage('meet me irl after the match');
+
+        expect(result.score).toBe(0);
+        expect(result.safe).toBe(true);
+    });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MigrationRunner } = require('../src/MigrationRunner');
+
+let tempDir;
+let db;
+
+// Writes NNN_name.js migration files into a fresh directory - each source is the module's body
+function writeMigrations(files) {
+    const directory = fs.mkdtempSync(path.join(tempDir, 'migrations-'));
+    for (const [file, source] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, file), source);
+    }
+    return directory;
+}
+
+function tableExists(name) {
+    return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+function appliedVersions() {
+    return db
+        .prepare('SELECT version FROM schema_migrations ORDER BY version')
+        .all()
+        .map(row => row.version);
+}
+
+const CREATE_NOTES = `module.exports = {
+    up(db) { db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)'); },
+    down(db) { db.exec('DROP TABLE notes'); }
+};`;
+
+const CREATE_TAGS_THEN_FAIL = `module.exports = {
+    up(db) {
+        db.exec('CREATE TABLE tags (id INTEGER PRIMARY KEY)');
+        db.exec("INSERT INTO notes (body) VALUES ('written before the failure')");
+        throw new Error('boom');
+    },
+    down(db) { db.exec('DROP TABLE tags'); }
+};`;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-migrations-'));
+    db = new Database(path.join(tempDir, 'test.db'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('MigrationRunner with the bot migrations', () => {
+    test('applies every migration to a new database file', () => {
+        const runner = new MigrationRunner(db);
+        const applied = runner.migrate();
+
+        expect(applied.map(migration => migration.version)).toEqual(runner.loadMigrations().map(m => m.version));
+        expect(appliedVersions()).toEqual(applied.map(migration => migration.version));
+        for (const table of ['moderation_logs', 'warnings', 'tickets', 'ai_moderation_logs', 'config_audit']) {
+            expect(tableExists(table)).toBe(true);
+        }
+        expect(runner.getStatus().every(migration => migration.appliedAt && !migration.missing)).toBe(true);
+    });
+
+    test('running the migrations again does nothing', () => {
+        new MigrationRunner(db).migrate();
+        const before = db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+
+        // A fresh runner on the same file, like the bot on its next start
+        expect(new MigrationRunner(db).migrate()).toEqual([]);
+        expect(db.prepare('SELECT * FROM schema_migrations ORDER BY version').all()).toEqual(before);
+    });
+
+    test('rolls everything back and applies it again', () => {
+        const runner = new MigrationRunner(db);
+        const count = runner.migrate().length;
+
+        expect(runner.rollback(0)).toHaveLength(count);
+        expect(appliedVersions()).toEqual([]);
+        expect(tableExists('moderation_logs')).toBe(false);
+
+        expect(runner.migrate()).toHaveLength(count);
+        expect(tableExists('moderation_logs')).toBe(true);
+    });
+});
+
+describe('MigrationRunner versions and failures', () => {
+    test('migrate stops at the target version and rollback without one undoes only the latest', () => {
+        const directory = writeMigrations({
+            '001_notes.js': CREATE_NOTES,
+            '002_tags.js': `module.exports = {
+                up(db) { db.exec('CREATE TABLE tags (id INTEGER PRIMARY KEY)'); },
+                down(db) { db.exec('DROP TABLE tags'); }
+            };`
+        });
+        const runner = new MigrationRunner(db, directory);
+
+        expect(runner.migrate(1).map(migration => migration.version)).toEqual([1]);
+        expect(tableExists('tags')).toBe(false);
+
+        expect(runner.migrate().map(migration => migration.version)).toEqual([2]);
+        expect(runner.rollback().map(migration => migration.version)).toEqual([2]);
+        expect(appliedVersions()).toEqual([1]);
+        expect(tableExists('tags')).toBe(false);
+        expect(tableExists('notes')).toBe(true);
+    });
+
+    test('a failing migration is rolled back and later ones are not run', () => {
+        const directory = writeMigrations({
+            '001_notes.js': CREATE_NOTES,
+            '002_tags.js': CREATE_TAGS_THEN_FAIL,
+            '003_never.js': `module.exports = {
+                up(db) { db.exec('CREATE TABLE never (id INTEGER PRIMARY KEY)'); },
+                down(db) { db.exec('DROP TABLE never'); }
+            };`
+        });
+        const runner = new MigrationRunner(db, directory);
+
+        expect(() => runner.migrate()).toThrow('Migration 002_tags.js (up) failed: boom');
+        expect(appliedVersions()).toEqual([1]);
+        expect(tableExists('tags')).toBe(false);
+        expect(tableExists('never')).toBe(false);
+        expect(db.prepare('SELECT COUNT(*) AS count FROM notes').get().count).toBe(0);
+        expect(runner.getStatus().map(migration => Boolean(migration.appliedAt))).toEqual([true, false, false]);
+    });
+
+    test('refuses two migrations with the same version', () => {
+        const directory = writeMigrations({ '001_notes.js': CREATE_NOTES, '1_again.js': CREATE_NOTES });
+
+        expect(() => new MigrationRunner(db, directory).migrate()).toThrow('share version 1');
+    });
+
+    test('lists an applied version whose file is gone as missing and will not roll it back', () => {
+        const directory = writeMigrations({ '001_notes.js': CREATE_NOTES });
+        const runner = new MigrationRunner(db, directory);
+        runner.migrate();
+        db.prepare("INSERT INTO schema_migrations (version, name) VALUES (7, 'deleted')").run();
+
+        expect(runner.getStatus().find(migration => migration.version === 7)).toMatchObject({ missing: true });
+        expect(() => runner.rollback()).toThrow('Migration 7 is applied but its file is missing');
+    });
+});
+
+describe('MigrationRunner schema helpers', () => {
+    test('ensureColumn adds a missing column once', () => {
+        db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY)');
+        const { schema } = new MigrationRunner(db);
+
+        expect(schema.hasColumn('notes', 'body')).toBe(false);
+        expect(schema.ensureColumn('notes', 'body', "TEXT DEFAULT 'empty'")).toBe(true);
+        expect(schema.ensureColumn('notes', 'body', "TEXT DEFAULT 'empty'")).toBe(false);
+        expect(schema.hasColumn('notes', 'body')).toBe(true);
+
+        db.prepare('INSERT INTO notes (id) VALUES (1)').run();
+        expect(db.prepare('SELECT body FROM notes').get().body).toBe('empty');
+    });
+
+    test('dropColumn removes a column and ignores one that is not there', () => {
+        db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT, extra TEXT)');
+        const { schema } = new MigrationRunner(db);
+
+        expect(schema.dropColumn('notes', 'extra')).toBe(true);
+        expect(schema.dropColumn('notes', 'extra')).toBe(false);
+        expect(schema.hasColumn('notes', 'extra')).toBe(false);
+        expect(schema.hasColumn('notes', 'body')).toBe(true);
+    });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrationCommand } = require('../migrate');
+
+let tempDir;
+let db;
+let output;
+
+function appliedVersions() {
+    return db
+        .prepare('SELECT version FROM schema_migrations ORDER BY version')
+        .all()
+        .map(row => row.version);
+}
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-migrate-'));
+    db = new Database(path.join(tempDir, 'test.db'));
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+    jest.spyOn(console, 'error').mockImplementation(line => output.push(line));
+});
+
+afterEach(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('migrate.js commands', () => {
+    test('status lists every migration as pending on a new database', () => {
+        expect(runMigrationCommand(db, 'status')).toBe(0);
+
+        expect(appliedVersions()).toEqual([]);
+        expect(output.some(line => line.startsWith('⏳ 001 initial_schema'))).toBe(true);
+        expect(output.some(line => line.startsWith('✅'))).toBe(false);
+    });
+
+    test('up applies the pending migrations, and a second up has nothing to apply', () => {
+        expect(runMigrationCommand(db, 'up')).toBe(0);
+        const applied = appliedVersions();
+        expect(applied.length).toBeGreaterThan(0);
+        expect(output).toContain(`✅ Applied ${applied.length} migration(s)`);
+
+        output.length = 0;
+        expect(runMigrationCommand(db, 'up')).toBe(0);
+        expect(output).toContain('✅ Nothing to apply');
+        expect(appliedVersions()).toEqual(applied);
+    });
+
+    test('up and down take a target version', () => {
+        expect(runMigrationCommand(db, 'up', 2)).toBe(0);
+        expect(appliedVersions()).toEqual([1, 2]);
+
+        expect(runMigrationCommand(db, 'down', 1)).toBe(0);
+        expect(appliedVersions()).toEqual([1]);
+        expect(output).toContain('✅ Rolled back 1 migration(s)');
+
+        expect(runMigrationCommand(db, 'down', 0)).toBe(0);
+        expect(appliedVersions()).toEqual([]);
+    });
+
+    test('a failing migration is reported with exit code 1 and leaves the last good version', () => {
+        const directory = fs.mkdtempSync(path.join(tempDir, 'migrations-'));
+        fs.writeFileSync(
+            path.join(directory, '001_notes.js'),
+            "module.exports = { up(db) { db.exec('CREATE TABLE notes (id INTEGER)'); }, down(db) { db.exec('DROP TABLE notes'); } };"
+        );
+        fs.writeFileSync(
+            path.join(directory, '002_broken.js'),
+            "module.exports = { up(db) { db.exec('ALTER TABLE missing ADD COLUMN x TEXT'); }, down() {} };"
+        );
+
+        expect(runMigrationCommand(db, 'up', null, directory)).toBe(1);
+        expect(appliedVersions()).toEqual([1]);
+        expect(output.some(line => line.startsWith('❌ Migration 002_broken.js (up) failed'))).toBe(true);
+    });
+});